@@ -0,0 +1,107 @@
+// src/api/categoryMappingRoutes.js
+// 번개장터 카테고리 매핑(상품 유형, 표준 상품 분류, 컬렉션, 포함 여부) 관리 API 라우트입니다.
+// syncRoutes에서 /api/sync/category-mappings 경로로 마운트됩니다. (내부 API 키 인증 적용)
+
+const express = require('express');
+const { query, param, body } = require('express-validator');
+const router = express.Router();
+const categoryMappingService = require('../services/categoryMappingService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const MAPPING_FIELDS = ['bunjangCategoryName', 'shopifyProductType', 'shopifyTaxonomyCategoryGid', 'shopifyCollectionGid', 'included', 'notes'];
+
+const categoryIdParam = param('bunjangCategoryId').matches(/^\d{1,20}$/).withMessage('bunjangCategoryId는 숫자 문자열이어야 합니다.');
+
+const mappingBodyValidators = [
+  body('bunjangCategoryName').optional().isString().trim().isLength({ max: 200 }),
+  body('shopifyProductType').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+  body('shopifyTaxonomyCategoryGid').optional({ values: 'null' }).matches(/^gid:\/\/shopify\/TaxonomyCategory\/[\w-]+$/)
+    .withMessage('shopifyTaxonomyCategoryGid는 gid://shopify/TaxonomyCategory/... 형식이어야 합니다.'),
+  body('shopifyCollectionGid').optional({ values: 'null' }).matches(/^gid:\/\/shopify\/Collection\/\d+$/)
+    .withMessage('shopifyCollectionGid는 gid://shopify/Collection/... 형식이어야 합니다.'),
+  body('included').optional().isBoolean().toBoolean(),
+  body('notes').optional().isString().isLength({ max: 500 }),
+];
+
+function pickMappingInput(reqBody) {
+  return Object.fromEntries(MAPPING_FIELDS.filter(field => reqBody[field] !== undefined).map(field => [field, reqBody[field]]));
+}
+
+/**
+ * GET /api/sync/category-mappings
+ * 카테고리 매핑 목록을 카테고리 ID 순으로 반환합니다.
+ */
+router.get(
+  '/',
+  [query('included').optional().isBoolean().toBoolean()],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const mappings = await categoryMappingService.listCategoryMappings({ included: req.query.included });
+      res.json({ count: mappings.length, mappings });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/sync/category-mappings/:bunjangCategoryId
+ */
+router.get('/:bunjangCategoryId', [categoryIdParam], handleValidationErrors, async (req, res, next) => {
+  try {
+    res.json(await categoryMappingService.getCategoryMapping(req.params.bunjangCategoryId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/category-mappings
+ * Body: { bunjangCategoryId, bunjangCategoryName?, shopifyProductType?, shopifyTaxonomyCategoryGid?, shopifyCollectionGid?, included?, notes? }
+ */
+router.post(
+  '/',
+  [
+    body('bunjangCategoryId').matches(/^\d{1,20}$/).withMessage('bunjangCategoryId는 숫자 문자열이어야 합니다.'),
+    ...mappingBodyValidators,
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const mapping = await categoryMappingService.createCategoryMapping({
+        bunjangCategoryId: req.body.bunjangCategoryId,
+        ...pickMappingInput(req.body),
+      });
+      res.status(201).json(mapping);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/sync/category-mappings/:bunjangCategoryId
+ * 전달된 필드만 수정합니다. (null을 보내면 해당 값을 비움)
+ */
+router.patch('/:bunjangCategoryId', [categoryIdParam, ...mappingBodyValidators], handleValidationErrors, async (req, res, next) => {
+  try {
+    res.json(await categoryMappingService.updateCategoryMapping(req.params.bunjangCategoryId, pickMappingInput(req.body)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sync/category-mappings/:bunjangCategoryId
+ */
+router.delete('/:bunjangCategoryId', [categoryIdParam], handleValidationErrors, async (req, res, next) => {
+  try {
+    await categoryMappingService.deleteCategoryMapping(req.params.bunjangCategoryId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
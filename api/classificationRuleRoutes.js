@@ -0,0 +1,136 @@
+// src/api/classificationRuleRoutes.js
+// 카탈로그 분류 규칙(태그, 상품 유형, 컬렉션, 제외) 관리 API 라우트입니다.
+// syncRoutes에서 /api/sync/rules 경로로 마운트됩니다. (내부 API 키 인증 적용)
+
+const express = require('express');
+const { query, param, body } = require('express-validator');
+const router = express.Router();
+const classificationRuleService = require('../services/classificationRuleService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const REGEX_FIELDS = ['name', 'description', 'categoryName', 'keywords'];
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// 생성/수정 공통 입력 검증 (isCreate=false이면 모든 필드 선택)
+function ruleBodyValidators(isCreate) {
+  const requiredOnCreate = field => (isCreate ? body(field).exists().withMessage(`${field}는 필수입니다.`) : body(field).optional());
+  return [
+    requiredOnCreate('name').isString().trim().isLength({ min: 1, max: 200 }),
+    body('description').optional().isString().isLength({ max: 1000 }),
+    body('enabled').optional().isBoolean().toBoolean(),
+    body('priority').optional().isInt().toInt(),
+    body('stopProcessing').optional().isBoolean().toBoolean(),
+    body('conditions').optional().isObject(),
+    body('conditions.regex').optional().isObject(),
+    body('conditions.regex.pattern').optional().isString().isLength({ max: 2000 }),
+    body('conditions.regex.flags').optional().matches(/^[imsu]*$/).withMessage('flags는 i, m, s, u 조합이어야 합니다.'),
+    body('conditions.regex.fields').optional().custom(value => isStringArray(value) && value.every(field => REGEX_FIELDS.includes(field)))
+      .withMessage(`fields는 ${REGEX_FIELDS.join(', ')} 중에서 선택해야 합니다.`),
+    body(['conditions.categoryIds', 'conditions.brandIds', 'conditions.sellerUids']).optional().custom(isStringArray)
+      .withMessage('문자열 배열이어야 합니다.'),
+    body(['conditions.minPriceKrw', 'conditions.maxPriceKrw']).optional().isFloat({ min: 0 }).toFloat(),
+    body('actions').optional().isObject(),
+    body(['actions.addTags', 'actions.collectionGids']).optional().custom(isStringArray).withMessage('문자열 배열이어야 합니다.'),
+    body('actions.collectionGids.*').optional().matches(/^gid:\/\/shopify\/Collection\/\d+$/).withMessage('컬렉션 GID 형식이 아닙니다.'),
+    body('actions.productType').optional().isString().trim().isLength({ max: 255 }),
+    body('actions.exclude').optional().isBoolean().toBoolean(),
+  ];
+}
+
+function pickRuleInput(reqBody) {
+  const fields = ['name', 'description', 'enabled', 'priority', 'stopProcessing', 'conditions', 'actions'];
+  return Object.fromEntries(fields.filter(field => reqBody[field] !== undefined).map(field => [field, reqBody[field]]));
+}
+
+/**
+ * GET /api/sync/rules
+ * 분류 규칙 목록을 평가 순서(priority 오름차순)로 반환합니다.
+ */
+router.get(
+  '/',
+  [query('enabled').optional().isBoolean().toBoolean()],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const rules = await classificationRuleService.listRules({ enabled: req.query.enabled });
+      res.json({ count: rules.length, rules });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/sync/rules/test
+ * 샘플 카탈로그 행에 대해 어떤 규칙이 매칭되는지와 최종 분류 결과를 반환합니다.
+ * Body: { row: { name, description, categoryId, categoryName, brandId, price, uid, keywords }, includeDisabled?: boolean }
+ */
+router.post(
+  '/test',
+  [
+    body('row').isObject().withMessage('row 객체가 필요합니다.'),
+    body('row.price').optional().isFloat({ min: 0 }),
+    body('includeDisabled').optional().isBoolean().toBoolean(),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const result = await classificationRuleService.testRulesAgainstSample(req.body.row, { includeDisabled: req.body.includeDisabled === true });
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/sync/rules/:ruleId
+ */
+router.get('/:ruleId', [param('ruleId').isMongoId()], handleValidationErrors, async (req, res, next) => {
+  try {
+    res.json(await classificationRuleService.getRule(req.params.ruleId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/rules
+ * 분류 규칙을 생성합니다.
+ */
+router.post('/', ruleBodyValidators(true), handleValidationErrors, async (req, res, next) => {
+  try {
+    const rule = await classificationRuleService.createRule(pickRuleInput(req.body));
+    res.status(201).json(rule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/sync/rules/:ruleId
+ * 전달된 필드만 수정합니다. (conditions/actions는 하위 필드 단위로 병합)
+ */
+router.patch('/:ruleId', [param('ruleId').isMongoId(), ...ruleBodyValidators(false)], handleValidationErrors, async (req, res, next) => {
+  try {
+    const rule = await classificationRuleService.updateRule(req.params.ruleId, pickRuleInput(req.body));
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sync/rules/:ruleId
+ */
+router.delete('/:ruleId', [param('ruleId').isMongoId()], handleValidationErrors, async (req, res, next) => {
+  try {
+    await classificationRuleService.deleteRule(req.params.ruleId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
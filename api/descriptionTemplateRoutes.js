@@ -0,0 +1,158 @@
+// src/api/descriptionTemplateRoutes.js
+// 상품 설명 템플릿 관리 및 미리보기 API 라우트입니다.
+// syncRoutes에서 /api/sync/description-templates 경로로 마운트됩니다. (내부 API 키 인증 적용)
+
+const express = require('express');
+const { query, param, body } = require('express-validator');
+const router = express.Router();
+const descriptionTemplateService = require('../services/descriptionTemplateService');
+const { translateProductText } = require('../services/translationService');
+const { buildProductSeo } = require('../services/seoService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const BLOCK_TYPES = ['SELLER_TEXT', 'CONDITION', 'SHIPPING_NOTICE', 'POLICY', 'LISTED_DATE', 'CUSTOM'];
+const TEMPLATE_FIELDS = ['name', 'bunjangCategoryIds', 'isDefault', 'blocks', 'seoTitleTemplate', 'seoDescriptionTemplate', 'enabled', 'notes'];
+
+const templateIdParam = param('templateId').isMongoId().withMessage('templateId는 유효한 ID여야 합니다.');
+const seoTemplateValidators = [
+  body('seoTitleTemplate').optional().isString().isLength({ max: 300 }),
+  body('seoDescriptionTemplate').optional().isString().isLength({ max: 1000 }),
+];
+
+function blockValidators(prefix) {
+  return [
+    body(`${prefix}.*.type`).isIn(BLOCK_TYPES).withMessage(`블록 type은 ${BLOCK_TYPES.join(', ')} 중 하나여야 합니다.`),
+    body(`${prefix}.*.heading`).optional().isString().isLength({ max: 200 }),
+    body(`${prefix}.*.content`).optional().isString().isLength({ max: 5000 }),
+    body(`${prefix}.*.enabled`).optional().isBoolean().toBoolean(),
+  ];
+}
+
+// 생성/수정 공통 입력 검증 (isCreate=false이면 모든 필드 선택)
+function templateBodyValidators(isCreate) {
+  const requiredOnCreate = field => (isCreate ? body(field).exists().withMessage(`${field}는 필수입니다.`) : body(field).optional());
+  return [
+    requiredOnCreate('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('bunjangCategoryIds').optional().isArray({ max: 200 }),
+    body('bunjangCategoryIds.*').matches(/^\d{1,20}$/).withMessage('bunjangCategoryIds는 숫자 문자열 배열이어야 합니다.'),
+    body('isDefault').optional().isBoolean().toBoolean(),
+    requiredOnCreate('blocks').isArray({ min: 1, max: 30 }).withMessage('blocks는 1~30개의 블록 배열이어야 합니다.'),
+    ...blockValidators('blocks'),
+    ...seoTemplateValidators,
+    body('enabled').optional().isBoolean().toBoolean(),
+    body('notes').optional().isString().isLength({ max: 500 }),
+  ];
+}
+
+function pickTemplateInput(reqBody) {
+  return Object.fromEntries(TEMPLATE_FIELDS.filter(field => reqBody[field] !== undefined).map(field => [field, reqBody[field]]));
+}
+
+/**
+ * GET /api/sync/description-templates
+ * 설명 템플릿 목록을 이름순으로 반환합니다. Query: enabled?
+ */
+router.get('/', [query('enabled').optional().isBoolean().toBoolean()], handleValidationErrors, async (req, res, next) => {
+  try {
+    const templates = await descriptionTemplateService.listDescriptionTemplates({ enabled: req.query.enabled });
+    res.json({ count: templates.length, templates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/description-templates/preview
+ * 샘플 상품으로 설명 HTML과 SEO 제목/설명을 렌더링합니다. 저장된 템플릿(templateId), 저장하지 않은 블록(blocks),
+ * 또는 상품 카테고리로 찾은 템플릿(둘 다 없을 때) 순으로 사용합니다. seoTitleTemplate/seoDescriptionTemplate을 보내면 템플릿 값 대신 사용합니다.
+ * SEO의 {{category}}는 동기화 시 Shopify 상품 유형이지만, 미리보기에서는 product.categoryName을 사용합니다.
+ * Body: { product: { pid, name?, description?, condition?, categoryId?, categoryName?, brandId?, createdAt? }, templateId?, blocks?, seoTitleTemplate?, seoDescriptionTemplate?, translate? }
+ */
+router.post(
+  '/preview',
+  [
+    body('product').isObject().withMessage('product는 객체여야 합니다.'),
+    body('product.pid').isString().trim().isLength({ min: 1, max: 20 }),
+    body('product.name').optional().isString().isLength({ max: 500 }),
+    body('product.description').optional().isString().isLength({ max: 20000 }),
+    body('product.condition').optional().isString().isLength({ max: 50 }),
+    body('product.categoryId').optional().matches(/^\d{0,20}$/),
+    body('product.categoryName').optional().isString().isLength({ max: 200 }),
+    body('product.brandId').optional().matches(/^\d{0,20}$/),
+    body('product.createdAt').optional().isISO8601(),
+    body('templateId').optional().isMongoId(),
+    body('blocks').optional().isArray({ min: 1, max: 30 }),
+    ...blockValidators('blocks'),
+    ...seoTemplateValidators,
+    body('translate').optional().isBoolean().toBoolean(),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { product, templateId, blocks, seoTitleTemplate, seoDescriptionTemplate, translate = false } = req.body;
+      // translate=true이면 동기화와 같은 번역 단계를 거침 (번역 비활성화 시 원문 사용)
+      const translation = translate ? await translateProductText(product, 'preview') : null;
+      const result = await descriptionTemplateService.previewProductDescription({ product, templateId, blocks, translation });
+      const seo = buildProductSeo(
+        product,
+        { title: translation?.translated ? translation.name : product.name, productType: product.categoryName },
+        {
+          seoTitleTemplate: seoTitleTemplate ?? result.template.seoTitleTemplate,
+          seoDescriptionTemplate: seoDescriptionTemplate ?? result.template.seoDescriptionTemplate,
+        },
+      );
+      res.json({ ...result, seo, translated: Boolean(translation?.translated) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/sync/description-templates/:templateId
+ */
+router.get('/:templateId', [templateIdParam], handleValidationErrors, async (req, res, next) => {
+  try {
+    res.json(await descriptionTemplateService.getDescriptionTemplate(req.params.templateId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/description-templates
+ * Body: { name, blocks, bunjangCategoryIds?, isDefault?, enabled?, notes? }
+ */
+router.post('/', templateBodyValidators(true), handleValidationErrors, async (req, res, next) => {
+  try {
+    res.status(201).json(await descriptionTemplateService.createDescriptionTemplate(pickTemplateInput(req.body)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/sync/description-templates/:templateId
+ * 전달된 필드만 수정합니다. (blocks는 전체 교체) 변경된 설명은 다음 동기화 때 Shopify에 반영됩니다.
+ */
+router.patch('/:templateId', [templateIdParam, ...templateBodyValidators(false)], handleValidationErrors, async (req, res, next) => {
+  try {
+    res.json(await descriptionTemplateService.updateDescriptionTemplate(req.params.templateId, pickTemplateInput(req.body)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sync/description-templates/:templateId
+ */
+router.delete('/:templateId', [templateIdParam], handleValidationErrors, async (req, res, next) => {
+  try {
+    await descriptionTemplateService.deleteDescriptionTemplate(req.params.templateId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+// src/api/moderationRoutes.js
+// 콘텐츠 검수(차단 목록, 검수 대기열, 결정 이력) 관리 API 라우트입니다.
+// syncRoutes에서 /api/sync/moderation 경로로 마운트됩니다. (내부 API 키 인증 적용)
+
+const express = require('express');
+const { query, param, body } = require('express-validator');
+const router = express.Router();
+const moderationService = require('../services/moderationService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const LIST_TYPES = ['KEYWORD', 'SELLER', 'BRAND'];
+const ENTRY_FIELDS = ['listType', 'value', 'matchMode', 'action', 'category', 'enabled', 'notes'];
+const DECISIONS = ['AUTO_EXCLUDED', 'QUEUED_FOR_REVIEW', 'APPROVED', 'REJECTED', 'CLEARED'];
+
+const entryIdParam = param('entryId').isMongoId().withMessage('entryId는 유효한 ID여야 합니다.');
+const bunjangPidParam = param('bunjangPid').matches(/^\d{1,20}$/).withMessage('bunjangPid는 숫자 문자열이어야 합니다.');
+const paginationValidators = [
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+];
+
+// 생성/수정 공통 입력 검증 (isCreate=false이면 모든 필드 선택)
+function entryBodyValidators(isCreate) {
+  const requiredOnCreate = field => (isCreate ? body(field).exists().withMessage(`${field}는 필수입니다.`) : body(field).optional());
+  return [
+    requiredOnCreate('listType').isIn(LIST_TYPES).withMessage(`listType은 ${LIST_TYPES.join(', ')} 중 하나여야 합니다.`),
+    requiredOnCreate('value').isString().trim().isLength({ min: 1, max: 500 }),
+    body('matchMode').optional().isIn(['CONTAINS', 'REGEX']),
+    body('action').optional().isIn(['EXCLUDE', 'REVIEW']),
+    body('category').optional().isIn(['COUNTERFEIT', 'RESTRICTED', 'ADULT', 'MEDICAL', 'OTHER']),
+    body('enabled').optional().isBoolean().toBoolean(),
+    body('notes').optional().isString().isLength({ max: 500 }),
+  ];
+}
+
+const reviewBodyValidators = [
+  body('reviewer').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('note').optional().isString().isLength({ max: 1000 }),
+];
+
+function pickEntryInput(reqBody) {
+  return Object.fromEntries(ENTRY_FIELDS.filter(field => reqBody[field] !== undefined).map(field => [field, reqBody[field]]));
+}
+
+/**
+ * GET /api/sync/moderation/blocklist
+ * 차단 목록 항목을 반환합니다. Query: listType?, enabled?
+ */
+router.get(
+  '/blocklist',
+  [query('listType').optional().isIn(LIST_TYPES), query('enabled').optional().isBoolean().toBoolean()],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const entries = await moderationService.listBlocklistEntries({ listType: req.query.listType, enabled: req.query.enabled });
+      res.json({ count: entries.length, entries });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/sync/moderation/blocklist
+ * Body: { listType, value, matchMode?, action?, category?, enabled?, notes? }
+ */
+router.post('/blocklist', entryBodyValidators(true), handleValidationErrors, async (req, res, next) => {
+  try {
+    res.status(201).json(await moderationService.createBlocklistEntry(pickEntryInput(req.body)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/sync/moderation/blocklist/:entryId
+ * 전달된 필드만 수정합니다.
+ */
+router.patch('/blocklist/:entryId', [entryIdParam, ...entryBodyValidators(false)], handleValidationErrors, async (req, res, next) => {
+  try {
+    res.json(await moderationService.updateBlocklistEntry(req.params.entryId, pickEntryInput(req.body)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sync/moderation/blocklist/:entryId
+ */
+router.delete('/blocklist/:entryId', [entryIdParam], handleValidationErrors, async (req, res, next) => {
+  try {
+    await moderationService.deleteBlocklistEntry(req.params.entryId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sync/moderation/reviews
+ * 검수 대기열을 오래된 순서로 반환합니다. Query: status? (기본 PENDING_REVIEW), offset?, limit?
+ */
+router.get(
+  '/reviews',
+  [query('status').optional().isIn(['PENDING_REVIEW', 'AUTO_EXCLUDED', 'APPROVED', 'REJECTED']), ...paginationValidators],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { status, offset = 0, limit = 100 } = req.query;
+      const result = await moderationService.listReviewQueue({ status, offset, limit });
+      res.json({ ...result, offset, limit });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/sync/moderation/reviews/:bunjangPid/approve
+ * 검수 대기(또는 자동 제외) 상품을 승인합니다. 다음 카탈로그 동기화에서 Shopify에 반영됩니다.
+ * Body: { reviewer?, note? }
+ */
+router.post('/reviews/:bunjangPid/approve', [bunjangPidParam, ...reviewBodyValidators], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { reviewer = 'api', note } = req.body;
+    res.json(await moderationService.approveReview(req.params.bunjangPid, { reviewer, note }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/moderation/reviews/:bunjangPid/reject
+ * 검수 대기(또는 자동 제외) 상품을 거절합니다. Shopify에 등록된 상품이면 DRAFT로 내립니다.
+ * Body: { reviewer?, note? }
+ */
+router.post('/reviews/:bunjangPid/reject', [bunjangPidParam, ...reviewBodyValidators], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { reviewer = 'api', note } = req.body;
+    res.json(await moderationService.rejectReview(req.params.bunjangPid, { reviewer, note }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sync/moderation/decisions
+ * 검수 결정 이력을 최신순으로 반환합니다. Query: bunjangPid?, decision?, offset?, limit?
+ */
+router.get(
+  '/decisions',
+  [query('bunjangPid').optional().matches(/^\d{1,20}$/), query('decision').optional().isIn(DECISIONS), ...paginationValidators],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { bunjangPid, decision, offset = 0, limit = 100 } = req.query;
+      const result = await moderationService.listDecisions({ bunjangPid, decision, offset, limit });
+      res.json({ ...result, offset, limit });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
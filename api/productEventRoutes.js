@@ -0,0 +1,50 @@
+// src/api/productEventRoutes.js
+// 상품별 동기화 이벤트 타임라인 조회 API 라우트입니다.
+// syncRoutes에서 /api/sync/product-events 경로로 마운트됩니다. (내부 API 키 인증 적용)
+
+const express = require('express');
+const { query } = require('express-validator');
+const router = express.Router();
+const productEventService = require('../services/productEventService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const EVENT_TYPES = [
+  'CREATED', 'UPDATED', 'SYNC_ERROR', 'EXCLUDED', 'HELD_FOR_REVIEW',
+  'DELISTED', 'DELIST_ERROR', 'ORDER_PLACED', 'MANUAL_OVERRIDE', 'SHOPIFY_EDITED', 'SHOPIFY_DELETED',
+];
+const SHOPIFY_PRODUCT_GID_PREFIX = 'gid://shopify/Product/';
+
+/**
+ * GET /api/sync/product-events
+ * 번개장터 PID 또는 Shopify 상품 GID(숫자 상품 ID도 허용)로 상품 이벤트 타임라인을 최신순으로 반환합니다.
+ * Query: bunjangPid | shopifyGid (둘 중 하나 필수), type?, offset?, limit?
+ */
+router.get(
+  '/',
+  [
+    query('bunjangPid').optional().matches(/^\d{1,20}$/).withMessage('bunjangPid는 숫자 문자열이어야 합니다.'),
+    query('shopifyGid').optional().matches(/^(gid:\/\/shopify\/Product\/)?\d{1,20}$/).withMessage('shopifyGid는 Shopify 상품 GID 또는 상품 ID여야 합니다.'),
+    query().custom((value, { req }) => {
+      if (!req.query.bunjangPid && !req.query.shopifyGid) throw new Error('bunjangPid 또는 shopifyGid 중 하나는 필수입니다.');
+      return true;
+    }),
+    query('type').optional().isIn(EVENT_TYPES).withMessage(`type은 ${EVENT_TYPES.join(', ')} 중 하나여야 합니다.`),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { bunjangPid, type, offset = 0, limit = 100 } = req.query;
+      const shopifyGid = req.query.shopifyGid && !req.query.shopifyGid.startsWith(SHOPIFY_PRODUCT_GID_PREFIX)
+        ? `${SHOPIFY_PRODUCT_GID_PREFIX}${req.query.shopifyGid}`
+        : req.query.shopifyGid;
+      const timeline = await productEventService.getProductTimeline({ bunjangPid, shopifyGid, type, offset, limit });
+      res.json({ ...timeline, offset, limit });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,95 @@
+// src/api/productLockRoutes.js
+// 상품별 필드 잠금(동기화가 덮어쓰지 않을 필드) 관리 API 라우트입니다.
+// syncRoutes에서 /api/sync/field-locks 경로로 마운트됩니다. (내부 API 키 인증 적용)
+
+const express = require('express');
+const { param, body } = require('express-validator');
+const router = express.Router();
+const productFieldLockService = require('../services/productFieldLockService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const { LOCKABLE_FIELDS } = productFieldLockService;
+const SYNC_STATUSES = ['SYNCED', 'ERROR', 'PENDING', 'PARTIAL_ERROR', 'SKIPPED_NO_CHANGE', 'SKIPPED_FILTER', 'PENDING_REVIEW'];
+
+const bunjangPidParam = param('bunjangPid').matches(/^\d{1,20}$/).withMessage('bunjangPid는 숫자 문자열이어야 합니다.');
+const fieldsValidators = (required) => [
+  (required ? body('fields').isArray({ min: 1 }) : body('fields').optional().isArray({ min: 1 })).withMessage('fields는 비어 있지 않은 배열이어야 합니다.'),
+  body('fields.*').isIn(LOCKABLE_FIELDS).withMessage(`fields는 ${LOCKABLE_FIELDS.join(', ')} 중에서 선택해야 합니다.`),
+];
+const actorValidators = [
+  body('actor').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('note').optional().isString().isLength({ max: 500 }),
+];
+
+/**
+ * POST /api/sync/field-locks/bulk
+ * 조건에 맞는 상품들의 필드를 한 번에 잠급니다. (조건 하나 이상 필수, 카테고리는 하위 카테고리 포함)
+ * /:bunjangPid 라우트보다 먼저 등록해야 합니다.
+ * Body: { filter: { bunjangPids?, bunjangCategoryId?, bunjangBrandId?, shopifyProductType?, syncStatus? }, fields, actor?, note?, limit? }
+ */
+router.post(
+  '/bulk',
+  [
+    body('filter').isObject().withMessage('filter는 객체여야 합니다.'),
+    body('filter.bunjangPids').optional().isArray({ min: 1, max: 10000 }),
+    body('filter.bunjangPids.*').matches(/^\d{1,20}$/).withMessage('bunjangPids는 숫자 문자열 배열이어야 합니다.'),
+    body('filter.bunjangCategoryId').optional().matches(/^\d{1,20}$/).withMessage('bunjangCategoryId는 숫자 문자열이어야 합니다.'),
+    body('filter.bunjangBrandId').optional().isString().trim().isLength({ min: 1, max: 50 }),
+    body('filter.shopifyProductType').optional().isString().trim().isLength({ min: 1, max: 255 }),
+    body('filter.syncStatus').optional().isIn(SYNC_STATUSES),
+    body('limit').optional().isInt({ min: 1, max: 50000 }).toInt(),
+    ...fieldsValidators(true),
+    ...actorValidators,
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { filter, fields, actor = 'api', note, limit } = req.body;
+      res.json(await productFieldLockService.bulkLockFieldsByFilter(filter, fields, { actor, note, ...(limit && { limit }) }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/sync/field-locks/:bunjangPid
+ * 상품의 잠긴 필드 목록을 반환합니다.
+ */
+router.get('/:bunjangPid', [bunjangPidParam], handleValidationErrors, async (req, res, next) => {
+  try {
+    res.json(await productFieldLockService.getFieldLocks(req.params.bunjangPid));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/field-locks/:bunjangPid
+ * 상품의 필드를 잠급니다. 이미 잠긴 필드는 그대로 둡니다.
+ * Body: { fields: ['title', 'price', ...], actor?, note? }
+ */
+router.post('/:bunjangPid', [bunjangPidParam, ...fieldsValidators(true), ...actorValidators], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { fields, actor = 'api', note } = req.body;
+    res.json(await productFieldLockService.lockFields(req.params.bunjangPid, fields, { actor, note }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sync/field-locks/:bunjangPid
+ * 상품의 필드 잠금을 해제합니다. fields를 생략하면 모든 잠금을 해제합니다.
+ * Body: { fields?, actor?, note? }
+ */
+router.delete('/:bunjangPid', [bunjangPidParam, ...fieldsValidators(false), ...actorValidators], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { fields, actor = 'api', note } = req.body || {};
+    res.json(await productFieldLockService.unlockFields(req.params.bunjangPid, fields, { actor, note }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,21 +3,45 @@
 // BullMQ 큐에 작업을 추가하는 방식으로 변경됩니다.
 
 const express = require('express');
+const { query, param, body } = require('express-validator');
 const router = express.Router();
 const logger = require('../config/logger');
 const config = require('../config');
 const { getQueue } = require('../jobs/queues');
-const { AppError } = require('../utils/customErrors');
+const catalogArchiveService = require('../services/catalogArchiveService');
+const dryRunReportService = require('../services/dryRunReportService');
+const catalogRejectionReportService = require('../services/catalogRejectionReportService');
+const classificationRuleRoutes = require('./classificationRuleRoutes');
+const categoryMappingRoutes = require('./categoryMappingRoutes');
+const moderationRoutes = require('./moderationRoutes');
+const translationRoutes = require('./translationRoutes');
+const descriptionTemplateRoutes = require('./descriptionTemplateRoutes');
+const syncRunRoutes = require('./syncRunRoutes');
+const productEventRoutes = require('./productEventRoutes');
+const productLockRoutes = require('./productLockRoutes');
+const { handleValidationErrors } = require('../utils/validationHelper');
+const { AppError, NotFoundError } = require('../utils/customErrors');
 // const productSyncController = require('../controllers/productSyncController'); // 컨트롤러 사용 시
 
 // 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
 
+// 카탈로그 동기화 트리거 공통 입력: dryRun=true이면 Shopify/DB 변경 없이 리포트만 생성
+const catalogTriggerValidators = [
+  body('dryRun').optional().isBoolean().withMessage('dryRun은 boolean이어야 합니다.').toBoolean(),
+];
+
 /**
  * POST /api/sync/catalog/full
  * 전체 카탈로그 동기화 작업을 BullMQ에 추가합니다.
+ * Body: { dryRun?: boolean, bulk?: boolean } bulk를 지정하면 설정(bulkFullSyncEnabled) 대신 해당 값으로 bulk 모드 사용 여부를 정합니다.
  */
-router.post('/catalog/full', async (req, res, next) => {
-  const jobName = 'ManualTrigger-FetchBunjangCatalog-Full';
+router.post('/catalog/full', [
+  ...catalogTriggerValidators,
+  body('bulk').optional().isBoolean().withMessage('bulk는 boolean이어야 합니다.').toBoolean(),
+], handleValidationErrors, async (req, res, next) => {
+  const dryRun = req.body?.dryRun === true;
+  const bulk = typeof req.body?.bulk === 'boolean' ? req.body.bulk : undefined;
+  const jobName = dryRun ? 'ManualTrigger-DryRunBunjangCatalog-Full' : 'ManualTrigger-FetchBunjangCatalog-Full';
   const queueName = config.bullmq.queues.catalog;
   logger.info(`[SyncRoute] API call to trigger full catalog sync. Adding to queue: ${queueName}`);
   
@@ -30,15 +54,19 @@ router.post('/catalog/full', async (req, res, next) => {
   }
 
   try {
-    const jobData = { catalogType: 'full', triggeredBy: 'api_manual' };
+    const jobData = { catalogType: 'full', triggeredBy: 'api_manual', dryRun, ...(bulk !== undefined && { bulk }) };
     const job = await catalogQueue.add(jobName, jobData, {
       // jobId: `manual-full-catalog-${Date.now()}`, // 필요시 고유 ID
     });
     logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" for full catalog sync.`);
     res.status(202).json({ 
-        message: '전체 카탈로그 동기화 작업이 큐에 추가되었습니다. 처리 상태는 서버 로그 또는 작업 대시보드를 확인하세요.',
+        message: dryRun
+          ? '전체 카탈로그 dry-run 작업이 큐에 추가되었습니다. 완료 후 작업 결과의 reportId로 리포트를 조회하세요.'
+          : '전체 카탈로그 동기화 작업이 큐에 추가되었습니다. 처리 상태는 서버 로그 또는 작업 대시보드를 확인하세요.',
         jobId: job.id,
         queueName: queueName,
+        dryRun,
+        ...(bulk !== undefined && { bulk }),
     });
   } catch (error) {
     logger.error(`[SyncRoute] Error adding full catalog sync job to queue "${queueName}":`, error);
@@ -49,9 +77,11 @@ router.post('/catalog/full', async (req, res, next) => {
 /**
  * POST /api/sync/catalog/segment
  * 세그먼트 카탈로그 동기화 작업을 BullMQ에 추가합니다.
+ * Body: { dryRun?: boolean }
  */
-router.post('/catalog/segment', async (req, res, next) => {
-  const jobName = 'ManualTrigger-FetchBunjangCatalog-Segment';
+router.post('/catalog/segment', catalogTriggerValidators, handleValidationErrors, async (req, res, next) => {
+  const dryRun = req.body?.dryRun === true;
+  const jobName = dryRun ? 'ManualTrigger-DryRunBunjangCatalog-Segment' : 'ManualTrigger-FetchBunjangCatalog-Segment';
   const queueName = config.bullmq.queues.catalog;
   logger.info(`[SyncRoute] API call to trigger segment catalog sync. Adding to queue: ${queueName}`);
 
@@ -60,13 +90,14 @@ router.post('/catalog/segment', async (req, res, next) => {
   if (!catalogQueue) return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
 
   try {
-    const jobData = { catalogType: 'segment', triggeredBy: 'api_manual' };
+    const jobData = { catalogType: 'segment', triggeredBy: 'api_manual', dryRun };
     const job = await catalogQueue.add(jobName, jobData);
     logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" for segment catalog sync.`);
     res.status(202).json({
-        message: '세그먼트 카탈로그 동기화 작업이 큐에 추가되었습니다.',
+        message: dryRun ? '세그먼트 카탈로그 dry-run 작업이 큐에 추가되었습니다.' : '세그먼트 카탈로그 동기화 작업이 큐에 추가되었습니다.',
         jobId: job.id,
         queueName: queueName,
+        dryRun,
     });
   } catch (error) {
     logger.error(`[SyncRoute] Error adding segment catalog sync job to queue "${queueName}":`, error);
@@ -75,6 +106,165 @@ router.post('/catalog/segment', async (req, res, next) => {
 });
 
 
+/**
+ * GET /api/sync/catalog/dry-run/:reportId
+ * dry-run 리포트의 요약과 상품별 계획을 조회합니다. (action 필터, offset/limit 페이지네이션)
+ */
+router.get(
+  '/catalog/dry-run/:reportId',
+  [
+    param('reportId').isUUID().withMessage('reportId는 UUID 형식이어야 합니다.'),
+    query('action').optional().isString().trim().isLength({ max: 50 }),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { action, offset = 0, limit = 100 } = req.query;
+      const report = await dryRunReportService.getDryRunReport(req.params.reportId, { action, offset, limit });
+      res.json({ ...report, offset, limit });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+
+/**
+ * GET /api/sync/catalog/rejection-reports
+ * 카탈로그 실행별 거부 행 리포트 목록을 최신순으로 반환합니다. (사유별 건수와 샘플 PID, 샘플 행 제외)
+ */
+router.get(
+  '/catalog/rejection-reports',
+  [
+    query('fileName').optional().isString().trim().isLength({ max: 100 }),
+    query('catalogType').optional().isIn(['full', 'segment']).withMessage('catalogType은 full 또는 segment여야 합니다.'),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { fileName, catalogType, offset = 0, limit = 50 } = req.query;
+      const result = await catalogRejectionReportService.listRejectionReports({ fileName, catalogType, offset, limit });
+      res.json({ ...result, offset, limit });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/sync/catalog/rejection-reports/:reportId
+ * 거부 행 리포트를 샘플 행(원본 CSV 값)과 함께 반환합니다. Query: reason?
+ */
+router.get(
+  '/catalog/rejection-reports/:reportId',
+  [
+    param('reportId').isMongoId().withMessage('reportId는 유효한 ID여야 합니다.'),
+    query('reason').optional().isString().trim().isLength({ max: 50 }),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      res.json(await catalogRejectionReportService.getRejectionReport(req.params.reportId, { reason: req.query.reason }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+
+/**
+ * GET /api/sync/catalog/archive
+ * 로컬 아카이브에 보관 중인 카탈로그 파일 목록을 최신순으로 반환합니다.
+ */
+router.get(
+  '/catalog/archive',
+  [
+    query('catalogType').optional().isIn(['full', 'segment']).withMessage('catalogType은 full 또는 segment여야 합니다.'),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const files = await catalogArchiveService.listArchivedFiles({ catalogType: req.query.catalogType });
+      res.json({ count: files.length, files });
+    } catch (error) {
+      logger.error('[SyncRoute] Error listing archived catalog files:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/sync/catalog/archive/:fileName/replay
+ * 아카이브된 카탈로그 파일을 다시 처리하는 작업을 BullMQ에 추가합니다.
+ */
+router.post(
+  '/catalog/archive/:fileName/replay',
+  [
+    param('fileName').custom(value => catalogArchiveService.isValidArchiveFileName(value))
+      .withMessage('파일명은 full-YYYYMMDD.csv.gz 또는 segment-YYYYMMDD_HH.csv.gz 형식이어야 합니다.'),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const { fileName } = req.params;
+    const jobName = 'ManualTrigger-ReplayBunjangCatalog';
+    const queueName = config.bullmq.queues.catalog;
+    logger.info(`[SyncRoute] API call to replay archived catalog file ${fileName}. Adding to queue: ${queueName}`);
+
+    if (!config.redis.enabled) return next(new AppError('Redis is disabled.', 503, 'QUEUE_DISABLED'));
+    const catalogQueue = getQueue(queueName);
+    if (!catalogQueue) return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
+
+    try {
+      await catalogArchiveService.getArchivedFilePath(fileName); // 없으면 NotFoundError
+      const catalogType = catalogArchiveService.getCatalogTypeFromFileName(fileName);
+      const jobData = { catalogType, archivedFileName: fileName, triggeredBy: 'api_replay' };
+      const job = await catalogQueue.add(jobName, jobData);
+      logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" to replay ${fileName}.`);
+      res.status(202).json({
+        message: `아카이브 파일(${fileName}) 재처리 작업이 큐에 추가되었습니다.`,
+        jobId: job.id,
+        queueName,
+        catalogType,
+        archivedFileName: fileName,
+      });
+    } catch (error) {
+      if (error instanceof NotFoundError) return next(error);
+      logger.error(`[SyncRoute] Error adding catalog replay job for ${fileName} to queue "${queueName}":`, error);
+      next(new AppError('카탈로그 재처리 작업 추가 실패.', 500, 'QUEUE_JOB_ADD_FAILED', true, error));
+    }
+  }
+);
+
+
+// 카탈로그 처리 실행 이력 조회/비교: /api/sync/runs
+router.use('/runs', syncRunRoutes);
+
+// 상품별 동기화 이벤트 타임라인: /api/sync/product-events
+router.use('/product-events', productEventRoutes);
+
+// 상품별 필드 잠금 (동기화가 덮어쓰지 않을 필드): /api/sync/field-locks
+router.use('/field-locks', productLockRoutes);
+
+// 분류 규칙 관리: /api/sync/rules
+router.use('/rules', classificationRuleRoutes);
+
+// 번개장터 카테고리 매핑 관리: /api/sync/category-mappings
+router.use('/category-mappings', categoryMappingRoutes);
+
+// 콘텐츠 검수(차단 목록, 검수 대기열): /api/sync/moderation
+router.use('/moderation', moderationRoutes);
+
+// 번역 용어집 관리 및 번역 미리보기: /api/sync/translation
+router.use('/translation', translationRoutes);
+
+// 상품 설명 템플릿 관리 및 미리보기: /api/sync/description-templates
+router.use('/description-templates', descriptionTemplateRoutes);
+
+
 // TODO: 특정 Shopify 주문 재처리 엔드포인트 (Shopify Order ID를 받아 주문 처리 큐에 작업 추가)
 // router.post('/order/:shopifyOrderId/reprocess', async (req, res, next) => { ... });
 
@@ -0,0 +1,71 @@
+// src/api/syncRunRoutes.js
+// 카탈로그 처리 실행(SyncRun) 이력 조회/비교 API 라우트입니다.
+// syncRoutes에서 /api/sync/runs 경로로 마운트됩니다. (내부 API 키 인증 적용)
+
+const express = require('express');
+const { query, param } = require('express-validator');
+const router = express.Router();
+const syncRunService = require('../services/syncRunService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const runIdParam = param('runId').isMongoId().withMessage('runId는 유효한 ID여야 합니다.');
+
+/**
+ * GET /api/sync/runs
+ * 실행 이력을 최신순으로 반환합니다. (요약 원본 제외) Query: type?, status?, trigger?, dryRun?, offset?, limit?
+ */
+router.get(
+  '/',
+  [
+    query('type').optional().isIn(['full', 'segment']).withMessage('type은 full 또는 segment여야 합니다.'),
+    query('status').optional().isIn(['RUNNING', 'COMPLETED', 'FAILED', 'SKIPPED']),
+    query('trigger').optional().isString().trim().isLength({ max: 100 }),
+    query('dryRun').optional().isBoolean().toBoolean(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { type, status, trigger, dryRun, offset = 0, limit = 50 } = req.query;
+      const result = await syncRunService.listSyncRuns({ type, status, trigger, dryRun, offset, limit });
+      res.json({ ...result, offset, limit });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/sync/runs/compare?base=<runId>&target=<runId>
+ * 두 실행의 행/상품 건수, 단계별 소요 시간, 오류 메시지를 비교합니다. (delta = target - base)
+ */
+router.get(
+  '/compare',
+  [
+    query('base').isMongoId().withMessage('base는 유효한 실행 ID여야 합니다.'),
+    query('target').isMongoId().withMessage('target은 유효한 실행 ID여야 합니다.'),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      res.json(await syncRunService.compareSyncRuns(req.query.base, req.query.target));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/sync/runs/:runId
+ * 실행 하나의 전체 기록(단계, 건수, 주요 오류, 요약 원본)을 반환합니다.
+ */
+router.get('/:runId', [runIdParam], handleValidationErrors, async (req, res, next) => {
+  try {
+    res.json(await syncRunService.getSyncRun(req.params.runId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
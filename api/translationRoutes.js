@@ -0,0 +1,109 @@
+// src/api/translationRoutes.js
+// 번역 용어집(아티스트/브랜드명 고정 표기) 관리와 번역 미리보기 API 라우트입니다.
+// syncRoutes에서 /api/sync/translation 경로로 마운트됩니다. (내부 API 키 인증 적용)
+
+const express = require('express');
+const { query, param, body } = require('express-validator');
+const router = express.Router();
+const translationService = require('../services/translationService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const CATEGORIES = ['ARTIST', 'BRAND', 'OTHER'];
+const TERM_FIELDS = ['sourceTerm', 'targetTerm', 'category', 'caseSensitive', 'enabled', 'notes'];
+
+const termIdParam = param('termId').isMongoId().withMessage('termId는 유효한 ID여야 합니다.');
+
+// 생성/수정 공통 입력 검증 (isCreate=false이면 모든 필드 선택)
+function termBodyValidators(isCreate) {
+  const requiredOnCreate = field => (isCreate ? body(field).exists().withMessage(`${field}는 필수입니다.`) : body(field).optional());
+  return [
+    requiredOnCreate('sourceTerm').isString().trim().isLength({ min: 1, max: 200 }),
+    requiredOnCreate('targetTerm').isString().trim().isLength({ min: 1, max: 200 }),
+    body('category').optional().isIn(CATEGORIES).withMessage(`category는 ${CATEGORIES.join(', ')} 중 하나여야 합니다.`),
+    body('caseSensitive').optional().isBoolean().toBoolean(),
+    body('enabled').optional().isBoolean().toBoolean(),
+    body('notes').optional().isString().isLength({ max: 500 }),
+  ];
+}
+
+function pickTermInput(reqBody) {
+  return Object.fromEntries(TERM_FIELDS.filter(field => reqBody[field] !== undefined).map(field => [field, reqBody[field]]));
+}
+
+/**
+ * GET /api/sync/translation/glossary
+ * 용어집을 반환합니다. Query: category?, enabled?
+ */
+router.get(
+  '/glossary',
+  [query('category').optional().isIn(CATEGORIES), query('enabled').optional().isBoolean().toBoolean()],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const terms = await translationService.listGlossaryTerms({ category: req.query.category, enabled: req.query.enabled });
+      res.json({ count: terms.length, terms });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/sync/translation/glossary
+ * Body: { sourceTerm, targetTerm, category?, caseSensitive?, enabled?, notes? }
+ */
+router.post('/glossary', termBodyValidators(true), handleValidationErrors, async (req, res, next) => {
+  try {
+    res.status(201).json(await translationService.createGlossaryTerm(pickTermInput(req.body)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/sync/translation/glossary/:termId
+ * 전달된 필드만 수정합니다. 캐시된 번역에도 바로 반영됩니다. (캐시는 자리표시자 상태로 저장)
+ */
+router.patch('/glossary/:termId', [termIdParam, ...termBodyValidators(false)], handleValidationErrors, async (req, res, next) => {
+  try {
+    res.json(await translationService.updateGlossaryTerm(req.params.termId, pickTermInput(req.body)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sync/translation/glossary/:termId
+ */
+router.delete('/glossary/:termId', [termIdParam], handleValidationErrors, async (req, res, next) => {
+  try {
+    await translationService.deleteGlossaryTerm(req.params.termId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/translation/preview
+ * 현재 provider와 용어집으로 텍스트를 번역해 봅니다. 결과는 번역 캐시에 저장됩니다.
+ * Body: { texts: string[] }
+ */
+router.post(
+  '/preview',
+  [
+    body('texts').isArray({ min: 1, max: 20 }).withMessage('texts는 1~20개의 문자열 배열이어야 합니다.'),
+    body('texts.*').isString().isLength({ max: 10000 }),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const results = await translationService.translateTexts(req.body.texts, { jobId: 'preview' });
+      res.json({ provider: translationService.getTranslationProvider().name, results });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -24,6 +24,7 @@ const mainErrorHandler = require('./utils/errorHandler'); // 중앙 에러 핸
 
 const shopifyWebhookValidator = require('./middleware/shopifyWebhookValidator');
 const orderSyncController = require('./controllers/orderSyncController');
+const productWebhookController = require('./controllers/productWebhookController');
 const apiRoutes = require('./api'); // 통합 API 라우터 (내부에 sync, price, app-proxy 라우트 포함)
 const { getQueue } = require('./jobs/queues')
 const app = express();
@@ -119,7 +120,19 @@ shopifyWebhookRouter.post(
   shopifyWebhookValidator, // 2. HMAC 검증
   orderSyncController.handleShopifyOrderCreateWebhook // 3. 컨트롤러
 );
-// 여기에 다른 Shopify 웹훅 핸들러 추가 (예: /orders-paid, /products-update)
+shopifyWebhookRouter.post(
+  '/products-update', // Shopify 관리자에서 상품 수정/보관 → SyncedProduct 상태, 핸들, 상품명 갱신
+  bodyParser.raw({ type: 'application/json', verify: (req, res, buf) => { req.rawBody = buf; } }),
+  shopifyWebhookValidator,
+  productWebhookController.handleShopifyProductUpdateWebhook
+);
+shopifyWebhookRouter.post(
+  '/products-delete', // Shopify 관리자에서 상품 삭제 → 삭제 정책에 따라 매핑 해제 또는 재생성 대기
+  bodyParser.raw({ type: 'application/json', verify: (req, res, buf) => { req.rawBody = buf; } }),
+  shopifyWebhookValidator,
+  productWebhookController.handleShopifyProductDeleteWebhook
+);
+// 여기에 다른 Shopify 웹훅 핸들러 추가 (예: /orders-paid)
 // shopifyWebhookRouter.post('/orders-paid', ...);
 app.use('/webhooks/shopify', shopifyWebhookRouter);
 
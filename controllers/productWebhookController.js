@@ -0,0 +1,67 @@
+// src/controllers/productWebhookController.js
+// Shopify 상품 웹훅(products/update, products/delete)을 수신하여 SyncedProduct에 반영합니다.
+// DB 갱신만 하므로 큐를 거치지 않고 바로 처리합니다.
+
+const logger = require('../config/logger');
+const { ApiError } = require('../utils/customErrors');
+const shopifyProductWebhookService = require('../services/shopifyProductWebhookService');
+
+// rawBody(JSON) 파싱. 실패하면 null
+function parseWebhookPayload(req, topic) {
+  try {
+    if (!req.rawBody) {
+      throw new ApiError('Webhook raw body is missing.', 400, 'RAW_BODY_MISSING_FOR_PARSING');
+    }
+    return JSON.parse(req.rawBody.toString('utf8'));
+  } catch (parseError) {
+    logger.error(`[ProductWebhookCtrlr] Failed to parse Shopify ${topic} webhook payload:`, parseError);
+    return null;
+  }
+}
+
+/**
+ * Shopify 'products/update' 웹훅을 처리합니다.
+ * 연결된 상품이면 SyncedProduct의 Shopify 상태, 핸들, 상품명을 갱신합니다.
+ * @param {import('express').Request} req - Express 요청 객체 (rawBody 포함).
+ * @param {import('express').Response} res - Express 응답 객체.
+ * @param {import('express').NextFunction} next - Express next 미들웨어 함수.
+ */
+async function handleShopifyProductUpdateWebhook(req, res, next) {
+  const product = parseWebhookPayload(req, 'products/update');
+  if (!product) return res.status(400).json({ error: 'Invalid webhook payload.' });
+
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  logger.info(`[ProductWebhookCtrlr] Received Shopify products/update webhook for Product ID: ${product.id || 'Unknown'} from ${req.get('X-Shopify-Shop-Domain')}.`);
+  try {
+    const result = await shopifyProductWebhookService.applyShopifyProductUpdate(product, { webhookId });
+    res.status(200).json({ message: 'Webhook received.', ...result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Shopify 'products/delete' 웹훅을 처리합니다.
+ * 연결된 상품이면 삭제 정책에 따라 매핑을 해제하거나 다음 동기화에서 다시 생성되도록 합니다.
+ * @param {import('express').Request} req - Express 요청 객체 (rawBody 포함).
+ * @param {import('express').Response} res - Express 응답 객체.
+ * @param {import('express').NextFunction} next - Express next 미들웨어 함수.
+ */
+async function handleShopifyProductDeleteWebhook(req, res, next) {
+  const product = parseWebhookPayload(req, 'products/delete');
+  if (!product) return res.status(400).json({ error: 'Invalid webhook payload.' });
+
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  logger.info(`[ProductWebhookCtrlr] Received Shopify products/delete webhook for Product ID: ${product.id || 'Unknown'} from ${req.get('X-Shopify-Shop-Domain')}.`);
+  try {
+    const result = await shopifyProductWebhookService.applyShopifyProductDelete(product, { webhookId });
+    res.status(200).json({ message: 'Webhook received.', ...result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  handleShopifyProductUpdateWebhook,
+  handleShopifyProductDeleteWebhook,
+};
@@ -87,7 +87,7 @@ async function getBunjangLinkedProducts(req, res, next) {
       .sort(sortOption)
       .skip(skip)
       .limit(limitNum)
-      .select('shopifyGid shopifyHandle bunjangProductName shopifyListedPriceUsd bunjangPid -_id') // 필요한 필드만 선택
+      .select('shopifyGid shopifyHandle shopifyTitle bunjangProductName shopifyListedPriceUsd bunjangPid -_id') // 필요한 필드만 선택
       .lean();
 
     const totalProducts = await SyncedProduct.countDocuments(queryConditions);
@@ -96,7 +96,7 @@ async function getBunjangLinkedProducts(req, res, next) {
     const responseProducts = productsFromDb.map(p => ({
       id: p.shopifyGid, // Shopify Product GID
       handle: p.shopifyHandle,
-      title: p.bunjangProductName, // 또는 Shopify 상품명 (syncedDoc에 shopifyTitle 저장 시)
+      title: p.shopifyTitle || p.bunjangProductName, // Shopify 상품명 (번역된 경우 영문), 없으면 번개장터 상품명
       // 이미지는 Shopify CDN URL을 사용하는 것이 좋음 (productMapper에서 metafield 등으로 저장 후 사용)
       // 여기서는 임시로 플레이스홀더 또는 번개장터 PID 기반 URL 생성 (실제로는 부적합)
       imageUrl: `https://placehold.co/300x300/eee/ccc?text=PID-${p.bunjangPid}`,
@@ -24,6 +24,8 @@ try {
 const app = require('./app'); // Express 앱 (config, logger 의존)
 const { connectDB, disconnectDB } = require('./config/database'); // DB 연결 (config, logger 의존)
 const { getRedisClient, disconnectRedis } = require('./config/redisClient'); // Redis 연결 (config, logger 의존)
+const classificationRuleService = require('./services/classificationRuleService');
+const categoryMappingService = require('./services/categoryMappingService');
 // src/jobs/index.js에서 통합 초기화/종료 함수 및 필요한 개별 함수들을 가져옵니다.
 const { 
   initializeAllJobSystems, 
@@ -45,6 +47,10 @@ async function startServer() {
   try {
     // 1. 데이터베이스 연결
     await connectDB();
+    // 분류 규칙이 없으면 기존 키워드 설정(kpopKeywords, kidultKeywords)으로 기본 규칙 생성
+    await classificationRuleService.seedLegacyKeywordRules().catch(err => logger.error('[Startup] Failed to seed classification rules:', err));
+    // 카테고리 매핑이 없으면 .env의 categoryToShopifyType으로 기본 매핑 생성
+    await categoryMappingService.seedCategoryMappingsFromConfig().catch(err => logger.error('[Startup] Failed to seed category mappings:', err));
 
     // 2. Redis 연결 (BullMQ는 자체 연결 사용, 여기서는 공유 클라이언트 초기화)
     if (config.redis.enabled) {
@@ -3,6 +3,7 @@ const { Worker } = require('bullmq');
 const config = require('../../config');
 const logger = require('../../config/logger');
 const { fetchAndProcessBunjangCatalog } = require('../../services/catalogService');
+const { getQueue } = require('../queues');
 let catalogService;
 
 async function initializeCatalogService() {
@@ -28,7 +29,7 @@ async function processCatalogJob(job) {
   // Use a distinct variable name for the job identifier string within this function
   // to ensure clarity and avoid potential scope confusion if 'jobIdForLog' was used elsewhere.
   const currentJobIdentifier = `Job ${job.id} (Name: ${job.name}, Trigger: ${job.data.triggeredBy || 'unknown'})`;
-  const { catalogType } = job.data;
+  const { catalogType, archivedFileName, catalogFileName, dryRun = false, bulk, triggeredBy, probeStartedAt } = job.data;
 
   logger.info(`[Worker: ${job.queueName}] Starting ${currentJobIdentifier}. Type: ${catalogType}`);
 
@@ -40,7 +41,13 @@ async function processCatalogJob(job) {
 
   try {
     // Pass the well-defined 'currentJobIdentifier' to the service layer for consistent logging
-    const resultSummary = await fetchAndProcessBunjangCatalog(catalogType, currentJobIdentifier);
+    const resultSummary = await fetchAndProcessBunjangCatalog(catalogType, currentJobIdentifier, { archivedFileName, catalogFileName, dryRun, bulk, triggeredBy, probeStartedAt });
+    if (resultSummary?.retryAfterMs) {
+      await enqueueCatalogProbeRetryJob(job, resultSummary, currentJobIdentifier);
+    }
+    if (resultSummary?.missedSegmentFiles?.length > 0) {
+      await enqueueSegmentBackfillJobs(resultSummary.missedSegmentFiles, currentJobIdentifier);
+    }
     logger.info(`[Worker: ${job.queueName}] ${currentJobIdentifier} (Type: ${catalogType}) completed successfully. Summary:`, resultSummary);
     return { success: true, catalogType, summary: resultSummary };
   } catch (error) { // This 'error' is whatever was thrown from fetchAndProcessBunjangCatalog
@@ -66,6 +73,55 @@ async function processCatalogJob(job) {
   }
 }
 
+/**
+ * 카탈로그 파일이 아직 게시되지 않았으면 같은 작업을 retryAfterMs 뒤에 다시 추가합니다.
+ * 워커가 probe 대기 시간 동안 묶이지 않도록 대기는 지연 작업으로 처리하고, 첫 probe 시각(probeStartedAt)을 넘겨
+ * 예상 파일명과 대기 시간(catalogProbeWindowMs)의 기준이 바뀌지 않게 합니다.
+ */
+async function enqueueCatalogProbeRetryJob(job, resultSummary, currentJobIdentifier) {
+  const queueName = config.bullmq.queues.catalog;
+  const catalogQueue = getQueue(queueName);
+  if (!catalogQueue) {
+    logger.warn(`[Worker: ${queueName}] Queue unavailable. Cannot re-enqueue probe for ${resultSummary.expectedFileName}.`);
+    return;
+  }
+  const probeAttempt = (job.data.probeAttempt || 1) + 1;
+  try {
+    await catalogQueue.add(job.name, { ...job.data, probeStartedAt: resultSummary.probeStartedAt, probeAttempt }, {
+      jobId: `catalog-probe-${resultSummary.expectedFileName.replace(/\.csv\.gz$/, '')}-${probeAttempt}`,
+      delay: resultSummary.retryAfterMs,
+    });
+    logger.info(`[Worker: ${queueName}] ${resultSummary.expectedFileName} is not published yet. Re-enqueued probe #${probeAttempt} in ${resultSummary.retryAfterMs / 1000}s (from ${currentJobIdentifier}).`);
+  } catch (error) {
+    logger.error(`[Worker: ${queueName}] Failed to re-enqueue probe for catalog file ${resultSummary.expectedFileName}:`, error);
+  }
+}
+
+/**
+ * 처리되지 못한 세그먼트 파일마다 backfill 작업을 추가합니다.
+ * 파일명 기반 jobId를 사용하므로 같은 파일에 대한 작업이 큐에 남아 있으면 중복 추가되지 않습니다.
+ */
+async function enqueueSegmentBackfillJobs(segmentFileNames, currentJobIdentifier) {
+  const queueName = config.bullmq.queues.catalog;
+  const catalogQueue = getQueue(queueName);
+  if (!catalogQueue) {
+    logger.warn(`[Worker: ${queueName}] Queue unavailable. Cannot enqueue ${segmentFileNames.length} segment backfill jobs.`);
+    return;
+  }
+  for (const fileName of segmentFileNames) {
+    try {
+      const jobData = { catalogType: 'segment', catalogFileName: fileName, triggeredBy: 'segment_backfill' };
+      await catalogQueue.add('Backfill-FetchBunjangCatalog-Segment', jobData, {
+        jobId: `segment-backfill-${fileName.replace(/\.csv\.gz$/, '')}`,
+        priority: 3,
+      });
+      logger.info(`[Worker: ${queueName}] Enqueued backfill job for missed segment file ${fileName} (found by ${currentJobIdentifier}).`);
+    } catch (error) {
+      logger.error(`[Worker: ${queueName}] Failed to enqueue backfill job for segment file ${fileName}:`, error);
+    }
+  }
+}
+
 function createCatalogWorker(queueName, connection) {
   const worker = new Worker(queueName, processCatalogJob, {
     connection,
@@ -0,0 +1,68 @@
+// src/jobs/workers/imageWorker.js
+// BullMQ 워커: 상품 이미지 파이프라인(다운로드 → 검증 → 정규화 → staged upload → 미디어 reconciliation)을 처리합니다.
+
+const { Worker } = require('bullmq');
+const config = require('../../config');
+const logger = require('../../config/logger');
+const { processProductImages } = require('../../services/imagePipelineService');
+const { JobQueueError } = require('../../utils/customErrors');
+
+// 이미지 처리는 CPU/메모리를 많이 사용하므로 기본 동시성은 낮게 유지
+const CONCURRENCY = parseInt(process.env.IMAGE_WORKER_CONCURRENCY, 10) || config.worker?.imageConcurrency || 2;
+
+/**
+ * 상품 이미지 처리 작업을 수행합니다.
+ * 실패(FAILED) 이미지가 남아 있고 재시도 횟수가 남았으면 오류를 던져 BullMQ가 재시도하도록 합니다.
+ * (재시도 시 이미 첨부된 이미지는 다시 처리하지 않음)
+ * @param {import('bullmq').Job} job - 작업 데이터: { bunjangPid, triggeredBy }.
+ */
+async function processImageJob(job) {
+  const { bunjangPid } = job.data;
+  logger.info(`[Worker: ${job.queueName}] Starting job ${job.id} (Name: ${job.name}) for Bunjang PID: ${bunjangPid}`);
+
+  if (!bunjangPid) {
+    throw new JobQueueError(job.queueName, job, null, '번개장터 상품 ID가 없는 이미지 처리 작업입니다.');
+  }
+
+  let summary;
+  try {
+    summary = await processProductImages(String(bunjangPid), job.id);
+  } catch (error) {
+    logger.error(`[Worker: ${job.queueName}] Job ${job.id} for Bunjang PID: ${bunjangPid} failed: ${error.message}`, {
+      stack: error.stack, errorCode: error.errorCode, details: error.details,
+    });
+    throw new JobQueueError(job.queueName, job, error, `상품 이미지 처리 작업 실패 (PID: ${bunjangPid}, Job ID: ${job.id})`);
+  }
+
+  const maxAttempts = job.opts?.attempts || 1;
+  if (summary?.failed > 0 && job.attemptsMade + 1 < maxAttempts) {
+    throw new JobQueueError(job.queueName, job, null, `${summary.failed}개 이미지 처리 실패, 재시도 예정 (PID: ${bunjangPid}, Job ID: ${job.id})`);
+  }
+  return { success: true, bunjangPid, summary };
+}
+
+function createImageWorker(queueName, connection) {
+  const worker = new Worker(queueName, processImageJob, {
+    connection,
+    concurrency: CONCURRENCY,
+  });
+
+  worker.on('completed', (job, returnValue) => {
+    logger.info(`[Worker: ${worker.name}] Job ${job.id} (Name: ${job.name}, PID: ${job.data.bunjangPid}) completed. Return: ${JSON.stringify(returnValue)}`);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`[Worker: ${worker.name}] Job ${job?.id} (Name: ${job?.name}, PID: ${job?.data.bunjangPid}) failed: ${error.message}`, {
+      attemptsMade: job?.attemptsMade,
+    });
+  });
+
+  worker.on('error', err => {
+    logger.error(`[Worker: ${worker.name}] General error in image worker:`, err);
+  });
+
+  logger.info(`[Worker] Image Processing Worker listening on queue "${queueName}" with concurrency ${CONCURRENCY}.`);
+  return worker;
+}
+
+module.exports = createImageWorker;
@@ -9,6 +9,8 @@ const { getBullMQRedisConnection } = require('../../config/redisClient'); // 경
 const createExchangeRateWorker = require('./exchangeRateWorker');
 const createCatalogWorker = require('./catalogWorker');
 const createOrderWorker = require('./orderWorker');
+const createImageWorker = require('./imageWorker');
+const { IMAGE_QUEUE_NAME, isImagePipelineEnabled } = require('../../services/imagePipelineService');
 // const createProductSyncWorker = require('./productSyncWorker'); // 필요시
 
 const workers = []; // 활성 워커 인스턴스 저장 배열
@@ -43,7 +45,14 @@ function initializeAllWorkers() {
   workers.push(orderWorker);
   logger.info(`[Workers] Order Processing Worker for queue "${orderQueueName}" initialized.`);
 
-  // 4. (선택) 개별 상품 동기화 워커
+  // 4. 상품 이미지 처리 워커 (이미지 파이프라인 사용 시)
+  if (isImagePipelineEnabled()) {
+    const imageWorker = createImageWorker(IMAGE_QUEUE_NAME, getBullMQRedisConnection());
+    workers.push(imageWorker);
+    logger.info(`[Workers] Image Processing Worker for queue "${IMAGE_QUEUE_NAME}" initialized.`);
+  }
+
+  // 5. (선택) 개별 상품 동기화 워커
   // const productSyncQueueName = config.bullmq.queues.productSync;
   // const productSyncWorker = createProductSyncWorker(productSyncQueueName, getBullMQRedisConnection());
   // workers.push(productSyncWorker);
@@ -12,10 +12,11 @@ const { AppError, ValidationError } = require('../utils/customErrors');
  * @param {string} bunjangPid - 해당 상품의 번개장터 PID (숫자형 문자열).
  * @param {object} bunjangProductDetails - bunjangService.getBunjangProductDetails로 조회한 번개장터 상품 상세 정보.
  * (price, shippingFee 등 KRW 기준 정보 포함)
+ * @param {Array<{id: string, value: string}>} [selectedOptions=[]] - 구매자가 선택한 번개장터 옵션 (옵션 variant SKU에서 확인한 값).
  * @returns {object} 번개장터 Create Order V2 API 페이로드.
  * @throws {ValidationError|AppError} 필수 데이터 누락 또는 유효하지 않은 경우.
  */
-function mapShopifyItemToBunjangOrderPayload(shopifyLineItem, bunjangPid, bunjangProductDetails) {
+function mapShopifyItemToBunjangOrderPayload(shopifyLineItem, bunjangPid, bunjangProductDetails, selectedOptions = []) {
   // 입력값 기본 검증
   if (!shopifyLineItem || !bunjangPid || !bunjangProductDetails) {
     throw new ValidationError('번개장터 주문 페이로드 매핑을 위한 필수 데이터가 누락되었습니다.', [
@@ -42,7 +43,7 @@ function mapShopifyItemToBunjangOrderPayload(shopifyLineItem, bunjangPid, bunjan
   }
 
   // 번개장터 "Create Order V2" API 페이로드:
-  // { product: { id: integer, price: integer }, deliveryPrice: integer }
+  // { product: { id: integer, price: integer, options?: [{ id, value }] }, deliveryPrice: integer }
   const payload = {
     product: {
       id: parseInt(bunjangPid, 10),   // 번개장터 상품 ID (숫자)
@@ -54,6 +55,11 @@ function mapShopifyItemToBunjangOrderPayload(shopifyLineItem, bunjangPid, bunjan
     deliveryPrice: 0,
   };
 
+  // 옵션 상품: 구매자가 선택한 옵션을 상품 옵션과 같은 형식({ id: 옵션 이름, value: 옵션 값 })으로 전달
+  if (selectedOptions.length > 0) {
+    payload.product.options = selectedOptions.map(({ id, value }) => ({ id, value }));
+  }
+
   // TODO: 만약 번개장터 주문 API가 구매자 정보, 배송지 정보 등을 받는다면,
   // shopifyOrder 객체(이 함수에는 lineItem만 전달됨. 필요시 전체 shopifyOrder 객체 전달)에서
   // 해당 정보를 추출하여 페이로드에 추가해야 합니다.
@@ -2,18 +2,22 @@
 // 번개장터 카탈로그 상품 데이터를 Shopify ProductInput 스키마로 변환합니다.
 // 번개장터 API 문서 및 카탈로그 CSV 필드 구조를 최대한 반영합니다.
 
+const crypto = require('node:crypto');
 const config = require('../config');
 const logger = require('../config/logger');
 const { AppError } = require('../utils/customErrors');
 
 /**
  * 번개장터 카테고리 ID를 Shopify 상품 유형 문자열로 매핑합니다.
+ * DB 카테고리 매핑(categoryMappingService.resolveCategoryMapping 결과)이 있으면 우선 사용하고, 없으면 .env 매핑을 사용합니다.
  * @param {string} bunjangCategoryId - 번개장터 카테고리 ID.
+ * @param {object} [categoryMapping] - CategoryMapping 문서.
  * @returns {string} Shopify 상품 유형 문자열.
  */
-function mapBunjangCategoryToShopifyProductType(bunjangCategoryId) {
+function mapBunjangCategoryToShopifyProductType(bunjangCategoryId, categoryMapping = null) {
+  if (categoryMapping?.shopifyProductType) return categoryMapping.shopifyProductType;
   if (!bunjangCategoryId) return config.bunjang.defaultShopifyProductType;
-  const mapping = config.bunjang.categoryToShopifyType; // .env에서 로드된 매핑 객체
+  const mapping = config.bunjang.categoryToShopifyType || {}; // .env에서 로드된 매핑 객체
   return mapping[String(bunjangCategoryId).trim()] || config.bunjang.defaultShopifyProductType;
 }
 
@@ -23,22 +27,21 @@ function mapBunjangCategoryToShopifyProductType(bunjangCategoryId) {
  * CSV 필드: pid, name, description, quantity, price, shippingFee, condition, saleStatus, 
  * keywords (array), images (array), categoryId, brandId, options (array of objects), uid, updatedAt, createdAt
  * @param {string} shopifyPriceString - 계산된 최종 Shopify 리스팅 가격 (USD, 문자열 예: "27.88").
+ * @param {object} [categoryMapping] - 상품 카테고리에 해당하는 CategoryMapping 문서.
  * @returns {object} Shopify ProductInput 객체.
  * @throws {AppError} 필수 데이터 누락 또는 매핑 중 중요 오류 발생 시.
  */
-function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
+function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString, categoryMapping = null) {
   if (!bunjangProduct || typeof bunjangProduct.pid === 'undefined' || !shopifyPriceString) {
     throw new AppError('상품 매핑을 위한 필수 데이터(번개장터 상품 또는 Shopify 가격)가 누락되었습니다.', 500, 'PRODUCT_MAPPING_MISSING_DATA');
   }
 
   try {
     const {
-      pid, name, description, quantity, price: bunjangPriceKrw, shippingFee: bunjangShippingFeeKrw,
-      condition, keywords, images, categoryId, brandId, options: bunjangOptions, uid: sellerUid,
-      updatedAt: bunjangUpdatedAt, createdAt: bunjangCreatedAt, saleStatus
+      pid, name, description, quantity, keywords, images, categoryId, brandId, uid: sellerUid, saleStatus
     } = bunjangProduct; // catalogService.processCatalogRow에서 이미 기본 처리됨
 
-    const productType = mapBunjangCategoryToShopifyProductType(categoryId);
+    const productType = mapBunjangCategoryToShopifyProductType(categoryId, categoryMapping);
 
     // HTML 정제: description 필드는 HTML일 수 있으므로 정제 필요.
     // 실제 운영에서는 XSS 방지를 위해 DOMPurify 같은 신뢰할 수 있는 HTML Sanitizer 사용 필수!
@@ -70,19 +73,7 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
      .slice(0, 250); // 태그 개수 제한
 
     // 메타필드: 번개장터의 추가 정보 저장 (ProductInput의 metafields는 MetafieldInput[])
-    // MetafieldInput: { namespace: String!, key: String!, value: String!, type: String! }
-    const metafields = [
-      { namespace: "bunjang", key: "pid", value: String(pid), type: "single_line_text_field" },
-      { namespace: "bunjang", key: "original_price_krw", value: String(Math.round(bunjangPriceKrw)), type: "number_integer" },
-      { namespace: "bunjang", key: "original_shipping_fee_krw", value: String(Math.round(bunjangShippingFeeKrw)), type: "number_integer" },
-      { namespace: "bunjang", key: "condition", value: String(condition || 'USED'), type: "single_line_text_field" },
-      { namespace: "bunjang", key: "seller_uid", value: String(sellerUid || ''), type: "single_line_text_field" },
-      { namespace: "bunjang", key: "category_id", value: String(categoryId || ''), type: "single_line_text_field" },
-      { namespace: "bunjang", key: "brand_id", value: String(brandId || ''), type: "single_line_text_field" },
-      bunjangCreatedAt ? { namespace: "bunjang", key: "created_at_kst", value: bunjangCreatedAt.toISOString(), type: "date_time" } : null,
-      bunjangUpdatedAt ? { namespace: "bunjang", key: "updated_at_kst", value: bunjangUpdatedAt.toISOString(), type: "date_time" } : null,
-      (bunjangOptions && bunjangOptions.length > 0) ? { namespace: "bunjang", key: "options_json", value: JSON.stringify(bunjangOptions), type: "json_string" } : null,
-    ].filter(Boolean); // null인 메타필드 제거
+    const metafields = buildBunjangMetafields(bunjangProduct);
 
     // 상품 옵션 및 변형(Variants) 처리
     // 번개장터 'options' 필드: "[{ \"id\": \"색상\", \"value\": \"빨강\" }, { \"id\": \"사이즈\", \"value\": \"M\" }]"
@@ -143,7 +134,133 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
   }
 }
 
+/**
+ * 번개장터 상품 정보를 Shopify bunjang.* 메타필드 목록으로 변환합니다.
+ * Shopify는 빈 값의 메타필드를 허용하지 않으므로 값이 없는 항목은 제외합니다.
+ * @param {object} bunjangProduct - catalogService.processCatalogRow 결과 (options 배열 또는 optionsRaw 문자열).
+ * @returns {Array<{namespace: string, key: string, value: string, type: string}>} MetafieldInput 목록.
+ */
+function buildBunjangMetafields(bunjangProduct) {
+  const {
+    pid, price: bunjangPriceKrw, shippingFee: bunjangShippingFeeKrw, condition, uid: sellerUid,
+    categoryId, brandId, createdAt: bunjangCreatedAt, updatedAt: bunjangUpdatedAt,
+  } = bunjangProduct;
+  const bunjangOptions = parseBunjangOptions(bunjangProduct.optionsRaw ?? bunjangProduct.options);
+  const isValidDate = date => date instanceof Date && !isNaN(date.getTime());
+
+  return [
+    { namespace: "bunjang", key: "pid", value: String(pid), type: "single_line_text_field" },
+    Number.isFinite(Number(bunjangPriceKrw)) ? { namespace: "bunjang", key: "original_price_krw", value: String(Math.round(bunjangPriceKrw)), type: "number_integer" } : null,
+    Number.isFinite(Number(bunjangShippingFeeKrw)) ? { namespace: "bunjang", key: "original_shipping_fee_krw", value: String(Math.round(bunjangShippingFeeKrw)), type: "number_integer" } : null,
+    { namespace: "bunjang", key: "condition", value: String(condition || 'USED'), type: "single_line_text_field" },
+    sellerUid ? { namespace: "bunjang", key: "seller_uid", value: String(sellerUid), type: "single_line_text_field" } : null,
+    categoryId ? { namespace: "bunjang", key: "category_id", value: String(categoryId), type: "single_line_text_field" } : null,
+    brandId ? { namespace: "bunjang", key: "brand_id", value: String(brandId), type: "single_line_text_field" } : null,
+    isValidDate(bunjangCreatedAt) ? { namespace: "bunjang", key: "created_at_kst", value: bunjangCreatedAt.toISOString(), type: "date_time" } : null,
+    isValidDate(bunjangUpdatedAt) ? { namespace: "bunjang", key: "updated_at_kst", value: bunjangUpdatedAt.toISOString(), type: "date_time" } : null,
+    bunjangOptions.length > 0 ? { namespace: "bunjang", key: "options_json", value: JSON.stringify(bunjangOptions), type: "json" } : null,
+  ].filter(Boolean); // null인 메타필드 제거
+}
+
+// Shopify 상품당 옵션/variant 수 제한
+const MAX_SHOPIFY_OPTIONS = 3;
+const MAX_SHOPIFY_VARIANTS = 100;
+const BUNJANG_SKU_REGEX = /^BJ-(\d+)(?:-([0-9a-f]{8}))?$/;
+
+/**
+ * 번개장터 options 필드를 [{ id, value }] 배열로 파싱합니다.
+ * id는 옵션 이름(예: "색상"), value는 옵션 값(예: "빨강")이며 같은 id가 여러 번 나오면 선택 가능한 값이 여러 개인 옵션입니다.
+ * @param {string|Array} optionsRaw - CSV의 JSON 문자열 또는 API 응답의 배열.
+ * @returns {Array<{id: string, value: string}>} 유효한 옵션 항목 (중복 제거). 파싱 실패 시 빈 배열.
+ */
+function parseBunjangOptions(optionsRaw) {
+  let parsed = optionsRaw;
+  if (typeof optionsRaw === 'string') {
+    if (!optionsRaw.trim()) return [];
+    try {
+      parsed = JSON.parse(optionsRaw.trim());
+    } catch (e) {
+      logger.warn(`[ProductMapper] Failed to parse Bunjang options JSON: "${optionsRaw.substring(0, 200)}"`);
+      return [];
+    }
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  const seen = new Set();
+  const options = [];
+  for (const item of parsed) {
+    const id = String(item?.id ?? '').trim();
+    const value = String(item?.value ?? '').trim();
+    if (!id || !value || seen.has(`${id}\n${value}`)) continue;
+    seen.add(`${id}\n${value}`);
+    options.push({ id, value });
+  }
+  return options;
+}
+
+/**
+ * 번개장터 PID와 선택된 옵션 조합으로 Shopify variant SKU를 만듭니다.
+ * 옵션이 없으면 "BJ-{pid}", 있으면 "BJ-{pid}-{옵션 조합 해시 8자리}" 입니다.
+ * 해시는 옵션 순서와 무관하므로 번개장터에서 옵션 순서가 바뀌어도 같은 조합은 같은 SKU를 가집니다.
+ */
+function buildBunjangSku(pid, selectedOptions = []) {
+  if (!selectedOptions.length) return `BJ-${pid}`;
+  const key = selectedOptions
+    .map(({ id, value }) => `${id}=${value}`)
+    .sort()
+    .join('\n');
+  const hash = crypto.createHash('sha1').update(key).digest('hex').substring(0, 8);
+  return `BJ-${pid}-${hash}`;
+}
+
+/**
+ * Shopify SKU에서 번개장터 PID와 옵션 조합 키를 추출합니다.
+ * @returns {{pid: string, variantKey: string|null}|null} 번개장터 연동 SKU가 아니면 null.
+ */
+function parseBunjangSku(sku) {
+  const match = BUNJANG_SKU_REGEX.exec(String(sku || '').trim());
+  if (!match) return null;
+  return { pid: match[1], variantKey: match[2] || null };
+}
+
+/**
+ * 번개장터 옵션을 Shopify 상품 옵션과 variant 목록으로 변환합니다.
+ * 옵션 이름별 값의 모든 조합이 하나의 variant가 됩니다.
+ * @param {string} pid - 번개장터 상품 ID.
+ * @param {string|Array} optionsRaw - 번개장터 options 필드.
+ * @returns {{productOptions: Array<{name: string, values: string[]}>, variants: Array<{sku: string, selectedOptions: Array<{id: string, value: string}>}>}|null}
+ *   옵션이 없거나 Shopify 제한(옵션 3개, variant 100개)을 넘으면 null (단일 variant로 등록).
+ */
+function buildBunjangOptionVariants(pid, optionsRaw) {
+  const options = parseBunjangOptions(optionsRaw);
+  if (options.length === 0) return null;
+
+  const valuesByName = new Map();
+  for (const { id, value } of options) {
+    if (!valuesByName.has(id)) valuesByName.set(id, []);
+    valuesByName.get(id).push(value);
+  }
+  const productOptions = [...valuesByName.entries()].map(([name, values]) => ({ name, values }));
+  const variantCount = productOptions.reduce((count, option) => count * option.values.length, 1);
+  if (productOptions.length > MAX_SHOPIFY_OPTIONS || variantCount > MAX_SHOPIFY_VARIANTS) {
+    logger.warn(`[ProductMapper] Bunjang PID ${pid} has ${productOptions.length} options / ${variantCount} combinations, exceeding Shopify limits. Falling back to a single variant.`);
+    return null;
+  }
+
+  let combinations = [[]];
+  for (const { name, values } of productOptions) {
+    combinations = combinations.flatMap(combo => values.map(value => [...combo, { id: name, value }]));
+  }
+  const variants = combinations.map(selectedOptions => ({ sku: buildBunjangSku(pid, selectedOptions), selectedOptions }));
+  return { productOptions, variants };
+}
+
 module.exports = {
   mapBunjangToShopifyInput,
+  buildBunjangMetafields,
+  parseBunjangOptions,
+  buildBunjangSku,
+  parseBunjangSku,
+  buildBunjangOptionVariants,
   // mapBunjangCategoryToShopifyProductType, // 내부 사용으로 변경
 };
@@ -0,0 +1,40 @@
+// src/models/catalogCheckpoint.model.js
+// 카탈로그 처리 실행(run)의 진행 상황 체크포인트.
+// 워커 크래시나 락 만료 후 재시도된 작업이 처음부터 다시 처리하지 않고 이어서 진행할 수 있도록 합니다.
+const mongoose = require('mongoose');
+
+const catalogCheckpointSchema = new mongoose.Schema({
+  runId: { type: String, required: true, unique: true, index: true }, // 실행 식별자 (재개 시에도 유지)
+  catalogType: { type: String, enum: ['full', 'segment'], required: true },
+  fileName: { type: String, required: true, trim: true }, // 예: "full-20240524.csv.gz"
+  fileIdentity: { // 같은 파일인지 판별하기 위한 압축 해제된 CSV의 해시와 크기
+    sha256: { type: String },
+    sizeBytes: { type: Number },
+  },
+  isReplay: { type: Boolean, default: false }, // 아카이브 파일 재처리 실행 여부
+  status: {
+    type: String,
+    enum: ['IN_PROGRESS', 'COMPLETED', 'FAILED', 'SUPERSEDED'],
+    default: 'IN_PROGRESS',
+    index: true,
+  },
+  lastCommittedRow: { type: Number, default: 0 }, // 이 행 번호까지는 모두 처리 완료됨
+  counters: { type: mongoose.Schema.Types.Mixed, default: {} }, // 커밋 시점까지의 요약 카운트
+  runStartedAt: { type: Date, required: true }, // 최초 실행 시작 시각 (재개되어도 유지)
+  lastCheckpointAt: { type: Date },
+  resumeCount: { type: Number, default: 0 },
+  lastJobId: { type: String },
+  completedAt: { type: Date },
+  failureMessage: { type: String, maxlength: 1000 },
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false,
+});
+
+// 같은 파일에 대해 진행 중인 체크포인트 조회용
+catalogCheckpointSchema.index({ catalogType: 1, fileName: 1, isReplay: 1, status: 1, createdAt: -1 });
+
+const CatalogCheckpoint = mongoose.model('CatalogCheckpoint', catalogCheckpointSchema);
+
+module.exports = CatalogCheckpoint;
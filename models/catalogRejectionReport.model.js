@@ -0,0 +1,47 @@
+// src/models/catalogRejectionReport.model.js
+// 카탈로그 처리 실행(run)별로 processCatalogRow에서 거부된 행의 데이터 품질 리포트.
+// 거부 사유별 건수와 샘플(PID, 원본 CSV 행)을 저장하여 번개장터 CSV 형식 변경이나 필터 설정 문제를 찾는 데 사용합니다.
+const mongoose = require('mongoose');
+
+const REJECTION_REASONS = [
+  'MISSING_PID', 'MISSING_NAME', 'INVALID_PRICE', 'MISSING_UPDATED_AT', 'INVALID_DATE',
+  'CATEGORY_FILTERED', 'NEGATIVE_PRICE', 'NEGATIVE_QUANTITY',
+];
+
+const rejectedRowSampleSchema = new mongoose.Schema({
+  rowNumber: { type: Number },
+  pid: { type: String },
+  row: { type: mongoose.Schema.Types.Mixed }, // 원본 CSV 행 (긴 값은 잘라서 저장)
+}, { _id: false });
+
+const rejectionReasonSchema = new mongoose.Schema({
+  reason: { type: String, enum: REJECTION_REASONS, required: true },
+  count: { type: Number, default: 0 },
+  samplePids: { type: [String], default: [] },
+  sampleRows: { type: [rejectedRowSampleSchema], default: [] },
+}, { _id: false });
+
+const catalogRejectionReportSchema = new mongoose.Schema({
+  jobId: { type: String },
+  runId: { type: String, index: true }, // 체크포인트 실행 ID (dry-run 등 체크포인트가 없으면 null)
+  catalogType: { type: String, enum: ['full', 'segment'], required: true },
+  fileName: { type: String, required: true, trim: true, index: true },
+  isReplay: { type: Boolean, default: false },
+  dryRun: { type: Boolean, default: false },
+  failed: { type: Boolean, default: false }, // 처리 중 실패한 실행 (재시도에서 체크포인트부터 이어서 처리)
+  resumedFromRow: { type: Number, default: 0 }, // 체크포인트에서 재개한 경우 건수는 이전 실행분을 포함하지만, 샘플은 이 행 이후만 포함
+  totalRows: { type: Number, default: 0 },
+  rejectedRows: { type: Number, default: 0 },
+  reasons: { type: [rejectionReasonSchema], default: [] },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+catalogRejectionReportSchema.index({ createdAt: -1 });
+
+const CatalogRejectionReport = mongoose.model('CatalogRejectionReport', catalogRejectionReportSchema);
+
+module.exports = CatalogRejectionReport;
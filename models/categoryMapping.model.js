@@ -0,0 +1,21 @@
+// src/models/categoryMapping.model.js
+// 번개장터 카테고리 ID → Shopify 상품 유형, 표준 상품 분류(Standard Product Taxonomy), 컬렉션, 동기화 포함 여부 매핑.
+// 카테고리 ID는 계층형(예: "600" > "600100" > "600100001")이므로 가장 긴 접두어가 일치하는 매핑이 적용됩니다.
+const mongoose = require('mongoose');
+
+const categoryMappingSchema = new mongoose.Schema({
+  bunjangCategoryId: { type: String, required: true, unique: true, index: true, trim: true },
+  bunjangCategoryName: { type: String, trim: true }, // 관리용 참고 이름
+  shopifyProductType: { type: String, trim: true },
+  shopifyTaxonomyCategoryGid: { type: String, trim: true }, // 예: "gid://shopify/TaxonomyCategory/aa-1-13"
+  shopifyCollectionGid: { type: String, trim: true }, // 예: "gid://shopify/Collection/123"
+  included: { type: Boolean, default: true, index: true }, // false이면 해당 카테고리 상품은 동기화하지 않음
+  notes: { type: String, maxlength: 500 },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const CategoryMapping = mongoose.model('CategoryMapping', categoryMappingSchema);
+
+module.exports = CategoryMapping;
@@ -0,0 +1,44 @@
+// src/models/classificationRule.model.js
+// 카탈로그 상품 분류 규칙. 조건(정규식, 카테고리, 브랜드, 가격 범위, 판매자)에 맞는 상품에
+// 태그 추가, 상품 유형 지정, 컬렉션 추가, 동기화 제외 등의 동작을 적용합니다.
+// 규칙은 priority 오름차순(숫자가 작을수록 먼저)으로 평가됩니다.
+const mongoose = require('mongoose');
+
+const ruleConditionsSchema = new mongoose.Schema({
+  // 정규식 조건: fields 중 하나라도 패턴과 일치하면 만족
+  regex: {
+    pattern: { type: String, trim: true },
+    flags: { type: String, trim: true, default: 'i' },
+    fields: { type: [String], enum: ['name', 'description', 'categoryName', 'keywords'], default: undefined },
+  },
+  categoryIds: { type: [String], default: undefined }, // 번개장터 카테고리 ID 중 하나 (접두어 일치: "600" → "600100")
+  brandIds: { type: [String], default: undefined },
+  sellerUids: { type: [String], default: undefined },
+  minPriceKrw: { type: Number, min: 0 },
+  maxPriceKrw: { type: Number, min: 0 },
+}, { _id: false });
+
+const ruleActionsSchema = new mongoose.Schema({
+  addTags: { type: [String], default: undefined },
+  productType: { type: String, trim: true }, // 먼저 매칭된(우선순위가 높은) 규칙의 값이 적용됨
+  collectionGids: { type: [String], default: undefined }, // 예: "gid://shopify/Collection/123"
+  exclude: { type: Boolean, default: false }, // true이면 상품을 동기화하지 않음
+}, { _id: false });
+
+const classificationRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 1000 },
+  enabled: { type: Boolean, default: true, index: true },
+  priority: { type: Number, default: 100, index: true },
+  stopProcessing: { type: Boolean, default: false }, // 매칭 시 이후 규칙 평가 중단
+  conditions: { type: ruleConditionsSchema, default: () => ({}) },
+  actions: { type: ruleActionsSchema, default: () => ({}) },
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false,
+});
+
+const ClassificationRule = mongoose.model('ClassificationRule', classificationRuleSchema);
+
+module.exports = ClassificationRule;
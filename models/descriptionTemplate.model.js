@@ -0,0 +1,37 @@
+// src/models/descriptionTemplate.model.js
+// Shopify 상품 설명(descriptionHtml) 템플릿. 판매자 설명과 구조화된 블록(상품 상태, 해외 배송 안내, 가격 조정/취소 불가 정책,
+// 원 등록일 등)을 blocks 순서대로 조합합니다. 카테고리 ID는 계층형이므로 가장 긴 접두어가 일치하는 템플릿이 적용되며,
+// 일치하는 템플릿이 없으면 isDefault 템플릿, 그것도 없으면 descriptionTemplateService의 기본 템플릿을 사용합니다.
+// 같은 템플릿의 SEO 제목/설명 템플릿도 함께 적용됩니다. (비우면 seoService 기본 템플릿)
+const mongoose = require('mongoose');
+
+const BLOCK_TYPES = ['SELLER_TEXT', 'CONDITION', 'SHIPPING_NOTICE', 'POLICY', 'LISTED_DATE', 'CUSTOM'];
+
+const templateBlockSchema = new mongoose.Schema({
+  type: { type: String, enum: BLOCK_TYPES, required: true },
+  heading: { type: String, trim: true, maxlength: 200 }, // 비우면 블록 유형별 기본 제목 (빈 문자열이면 제목 없음)
+  // 블록 본문 HTML (관리자 입력). {{condition}}, {{listedDate}}, {{pid}}, {{categoryName}} 자리표시자 사용 가능.
+  // 비우면 블록 유형별 기본 본문 사용. SELLER_TEXT는 항상 판매자 설명(번역된 경우 번역문)을 사용
+  content: { type: String, maxlength: 5000 },
+  enabled: { type: Boolean, default: true },
+}, { _id: false });
+
+const descriptionTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true, maxlength: 100 },
+  bunjangCategoryIds: { type: [String], default: [], index: true }, // 적용할 번개장터 카테고리 ID (하위 카테고리 포함)
+  isDefault: { type: Boolean, default: false, index: true }, // 카테고리가 일치하는 템플릿이 없을 때 사용 (하나만 유지)
+  blocks: { type: [templateBlockSchema], default: [] },
+  // SEO 제목/설명 (일반 텍스트). {{title}}, {{brand}}, {{category}}, {{condition}}, {{pid}} 자리표시자 사용 가능.
+  // [[ ... ]] 구간은 안의 자리표시자 값이 하나라도 비어 있으면 생략 (예: "{{title}}[[ | {{brand}}]]")
+  seoTitleTemplate: { type: String, trim: true, maxlength: 300 },
+  seoDescriptionTemplate: { type: String, trim: true, maxlength: 1000 },
+  enabled: { type: Boolean, default: true, index: true },
+  notes: { type: String, maxlength: 500 },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const DescriptionTemplate = mongoose.model('DescriptionTemplate', descriptionTemplateSchema);
+
+module.exports = DescriptionTemplate;
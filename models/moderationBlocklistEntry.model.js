@@ -0,0 +1,26 @@
+// src/models/moderationBlocklistEntry.model.js
+// 콘텐츠 검수(moderation) 차단 목록 항목. 위조품, 해외 판매/배송 제한 품목, 성인/의료 용품 등을 걸러냅니다.
+// - KEYWORD: 상품명/설명/키워드에 포함(CONTAINS, 공백 무시) 또는 정규식(REGEX) 일치
+// - SELLER: 번개장터 판매자 UID 일치
+// - BRAND: 번개장터 브랜드 ID 일치
+// action이 EXCLUDE이면 자동 제외, REVIEW이면 검수 대기열로 보냅니다.
+const mongoose = require('mongoose');
+
+const moderationBlocklistEntrySchema = new mongoose.Schema({
+  listType: { type: String, required: true, enum: ['KEYWORD', 'SELLER', 'BRAND'], index: true },
+  value: { type: String, required: true, trim: true, maxlength: 500 },
+  matchMode: { type: String, enum: ['CONTAINS', 'REGEX'], default: 'CONTAINS' }, // KEYWORD에만 적용
+  action: { type: String, enum: ['EXCLUDE', 'REVIEW'], default: 'EXCLUDE' },
+  category: { type: String, enum: ['COUNTERFEIT', 'RESTRICTED', 'ADULT', 'MEDICAL', 'OTHER'], default: 'OTHER' }, // 차단 사유 분류
+  enabled: { type: Boolean, default: true, index: true },
+  notes: { type: String, maxlength: 500 },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+moderationBlocklistEntrySchema.index({ listType: 1, value: 1 }, { unique: true });
+
+const ModerationBlocklistEntry = mongoose.model('ModerationBlocklistEntry', moderationBlocklistEntrySchema);
+
+module.exports = ModerationBlocklistEntry;
@@ -0,0 +1,37 @@
+// src/models/moderationDecision.model.js
+// 콘텐츠 검수 결정 이력. 자동 제외, 검수 대기열 등록, 검수자의 승인/거절, 차단 목록 변경으로 인한 해제를 모두 기록합니다.
+const mongoose = require('mongoose');
+
+const moderationMatchSchema = new mongoose.Schema({
+  entryId: { type: String, required: true }, // ModerationBlocklistEntry _id
+  listType: { type: String },
+  value: { type: String },
+  action: { type: String },
+  category: { type: String },
+  matchedField: { type: String }, // name, description, keywords, uid, brandId
+}, { _id: false });
+
+const moderationDecisionSchema = new mongoose.Schema({
+  bunjangPid: { type: String, required: true, index: true, trim: true },
+  decision: {
+    type: String,
+    required: true,
+    enum: ['AUTO_EXCLUDED', 'QUEUED_FOR_REVIEW', 'APPROVED', 'REJECTED', 'CLEARED'],
+    index: true,
+  },
+  source: { type: String, enum: ['AUTO', 'REVIEWER'], required: true },
+  matches: { type: [moderationMatchSchema], default: [] },
+  productName: { type: String, trim: true },
+  reviewer: { type: String, trim: true }, // source가 REVIEWER일 때
+  note: { type: String, maxlength: 1000 },
+  jobId: { type: String }, // 자동 결정을 내린 동기화 작업
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false,
+});
+
+moderationDecisionSchema.index({ bunjangPid: 1, createdAt: -1 });
+
+const ModerationDecision = mongoose.model('ModerationDecision', moderationDecisionSchema);
+
+module.exports = ModerationDecision;
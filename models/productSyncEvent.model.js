@@ -0,0 +1,40 @@
+// src/models/productSyncEvent.model.js
+// 상품별 동기화 이벤트 타임라인 (추가 전용). 생성, 변경(변경된 필드와 이전/이후 값), 오류, 판매 중단,
+// 주문, 검수자 수동 결정 등을 시간순으로 기록하여 상품의 가격이나 상태가 바뀐 이유를 추적하는 데 사용합니다.
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'CREATED', // Shopify 상품 생성
+  'UPDATED', // 변경된 필드만 Shopify에 반영
+  'SYNC_ERROR', // 생성/수정 실패
+  'EXCLUDED', // 분류 규칙, 카테고리 매핑, 차단 목록으로 동기화 제외
+  'HELD_FOR_REVIEW', // 검수 대기열 등록
+  'DELISTED', // Shopify에서 DRAFT/ARCHIVED 처리
+  'DELIST_ERROR', // 판매 중단 처리 실패
+  'ORDER_PLACED', // Shopify 주문으로 번개장터 주문 생성
+  'MANUAL_OVERRIDE', // 검수자 승인/거절 등 사람이 직접 내린 결정
+  'SHOPIFY_EDITED', // Shopify 관리자에서 상태/핸들/상품명 변경 (products/update 웹훅)
+  'SHOPIFY_DELETED', // Shopify 관리자에서 상품 삭제 (products/delete 웹훅)
+];
+
+const productSyncEventSchema = new mongoose.Schema({
+  bunjangPid: { type: String, required: true, index: true, trim: true },
+  shopifyGid: { type: String, index: true, sparse: true },
+  type: { type: String, enum: EVENT_TYPES, required: true },
+  source: { type: String, enum: ['SYNC', 'ORDER', 'REVIEWER', 'SHOPIFY'], default: 'SYNC' },
+  changedFields: { type: [String], default: undefined }, // CREATED/UPDATED
+  changes: { type: mongoose.Schema.Types.Mixed }, // { field: { from, to } } 또는 목록 필드는 { added, removed }
+  message: { type: String, maxlength: 1000 },
+  details: { type: mongoose.Schema.Types.Mixed }, // 이벤트별 부가 정보 (delist 사유, 주문 ID, 검수 메모 등)
+  actor: { type: String, trim: true }, // source가 REVIEWER일 때 검수자
+  jobId: { type: String },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false,
+});
+
+productSyncEventSchema.index({ bunjangPid: 1, createdAt: -1 });
+
+const ProductSyncEvent = mongoose.model('ProductSyncEvent', productSyncEventSchema);
+
+module.exports = ProductSyncEvent;
@@ -0,0 +1,26 @@
+// src/models/sharedStockDeduction.model.js
+// 옵션 상품 주문 시 다른 옵션 variant의 공유 재고를 차감한 기록 (orderService.deductSharedOptionStock).
+// 주문 line item별로 한 번만 차감하도록 (주문 작업 재시도, 웹훅 재전송) 주문 ID와 line item ID에 unique 인덱스를 둡니다.
+const mongoose = require('mongoose');
+
+const sharedStockDeductionSchema = new mongoose.Schema({
+  shopifyOrderId: { type: String, required: true },
+  lineItemId: { type: String, required: true },
+  bunjangPid: { type: String, required: true, index: true },
+  shopifyProductGid: { type: String },
+  sku: { type: String },
+  quantity: { type: Number, required: true },
+  inventoryItemIds: { type: [String], default: [] }, // 차감한 다른 옵션 variant의 재고 항목
+  status: { type: String, enum: ['PENDING', 'APPLIED', 'FAILED'], default: 'PENDING' }, // FAILED도 다시 차감하지 않음 (다음 카탈로그 동기화에서 재고를 맞춤)
+  errorMessage: { type: String, maxlength: 1000 },
+  jobId: { type: String },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+sharedStockDeductionSchema.index({ shopifyOrderId: 1, lineItemId: 1 }, { unique: true });
+
+const SharedStockDeduction = mongoose.model('SharedStockDeduction', sharedStockDeductionSchema);
+
+module.exports = SharedStockDeduction;
@@ -0,0 +1,66 @@
+// src/models/syncRun.model.js
+// 카탈로그 처리 실행(run) 이력. 워커 작업 하나(재시도 포함 각 시도)마다 하나씩 기록합니다.
+// BullMQ 작업 결과는 일정 시간이 지나면 삭제되므로, 실행별 결과를 비교/조회하기 위해 별도로 보관합니다.
+const mongoose = require('mongoose');
+
+const stageSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // resolve_file, download, process, delist_missing
+  startedAt: { type: Date },
+  durationMs: { type: Number },
+  status: { type: String, enum: ['COMPLETED', 'FAILED'] },
+}, { _id: false });
+
+const topErrorSchema = new mongoose.Schema({
+  message: { type: String, maxlength: 500 }, // 숫자 ID를 #으로 바꾼 정규화 메시지
+  count: { type: Number, default: 0 },
+  samplePids: { type: [String], default: [] },
+}, { _id: false });
+
+const syncRunSchema = new mongoose.Schema({
+  type: { type: String, enum: ['full', 'segment'], required: true, index: true },
+  trigger: { type: String, trim: true, index: true }, // cron_scheduler, api_manual, api_replay, segment_backfill 등
+  jobId: { type: String },
+  dryRun: { type: Boolean, default: false, index: true },
+  isReplay: { type: Boolean, default: false },
+  isFallback: { type: Boolean, default: false },
+  checkpointRunId: { type: String, index: true }, // CatalogCheckpoint.runId (재개된 실행은 같은 값)
+  fileName: { type: String, trim: true, index: true },
+  status: { type: String, enum: ['RUNNING', 'COMPLETED', 'FAILED', 'SKIPPED'], default: 'RUNNING', index: true },
+  startedAt: { type: Date, required: true },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+  stages: { type: [stageSchema], default: [] },
+  rows: {
+    total: { type: Number, default: 0 },
+    valid: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    resumedFromRow: { type: Number, default: 0 },
+  },
+  counts: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    skippedNoChange: { type: Number, default: 0 },
+    skippedFilter: { type: Number, default: 0 },
+    skippedReview: { type: Number, default: 0 },
+    skippedNotListed: { type: Number, default: 0 },
+    delisted: { type: Number, default: 0 },
+    delistedMissing: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+  },
+  topErrors: { type: [topErrorSchema], default: [] },
+  rejectionReportId: { type: String },
+  dryRunReportId: { type: String },
+  failureMessage: { type: String, maxlength: 1000 },
+  summary: { type: mongoose.Schema.Types.Mixed }, // fetchAndProcessBunjangCatalog 요약 원본
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false,
+});
+
+syncRunSchema.index({ startedAt: -1 });
+syncRunSchema.index({ type: 1, startedAt: -1 });
+
+const SyncRun = mongoose.model('SyncRun', syncRunSchema);
+
+module.exports = SyncRun;
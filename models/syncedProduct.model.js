@@ -1,6 +1,73 @@
 // src/models/syncedProduct.model.js
 const mongoose = require('mongoose');
 
+// 마지막으로 Shopify에 보낸 값의 스냅샷 (필드 단위 diff용, productDiffService.buildSyncSnapshot 참고)
+const syncSnapshotSchema = new mongoose.Schema({
+  title: { type: String },
+  descriptionHtml: { type: String },
+  productType: { type: String },
+  category: { type: String }, // Shopify 표준 상품 분류 GID (카테고리 매핑)
+  tags: { type: [String], default: undefined },
+  metafields: { type: [String], default: undefined }, // "namespace.key:값 해시" (번역 원문 등)
+  handle: { type: String }, // 동기화로 정한 상품 핸들 (seoService.resolveProductHandle)
+  seo: { type: String }, // SEO 제목과 설명 ("제목\n설명")
+  priceUsd: { type: String },
+  quantity: { type: Number },
+  imageUrls: { type: [String], default: undefined },
+  variantSkus: { type: [String], default: undefined }, // 옵션 조합별 variant SKU (옵션 없는 상품은 빈 배열)
+  collectionGids: { type: [String], default: undefined }, // 분류 규칙으로 추가한 컬렉션 GID
+}, { _id: false });
+
+// Shopify 미디어 ↔ 번개장터 원본 이미지 매핑 (productMediaService.reconcileProductMedia 참고)
+const shopifyMediaSchema = new mongoose.Schema({
+  mediaId: { type: String, required: true }, // 예: "gid://shopify/MediaImage/123"
+  sourceUrl: { type: String, required: true }, // 정규화된 번개장터 이미지 URL
+  status: { type: String }, // Shopify 미디어 상태 (UPLOADED, PROCESSING, READY, FAILED)
+  position: { type: Number }, // 번개장터 이미지 순서 (0부터)
+  contentHash: { type: String }, // 이미지 파이프라인으로 업로드한 경우 원본 이미지의 SHA-256
+}, { _id: false });
+
+// 콘텐츠 검수에서 매칭된 차단 목록 항목
+const moderationMatchSchema = new mongoose.Schema({
+  entryId: { type: String, required: true },
+  listType: { type: String },
+  value: { type: String },
+  action: { type: String },
+  category: { type: String },
+  matchedField: { type: String },
+}, { _id: false });
+
+// 이미지 파이프라인(다운로드 → 검증 → 중복 확인 → 정규화 → staged upload) 이미지별 처리 상태
+const imageProcessingSchema = new mongoose.Schema({
+  sourceUrl: { type: String, required: true }, // 정규화된 번개장터 이미지 URL
+  position: { type: Number }, // 번개장터 이미지 순서 (0부터)
+  status: {
+    type: String,
+    enum: ['PENDING', 'UPLOADED', 'ATTACHED', 'REJECTED', 'DUPLICATE', 'FAILED'],
+    default: 'PENDING',
+  },
+  reason: { type: String }, // REJECTED/DUPLICATE/FAILED 사유 (예: TOO_SMALL, DUPLICATE_OF:<url>)
+  contentHash: { type: String }, // 다운로드한 원본 이미지의 SHA-256 (중복/placeholder 판정용)
+  originalBytes: { type: Number },
+  originalWidth: { type: Number },
+  originalHeight: { type: Number },
+  processedBytes: { type: Number },
+  processedWidth: { type: Number },
+  processedHeight: { type: Number },
+  stagedResourceUrl: { type: String }, // Shopify staged upload resourceUrl
+  mediaId: { type: String }, // 첨부된 Shopify 미디어 GID
+  attempts: { type: Number, default: 0 },
+  processedAt: { type: Date },
+}, { _id: false });
+
+// 필드 잠금: 판매자가 Shopify에서 직접 수정한 값을 동기화가 덮어쓰지 않도록 보호 (productFieldLockService 참고)
+const fieldLockSchema = new mongoose.Schema({
+  field: { type: String, required: true, enum: ['title', 'descriptionHtml', 'tags', 'productType', 'price', 'images', 'handle', 'seo'] },
+  lockedAt: { type: Date, default: Date.now },
+  lockedBy: { type: String, trim: true },
+  note: { type: String, maxlength: 500 },
+}, { _id: false });
+
 const syncedProductSchema = new mongoose.Schema({
   bunjangPid: {
     type: String, required: true, unique: true, index: true, trim: true,
@@ -16,7 +83,9 @@ const syncedProductSchema = new mongoose.Schema({
   },
   // 번개장터 원본 정보 (참고 및 동기화 비교용)
   bunjangProductName: { type: String, trim: true },
+  bunjangDescription: { type: String }, // 번개장터 상품 설명 원문
   bunjangCategoryId: { type: String, index: true, trim: true },
+  bunjangCategoryName: { type: String, trim: true },
   bunjangBrandId: { type: String, index: true, trim: true },
   bunjangSellerUid: { type: String, index: true, trim: true },
   bunjangCondition: { type: String, trim: true },
@@ -28,27 +97,59 @@ const syncedProductSchema = new mongoose.Schema({
   bunjangKeywordsJson: { type: String }, // 번개장터 키워드 목록 원본 JSON 문자열
   bunjangCreatedAt: { type: Date }, // 번개장터 상품 생성 시간 (KST)
   bunjangUpdatedAt: { type: Date, index: true }, // 번개장터 상품 수정 시간 (KST, 카탈로그 기준)
+  bunjangSaleStatus: { type: String, trim: true }, // 카탈로그 기준 판매 상태 (SELLING, SOLD_OUT, RESERVED 등)
+  bunjangLastSeenInCatalogAt: { type: Date, index: true }, // 카탈로그 행으로 마지막 확인된 시간 (전체 카탈로그 누락 판정용)
 
   // Shopify 연동 정보
+  shopifyTitle: { type: String, trim: true }, // Shopify에 등록된 상품명 (번역된 경우 영문)
   shopifyProductType: { type: String, index: true, trim: true }, // 매핑된 Shopify 상품 유형
   shopifyListedPriceUsd: { type: String }, // Shopify에 리스팅된 USD 가격 문자열 (예: "25.99")
   shopifyStatus: { type: String, enum: ['ACTIVE', 'DRAFT', 'ARCHIVED'], index: true }, // Shopify 상품 상태
+  shopifyVariantGid: { type: String, trim: true }, // 기본 variant GID (가격/재고 업데이트용)
+  shopifyInventoryItemGid: { type: String, trim: true }, // 기본 variant의 inventoryItem GID
+  shopifyMedia: { type: [shopifyMediaSchema], default: undefined }, // 동기화로 추가한 미디어 매핑 (번개장터 이미지 순서)
+  shopifyUpdatedAt: { type: Date }, // 마지막으로 반영한 products/update 웹훅의 updated_at (순서가 뒤바뀐 웹훅 무시용)
+  shopifyDeletedAt: { type: Date }, // Shopify 관리자에서 상품이 삭제된 시간 (products/delete 웹훅)
+  // 삭제 정책 적용 결과. DETACHED: 연결 해제 후 다시 만들지 않음, RECREATE_PENDING: 다음 동기화에서 새 상품으로 생성
+  shopifyDeletionAction: { type: String, enum: ['DETACHED', 'RECREATE_PENDING', null], default: null },
+  imageProcessing: { type: [imageProcessingSchema], default: undefined }, // 이미지 파이프라인 이미지별 상태
+  imagePipelineStatus: { type: String, enum: ['QUEUED', 'PROCESSING', 'COMPLETED', 'PARTIAL', 'FAILED', null], default: null },
+  imagePipelineUpdatedAt: { type: Date },
+
+  // 필드 단위 동기화 정보
+  syncSnapshot: { type: syncSnapshotSchema, default: null }, // 마지막 성공 동기화 시점의 값
+  lastChangedFields: { type: [String], default: undefined }, // 마지막 동기화에서 변경되어 Shopify로 보낸 필드
+  lastChangedAt: { type: Date }, // 마지막으로 실제 변경이 Shopify에 반영된 시간
+  fieldLocks: { type: [fieldLockSchema], default: undefined }, // 동기화에서 제외할(잠긴) 필드
+
+  // 판매 중단(delisting) 정보: 판매완료/예약중, 전체 카탈로그에서 사라진 상품 또는 분류 규칙/카테고리 매핑으로 제외된 상품
+  delistedAt: { type: Date, index: true },
+  delistReason: { type: String, enum: ['SOLD_OUT', 'RESERVED', 'NOT_SELLING', 'MISSING_FROM_CATALOG', 'EXCLUDED_BY_RULE', 'EXCLUDED_BY_CATEGORY', 'EXCLUDED_BY_MODERATION', 'PENDING_REVIEW', null] },
+
+  // 콘텐츠 검수(moderation) 상태. 차단 목록에 매칭되지 않은 상품은 null
+  moderationStatus: { type: String, enum: ['PENDING_REVIEW', 'APPROVED', 'REJECTED', 'AUTO_EXCLUDED', null], default: null, index: true },
+  moderationMatches: { type: [moderationMatchSchema], default: undefined }, // 마지막으로 매칭된 차단 목록 항목
+  moderationFingerprint: { type: String }, // 매칭된 항목 ID 조합. 검수 결과는 같은 조합에 대해서만 유지됨
+  moderationReviewedAt: { type: Date },
+  moderationReviewedBy: { type: String, trim: true },
+  moderationNote: { type: String, maxlength: 1000 },
 
   // 동기화 상태 및 이력
   lastSyncAttemptAt: { type: Date, default: Date.now, index: true },
   lastSuccessfulSyncAt: { type: Date, index: true },
   syncStatus: {
     type: String,
-    enum: ['SYNCED', 'ERROR', 'PENDING', 'PARTIAL_ERROR', 'SKIPPED_NO_CHANGE'],
+    enum: ['SYNCED', 'ERROR', 'PENDING', 'PARTIAL_ERROR', 'SKIPPED_NO_CHANGE', 'SKIPPED_FILTER', 'PENDING_REVIEW'],
     default: 'PENDING',
     index: true,
   },
   syncErrorMessage: { type: String, maxlength: 1000 },
   syncErrorStackSample: { type: String, maxlength: 2000 },
-  syncRetryCount: { type: Number, default: 0, index: true },
+  syncRetryCount: { type: Number, default: 0, index: true }, // 마지막 동기화 중 Shopify/번개장터 API 재시도 횟수
   
   // 추가적인 내부 관리 필드
   isFilteredOut: { type: Boolean, default: false, index: true }, // 카테고리 등으로 필터링 아웃된 상품 표시
+  matchedRuleIds: { type: [String], default: undefined }, // 마지막 동기화 때 매칭된 분류 규칙 ID (우선순위 순)
   notes: { type: String, maxlength: 500 }, // 관리자 메모
 
 }, {
@@ -58,6 +159,7 @@ const syncedProductSchema = new mongoose.Schema({
 });
 
 // 복합 인덱스 (필요에 따라 추가)
+syncedProductSchema.index({ 'fieldLocks.field': 1 }, { sparse: true }); // 잠긴 상품 조회용
 // 예: syncedProductSchema.index({ syncStatus: 1, lastSyncAttemptAt: -1 }); // 특정 상태의 오래된 시도 찾기
 // 예: syncedProductSchema.index({ shopifyProductType: 1, shopifyListedPriceUsd: 1 }); // App Proxy 검색용
 
@@ -0,0 +1,24 @@
+// src/models/translationCache.model.js
+// 번역 결과 캐시. 용어집 자리표시자로 치환된 원문의 SHA-256(sourceHash)과 provider/언어 조합을 키로 사용합니다.
+// 번역문도 자리표시자가 남은 상태로 저장하므로, 용어집의 영문 표기를 바꿔도 다시 번역할 필요가 없습니다.
+const mongoose = require('mongoose');
+
+const translationCacheSchema = new mongoose.Schema({
+  sourceHash: { type: String, required: true },
+  provider: { type: String, required: true },
+  sourceLang: { type: String, required: true },
+  targetLang: { type: String, required: true },
+  sourceText: { type: String, required: true }, // 자리표시자로 치환된 원문 마크업
+  translatedText: { type: String, required: true }, // 자리표시자가 남아 있는 번역문 마크업
+  hitCount: { type: Number, default: 0 },
+  lastUsedAt: { type: Date, default: Date.now, index: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+translationCacheSchema.index({ sourceHash: 1, provider: 1, sourceLang: 1, targetLang: 1 }, { unique: true });
+
+const TranslationCache = mongoose.model('TranslationCache', translationCacheSchema);
+
+module.exports = TranslationCache;
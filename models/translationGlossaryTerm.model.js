@@ -0,0 +1,20 @@
+// src/models/translationGlossaryTerm.model.js
+// 번역 용어집. K-pop 아티스트명, 브랜드명 등 기계 번역하면 안 되는 한국어 용어와 고정 영문 표기를 관리합니다.
+// 번역 전 원문의 용어를 자리표시자로 바꾸고, 번역 후 targetTerm으로 되돌립니다. (긴 용어부터 치환)
+const mongoose = require('mongoose');
+
+const translationGlossaryTermSchema = new mongoose.Schema({
+  sourceTerm: { type: String, required: true, unique: true, trim: true, maxlength: 200 }, // 예: "방탄소년단"
+  targetTerm: { type: String, required: true, trim: true, maxlength: 200 }, // 예: "BTS"
+  category: { type: String, enum: ['ARTIST', 'BRAND', 'OTHER'], default: 'OTHER', index: true },
+  caseSensitive: { type: Boolean, default: false }, // 영문이 섞인 용어의 대소문자 구분 여부
+  enabled: { type: Boolean, default: true, index: true },
+  notes: { type: String, maxlength: 500 },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const TranslationGlossaryTerm = mongoose.model('TranslationGlossaryTerm', translationGlossaryTermSchema);
+
+module.exports = TranslationGlossaryTerm;
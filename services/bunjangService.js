@@ -6,6 +6,7 @@ const config = require('../config');
 const logger = require('../config/logger');
 const { generateBunjangToken } = require('../utils/jwtHelper');
 const { ExternalServiceError, AppError, NotFoundError } = require('../utils/customErrors');
+const { createRetryPolicy, classifyHttpFailure, parseRetryAfterMs, ERROR_CLASSES, DEFAULT_RETRYABLE_ERROR_CLASSES } = require('../utils/retryPolicy');
 const zlib = require('zlib'); // 카탈로그 압축 해제용 (fileDownloader.js로 옮겨도 됨)
 
 const SERVICE_NAME = 'BunjangAPI';
@@ -93,6 +94,29 @@ const handleApiResponseErrorInterceptor = (axiosInstance) => {
 handleApiResponseErrorInterceptor(bunjangApiClient);
 handleApiResponseErrorInterceptor(bunjangCatalogApiClient);
 
+// 재시도 정책: 인터셉터가 변환한 ExternalServiceError의 원본 axios 에러로 오류 종류를 판단
+function classifyBunjangError(error) {
+  const axiosError = axios.isAxiosError(error) ? error : (axios.isAxiosError(error?.originalError) ? error.originalError : null);
+  // JWT 생성 실패 등 요청 전에 발생한 애플리케이션 오류는 재시도하지 않음
+  if (!axiosError) return { errorClass: ERROR_CLASSES.CLIENT_ERROR };
+  return {
+    errorClass: classifyHttpFailure({ status: axiosError.response?.status, code: axiosError.code, message: axiosError.message }),
+    retryAfterMs: parseRetryAfterMs(axiosError.response?.headers?.['retry-after']),
+  };
+}
+
+const bunjangRetryPolicy = createRetryPolicy({
+  name: 'BunjangRetry',
+  classifyError: classifyBunjangError,
+  maxRetries: config.bunjang.apiMaxRetries ?? 3,
+  initialDelayMs: config.bunjang.apiRetryInitialDelayMs ?? 1000,
+  maxDelayMs: config.bunjang.apiRetryMaxDelayMs ?? 30000,
+  retryableErrorClasses: config.bunjang.apiRetryableErrorClasses || DEFAULT_RETRYABLE_ERROR_CLASSES,
+});
+
+// 주문 생성은 멱등하지 않으므로 요청이 처리되지 않은 것이 확실한 경우(연결 실패, 429)에만 재시도
+const ORDER_CREATE_RETRYABLE_ERROR_CLASSES = [ERROR_CLASSES.CONNECT, ERROR_CLASSES.RATE_LIMITED];
+
 
 /**
  * 번개장터 카탈로그 파일을 다운로드하고 압축을 해제하여 문자열로 반환합니다.
@@ -103,9 +127,9 @@ handleApiResponseErrorInterceptor(bunjangCatalogApiClient);
 async function downloadAndUnzipCatalogContent(filename) {
   logger.info(`[BunjangSvc] Downloading Bunjang catalog file: ${filename}`);
   try {
-    const response = await bunjangCatalogApiClient.get(`/catalog/${filename}`, {
+    const response = await bunjangRetryPolicy.execute(() => bunjangCatalogApiClient.get(`/catalog/${filename}`, {
       responseType: 'arraybuffer', // gzip된 바이너리 데이터를 받기 위해
-    });
+    }), { operationName: `downloadCatalog(${filename})` });
     // 성공적인 응답 (200)은 인터셉터에서 이미 처리됨
 
     logger.info(`[BunjangSvc] Catalog file "${filename}" downloaded. Unzipping...`);
@@ -140,7 +164,7 @@ async function getBunjangProductDetails(pid) {
   }
   logger.debug(`[BunjangSvc] Fetching product details for Bunjang PID: ${pid}`);
   try {
-    const response = await bunjangApiClient.get(`/api/v1/products/${pid}`);
+    const response = await bunjangRetryPolicy.execute(() => bunjangApiClient.get(`/api/v1/products/${pid}`), { operationName: `getProductDetails(${pid})` });
     if (response.data && response.data.data) { // API 문서 기준, 실제 데이터는 response.data.data
       logger.info(`[BunjangSvc] Successfully fetched product details for PID ${pid}.`);
       return response.data.data;
@@ -154,7 +178,7 @@ async function getBunjangProductDetails(pid) {
       logger.info(`[BunjangSvc] Bunjang product with PID ${pid} not found (404).`);
       return null; // 404는 "없음"으로 간주하고 null 반환
     }
-    logger.error(`[BunjangSvc] Failed to fetch Bunjang product details for PID ${pid}: ${error.message}`);
+    logger.error(`[BunjangSvc] Failed to fetch Bunjang product details for PID ${pid} after ${error.retryAttempts || 1} attempt(s): ${error.message}`);
     // 그 외 에러는 null 반환 또는 에러를 다시 throw 할 수 있음
     // 여기서는 null 반환하여 호출 측에서 처리하도록 함
     return null;
@@ -164,14 +188,17 @@ async function getBunjangProductDetails(pid) {
 /**
  * 번개장터에 주문을 생성합니다. (Create Order V2 API: /api/v2/orders)
  * @param {object} orderPayload - 주문 생성 API 페이로드.
- * 예: { product: { id: number, price: number }, deliveryPrice: number }
+ * 예: { product: { id: number, price: number, options?: [{ id, value }] }, deliveryPrice: number }
  * @returns {Promise<object>} 번개장터 주문 생성 API 응답의 data 부분 (예: { id: newOrderId }).
  * @throws {ExternalServiceError|AppError} 주문 생성 실패 시.
  */
 async function createBunjangOrderV2(orderPayload) {
   logger.info('[BunjangSvc] Attempting to create Bunjang order (V2):', { productId: orderPayload.product?.id });
   try {
-    const response = await bunjangApiClient.post('/api/v2/orders', orderPayload);
+    const response = await bunjangRetryPolicy.execute(() => bunjangApiClient.post('/api/v2/orders', orderPayload), {
+      operationName: `createOrderV2(${orderPayload.product?.id})`,
+      retryableErrorClasses: ORDER_CREATE_RETRYABLE_ERROR_CLASSES,
+    });
     // 성공 시 API 문서 기준으로는 response.data.data 에 주문 ID가 있음
     if (response.data && response.data.data && response.data.data.id) {
       logger.info('[BunjangSvc] Successfully created Bunjang order (V2).', { 
@@ -184,7 +211,7 @@ async function createBunjangOrderV2(orderPayload) {
     }
   } catch (error) {
     // ExternalServiceError는 인터셉터에서 throw됨
-    logger.error(`[BunjangSvc] Failed to create Bunjang order (V2) for product ID ${orderPayload.product?.id}: ${error.message}`);
+    logger.error(`[BunjangSvc] Failed to create Bunjang order (V2) for product ID ${orderPayload.product?.id} after ${error.retryAttempts || 1} attempt(s): ${error.message}`);
     if (error instanceof AppError || error instanceof ExternalServiceError) throw error;
     throw new AppError(`번개장터 주문 생성 실패 (V2): ${error.message}`, 500, 'BUNJANG_ORDER_CREATE_V2_ERROR');
   }
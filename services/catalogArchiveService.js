@@ -0,0 +1,146 @@
+// src/services/catalogArchiveService.js
+// 내려받은 카탈로그 CSV를 gzip으로 압축해 로컬 아카이브에 보관하고, 보관 기간이 지난 파일을 정리합니다.
+// 아카이브된 파일은 잘못된 실행을 조사하거나 과거 파일을 다시 처리(replay)하는 데 사용됩니다.
+
+const fs = require('fs-extra');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { pipeline } = require('node:stream/promises');
+
+const config = require('../config');
+const logger = require('../config/logger');
+const { NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CatalogArchiveSvc';
+const ARCHIVE_DIR = config.bunjang?.catalogArchiveDir || './catalog_archive';
+const ARCHIVE_FILE_NAME_REGEX = /^(full-\d{8}|segment-\d{8}_\d{2})\.csv\.gz$/;
+
+function getRetentionDays() {
+  const days = parseInt(config.bunjang?.catalogArchiveRetentionDays, 10);
+  return isNaN(days) ? 14 : days;
+}
+
+function isValidArchiveFileName(fileName) {
+  return ARCHIVE_FILE_NAME_REGEX.test(String(fileName || ''));
+}
+
+/**
+ * 카탈로그 파일명에서 카탈로그 타입을 추출합니다. (예: "full-20240524.csv.gz" → "full")
+ */
+function getCatalogTypeFromFileName(fileName) {
+  return String(fileName).startsWith('segment-') ? 'segment' : 'full';
+}
+
+function resolveArchivePath(fileName) {
+  if (!isValidArchiveFileName(fileName)) {
+    throw new ValidationError(`유효하지 않은 카탈로그 아카이브 파일명입니다: ${fileName}`, [{ field: 'fileName', message: 'Expected full-YYYYMMDD.csv.gz or segment-YYYYMMDD_HH.csv.gz' }]);
+  }
+  return path.join(ARCHIVE_DIR, getCatalogTypeFromFileName(fileName), fileName);
+}
+
+/**
+ * 압축 해제된 카탈로그 CSV를 아카이브에 gzip으로 저장합니다. 같은 이름의 파일이 있으면 덮어씁니다.
+ * 저장 후 보관 기간이 지난 파일을 정리합니다.
+ * @param {string} localCsvPath - 압축 해제된 CSV 파일 경로.
+ * @param {string} fileName - 원본 카탈로그 파일명 (예: "full-20240524.csv.gz").
+ * @param {string} [jobId='N/A'] - 로깅용 작업 ID.
+ * @returns {Promise<string>} 아카이브 파일 경로.
+ */
+async function archiveCatalogFile(localCsvPath, fileName, jobId = 'N/A') {
+  const archivePath = resolveArchivePath(fileName);
+  const tempArchivePath = `${archivePath}.${Date.now()}.tmp`;
+  await fs.ensureDir(path.dirname(archivePath));
+
+  try {
+    await pipeline(fs.createReadStream(localCsvPath), zlib.createGzip(), fs.createWriteStream(tempArchivePath));
+    await fs.move(tempArchivePath, archivePath, { overwrite: true });
+  } catch (error) {
+    await fs.remove(tempArchivePath).catch(() => {});
+    throw error;
+  }
+
+  const stats = await fs.stat(archivePath);
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Archived catalog file ${fileName} to ${archivePath} (${stats.size} bytes).`);
+
+  await pruneExpiredArchives(jobId).catch(err => logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Failed to prune expired catalog archives: ${err.message}`));
+  return archivePath;
+}
+
+/**
+ * 보관 기간(catalogArchiveRetentionDays)이 지난 아카이브 파일을 삭제합니다. 0 이하이면 삭제하지 않습니다.
+ * @returns {Promise<number>} 삭제된 파일 수.
+ */
+async function pruneExpiredArchives(jobId = 'N/A') {
+  const retentionDays = getRetentionDays();
+  if (retentionDays <= 0) return 0;
+
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const files = await listArchivedFiles();
+  let removed = 0;
+  for (const file of files) {
+    if (file.archivedAt.getTime() < cutoff) {
+      await fs.remove(resolveArchivePath(file.fileName));
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] Removed ${removed} catalog archive files older than ${retentionDays} days.`);
+  }
+  return removed;
+}
+
+/**
+ * 아카이브된 카탈로그 파일 목록을 최신순으로 반환합니다.
+ * @param {object} [filter]
+ * @param {string} [filter.catalogType] - 'full' | 'segment'.
+ * @returns {Promise<Array<{fileName: string, catalogType: string, sizeBytes: number, archivedAt: Date}>>}
+ */
+async function listArchivedFiles({ catalogType } = {}) {
+  const types = catalogType ? [catalogType] : ['full', 'segment'];
+  const files = [];
+  for (const type of types) {
+    const dir = path.join(ARCHIVE_DIR, type);
+    if (!(await fs.pathExists(dir))) continue;
+    for (const fileName of await fs.readdir(dir)) {
+      if (!isValidArchiveFileName(fileName)) continue; // 작성 중인 .tmp 등 제외
+      const stats = await fs.stat(path.join(dir, fileName));
+      files.push({ fileName, catalogType: type, sizeBytes: stats.size, archivedAt: stats.mtime });
+    }
+  }
+  return files.sort((a, b) => b.archivedAt - a.archivedAt);
+}
+
+/**
+ * 아카이브 파일이 존재하는지 확인하고 경로를 반환합니다.
+ * @throws {ValidationError} 파일명이 형식에 맞지 않을 때.
+ * @throws {NotFoundError} 아카이브에 파일이 없을 때.
+ */
+async function getArchivedFilePath(fileName) {
+  const archivePath = resolveArchivePath(fileName);
+  if (!(await fs.pathExists(archivePath))) {
+    throw new NotFoundError(`아카이브에서 카탈로그 파일을 찾을 수 없습니다: ${fileName}`, 'CatalogArchive', fileName);
+  }
+  return archivePath;
+}
+
+/**
+ * 아카이브 파일을 지정한 경로에 압축 해제합니다.
+ * @returns {Promise<string>} 압축 해제된 CSV 경로.
+ */
+async function extractArchivedFile(fileName, destinationCsvPath) {
+  const archivePath = await getArchivedFilePath(fileName);
+  await fs.ensureDir(path.dirname(destinationCsvPath));
+  await pipeline(fs.createReadStream(archivePath), zlib.createGunzip(), fs.createWriteStream(destinationCsvPath));
+  logger.info(`[${SERVICE_NAME}] Extracted archived catalog file ${fileName} to ${destinationCsvPath}.`);
+  return destinationCsvPath;
+}
+
+module.exports = {
+  isValidArchiveFileName,
+  getCatalogTypeFromFileName,
+  archiveCatalogFile,
+  pruneExpiredArchives,
+  listArchivedFiles,
+  getArchivedFilePath,
+  extractArchivedFile,
+};
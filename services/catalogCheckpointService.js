@@ -0,0 +1,148 @@
+// src/services/catalogCheckpointService.js
+// 카탈로그 처리 체크포인트를 MongoDB에 저장/조회합니다.
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { pipeline } = require('node:stream/promises');
+const { v4: uuidv4 } = require('uuid');
+
+const logger = require('../config/logger');
+const CatalogCheckpoint = require('../models/catalogCheckpoint.model');
+
+const SERVICE_NAME = 'CheckpointSvc';
+
+/**
+ * 파일 내용의 SHA-256 해시와 크기를 계산합니다. (스트림 기반)
+ * @param {string} filePath - 대상 파일 경로.
+ * @returns {Promise<{sha256: string, sizeBytes: number}>}
+ */
+async function computeFileIdentity(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  const stats = await fs.stat(filePath);
+  return { sha256: hash.digest('hex'), sizeBytes: stats.size };
+}
+
+function isSameFileIdentity(a, b) {
+  return Boolean(a && b && a.sha256 && a.sha256 === b.sha256 && a.sizeBytes === b.sizeBytes);
+}
+
+/**
+ * 같은 파일에 대해 진행 중인(IN_PROGRESS) 가장 최근 체크포인트를 조회합니다.
+ * 아카이브 재처리(replay) 실행은 정기 실행과 별도의 체크포인트를 사용합니다.
+ * @returns {Promise<object|null>}
+ */
+async function findResumableCheckpoint(catalogType, fileName, { isReplay = false } = {}) {
+  return CatalogCheckpoint.findOne({ catalogType, fileName, isReplay: isReplay ? true : { $ne: true }, status: 'IN_PROGRESS' }).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * 새 실행의 체크포인트를 생성합니다.
+ */
+async function createCheckpoint({ catalogType, fileName, fileIdentity, isReplay = false, jobId }) {
+  const checkpoint = await CatalogCheckpoint.create({
+    runId: uuidv4(),
+    catalogType,
+    fileName,
+    fileIdentity,
+    isReplay,
+    runStartedAt: new Date(),
+    lastCheckpointAt: new Date(),
+    lastJobId: jobId,
+  });
+  logger.info(`[${SERVICE_NAME}] Created checkpoint ${checkpoint.runId} for ${catalogType} catalog file ${fileName}.`);
+  return checkpoint.toObject();
+}
+
+/**
+ * 기존 체크포인트에서 재개함을 기록합니다.
+ */
+async function markCheckpointResumed(runId, jobId) {
+  return CatalogCheckpoint.findOneAndUpdate(
+    { runId },
+    { $inc: { resumeCount: 1 }, $set: { lastJobId: jobId, lastCheckpointAt: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * 파일 내용이 바뀌어 더 이상 이어서 처리할 수 없는 체크포인트를 종료 처리합니다.
+ */
+async function supersedeCheckpoint(runId, reason) {
+  await CatalogCheckpoint.updateOne({ runId }, { $set: { status: 'SUPERSEDED', failureMessage: String(reason || '').substring(0, 1000) } });
+  logger.warn(`[${SERVICE_NAME}] Checkpoint ${runId} superseded: ${reason}`);
+}
+
+/**
+ * 진행 상황을 커밋합니다. lastCommittedRow 이하의 행은 모두 처리가 끝난 상태여야 합니다.
+ */
+async function saveCheckpointProgress(runId, lastCommittedRow, counters) {
+  await CatalogCheckpoint.updateOne(
+    { runId, status: 'IN_PROGRESS' },
+    { $set: { lastCommittedRow, counters, lastCheckpointAt: new Date() } }
+  );
+}
+
+async function completeCheckpoint(runId, lastCommittedRow, counters) {
+  await CatalogCheckpoint.updateOne(
+    { runId },
+    { $set: { status: 'COMPLETED', lastCommittedRow, counters, lastCheckpointAt: new Date(), completedAt: new Date() } }
+  );
+  logger.info(`[${SERVICE_NAME}] Checkpoint ${runId} completed at row ${lastCommittedRow}.`);
+}
+
+/**
+ * 실행이 실패했음을 기록합니다. 상태는 IN_PROGRESS로 유지하여 재시도 시 이어서 처리되도록 합니다.
+ */
+async function recordCheckpointFailure(runId, error) {
+  await CatalogCheckpoint.updateOne(
+    { runId },
+    { $set: { failureMessage: String(error?.message || error || '').substring(0, 1000), lastCheckpointAt: new Date() } }
+  ).catch(err => logger.warn(`[${SERVICE_NAME}] Failed to record failure on checkpoint ${runId}: ${err.message}`));
+}
+
+/**
+ * 해당 파일을 정기 실행(재처리 제외)으로 완료한 기록이 있는지 확인합니다.
+ */
+async function hasCompletedCheckpoint(catalogType, fileName) {
+  const exists = await CatalogCheckpoint.exists({ catalogType, fileName, isReplay: { $ne: true }, status: 'COMPLETED' });
+  return Boolean(exists);
+}
+
+/**
+ * 주어진 파일명 중 완료되었거나 진행 중인 정기 실행 기록이 있는 파일명 집합을 반환합니다.
+ * @returns {Promise<Set<string>>}
+ */
+async function findCheckpointFileNames(catalogType, fileNames) {
+  const docs = await CatalogCheckpoint.find({
+    catalogType,
+    fileName: { $in: fileNames },
+    isReplay: { $ne: true },
+    status: { $in: ['COMPLETED', 'IN_PROGRESS'] },
+  }).select('fileName').lean();
+  return new Set(docs.map(doc => doc.fileName));
+}
+
+/**
+ * 해당 카탈로그 타입의 가장 오래된 체크포인트 생성 시각을 반환합니다. (체크포인트 기록 시작 시점)
+ * @returns {Promise<Date|null>}
+ */
+async function findEarliestCheckpointDate(catalogType) {
+  const doc = await CatalogCheckpoint.findOne({ catalogType }).sort({ createdAt: 1 }).select('createdAt').lean();
+  return doc ? doc.createdAt : null;
+}
+
+module.exports = {
+  computeFileIdentity,
+  isSameFileIdentity,
+  findResumableCheckpoint,
+  createCheckpoint,
+  markCheckpointResumed,
+  supersedeCheckpoint,
+  saveCheckpointProgress,
+  completeCheckpoint,
+  recordCheckpointFailure,
+  hasCompletedCheckpoint,
+  findCheckpointFileNames,
+  findEarliestCheckpointDate,
+};
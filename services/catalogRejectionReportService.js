@@ -0,0 +1,114 @@
+// src/services/catalogRejectionReportService.js
+// processCatalogRow에서 거부된 카탈로그 행을 사유별로 집계하고, 실행(run)이 끝나면 CatalogRejectionReport로 저장합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const CatalogRejectionReport = require('../models/catalogRejectionReport.model');
+const { NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CatalogRejectionReportSvc';
+const SAMPLE_SIZE = config.bunjang?.rejectionSampleSize ?? 20;
+const MAX_SAMPLE_VALUE_LENGTH = 500;
+
+// 설명 등 긴 값 때문에 문서가 커지지 않도록 샘플 행의 값을 잘라서 저장
+function truncateRow(row) {
+  return Object.fromEntries(Object.entries(row || {}).map(([key, value]) => {
+    const text = String(value ?? '');
+    return [key, text.length > MAX_SAMPLE_VALUE_LENGTH ? `${text.substring(0, MAX_SAMPLE_VALUE_LENGTH)}…` : text];
+  }));
+}
+
+/**
+ * 거부된 행을 모으는 수집기를 만듭니다. processCatalogRow의 세 번째 인자로 전달합니다.
+ * @param {object} [initialCountsByReason] - 체크포인트에서 재개한 경우 이전 실행까지의 사유별 건수 (getCountsByReason 결과). 샘플은 이어받지 않습니다.
+ * @returns {{record: Function, getTotal: Function, getCountsByReason: Function, toReasons: Function}}
+ *   record(reason, row, rowNumber, pid): 거부된 행 한 건을 기록 (사유별로 SAMPLE_SIZE개까지 샘플 보관).
+ */
+function createRejectionCollector(initialCountsByReason = {}) {
+  const byReason = new Map();
+  let total = 0;
+  Object.entries(initialCountsByReason || {}).forEach(([reason, count]) => {
+    if (!Number.isInteger(count) || count <= 0) return;
+    byReason.set(reason, { reason, count, samplePids: [], sampleRows: [] });
+    total += count;
+  });
+
+  const record = (reason, row, rowNumber, pid) => {
+    total++;
+    let entry = byReason.get(reason);
+    if (!entry) {
+      entry = { reason, count: 0, samplePids: [], sampleRows: [] };
+      byReason.set(reason, entry);
+    }
+    entry.count++;
+    if (entry.sampleRows.length < SAMPLE_SIZE) {
+      if (pid) entry.samplePids.push(pid);
+      entry.sampleRows.push({ rowNumber, pid: pid || null, row: truncateRow(row) });
+    }
+  };
+
+  return {
+    record,
+    getTotal: () => total,
+    getCountsByReason: () => Object.fromEntries([...byReason.values()].map(entry => [entry.reason, entry.count])),
+    toReasons: () => [...byReason.values()].sort((a, b) => b.count - a.count),
+  };
+}
+
+/**
+ * 수집한 거부 행을 리포트로 저장합니다. 저장에 실패해도 카탈로그 처리는 계속되도록 null을 반환합니다.
+ * @param {object} collector - createRejectionCollector 결과.
+ * @param {object} meta - { jobId, runId, catalogType, fileName, isReplay, dryRun, failed, resumedFromRow, totalRows, startedAt }.
+ * @returns {Promise<object|null>} 저장된 리포트 (실패 시 null).
+ */
+async function saveRejectionReport(collector, meta) {
+  try {
+    const report = await CatalogRejectionReport.create({
+      ...meta,
+      rejectedRows: collector.getTotal(),
+      reasons: collector.toReasons(),
+      finishedAt: new Date(),
+    });
+    if (report.rejectedRows > 0) {
+      logger.info(`[${SERVICE_NAME}:Job-${meta.jobId}] ${report.rejectedRows} catalog row(s) rejected in ${meta.fileName}: ${JSON.stringify(collector.getCountsByReason())} (report ${report._id}).`);
+    }
+    return report.toObject();
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}:Job-${meta.jobId}] Failed to save rejection report for ${meta.fileName}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 리포트 목록을 최신순으로 반환합니다. (샘플 행 제외)
+ */
+async function listRejectionReports({ fileName, catalogType, offset = 0, limit = 50 } = {}) {
+  const filter = {};
+  if (fileName) filter.fileName = fileName;
+  if (catalogType) filter.catalogType = catalogType;
+  const [reports, total] = await Promise.all([
+    CatalogRejectionReport.find(filter).select('-reasons.sampleRows').sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+    CatalogRejectionReport.countDocuments(filter),
+  ]);
+  return { total, reports };
+}
+
+/**
+ * 리포트 하나를 샘플 행과 함께 반환합니다.
+ * @param {string} reportId - 리포트 ID.
+ * @param {object} [options]
+ * @param {string} [options.reason] - 특정 거부 사유만 조회.
+ */
+async function getRejectionReport(reportId, { reason } = {}) {
+  const report = await CatalogRejectionReport.findById(reportId).lean();
+  if (!report) throw new NotFoundError(`거부 행 리포트를 찾을 수 없습니다: ${reportId}`, 'CatalogRejectionReport', reportId);
+  if (reason) report.reasons = report.reasons.filter(entry => entry.reason === reason);
+  return report;
+}
+
+module.exports = {
+  createRejectionCollector,
+  saveRejectionReport,
+  listRejectionReports,
+  getRejectionReport,
+};
@@ -14,10 +14,43 @@ const logger = require('../config/logger');
 const shopifyService = require('./shopifyService');
 const SyncedProduct = require('../models/syncedProduct.model');
 const { calculateShopifyPriceUsd } = require('./priceCalculationService');
+const checkpointService = require('./catalogCheckpointService');
+const catalogArchiveService = require('./catalogArchiveService');
+const dryRunReportService = require('./dryRunReportService');
+const catalogRejectionReportService = require('./catalogRejectionReportService');
+const syncRunService = require('./syncRunService');
+const shopifyBulkOperationService = require('./shopifyBulkOperationService');
+const { recordProductEvent, buildFieldChanges } = require('./productEventService');
+const {
+  mapSaleStatusToDelistReason,
+  planDelistSyncedProduct,
+  planDelistProductsMissingFromCatalog,
+  delistSyncedProduct,
+  delistProductsMissingFromCatalog,
+  markProductsSeenInCatalog,
+} = require('./productDelistService');
+const { parseBunjangOptions, buildBunjangSku, buildBunjangOptionVariants, buildBunjangMetafields } = require('../mappers/productMapper');
+const { classifyProduct } = require('./classificationRuleService');
+const { moderateProduct, applyAutomaticModeration } = require('./moderationService');
+const { translateProductText } = require('./translationService');
+const { resolveDescriptionTemplate, renderProductDescription } = require('./descriptionTemplateService');
+const { resolveCategoryMapping } = require('./categoryMappingService');
+const { reconcileProductMedia } = require('./productMediaService');
+const { isImagePipelineEnabled, enqueueProductImageProcessing } = require('./imagePipelineService');
+const { SNAPSHOT_FIELDS, PRODUCT_FIELDS, buildSyncSnapshot, diffSyncSnapshots, diffLists, isStaleCatalogRow } = require('./productDiffService');
+const { getLockedSnapshotFields, applyFieldLocksToSnapshot } = require('./productFieldLockService');
+const { resolveProductHandle, buildProductSeo } = require('./seoService');
 const { AppError, ExternalServiceError } = require('../utils/customErrors');
+const { trackRetryStats, getRetryStats } = require('../utils/retryPolicy');
 
 const BUNJANG_COLLECTION_GID = 'gid://shopify/Collection/445888299257';
 const TEMP_DOWNLOAD_DIR = config.tempDir || './tmp_downloads';
+// bulk 모드에서 한 번의 bulk productSet으로 반영할 최대 상품 수 (체크포인트 간격으로도 사용)
+const BULK_BATCH_SIZE = config.bunjang?.bulkBatchSize || 2000;
+// 번역 결과로 만들어지는 스냅샷 필드 (번역 실패 시 기존 Shopify 값 유지)
+const TRANSLATED_SNAPSHOT_FIELDS = ['title', 'descriptionHtml', 'seo'];
+// 판매자가 Shopify에서 직접 지정했으면 동기화가 되돌리지 않는 상품 상태
+const MERCHANT_HELD_STATUSES = ['ARCHIVED', 'DRAFT'];
 
 async function generateBunjangAuthHeader() {
   if (!config.bunjang.accessKey || !config.bunjang.secretKey) {
@@ -93,44 +126,229 @@ async function downloadAndProcessFile(fileUrl, downloadDir, baseOutputFileName,
   }
 }
 
-async function parseCsvFileWithRowProcessor(csvFilePath, rowProcessor) {
-  const products = [];
+/**
+ * CSV 파일을 스트림으로 읽으면서 유효한 행을 바로 productHandler로 넘기는 파이프라인입니다.
+ * 동시에 처리 중인 상품 수가 concurrency에 도달하면 다음 행을 읽지 않고 기다리므로
+ * (for await 기반 백프레셔) 전체 CSV를 메모리에 올리지 않습니다.
+ * productHandler의 반환값/예외 처리는 호출하는 쪽의 책임이며, 여기서는 reject된 작업만 로깅합니다.
+ *
+ * startAfterRow가 주어지면 해당 행 번호까지는 읽기만 하고 처리하지 않습니다 (체크포인트 재개).
+ * checkpointEveryRows마다 처리 중인 작업이 모두 끝나기를 기다린 뒤 onCheckpoint(rowNumber)를 호출하므로,
+ * 전달된 행 번호 이하의 행은 모두 처리가 끝난 상태임이 보장됩니다.
+ * @returns {Promise<{totalRows: number, validRows: number, skippedRows: number}>}
+ */
+async function processCsvFileAsPipeline(csvFilePath, rowProcessor, productHandler, {
+  concurrency = 1,
+  startAfterRow = 0,
+  checkpointEveryRows = 0,
+  onCheckpoint = null,
+} = {}) {
+  const maxInFlight = Math.max(1, parseInt(concurrency, 10) || 1);
+  const inFlight = new Set();
   let rowNumber = 0;
-  return new Promise((resolve, reject) => {
-    fs.createReadStream(csvFilePath)
-      .pipe(csv())
-      .on('data', (row) => {
-        rowNumber++;
-        const processedRow = rowProcessor(row, rowNumber);
-        if (processedRow) {
-          products.push(processedRow);
+  let validRows = 0;
+  let lastCheckpointRow = startAfterRow;
+
+  const source = fs.createReadStream(csvFilePath);
+  const parser = csv();
+  source.on('error', (error) => parser.destroy(error)); // 파일 읽기 오류도 for await 쪽으로 전달
+  source.pipe(parser);
+
+  try {
+    for await (const row of parser) {
+      rowNumber++;
+      if (rowNumber <= startAfterRow) continue; // 이전 실행에서 이미 커밋된 행
+
+      const product = rowProcessor(row, rowNumber);
+      if (product) {
+        validRows++;
+
+        const currentRow = rowNumber;
+        const task = Promise.resolve()
+          .then(() => productHandler(product, currentRow))
+          .catch((error) => logger.error(`[CatalogSvc] Unhandled error in pipeline handler for row #${currentRow} (PID ${product.pid}):`, error))
+          .finally(() => inFlight.delete(task));
+        inFlight.add(task);
+
+        if (inFlight.size >= maxInFlight) {
+          await Promise.race(inFlight);
         }
-      })
-      .on('end', () => {
-        logger.info(`[CatalogSvc] Successfully parsed and processed ${products.length} products (from ${rowNumber} CSV data rows) from ${csvFilePath}`);
-        resolve({ products, totalRows: rowNumber });
-      })
-      .on('error', (error) => {
-        logger.error(`[CatalogSvc] Error parsing CSV file ${csvFilePath}:`, error);
-        reject(new AppError(`CSV 파일 파싱 오류: ${csvFilePath}`, 500, 'CSV_PARSE_ERROR', error));
-      });
-  });
+      }
+
+      if (onCheckpoint && checkpointEveryRows > 0 && rowNumber - lastCheckpointRow >= checkpointEveryRows) {
+        await Promise.allSettled(inFlight);
+        await onCheckpoint(rowNumber);
+        lastCheckpointRow = rowNumber;
+      }
+    }
+  } catch (error) {
+    await Promise.allSettled(inFlight);
+    logger.error(`[CatalogSvc] Error parsing CSV file ${csvFilePath} at row #${rowNumber}:`, error);
+    throw new AppError(`CSV 파일 파싱 오류: ${csvFilePath}`, 500, 'CSV_PARSE_ERROR', error);
+  }
+
+  await Promise.allSettled(inFlight);
+  const skippedRows = Math.min(startAfterRow, rowNumber);
+  logger.info(`[CatalogSvc] Streamed ${validRows} valid products (from ${rowNumber - skippedRows} CSV data rows${skippedRows > 0 ? `, ${skippedRows} already committed rows skipped` : ''}) through sync pipeline from ${csvFilePath}`);
+  return { totalRows: rowNumber, validRows, skippedRows };
 }
 
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const CATALOG_FILE_NAME_REGEX = /^(full-(\d{4})(\d{2})(\d{2})|segment-(\d{4})(\d{2})(\d{2})_(\d{2}))\.csv\.gz$/;
+
+/**
+ * 번개장터 카탈로그 파일명을 KST 기준 날짜/시간으로 생성합니다. 서버의 로컬 타임존과 무관합니다.
+ * @param {string} type - 'full' | 'segment'.
+ * @param {Date} [date=new Date()] - 기준 시각.
+ * @returns {string} 예: "full-20240524.csv.gz", "segment-20240524_13.csv.gz".
+ */
 function generateBunjangCatalogFilename(type, date = new Date()) {
-  const year = date.getFullYear();
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const day = date.getDate().toString().padStart(2, '0');
+  const kstDate = new Date(date.getTime() + KST_OFFSET_MS); // UTC getter로 KST 값을 읽기 위함
+  const year = kstDate.getUTCFullYear();
+  const month = (kstDate.getUTCMonth() + 1).toString().padStart(2, '0');
+  const day = kstDate.getUTCDate().toString().padStart(2, '0');
   if (type === 'full') {
     return `full-${year}${month}${day}.csv.gz`;
   } else if (type === 'segment') {
-    const hour = date.getHours().toString().padStart(2, '0');
+    const hour = kstDate.getUTCHours().toString().padStart(2, '0');
     return `segment-${year}${month}${day}_${hour}.csv.gz`;
   }
   throw new AppError('유효하지 않은 카탈로그 타입입니다.', 400, 'INVALID_CATALOG_TYPE');
 }
 
-function processCatalogRow(row, rowNumber) {
+/**
+ * 카탈로그 파일명이 가리키는 KST 날짜/시간의 시작 시각을 반환합니다. 형식이 맞지 않으면 null.
+ */
+function parseBunjangCatalogFileDate(fileName) {
+  const match = CATALOG_FILE_NAME_REGEX.exec(String(fileName || ''));
+  if (!match) return null;
+  const [year, month, day, hour] = match[2]
+    ? [match[2], match[3], match[4], '0']
+    : [match[5], match[6], match[7], match[8]];
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour)) - KST_OFFSET_MS);
+}
+
+function buildCatalogFileUrl(catalogType, fileName) {
+  if (!config.bunjang?.catalogApiUrl) {
+    logger.error('[CatalogSvc] Bunjang catalog API URL (config.bunjang.catalogApiUrl) is not configured.');
+    throw new AppError("Bunjang catalog API URL is not configured.", 500, "BUNJANG_URL_MISSING");
+  }
+  return `${config.bunjang.catalogApiUrl}/catalog/${catalogType}/${fileName}`;
+}
+
+/**
+ * 카탈로그 파일이 게시되었는지 HEAD 요청으로 확인합니다.
+ * 404/403은 아직 게시되지 않은 것으로 보며, 네트워크 오류도 이번 시도에서는 없는 것으로 처리합니다.
+ * @returns {Promise<boolean>}
+ */
+async function probeCatalogFile(catalogType, fileName, jobId = 'N/A') {
+  const fileUrl = buildCatalogFileUrl(catalogType, fileName);
+  try {
+    const authHeader = await generateBunjangAuthHeader();
+    const response = await axios({
+      method: 'head',
+      url: fileUrl,
+      headers: { ...authHeader },
+      timeout: config.bunjang?.catalogProbeTimeoutMs || 15000,
+      validateStatus: () => true,
+    });
+    if (response.status >= 200 && response.status < 300) return true;
+    if (response.status === 405) {
+      // HEAD를 지원하지 않으면 실제 다운로드에서 판단하도록 존재하는 것으로 간주
+      logger.warn(`[CatalogSvc:Job-${jobId}] HEAD not allowed for ${fileUrl}. Assuming the file is available.`);
+      return true;
+    }
+    logger.info(`[CatalogSvc:Job-${jobId}] Catalog file ${fileName} is not available yet (status ${response.status}).`);
+    return false;
+  } catch (error) {
+    logger.warn(`[CatalogSvc:Job-${jobId}] Probe request for ${fileUrl} failed: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 처리할 카탈로그 파일을 결정합니다.
+ * 1) probeStartedAt 기준 KST 파일을 probe. 없고 catalogProbeWindowMs가 남았으면 기다리지 않고 retryAfterMs를 반환하며,
+ *    워커가 같은 probeStartedAt으로 지연 작업을 다시 추가합니다. (워커가 probe 대기로 묶이지 않도록)
+ * 2) 대기 시간이 지나도 없으면 이전 날짜(full) 또는 이전 시간(segment) 파일 중 가장 최근에 게시된 파일로 대체
+ *    단, 이미 처리 완료된 파일을 만나면 더 새로운 파일이 없는 것이므로 중단합니다.
+ * @param {Date|string} [probeStartedAt=new Date()] - 첫 probe 시각. 예상 파일명과 대기 시간의 기준입니다.
+ * @returns {Promise<{fileName: string, isFallback: boolean}|{fileName: null, expectedFileName: string, retryAfterMs: number, probeStartedAt: Date}|null>}
+ *   처리할 파일이 없으면 null.
+ */
+async function resolveAvailableCatalogFile(catalogType, jobId = 'N/A', probeStartedAt = new Date()) {
+  const now = new Date(probeStartedAt);
+  const expectedFileName = generateBunjangCatalogFilename(catalogType, now);
+  const windowMs = config.bunjang?.catalogProbeWindowMs ?? 10 * 60 * 1000;
+  const intervalMs = Math.max(1000, config.bunjang?.catalogProbeIntervalMs ?? 60 * 1000);
+
+  if (await probeCatalogFile(catalogType, expectedFileName, jobId)) {
+    return { fileName: expectedFileName, isFallback: false };
+  }
+  if (Date.now() + intervalMs <= now.getTime() + windowMs) {
+    logger.info(`[CatalogSvc:Job-${jobId}] Catalog file ${expectedFileName} not published yet. Probing again in ${intervalMs / 1000}s.`);
+    return { fileName: null, expectedFileName, retryAfterMs: intervalMs, probeStartedAt: now };
+  }
+
+  const stepMs = catalogType === 'full' ? 24 * HOUR_MS : HOUR_MS;
+  const maxSteps = catalogType === 'full'
+    ? (config.bunjang?.catalogFallbackMaxDays ?? 2)
+    : (config.bunjang?.segmentFallbackMaxHours ?? 3);
+  logger.warn(`[CatalogSvc:Job-${jobId}] Catalog file ${expectedFileName} is still not available after ${windowMs / 1000}s. Looking for the most recent available file (up to ${maxSteps} back).`);
+
+  for (let step = 1; step <= maxSteps; step++) {
+    const candidate = generateBunjangCatalogFilename(catalogType, new Date(now.getTime() - step * stepMs));
+    if (await checkpointService.hasCompletedCheckpoint(catalogType, candidate)) {
+      logger.info(`[CatalogSvc:Job-${jobId}] Fallback candidate ${candidate} was already processed. No newer ${catalogType} catalog file is available.`);
+      return null;
+    }
+    if (await probeCatalogFile(catalogType, candidate, jobId)) {
+      logger.warn(`[CatalogSvc:Job-${jobId}] Falling back to catalog file ${candidate} instead of ${expectedFileName}.`);
+      return { fileName: candidate, isFallback: true };
+    }
+  }
+  return null;
+}
+
+/**
+ * 처리한 세그먼트 파일보다 이전 시간대 중, 처리 기록(체크포인트)이 없는 세그먼트 파일명을 찾습니다.
+ * 체크포인트 기록이 시작되기 이전 시간대는 대상에서 제외합니다.
+ * @param {string} processedFileName - 방금 처리한 세그먼트 파일명.
+ * @returns {Promise<string[]>} 오래된 순서의 누락 파일명 목록.
+ */
+async function findMissedSegmentFiles(processedFileName, jobId = 'N/A') {
+  const lookbackHours = config.bunjang?.segmentBackfillHours ?? 24;
+  const processedFileDate = parseBunjangCatalogFileDate(processedFileName);
+  if (lookbackHours <= 0 || !processedFileDate || config.bunjang?.catalogCheckpointEnabled === false) return [];
+
+  const trackingStartedAt = await checkpointService.findEarliestCheckpointDate('segment');
+  if (!trackingStartedAt) return [];
+
+  const candidates = [];
+  for (let hour = lookbackHours; hour >= 1; hour--) {
+    const fileDate = new Date(processedFileDate.getTime() - hour * HOUR_MS);
+    if (fileDate.getTime() + HOUR_MS < trackingStartedAt.getTime()) continue;
+    candidates.push(generateBunjangCatalogFilename('segment', fileDate));
+  }
+  if (candidates.length === 0) return [];
+
+  const knownFileNames = await checkpointService.findCheckpointFileNames('segment', candidates);
+  const missed = candidates.filter(fileName => !knownFileNames.has(fileName));
+  if (missed.length > 0) {
+    logger.warn(`[CatalogSvc:Job-${jobId}] ${missed.length} segment catalog files in the last ${lookbackHours}h have no processing record: ${missed.join(', ')}`);
+  }
+  return missed;
+}
+
+/**
+ * CSV 행을 동기화할 상품 객체로 변환합니다. 동기화/판매 중단 대상이 아니면 null을 반환합니다.
+ * @param {object} row - CSV 행.
+ * @param {number} rowNumber - 행 번호 (로깅용).
+ * @param {object} [rejections] - catalogRejectionReportService.createRejectionCollector 결과. 거부 사유를 기록합니다.
+ * @returns {object|null}
+ */
+function processCatalogRow(row, rowNumber, rejections = null) {
   const product = {
     pid: (row.pid || '').trim(),
     name: (row.name || '').trim(),
@@ -163,41 +381,50 @@ function processCatalogRow(row, rowNumber) {
     product.updatedAt = null; product.createdAt = null;
   }
 
-  if (product.saleStatus !== 'SELLING') {
-    logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped: saleStatus is '${product.saleStatus}' (not SELLING).`);
+  const reject = (reason) => {
+    if (rejections) rejections.record(reason, row, rowNumber, product.pid);
     return null;
+  };
+
+  if (product.saleStatus !== 'SELLING') {
+    if (!product.pid) return reject('MISSING_PID');
+    // 판매중이 아닌 행은 동기화 대신 판매 중단(delisting) 처리 대상으로 넘김
+    logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} routed to delisting: saleStatus is '${product.saleStatus}' (not SELLING).`);
+    product.isSelling = false;
+    return product;
   }
   if (!product.pid || !product.name || isNaN(product.price) || !product.updatedAt) {
     logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped due to missing essential data (pid, name, price, or valid updatedAt).`);
-    return null;
+    if (!product.pid) return reject('MISSING_PID');
+    if (!product.name) return reject('MISSING_NAME');
+    if (isNaN(product.price)) return reject('INVALID_PRICE');
+    return reject(product.updatedAtString ? 'INVALID_DATE' : 'MISSING_UPDATED_AT');
   }
   const filterCategoryIds = config.bunjang.filterCategoryIds || [];
   if (filterCategoryIds.length > 0 && product.categoryId && !filterCategoryIds.includes(product.categoryId)) {
     logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped: categoryId '${product.categoryId}' not in filter list [${filterCategoryIds.join(', ')}].`);
-    return null;
+    return reject('CATEGORY_FILTERED');
   }
   if (product.price < 0 || (!isNaN(product.quantity) && product.quantity < 0)) {
     logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped due to invalid price (${product.price}) or quantity (${product.quantity}).`);
-    return null;
+    return reject(product.price < 0 ? 'NEGATIVE_PRICE' : 'NEGATIVE_QUANTITY');
   }
+  product.isSelling = true;
   return product;
 }
 
-function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
-  const tags = [`bunjang_import`, `bunjang_pid:${bunjangProduct.pid}`];
-  const titleLower = (bunjangProduct.name || '').toLowerCase();
-  const descriptionLower = (bunjangProduct.description || '').toLowerCase();
-  const categoryLower = (bunjangProduct.categoryName || '').toLowerCase();
-
-  const kpopKeywords = config.bunjang.kpopKeywords || [];
-  const kidultKeywords = config.bunjang.kidultKeywords || [];
-
-  if (kpopKeywords.length > 0 && kpopKeywords.some(keyword => titleLower.includes(keyword) || descriptionLower.includes(keyword) || categoryLower.includes(keyword))) {
-    tags.push('K-Pop');
-  }
-  if (kidultKeywords.length > 0 && kidultKeywords.some(keyword => titleLower.includes(keyword) || descriptionLower.includes(keyword) || categoryLower.includes(keyword))) {
-    tags.push('Kidult');
-  }
+/**
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @param {string} shopifyPriceUsd - 계산된 Shopify 가격 (USD 문자열).
+ * @param {object} [classification] - classificationRuleService.classifyProduct 결과 (태그, 상품 유형, 컬렉션).
+ * @param {object} [categoryMapping] - categoryMappingService.resolveCategoryMapping 결과.
+ * @param {object} [translation] - translationService.translateProductText 결과. 번역된 경우 원문은 bunjang 메타필드에 보관.
+ * @param {object} [descriptionTemplate] - descriptionTemplateService.resolveDescriptionTemplate 결과 (없으면 기본 템플릿).
+ * @returns {object|null} 분류 규칙 또는 카테고리 매핑으로 제외된 상품이면 null.
+ */
+function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd, classification = null, categoryMapping = null, translation = null, descriptionTemplate = null) {
+  if (classification?.excluded || categoryMapping?.included === false) return null;
+  const tags = [`bunjang_import`, `bunjang_pid:${bunjangProduct.pid}`, ...(classification?.tags || [])];
 
   // 항상 ACTIVE 상태로 설정하여 바로 게시되도록 함
   // 제품은 생성/업데이트 후 자동으로 온라인 스토어에 게시됨
@@ -208,7 +435,7 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
   // Variant data - inventoryQuantities는 별도로 처리할 예정
   const variantData = {
     price: shopifyPriceUsd,
-    sku: `BJ-${bunjangProduct.pid}`,
+    sku: buildBunjangSku(bunjangProduct.pid),
     inventoryPolicy: (variantQuantity > 0) ? 'DENY' : 'CONTINUE'
   };
 
@@ -218,43 +445,646 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
     locationId: config.shopify.defaultLocationId
   };
 
-  if (bunjangProduct.optionsRaw) {
-    try {
-      let parsedOptions = [];
-      if (typeof bunjangProduct.optionsRaw === 'string' && bunjangProduct.optionsRaw.trim()) {
-        parsedOptions = JSON.parse(bunjangProduct.optionsRaw.trim());
-      } else if (Array.isArray(bunjangProduct.optionsRaw)) {
-        parsedOptions = bunjangProduct.optionsRaw;
-      }
-      if (Array.isArray(parsedOptions) && parsedOptions.length > 0 && parsedOptions[0].id && parsedOptions[0].value) {
-        logger.info(`[CatalogSvc] Product PID ${bunjangProduct.pid} has Bunjang options: ${JSON.stringify(parsedOptions)}. Advanced variant/option mapping may be needed.`);
-      }
-    } catch (e) {
-      logger.warn(`[CatalogSvc] Failed to parse Bunjang options for PID ${bunjangProduct.pid}: "${bunjangProduct.optionsRaw}"`, e);
-    }
+  // 번개장터 옵션 → Shopify 상품 옵션/variant (옵션이 없으면 null, 기본 variant 하나만 사용)
+  // 옵션별 재고는 카탈로그에 없으므로 모든 variant에 상품 재고 수량을 그대로 사용 (공유 재고)
+  // 한 옵션이 팔리면 주문 처리에서 다른 옵션 variant의 재고도 같이 차감함 (orderService.deductSharedOptionStock)
+  const optionVariants = buildBunjangOptionVariants(bunjangProduct.pid, bunjangProduct.optionsRaw);
+  if (optionVariants) {
+    logger.debug(`[CatalogSvc] Product PID ${bunjangProduct.pid} mapped to ${optionVariants.variants.length} variants (options: ${optionVariants.productOptions.map(o => o.name).join(', ')}).`);
   }
   
   const productInput = {
-    title: bunjangProduct.name,
-    descriptionHtml: bunjangProduct.description || `Imported from Bunjang. Product ID: ${bunjangProduct.pid}`,
+    title: translation?.translated ? translation.name : bunjangProduct.name,
+    descriptionHtml: renderProductDescription(bunjangProduct, descriptionTemplate || undefined, translation),
     vendor: config.bunjang.defaultVendor || "BunjangImport",
-    productType: bunjangProduct.categoryName || config.bunjang.defaultShopifyProductType || "Uncategorized",
+    // 상품 유형 우선순위: 분류 규칙 > 카테고리 매핑 > 번개장터 카테고리명 > 기본값
+    productType: classification?.productType || categoryMapping?.shopifyProductType || bunjangProduct.categoryName || config.bunjang.defaultShopifyProductType || "Uncategorized",
+    ...(categoryMapping?.shopifyTaxonomyCategoryGid && { category: categoryMapping.shopifyTaxonomyCategoryGid }),
     tags: [...new Set(tags)],
     status: shopifyStatus,
     // Add publishedAt to ensure product is published
     publishedAt: new Date().toISOString()
   };
+  // 번개장터 원본 정보(bunjang.*) 메타필드. 번역된 경우 번역 전 한국어 원문도 보관
+  productInput.metafields = [
+    ...buildBunjangMetafields(bunjangProduct),
+    ...(translation?.translated ? [
+      { namespace: 'bunjang', key: 'original_title', type: 'single_line_text_field', value: translation.originalName },
+      { namespace: 'bunjang', key: 'original_description', type: 'multi_line_text_field', value: translation.originalDescription },
+    ].filter(metafield => metafield.value) : []),
+  ];
+  // 검색엔진용 제목/설명 (설명 템플릿의 SEO 템플릿 또는 기본 템플릿). 핸들은 중복 확인이 필요하므로 planBunjangProductSync에서 정함
+  productInput.seo = buildProductSeo(bunjangProduct, productInput, descriptionTemplate);
   
   logger.debug(`[CatalogSvc] ProductInput for PID ${bunjangProduct.pid}:`, { 
     title: productInput.title, 
     sku: variantData.sku,
-    status: productInput.status
+    status: productInput.status,
+    variantCount: optionVariants ? optionVariants.variants.length : 1
+  });
+
+  const collectionGids = [...new Set([...(classification?.collectionGids || []), categoryMapping?.shopifyCollectionGid].filter(Boolean))];
+  return { productInput, variantData, inventoryInfo, optionVariants, collectionGids };
+}
+
+/**
+ * transformBunjangRowToShopifyInput 결과를 상품 옵션과 variant 목록으로 변환합니다.
+ * 옵션이 없는 상품은 Shopify 기본 옵션("Title" / "Default Title")의 단일 variant를 사용합니다.
+ * @returns {{productOptions: Array<object>, variants: Array<object>}} shopifyService.setProductVariants 입력 형식.
+ */
+function buildVariantSetFromTransform(transformResult) {
+  const { variantData, inventoryInfo, optionVariants, lockedVariantPrices, existingVariantIds } = transformResult;
+  const baseVariant = {
+    price: variantData.price,
+    inventoryPolicy: variantData.inventoryPolicy,
+    quantity: inventoryInfo.quantity,
+    locationId: inventoryInfo.locationId,
+  };
+
+  let productOptions;
+  let variants;
+  if (optionVariants) {
+    productOptions = optionVariants.productOptions;
+    variants = optionVariants.variants.map(variant => ({
+      ...(existingVariantIds?.[variant.sku] && { id: existingVariantIds[variant.sku] }),
+      ...baseVariant,
+      ...(lockedVariantPrices?.[variant.sku] && { price: lockedVariantPrices[variant.sku] }),
+      sku: variant.sku,
+      optionValues: variant.selectedOptions.map(({ id, value }) => ({ optionName: id, name: value })),
+    }));
+  } else {
+    productOptions = [{ name: 'Title', values: ['Default Title'] }];
+    variants = [{
+      ...(existingVariantIds?.[variantData.sku] && { id: existingVariantIds[variantData.sku] }),
+      ...baseVariant,
+      sku: variantData.sku,
+      optionValues: [{ optionName: 'Title', name: 'Default Title' }],
+    }];
+  }
+  return { productOptions, variants };
+}
+
+/**
+ * transformBunjangRowToShopifyInput 결과의 옵션/variant 구성을 Shopify 상품에 그대로 설정합니다. (기존 variant는 교체)
+ * 옵션이 없는 상품은 Shopify 기본 옵션("Title" / "Default Title")의 단일 variant로 되돌립니다.
+ * @returns {Promise<Array<{id: string, sku: string, inventoryItem: {id: string}}>>} 설정된 variant 목록.
+ */
+async function setShopifyVariantsFromTransform(shopifyProductGid, transformResult, jobId) {
+  const { productOptions, variants } = buildVariantSetFromTransform(transformResult);
+  const result = await shopifyService.setProductVariants(shopifyProductGid, productOptions, variants);
+  logger.info(`[CatalogSvc:Job-${jobId}] Set ${result.length} variants on Shopify product ${shopifyProductGid}.`);
+  return result;
+}
+
+// 이미지 URL 유효성 검사 및 변환 (https 강제, {res} 치환, 허용 도메인/확장자 확인)
+function normalizeBunjangImageUrl(url, jobId = 'N/A') {
+  if (!url || typeof url !== 'string') return null;
+  let processedUrl = url.trim();
+
+  // Ensure HTTPS for better Shopify compatibility
+  if (processedUrl.startsWith('http://')) {
+    processedUrl = processedUrl.replace('http://', 'https://');
+    logger.debug(`[CatalogSvc:Job-${jobId}] Converted HTTP to HTTPS: ${processedUrl}`);
+  }
+
+  // Replace {res} placeholder with standard resolution
+  if (processedUrl.includes('{res}')) {
+    processedUrl = processedUrl.replace('{res}', '856');
+    logger.debug(`[CatalogSvc:Job-${jobId}] Replaced {res} placeholder with 856 in URL: ${processedUrl}`);
+  }
+
+  // Basic URL validation
+  if (!processedUrl.startsWith('https://')) return null;
+
+  // 번개장터 이미지 서버 도메인 확인
+  const bunjangDomains = ['media.bunjang.co.kr', 'img.bunjang.co.kr', 'img2.bunjang.co.kr'];
+  try {
+    const urlObj = new URL(processedUrl);
+    const isBunjangUrl = bunjangDomains.some(domain => urlObj.hostname.includes(domain));
+
+    // Accept Bunjang URLs (even though they might fail later) and standard image files
+    if (isBunjangUrl) {
+      logger.debug(`[CatalogSvc:Job-${jobId}] Bunjang image URL will be attempted: ${processedUrl}`);
+      return processedUrl;
+    }
+
+    // For non-Bunjang URLs, check for image extensions
+    if (/\.(jpg|jpeg|png|gif|webp|bmp)$/i.test(urlObj.pathname)) {
+      return processedUrl;
+    }
+
+    // Also accept URLs without extensions if they're from known CDNs
+    const knownCdns = ['cloudinary.com', 'imgix.net', 'amazonaws.com', 'googleusercontent.com'];
+    if (knownCdns.some(cdn => urlObj.hostname.includes(cdn))) {
+      return processedUrl;
+    }
+
+    return null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 카탈로그 행의 images 값(쉼표 구분 문자열 또는 배열)을 Shopify에 첨부 가능한 URL 목록으로 변환합니다.
+ * @returns {string[]} 순서가 유지된, 중복 없는 이미지 URL 목록 (최대 250개).
+ */
+function extractBunjangImageUrls(bunjangProduct, jobId = 'N/A') {
+  const bunjangImageUrls = bunjangProduct.images;
+  let rawUrls = [];
+  if (typeof bunjangImageUrls === 'string' && bunjangImageUrls.trim() !== '') {
+    rawUrls = bunjangImageUrls.split(',');
+  } else if (Array.isArray(bunjangImageUrls)) {
+    rawUrls = bunjangImageUrls.map(url => String(url || ''));
+  }
+
+  const urls = rawUrls
+    .map(url => normalizeBunjangImageUrl(url.trim(), jobId))
+    .filter(url => {
+      if (!url) {
+        logger.debug(`[CatalogSvc:Job-${jobId}] Invalid or unsupported image URL skipped`);
+        return false;
+      }
+      return true;
+    });
+  return [...new Set(urls)].slice(0, 250);
+}
+
+/**
+ * 카탈로그 행의 번개장터 필드를 SyncedProduct 미러 필드로 변환합니다. (판매 상태/마지막 확인 시각 제외)
+ * 값이 없거나 숫자/날짜로 해석할 수 없는 필드는 기존 값을 유지하도록 제외합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @returns {object} SyncedProduct $set 객체.
+ */
+function buildBunjangMirrorFields(bunjangProduct) {
+  const quantity = parseInt(bunjangProduct.quantity, 10);
+  const fields = {
+    bunjangProductName: bunjangProduct.name || undefined,
+    bunjangDescription: bunjangProduct.description,
+    bunjangCategoryId: bunjangProduct.categoryId || undefined,
+    bunjangCategoryName: bunjangProduct.categoryName || undefined,
+    bunjangBrandId: bunjangProduct.brandId || undefined,
+    bunjangSellerUid: bunjangProduct.uid || undefined,
+    bunjangCondition: bunjangProduct.condition || undefined,
+    bunjangOriginalPriceKrw: Number.isFinite(bunjangProduct.price) ? bunjangProduct.price : undefined,
+    bunjangOriginalShippingFeeKrw: Number.isFinite(bunjangProduct.shippingFee) ? bunjangProduct.shippingFee : undefined,
+    bunjangQuantity: Number.isInteger(quantity) ? quantity : undefined,
+    bunjangOptionsJson: JSON.stringify(parseBunjangOptions(bunjangProduct.optionsRaw)),
+    bunjangImagesJson: JSON.stringify(extractBunjangImageUrls(bunjangProduct)),
+    bunjangKeywordsJson: JSON.stringify(bunjangProduct.keywords || []),
+    bunjangCreatedAt: bunjangProduct.createdAt || undefined,
+    bunjangUpdatedAt: bunjangProduct.updatedAt || undefined,
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * 기존 상품의 기본 variant와 inventoryItem GID를 조회합니다. SyncedProduct에 저장된 값이 있으면 그것을 사용합니다.
+ * @returns {Promise<{id: string, sku?: string, inventoryItem: {id: string}|null}|null>} sku는 Shopify에서 조회한 경우에만 포함.
+ */
+async function resolveDefaultVariant(syncedDoc, shopifyProductGid, jobId) {
+  if (syncedDoc?.shopifyGid === shopifyProductGid && syncedDoc.shopifyVariantGid && syncedDoc.shopifyInventoryItemGid) {
+    return { id: syncedDoc.shopifyVariantGid, inventoryItem: { id: syncedDoc.shopifyInventoryItemGid } };
+  }
+
+  try {
+    const existingProductResponse = await shopifyService.shopifyGraphqlRequest(`
+      query getProduct($id: ID!) {
+        product(id: $id) {
+          variants(first: 1) {
+            edges {
+              node {
+                id
+                sku
+                inventoryItem {
+                  id
+                }
+              }
+            }
+          }
+        }
+      }
+    `, { id: shopifyProductGid });
+
+    const variantNode = existingProductResponse?.data?.product?.variants?.edges?.[0]?.node;
+    if (variantNode?.id) return variantNode;
+    logger.warn(`[CatalogSvc:Job-${jobId}] No existing variant found for product ${shopifyProductGid}. Will update product without variant data.`);
+  } catch (variantQueryError) {
+    logger.error(`[CatalogSvc:Job-${jobId}] Failed to query existing variant for product ${shopifyProductGid}: ${variantQueryError.message}`);
+  }
+  return null;
+}
+
+/**
+ * 기존 상품의 variant를 다시 설정해야 할 때, 현재 Shopify variant를 조회하여 SKU가 같은 variant의 ID를 재사용하도록 합니다.
+ * ID 없이 보내면 productSet이 variant(와 재고 항목)를 새로 만들어 주문 line item과 재고 매핑이 끊어집니다.
+ * 가격이 잠긴 상품은 번개장터 가격 대신 SKU가 같은 variant의 현재 가격을 유지하고, 새로 생긴 variant는 기존 첫 variant의 가격을 사용합니다.
+ * @returns {Promise<object>} transformResult 사본 (existingVariantIds: { sku: variantGid }, 가격 잠금 시 lockedVariantPrices: { sku: price }).
+ */
+async function applyExistingShopifyVariants(shopifyProductGid, transformResult, { keepPrices = false } = {}) {
+  const shopifyVariants = (await shopifyService.getProductVariants(shopifyProductGid)).filter(variant => variant.sku);
+  const existingVariantIds = Object.fromEntries(shopifyVariants.map(variant => [variant.sku, variant.id]));
+  if (!keepPrices) return { ...transformResult, existingVariantIds };
+
+  const lockedVariantPrices = Object.fromEntries(shopifyVariants.map(variant => [variant.sku, variant.price]));
+  const { variantData } = transformResult;
+  const price = lockedVariantPrices[variantData.sku] ?? shopifyVariants[0]?.price ?? variantData.price;
+  return { ...transformResult, variantData: { ...variantData, price }, existingVariantIds, lockedVariantPrices };
+}
+
+/**
+ * 분류 규칙/카테고리 매핑 컬렉션의 join/leave 목록을 계산합니다.
+ * 스냅샷 대비 추가/제외된 컬렉션만 join/leave하며, 전체 재동기화 때는 기본 컬렉션도 다시 요청합니다.
+ * @returns {{collectionsToJoin: string[], collectionsToLeave: string[]}}
+ */
+function resolveCollectionChanges(changed, syncedDoc, nextSnapshot, isFullResync) {
+  const previousCollectionGids = isFullResync ? [] : (syncedDoc?.syncSnapshot?.collectionGids || []);
+  const { added: collectionsToJoin, removed: collectionsToLeave } = changed.has('collectionGids')
+    ? diffLists(previousCollectionGids, nextSnapshot.collectionGids)
+    : { added: [], removed: [] };
+  if (isFullResync) collectionsToJoin.unshift(BUNJANG_COLLECTION_GID);
+  return { collectionsToJoin, collectionsToLeave: collectionsToLeave.filter(gid => gid !== BUNJANG_COLLECTION_GID) };
+}
+
+/**
+ * 변경된 필드에 해당하는 mutation만 기존 Shopify 상품에 적용합니다.
+ * - title/descriptionHtml/productType/tags/handle/seo (또는 context.statusToSet) → productUpdate
+ * - priceUsd/quantity → variant 가격/재고 정책, 재고 수량
+ * - variantSkus (또는 옵션 상품의 priceUsd/quantity) → 옵션/variant 전체 재설정
+ * - imageUrls → 미디어 reconciliation (새 이미지 추가, 사라진 이미지 삭제, 번개장터 순서로 정렬)
+ *   이미지 파이프라인 사용 시에는 여기서 처리하지 않고 imagePipelinePending만 표시 (동기화 결과 저장 후 큐에 추가)
+ * @returns {Promise<{productResult: object|null, variant: object|null, media: object[]|null, appliedImageUrls: string[]|null|undefined, imagePipelinePending: boolean}>}
+ *   media와 appliedImageUrls는 reconciliation을 수행한 경우의 새 미디어 매핑과 실제 반영된 이미지 URL (수행하지 않았으면 undefined).
+ */
+async function applyChangedFieldsToShopifyProduct(shopifyProductGid, changedFields, transformResult, context) {
+  const { productInput, variantData, inventoryInfo } = transformResult;
+  const { syncedDoc, nextSnapshot, isRelisting, isFullResync, statusToSet, altText, jobId } = context;
+  const changed = new Set(changedFields);
+  let productResult = null;
+
+  const productFieldsToSend = PRODUCT_FIELDS.filter(field => changed.has(field) && productInput[field] !== undefined);
+  const { collectionsToJoin, collectionsToLeave } = resolveCollectionChanges(changed, syncedDoc, nextSnapshot, isFullResync);
+  const hasCollectionChanges = collectionsToJoin.length > 0 || collectionsToLeave.length > 0;
+
+  if (productFieldsToSend.length > 0 || isRelisting || hasCollectionChanges) {
+    const updateInput = { id: shopifyProductGid };
+    productFieldsToSend.forEach(field => { updateInput[field] = productInput[field]; });
+    if (statusToSet) {
+      updateInput.status = statusToSet;
+      updateInput.publishedAt = productInput.publishedAt;
+    }
+    logger.info(`[CatalogSvc:Job-${jobId}] Updating Shopify product ${shopifyProductGid} fields: [${Object.keys(updateInput).filter(k => k !== 'id').join(', ')}]${hasCollectionChanges ? `, collections +${collectionsToJoin.length}/-${collectionsToLeave.length}` : ''}`);
+    productResult = await shopifyService.updateProduct(updateInput, collectionsToJoin, collectionsToLeave);
+  }
+
+  // 옵션 상품의 옵션 구성/가격/재고가 바뀌었거나, 옵션이 사라진 상품이면 variant 전체를 다시 설정
+  const hadOptionVariants = (syncedDoc?.syncSnapshot?.variantSkus || []).length > 0;
+  const needsVariantSet = transformResult.optionVariants
+    ? ['variantSkus', 'priceUsd', 'quantity'].some(field => changed.has(field))
+    : changed.has('variantSkus') && hadOptionVariants;
+
+  let variant = null;
+  if (needsVariantSet) {
+    const variants = await setShopifyVariantsFromTransform(shopifyProductGid, transformResult, jobId);
+    variant = variants[0] || null;
+  } else if (changed.has('priceUsd') || changed.has('quantity')) {
+    variant = await resolveDefaultVariant(syncedDoc, shopifyProductGid, jobId);
+  }
+  // 가격/재고 반영에 실패하면 예외를 그대로 던져 스냅샷이 저장되지 않게 함 (다음 동기화에서 다시 전송)
+  if (!needsVariantSet && (changed.has('priceUsd') || changed.has('quantity'))) {
+    if (!variant?.id) {
+      throw new AppError(`Shopify 상품 ${shopifyProductGid}의 variant를 찾을 수 없어 가격/재고를 반영하지 못했습니다.`, 502, 'SHOPIFY_VARIANT_NOT_FOUND');
+    }
+    // 재고 정책은 수량에 따라 바뀌므로 가격/수량 중 하나라도 바뀌면 함께 전송
+    await shopifyService.updateProductVariant({
+      id: variant.id,
+      price: variantData.price,
+      inventoryPolicy: variantData.inventoryPolicy,
+    });
+    logger.info(`[CatalogSvc:Job-${jobId}] Updated variant for product ${shopifyProductGid}`);
+    // 조회한 variant의 SKU가 다르면 (생성 직후 SKU 설정 실패 등) 주문 연동에 필요한 번개장터 SKU로 다시 설정
+    if (variant.sku !== undefined && variant.sku !== variantData.sku) {
+      await shopifyService.updateVariantSku(variant.id, variantData.sku);
+      logger.info(`[CatalogSvc:Job-${jobId}] Updated SKU to ${variantData.sku} for product ${shopifyProductGid}`);
+    }
+    if (changed.has('quantity') && inventoryInfo.locationId && inventoryInfo.quantity >= 0) {
+      if (!variant.inventoryItem?.id) {
+        throw new AppError(`Shopify 상품 ${shopifyProductGid}의 재고 항목을 찾을 수 없어 재고를 반영하지 못했습니다.`, 502, 'SHOPIFY_INVENTORY_ITEM_NOT_FOUND');
+      }
+      await shopifyService.updateInventoryLevel(variant.inventoryItem.id, inventoryInfo.locationId, inventoryInfo.quantity);
+      logger.info(`[CatalogSvc:Job-${jobId}] Updated inventory for existing product ${shopifyProductGid}`);
+    }
+  }
+
+  let media = null;
+  let appliedImageUrls;
+  const imagePipelinePending = changed.has('imageUrls') && isImagePipelineEnabled();
+  if (changed.has('imageUrls') && !imagePipelinePending) {
+    // 다른 Shopify 상품의 매핑이면 사용하지 않음 (매핑 없는 미디어는 정리 대상)
+    const trackedMedia = syncedDoc?.shopifyGid === shopifyProductGid ? (syncedDoc.shopifyMedia || []) : [];
+    const mediaResult = await reconcileProductMedia(shopifyProductGid, nextSnapshot.imageUrls, { trackedMedia, altText, jobId });
+    media = mediaResult.media;
+    appliedImageUrls = mediaResult.appliedImageUrls;
+  }
+
+  return { productResult, variant, media, appliedImageUrls, imagePipelinePending };
+}
+
+/**
+ * 카탈로그 행을 Shopify에 어떻게 반영할지 계획합니다. Shopify mutation과 SyncedProduct 쓰기는 하지 않습니다.
+ * (기존 상품 확인을 위한 Shopify 태그 검색, 새 상품의 핸들 중복 확인 조회는 수행. dry-run에서는 핸들 중복 확인 생략)
+ * 기존 상품의 잠긴 필드(SyncedProduct.fieldLocks)는 changedFields에서 빼고 스냅샷도 이전 값을 유지합니다.
+ * 번역에 실패한 기존 상품의 상품명/설명/SEO도 같은 방식으로 유지합니다. (한국어 원문으로 덮어쓰지 않고 다음 동기화에서 다시 번역)
+ * statusToSet은 생성, 판매 재개, 전체 재동기화 때만 지정하며, 판매자가 보관/초안으로 바꾼 상품은 전체 재동기화에서도 null입니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @param {object|null} syncedDoc - 기존 SyncedProduct 문서 (없으면 null).
+ * @param {string} [jobId='N/A'] - 로깅용 작업 ID.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - dry-run 계획이면 번역 provider를 호출하지 않고 캐시된 번역만 사용하며, 핸들 중복 확인도 하지 않음.
+ * @returns {Promise<object>} { action: 'create'|'update'|'skip_no_change'|'skip_filter'|'skip_review', shopifyProductGid, changedFields, lockedFields, statusToSet, moderation, ... }
+ */
+async function planBunjangProductSync(bunjangProduct, syncedDoc, jobId = 'N/A', { dryRun = false } = {}) {
+  const bunjangPid = bunjangProduct.pid;
+  // Shopify 관리자에서 삭제되어 연결을 해제한 상품은 다시 만들지 않음 (products/delete 웹훅, DETACH 정책)
+  if (syncedDoc?.shopifyDeletionAction === 'DETACHED') {
+    return {
+      action: 'skip_filter', shopifyProductGid: null, shopifyPriceString: null, changedFields: [], matchedRules: [], moderation: null,
+      excludeReason: 'DELETED_IN_SHOPIFY', excludedBy: { shopifyDeletedAt: syncedDoc.shopifyDeletedAt },
+    };
+  }
+  let shopifyProductGid = syncedDoc?.shopifyGid || null;
+  if (!shopifyProductGid && bunjangPid) {
+    try {
+      const existingShopifyProduct = await shopifyService.findProductByBunjangPidTag(bunjangPid);
+      if (existingShopifyProduct?.id) {
+        shopifyProductGid = existingShopifyProduct.id;
+        logger.info(`[CatalogSvc:Job-${jobId}] Found existing Shopify product ${shopifyProductGid} for Bunjang PID ${bunjangPid} via tag search.`);
+      }
+    } catch (tagSearchError) {
+      logger.warn(`[CatalogSvc:Job-${jobId}] Error searching for existing product by tag for Bunjang PID ${bunjangPid}: ${tagSearchError.message}`);
+      // Continue without existing product
+    }
+  }
+
+  const shopifyPriceString = await calculateShopifyPriceUsd(bunjangProduct.price);
+  // 콘텐츠 검수: 차단 목록에 걸리면 자동 제외하거나 검수 대기열로 보냄 (분류 규칙보다 먼저 적용)
+  const moderation = await moderateProduct(bunjangProduct, syncedDoc);
+  if (moderation.verdict === 'EXCLUDE') {
+    return {
+      action: 'skip_filter', shopifyProductGid, shopifyPriceString, changedFields: [], matchedRules: [], moderation,
+      excludeReason: 'EXCLUDED_BY_MODERATION', excludedBy: { moderationMatches: moderation.matches, reviewed: moderation.reviewed },
+    };
+  }
+  if (moderation.verdict === 'REVIEW') {
+    return { action: 'skip_review', shopifyProductGid, shopifyPriceString, changedFields: [], matchedRules: [], moderation };
+  }
+
+  const classification = await classifyProduct(bunjangProduct);
+  const categoryMapping = await resolveCategoryMapping(bunjangProduct.categoryId);
+  const matchedRules = classification.matchedRules;
+  const translation = await translateProductText(bunjangProduct, jobId, { cacheOnly: dryRun });
+  const descriptionTemplate = await resolveDescriptionTemplate(bunjangProduct.categoryId);
+  const transformResult = transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceString, classification, categoryMapping, translation, descriptionTemplate);
+  if (!transformResult || !transformResult.productInput) {
+    const excludedByCategory = !classification.excluded && categoryMapping?.included === false;
+    return {
+      action: 'skip_filter', shopifyProductGid, shopifyPriceString, changedFields: [], matchedRules, moderation,
+      excludeReason: excludedByCategory ? 'EXCLUDED_BY_CATEGORY' : 'EXCLUDED_BY_RULE',
+      excludedBy: excludedByCategory ? { categoryMappingId: categoryMapping.bunjangCategoryId } : classification.excludedBy,
+    };
+  }
+
+  const { productInput, variantData, inventoryInfo, optionVariants, collectionGids } = transformResult;
+  // 같은 Shopify 상품에 대한 기록일 때만 현재 핸들/스냅샷을 기준으로 사용
+  const isLinkedProduct = Boolean(shopifyProductGid) && syncedDoc?.shopifyGid === shopifyProductGid;
+  const translationHeldFields = translation.failed && shopifyProductGid ? TRANSLATED_SNAPSHOT_FIELDS : [];
+  if (translationHeldFields.length > 0) {
+    logger.warn(`[CatalogSvc:Job-${jobId}] Translation unavailable for PID ${bunjangPid}. Keeping the current Shopify title/description of ${shopifyProductGid}.`);
+  }
+  const lockedFields = [...new Set([...(isLinkedProduct ? getLockedSnapshotFields(syncedDoc) : []), ...translationHeldFields])];
+  // 상품명/상품 유형이 잠겨 있으면 핸들과 SEO도 Shopify에 남아 있는 값을 기준으로 만듦
+  const seoSourceInput = {
+    ...productInput,
+    ...(lockedFields.includes('title') && syncedDoc?.shopifyTitle && { title: syncedDoc.shopifyTitle }),
+    ...(lockedFields.includes('productType') && syncedDoc?.shopifyProductType && { productType: syncedDoc.shopifyProductType }),
+  };
+  if (seoSourceInput.title !== productInput.title || seoSourceInput.productType !== productInput.productType) {
+    productInput.seo = buildProductSeo(bunjangProduct, seoSourceInput, descriptionTemplate);
+  }
+  // 핸들은 생성 시에만 상품명으로 정하고 이후에는 현재 핸들을 유지 (태그 검색으로 찾은 상품처럼 현재 핸들을 모르면 보내지 않음)
+  if (!lockedFields.includes('handle')) {
+    const handle = await resolveProductHandle({
+      title: seoSourceInput.title,
+      bunjangPid,
+      shopifyProductGid,
+      currentHandle: isLinkedProduct ? syncedDoc.shopifyHandle : null,
+      previousHandle: isLinkedProduct ? syncedDoc.syncSnapshot?.handle : null,
+      checkAvailability: !dryRun,
+    });
+    if (handle) productInput.handle = handle;
+  }
+  const imageUrls = extractBunjangImageUrls(bunjangProduct, jobId);
+  const variantSkus = optionVariants ? optionVariants.variants.map(variant => variant.sku) : [];
+  const plan = {
+    shopifyProductGid, shopifyPriceString, transformResult, imageUrls, matchedRules, moderation, translation, descriptionTemplate,
+    nextSnapshot: buildSyncSnapshot({ productInput, variantData, inventoryInfo, imageUrls, variantSkus, collectionGids }),
+  };
+
+  // 새로 만드는 상품은 지킬 Shopify 값이 없으므로 필드 잠금을 적용하지 않음
+  if (!shopifyProductGid) {
+    return { ...plan, action: 'create', changedFields: [...SNAPSHOT_FIELDS], lockedFields: [], isFullResync: true, isRelisting: false, statusToSet: productInput.status };
+  }
+
+  // 스냅샷이 없거나 다른 Shopify 상품에 대한 스냅샷이면 전체 재동기화
+  const previousSnapshot = isLinkedProduct ? syncedDoc.syncSnapshot : null;
+  const isFullResync = !previousSnapshot || Boolean(config.forceResyncAll);
+  const isRelisting = Boolean(syncedDoc?.delistedAt);
+  // 판매자가 Shopify에서 보관/초안으로 바꾼 상품(동기화가 판매 중지한 상품이 아님)은 전체 재동기화에서도 ACTIVE로 되돌리지 않음
+  const isMerchantHeldStatus = isLinkedProduct && !isRelisting && MERCHANT_HELD_STATUSES.includes(syncedDoc.shopifyStatus);
+  const statusToSet = isRelisting || (isFullResync && !isMerchantHeldStatus) ? productInput.status : null;
+  if (isFullResync && isMerchantHeldStatus) {
+    logger.info(`[CatalogSvc:Job-${jobId}] Keeping Shopify status ${syncedDoc.shopifyStatus} of ${shopifyProductGid} (PID ${bunjangPid}) set outside the sync.`);
+  }
+  plan.nextSnapshot = applyFieldLocksToSnapshot(plan.nextSnapshot, previousSnapshot, lockedFields);
+  let changedFields = (isFullResync ? [...SNAPSHOT_FIELDS] : diffSyncSnapshots(previousSnapshot, plan.nextSnapshot))
+    .filter(field => !lockedFields.includes(field));
+  // 미디어 매핑이 없는 기존 상품(중복 이미지가 쌓였을 수 있음)은 이미지 변경이 없어도 한 번 정리
+  if (!changedFields.includes('imageUrls') && !lockedFields.includes('imageUrls') && !Array.isArray(syncedDoc?.shopifyMedia)) {
+    changedFields = [...changedFields, 'imageUrls'];
+  }
+
+  if (changedFields.length === 0 && !isRelisting && syncedDoc?.syncStatus === 'SYNCED') {
+    return { ...plan, action: 'skip_no_change', changedFields, lockedFields, isFullResync, isRelisting, statusToSet: null };
+  }
+  // 가격이 잠겨 있어도 재고/옵션 변경으로 variant를 다시 보내야 하면 현재 Shopify 가격을 그대로 보냄
+  const keepPrices = lockedFields.includes('priceUsd') && ['quantity', 'variantSkus'].some(field => changedFields.includes(field));
+  // 옵션 상품(이었던 상품)이나 기본 variant GID를 모르는 상품은 variant 목록 전체를 보내므로 기존 variant ID를 찾아 재사용
+  const hadOptionVariants = (syncedDoc?.syncSnapshot?.variantSkus || []).length > 0;
+  const replacesVariants = ['priceUsd', 'quantity', 'variantSkus'].some(field => changedFields.includes(field))
+    && (Boolean(transformResult.optionVariants) || hadOptionVariants || !(isLinkedProduct && syncedDoc.shopifyVariantGid));
+  if (keepPrices || replacesVariants) {
+    plan.transformResult = await applyExistingShopifyVariants(shopifyProductGid, transformResult, { keepPrices });
+  }
+  if (isRelisting) changedFields = [...changedFields, 'status'];
+  return { ...plan, action: 'update', changedFields, lockedFields, isFullResync, isRelisting, statusToSet };
+}
+
+/**
+ * Shopify 생성/수정에 성공한 상품의 결과(스냅샷, variant/미디어 매핑 등)를 SyncedProduct에 저장하고 이벤트를 기록합니다.
+ * 이미지 파이프라인 대상이면 스냅샷 저장 후 이미지 작업을 큐에 추가합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @param {object} context - { syncedDoc, plan, operationType, productId, handle, defaultVariant, shopifyMedia, appliedImageUrls, unappliedFields, imagePipelinePending, now }
+ *   appliedImageUrls: 미디어 reconciliation을 수행한 경우 실제 반영된 이미지 URL (조회 실패 시 null, 수행하지 않았으면 undefined).
+ *   unappliedFields: Shopify에 반영하지 못한 스냅샷 필드 (예: 생성 직후 가격/재고 설정 실패). 이전 스냅샷 값을 유지하여 다음 동기화에서 다시 전송.
+ * @param {string} jobId - 로깅용 작업 ID.
+ * @returns {Promise<object>} { status: 'success', operation, shopifyGid, changedFields }
+ */
+async function recordShopifySyncSuccess(bunjangProduct, context, jobId) {
+  const { syncedDoc, plan, operationType, productId, handle, defaultVariant, shopifyMedia, appliedImageUrls, unappliedFields = [], imagePipelinePending, now } = context;
+  const bunjangPid = bunjangProduct.pid;
+  const { shopifyPriceString, nextSnapshot, changedFields, isFullResync, isRelisting, lockedFields = [] } = plan;
+  const { productInput } = plan.transformResult;
+  const matchedRuleIds = (plan.matchedRules || []).map(rule => rule.id);
+  const retryStats = getRetryStats();
+
+  // 이미지 추가/삭제가 일부 실패했으면 실제 반영된 이미지만 스냅샷에 남겨 다음 동기화에서 imageUrls 변경으로 다시 시도
+  let syncSnapshot = nextSnapshot;
+  if (appliedImageUrls !== undefined) {
+    const previousImageUrls = syncedDoc?.shopifyGid === productId ? (syncedDoc.syncSnapshot?.imageUrls || []) : [];
+    syncSnapshot = { ...nextSnapshot, imageUrls: appliedImageUrls ?? previousImageUrls };
+    if (JSON.stringify(syncSnapshot.imageUrls) !== JSON.stringify(nextSnapshot.imageUrls)) {
+      logger.warn(`[CatalogSvc:Job-${jobId}] Images for PID ${bunjangPid} were not fully applied to ${productId}. They will be retried on the next sync.`);
+    }
+  }
+  if (unappliedFields.length > 0) {
+    const previousSnapshot = syncedDoc?.shopifyGid === productId ? syncedDoc.syncSnapshot : null;
+    syncSnapshot = { ...syncSnapshot, ...Object.fromEntries(unappliedFields.map(field => [field, previousSnapshot?.[field] ?? null])) };
+    logger.warn(`[CatalogSvc:Job-${jobId}] Fields [${unappliedFields.join(', ')}] for PID ${bunjangPid} were not applied to ${productId}. They will be retried on the next sync.`);
+  }
+
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      shopifyGid: productId,
+      shopifyProductId: productId.split('/').pop(),
+      ...(handle && { shopifyHandle: handle }),
+      ...(defaultVariant?.id && { shopifyVariantGid: defaultVariant.id }),
+      ...(defaultVariant?.inventoryItem?.id && { shopifyInventoryItemGid: defaultVariant.inventoryItem.id }),
+      ...(shopifyMedia && { shopifyMedia }),
+      // 동기화가 상태를 바꾸지 않았으면 판매자가 정한 Shopify 상태(보관/초안)를 그대로 둠
+      ...(plan.statusToSet && { shopifyStatus: plan.statusToSet }),
+      // 잠긴 필드는 Shopify에 있는 판매자 값이 유지되므로 덮어쓰지 않음
+      ...(!lockedFields.includes('title') && { shopifyTitle: productInput.title }),
+      ...(!lockedFields.includes('productType') && { shopifyProductType: productInput.productType }),
+      delistedAt: null,
+      delistReason: null,
+      lastSuccessfulSyncAt: now,
+      syncStatus: 'SYNCED',
+      syncErrorMessage: null,
+      syncErrorStackSample: null,
+      ...(!lockedFields.includes('priceUsd') && !unappliedFields.includes('priceUsd') && { shopifyListedPriceUsd: shopifyPriceString }),
+      bunjangUpdatedAt: bunjangProduct.updatedAt,
+      syncSnapshot,
+      isFilteredOut: false,
+      matchedRuleIds,
+      lastChangedFields: changedFields,
+      lastChangedAt: now,
+      shopifyDeletedAt: null,
+      shopifyDeletionAction: null,
+      syncAttemptCount: 0,
+      syncRetryCount: retryStats?.retries || 0,
+    },
+    $inc: { syncSuccessCount: 1 },
+  });
+
+  // 이미지 파이프라인은 스냅샷 저장 후 백그라운드로 처리 (실패해도 상품 동기화 결과는 유지)
+  if (imagePipelinePending) {
+    try {
+      await enqueueProductImageProcessing(bunjangPid, nextSnapshot.imageUrls, jobId);
+    } catch (imageError) {
+      logger.error(`[CatalogSvc:Job-${jobId}] Failed to queue image pipeline for PID ${bunjangPid}: ${imageError.message}`);
+    }
+  }
+
+  // 동기화로 핸들이 바뀌었으면 이전 상품 URL을 새 URL로 리디렉션 (실패해도 동기화 결과는 유지)
+  const previousHandle = syncedDoc?.shopifyGid === productId ? syncedDoc.shopifyHandle : null;
+  if (operationType === 'update' && changedFields.includes('handle') && handle && previousHandle && handle !== previousHandle) {
+    try {
+      await shopifyService.createUrlRedirect(`/products/${previousHandle}`, `/products/${handle}`);
+    } catch (redirectError) {
+      logger.error(`[CatalogSvc:Job-${jobId}] Failed to create redirect from handle "${previousHandle}" to "${handle}" for PID ${bunjangPid}: ${redirectError.message}`);
+    }
+  }
+
+  await recordProductEvent(bunjangPid, operationType === 'create' ? 'CREATED' : 'UPDATED', {
+    shopifyGid: productId,
+    jobId,
+    changedFields,
+    changes: {
+      ...buildFieldChanges(operationType === 'create' ? null : syncedDoc.syncSnapshot, nextSnapshot, changedFields),
+      ...(isRelisting && { status: { from: syncedDoc.shopifyStatus || null, to: plan.statusToSet } }),
+    },
+    details: {
+      isFullResync, isRelisting, bunjangUpdatedAt: bunjangProduct.updatedAt,
+      ...(lockedFields.length > 0 && { lockedFields }),
+      ...(retryStats?.retries > 0 && { retries: retryStats.retries, retriedOperations: retryStats.retriedOperations }),
+    },
+  });
+
+  logger.info(`[CatalogSvc:Job-${jobId}] Successfully ${operationType}d Shopify product ${productId} for Bunjang PID ${bunjangPid}. Changed fields: [${changedFields.join(', ')}]${retryStats?.retries > 0 ? ` (API retries: ${retryStats.retries})` : ''}`);
+  return { status: 'success', operation: operationType, shopifyGid: productId, changedFields };
+}
+
+/**
+ * Shopify 생성/수정에 실패한 상품을 ERROR 상태로 기록합니다.
+ * @returns {Promise<object>} { status: 'error', message, shopifyGid }
+ */
+async function recordShopifySyncFailure(bunjangProduct, shopifyProductGid, error, jobId) {
+  const bunjangPid = bunjangProduct.pid;
+  let errorMessage = error.message;
+  if (error.userErrors && Array.isArray(error.userErrors) && error.userErrors.length > 0) {
+      errorMessage = error.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+  } else if (error.networkError) {
+      errorMessage = `Network error: ${error.message}`;
+  }
+  const errorStackSample = error.stack ? error.stack.substring(0, 1000) : null;
+  const retryStats = getRetryStats();
+  logger.error(`[CatalogSvc:Job-${jobId}] Failed to ${shopifyProductGid ? 'update' : 'create'} Shopify product for Bunjang PID ${bunjangPid}${error.retryAttempts > 1 ? ` after ${error.retryAttempts} attempts` : ''}: ${errorMessage}`, { originalErrorStack: error.originalError?.stack || error.stack });
+
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      syncStatus: 'ERROR',
+      syncErrorMessage: errorMessage.substring(0, 1000),
+      syncErrorStackSample: errorStackSample,
+      syncRetryCount: retryStats?.retries || 0,
+      bunjangUpdatedAt: bunjangProduct.updatedAt,
+      ...(shopifyProductGid && { shopifyGid: shopifyProductGid })
+    }
   });
+  await recordProductEvent(bunjangPid, 'SYNC_ERROR', {
+    shopifyGid: shopifyProductGid, jobId, message: errorMessage, details: {
+      operation: shopifyProductGid ? 'update' : 'create',
+      errorCode: error.errorCode,
+      ...(error.retryAttempts && { attempts: error.retryAttempts, errorClass: error.retryErrorClass }),
+      ...(retryStats?.retries > 0 && { retries: retryStats.retries }),
+    },
+  });
+  return { status: 'error', message: errorMessage.substring(0, 255), shopifyGid: shopifyProductGid };
+}
 
-  return { productInput, variantData, inventoryInfo };
+/**
+ * 카탈로그 상품 하나를 Shopify에 동기화합니다. (생성, 변경 필드 반영, 제외/검수 대기 처리)
+ * bulkBatch가 주어지면 생성/수정을 바로 실행하지 않고 bulk 배치에 추가하며, 결과는 배치 실행 후 onResult로 전달됩니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 ID.
+ * @param {object|null} [bulkBatch=null] - createBulkProductSyncBatch 결과 (전체 카탈로그 bulk 모드).
+ * @returns {Promise<object>} { status: 'success'|'error'|'skipped_*'|'queued_bulk', ... }
+ */
+async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A', bulkBatch = null) {
+  // 상품 하나를 동기화하는 동안의 API 재시도 횟수를 집계해 SyncedProduct.syncRetryCount에 기록
+  return trackRetryStats(() => runBunjangProductSync(bunjangProduct, jobId, bulkBatch));
 }
 
-async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
+async function runBunjangProductSync(bunjangProduct, jobId, bulkBatch) {
   const bunjangPid = bunjangProduct.pid;
   const bunjangName = bunjangProduct.name;
   const bunjangCatalogUpdatedAt = bunjangProduct.updatedAt;
@@ -263,15 +1093,21 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
   let syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
   const now = new Date();
 
+  // 이미 더 최근 행을 반영한 상품은 오래된 행으로 되돌리지 않음 (미러 필드도 덮어쓰지 않고 카탈로그 확인 시각만 기록)
+  if (isStaleCatalogRow(syncedDoc, bunjangCatalogUpdatedAt)) {
+    logger.info(`[CatalogSvc:Job-${jobId}] Catalog row for PID ${bunjangPid} (updatedAt ${bunjangCatalogUpdatedAt.toISOString()}) is older than the last synced row (${new Date(syncedDoc.bunjangUpdatedAt).toISOString()}). Skipping.`);
+    await SyncedProduct.updateOne({ bunjangPid }, { $set: { bunjangLastSeenInCatalogAt: now } });
+    return { status: 'skipped_no_change', reason: 'STALE_ROW', message: 'Catalog row is older than the last synced row.' };
+  }
+
   await SyncedProduct.updateOne(
     { bunjangPid },
     {
       $set: {
         lastSyncAttemptAt: now,
-        bunjangProductName: bunjangName,
-        bunjangUpdatedAt: bunjangCatalogUpdatedAt,
-        bunjangOriginalPriceKrw: bunjangProduct.price,
-        bunjangOriginalShippingFeeKrw: bunjangProduct.shippingFee,
+        ...buildBunjangMirrorFields(bunjangProduct),
+        bunjangSaleStatus: bunjangProduct.saleStatus,
+        bunjangLastSeenInCatalogAt: now,
       },
       $inc: { syncAttemptCount: 1 },
       $setOnInsert: { bunjangPid, createdAt: now, syncStatus: 'PENDING' }
@@ -280,133 +1116,97 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
   );
   syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
 
-  if (syncedDoc.syncStatus === 'SYNCED' &&
-      bunjangCatalogUpdatedAt && syncedDoc.bunjangUpdatedAt &&
-      new Date(syncedDoc.bunjangUpdatedAt).getTime() >= bunjangCatalogUpdatedAt.getTime() &&
-      !config.forceResyncAll
-      ) {
-    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} already SYNCED and no updates from Bunjang catalog (based on bunjangUpdatedAt). Skipping.`);
-    return { status: 'skipped_no_change', message: 'Already synced and no update in catalog based on bunjangUpdatedAt.' };
-  }
-
   let shopifyProductGid = syncedDoc.shopifyGid;
-  if (!shopifyProductGid && bunjangPid) {
-    try {
-      const existingShopifyProduct = await shopifyService.findProductByBunjangPidTag(bunjangPid);
-      if (existingShopifyProduct?.id) {
-        shopifyProductGid = existingShopifyProduct.id;
-        logger.info(`[CatalogSvc:Job-${jobId}] Found existing Shopify product ${shopifyProductGid} for Bunjang PID ${bunjangPid} via tag search.`);
+  try {
+    const plan = await planBunjangProductSync(bunjangProduct, syncedDoc, jobId);
+    shopifyProductGid = plan.shopifyProductGid;
+    const { transformResult, imageUrls, nextSnapshot, isFullResync, isRelisting } = plan;
+    const changedFields = plan.changedFields;
+
+    const matchedRuleIds = (plan.matchedRules || []).map(rule => rule.id);
+    if (plan.moderation) await applyAutomaticModeration(bunjangPid, plan.moderation, syncedDoc, { productName: bunjangName, jobId });
+    if (plan.action === 'skip_review') {
+      logger.info(`[CatalogSvc:Job-${jobId}] Product PID ${bunjangPid} (Name: ${bunjangName}) held for moderation review: ${plan.moderation.matches.map(match => `${match.listType}:${match.value}`).join(', ')}`);
+      await SyncedProduct.updateOne({ bunjangPid }, { $set: { syncStatus: 'PENDING_REVIEW', lastSyncAttemptAt: now, bunjangUpdatedAt: bunjangCatalogUpdatedAt } });
+      if (syncedDoc.syncStatus !== 'PENDING_REVIEW') {
+        await recordProductEvent(bunjangPid, 'HELD_FOR_REVIEW', {
+          shopifyGid: syncedDoc.shopifyGid, jobId, details: { matches: plan.moderation.matches.map(match => `${match.listType}:${match.value}`) },
+        });
       }
-    } catch (tagSearchError) {
-      logger.warn(`[CatalogSvc:Job-${jobId}] Error searching for existing product by tag for Bunjang PID ${bunjangPid}: ${tagSearchError.message}`);
-      // Continue without existing product
+      // 이미 Shopify에 올라간 상품은 검수 결과가 나올 때까지 숨김
+      if (shopifyProductGid && syncedDoc.shopifyGid) {
+        await delistSyncedProduct(bunjangPid, { reason: 'PENDING_REVIEW' }, jobId);
+      }
+      return { status: 'skipped_review', message: 'Held for moderation review.' };
+    }
+    if (plan.action === 'skip_filter') {
+      const excludedBy = plan.excludeReason === 'EXCLUDED_BY_MODERATION'
+        ? ` by moderation blocklist (${plan.excludedBy.moderationMatches.map(match => `${match.listType}:${match.value}`).join(', ')})`
+        : plan.excludeReason === 'EXCLUDED_BY_CATEGORY'
+          ? ` by category mapping ${plan.excludedBy.categoryMappingId}`
+          : plan.excludeReason === 'DELETED_IN_SHOPIFY'
+            ? ' because it was deleted in Shopify admin'
+            : (plan.excludedBy ? ` by rule "${plan.excludedBy.name}" (${plan.excludedBy.id})` : '');
+      logger.info(`[CatalogSvc:Job-${jobId}] Product PID ${bunjangPid} (Name: ${bunjangName}) excluded${excludedBy}.`);
+      await SyncedProduct.updateOne({ bunjangPid }, { $set: { syncStatus: 'SKIPPED_FILTER', isFilteredOut: true, matchedRuleIds, lastSyncAttemptAt: now, bunjangUpdatedAt: bunjangCatalogUpdatedAt } });
+      // 매 동기화마다 같은 제외 이벤트가 쌓이지 않도록 상태가 바뀐 경우에만 기록
+      if (syncedDoc.syncStatus !== 'SKIPPED_FILTER') {
+        await recordProductEvent(bunjangPid, 'EXCLUDED', {
+          shopifyGid: syncedDoc.shopifyGid, jobId, message: `Excluded${excludedBy}.`, details: { reason: plan.excludeReason, matchedRuleIds },
+        });
+      }
+      // 이미 Shopify에 올라간 상품이 제외 규칙/카테고리에 걸리면 판매 중단(DRAFT) 처리
+      if (shopifyProductGid && syncedDoc.shopifyGid) {
+        await delistSyncedProduct(bunjangPid, { reason: plan.excludeReason }, jobId);
+      }
+      return { status: 'skipped_filter', message: `Excluded${excludedBy}.` };
+    }
+    if (plan.action === 'skip_no_change') {
+      logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} already SYNCED and no field changed since the last sync. Skipping.`);
+      await SyncedProduct.updateOne({ bunjangPid }, { $set: { lastChangedFields: [], matchedRuleIds } });
+      return { status: 'skipped_no_change', message: 'No field changed since the last successful sync.', changedFields };
     }
-  }
-
-  try {
-    const shopifyPriceString = await calculateShopifyPriceUsd(bunjangProduct.price);
-    const transformResult = transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceString);
 
-    if (!transformResult || !transformResult.productInput) {
-      logger.info(`[CatalogSvc:Job-${jobId}] Product PID ${bunjangPid} (Name: ${bunjangName}) skipped by transformBunjangRowToShopifyInput.`);
-      await SyncedProduct.updateOne({ bunjangPid }, { $set: { syncStatus: 'SKIPPED_FILTER', lastSyncAttemptAt: now, bunjangUpdatedAt: bunjangCatalogUpdatedAt } });
-      return { status: 'skipped_filter', message: 'Filtered out by transformation logic.' };
+    if (bulkBatch) {
+      await bulkBatch.add({ bunjangProduct, syncedDoc, plan, now });
+      return { status: 'queued_bulk', operation: plan.action, shopifyGid: shopifyProductGid, changedFields };
     }
-    
+
     const { productInput: shopifyProductInput, variantData, inventoryInfo } = transformResult;
+    // 번역된 경우 번역된 상품명을 이미지 대체 텍스트로 사용
+    const productNameForAlt = shopifyProductInput.title ? shopifyProductInput.title.substring(0, 250) : 'Product image';
 
     let shopifyApiResult;
     let operationType = '';
     let createdOrUpdatedProductId = null;
+    let defaultVariant = null;
+    let shopifyMedia = null;
+    let appliedImageUrls;
+    let imagePipelinePending = false;
+    let unappliedFields = [];
 
-    if (shopifyProductGid) {
+    if (plan.action === 'update') {
       operationType = 'update';
-      
-      // Get existing variant ID for update
-      let existingVariant = null;
-      try {
-        const existingProductResponse = await shopifyService.shopifyGraphqlRequest(`
-          query getProduct($id: ID!) {
-            product(id: $id) {
-              variants(first: 1) {
-                edges {
-                  node {
-                    id
-                    inventoryItem {
-                      id
-                    }
-                  }
-                }
-              }
-            }
-          }
-        `, { id: shopifyProductGid });
-        
-        if (existingProductResponse?.data?.product?.variants?.edges && 
-            existingProductResponse.data.product.variants.edges.length > 0 &&
-            existingProductResponse.data.product.variants.edges[0]?.node?.id) {
-          existingVariant = existingProductResponse.data.product.variants.edges[0].node;
-        } else {
-          logger.warn(`[CatalogSvc:Job-${jobId}] No existing variant found for product ${shopifyProductGid}. Will update product without variant data.`);
-        }
-      } catch (variantQueryError) {
-        logger.error(`[CatalogSvc:Job-${jobId}] Failed to query existing variant for product ${shopifyProductGid}: ${variantQueryError.message}`);
-        // Continue without variant update
-      }
-      
-      logger.info(`[CatalogSvc:Job-${jobId}] Attempting to update Shopify product GID: ${shopifyProductGid}`);
-      
-      // Update product - NO variants in ProductInput
-      const updateInput = {
-        ...shopifyProductInput,
-        id: shopifyProductGid
-      };
-      
-      shopifyApiResult = await shopifyService.updateProduct(updateInput, BUNJANG_COLLECTION_GID, null);
-      createdOrUpdatedProductId = shopifyApiResult?.id;
-      
-      // Update variant and inventory separately after product update
-      if (existingVariant && existingVariant.id) {
-        try {
-          // Update variant price and SKU
-          const variantUpdateData = {
-            id: existingVariant.id,
-            price: variantData.price,
-            sku: variantData.sku,
-            inventoryPolicy: variantData.inventoryPolicy
-          };
-          await shopifyService.updateProductVariant(variantUpdateData);
-          logger.info(`[CatalogSvc:Job-${jobId}] Updated variant for product ${shopifyProductGid}`);
-          
-          // Update inventory if we have inventory item ID
-          if (existingVariant.inventoryItem?.id && inventoryInfo.locationId && inventoryInfo.quantity >= 0) {
-            try {
-              await shopifyService.updateInventoryLevel(
-                existingVariant.inventoryItem.id, 
-                inventoryInfo.locationId, 
-                inventoryInfo.quantity
-              );
-              logger.info(`[CatalogSvc:Job-${jobId}] Updated inventory for existing product ${shopifyProductGid}`);
-            } catch (invError) {
-              logger.error(`[CatalogSvc:Job-${jobId}] Failed to update inventory for ${shopifyProductGid}: ${invError.message}`);
-              // Continue without failing the whole sync
-            }
-          }
-        } catch (variantError) {
-          logger.error(`[CatalogSvc:Job-${jobId}] Failed to update variant or inventory: ${variantError.message}`);
-          // Continue without failing the whole sync
-        }
-      }
+      logger.info(`[CatalogSvc:Job-${jobId}] Attempting to update Shopify product GID: ${shopifyProductGid}. Changed fields: [${changedFields.join(', ')}]${isRelisting ? ' (relisting)' : ''}`);
+      const applyResult = await applyChangedFieldsToShopifyProduct(shopifyProductGid, changedFields, transformResult, {
+        syncedDoc, nextSnapshot, isRelisting, isFullResync, statusToSet: plan.statusToSet, altText: productNameForAlt, jobId,
+      });
+      shopifyApiResult = applyResult.productResult;
+      defaultVariant = applyResult.variant;
+      shopifyMedia = applyResult.media;
+      appliedImageUrls = applyResult.appliedImageUrls;
+      imagePipelinePending = applyResult.imagePipelinePending;
+      createdOrUpdatedProductId = shopifyApiResult?.id || shopifyProductGid;
     } else {
       operationType = 'create';
       logger.info(`[CatalogSvc:Job-${jobId}] Attempting to create Shopify product for Bunjang PID: ${bunjangPid}`);
-      
+
       // Create input WITHOUT variants
       const createInput = {
         ...shopifyProductInput
         // DO NOT include variants here
       };
-      
+
       // Pass variant data as third parameter to createProduct
       const variantInfo = {
         price: variantData.price,
@@ -415,252 +1215,715 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
         quantity: inventoryInfo.quantity,
         locationId: inventoryInfo.locationId
       };
-      
+
       logger.debug(`[CatalogSvc:Job-${jobId}] CreateInput structure (without variants):`, JSON.stringify(createInput, null, 2));
       logger.debug(`[CatalogSvc:Job-${jobId}] Variant info to be applied after creation:`, variantInfo);
-      
+
       // Create product and handle variant separately
-      shopifyApiResult = await shopifyService.createProduct(createInput, BUNJANG_COLLECTION_GID, variantInfo);
+      // 옵션 상품은 기본 variant 대신 옵션 조합별 variant를 생성 직후 설정
+      shopifyApiResult = await shopifyService.createProduct(createInput, [BUNJANG_COLLECTION_GID, ...transformResult.collectionGids], transformResult.optionVariants ? null : variantInfo);
       createdOrUpdatedProductId = shopifyApiResult?.id;
+      defaultVariant = shopifyApiResult?.variants?.edges?.[0]?.node || null;
+      // 기본 variant 설정에 실패한 가격/재고는 스냅샷에 반영하지 않아 다음 동기화에서 다시 전송
+      // SKU 설정에 실패하면 기본 variant GID를 저장하지 않아 다음 동기화에서 variant를 조회해 SKU도 다시 설정
+      const variantSetupFailures = shopifyApiResult?.variantSetupFailures || [];
+      unappliedFields = [...new Set(variantSetupFailures.map(step => (step === 'inventory' ? 'quantity' : 'priceUsd')))];
+      if (variantSetupFailures.includes('sku')) defaultVariant = null;
+      if (createdOrUpdatedProductId && transformResult.optionVariants) {
+        const variants = await setShopifyVariantsFromTransform(createdOrUpdatedProductId, transformResult, jobId);
+        defaultVariant = variants[0] || null;
+      }
+
+      if (createdOrUpdatedProductId && isImagePipelineEnabled()) {
+        imagePipelinePending = true;
+      } else if (createdOrUpdatedProductId) {
+        const mediaResult = await reconcileProductMedia(createdOrUpdatedProductId, imageUrls, { isNewProduct: true, altText: productNameForAlt, jobId });
+        shopifyMedia = mediaResult.media;
+        appliedImageUrls = mediaResult.appliedImageUrls;
+      }
     }
 
     if (!createdOrUpdatedProductId) {
       throw new Error('Shopify API did not return a valid product ID after create/update.');
     }
 
-    // 이미지 첨부 단계
-    const bunjangImageUrls = bunjangProduct.images;
-    let mediaInputsToAttach = [];
-    const productNameForAlt = bunjangProduct.name ? bunjangProduct.name.substring(0, 250) : 'Product image';
-
-    // 이미지 URL 유효성 검사 및 변환 함수
-    const processImageUrl = (url) => {
-        if (!url || typeof url !== 'string') return null;
-        let processedUrl = url.trim();
-        
-        // Ensure HTTPS for better Shopify compatibility
-        if (processedUrl.startsWith('http://')) {
-            processedUrl = processedUrl.replace('http://', 'https://');
-            logger.debug(`[CatalogSvc:Job-${jobId}] Converted HTTP to HTTPS: ${processedUrl}`);
-        }
-        
-        // Replace {res} placeholder with standard resolution
-        if (processedUrl.includes('{res}')) {
-            processedUrl = processedUrl.replace('{res}', '856');
-            logger.debug(`[CatalogSvc:Job-${jobId}] Replaced {res} placeholder with 856 in URL: ${processedUrl}`);
-        }
-        
-        // Basic URL validation
-        if (!processedUrl.startsWith('https://')) return null;
-        
-        // 번개장터 이미지 서버 도메인 확인
-        const bunjangDomains = ['media.bunjang.co.kr', 'img.bunjang.co.kr', 'img2.bunjang.co.kr'];
-        try {
-            const urlObj = new URL(processedUrl);
-            const isBunjangUrl = bunjangDomains.some(domain => urlObj.hostname.includes(domain));
-            
-            // Accept Bunjang URLs (even though they might fail later) and standard image files
-            if (isBunjangUrl) {
-                logger.debug(`[CatalogSvc:Job-${jobId}] Bunjang image URL will be attempted: ${processedUrl}`);
-                return processedUrl;
-            }
-            
-            // For non-Bunjang URLs, check for image extensions
-            if (/\.(jpg|jpeg|png|gif|webp|bmp)$/i.test(urlObj.pathname)) {
-                return processedUrl;
-            }
-            
-            // Also accept URLs without extensions if they're from known CDNs
-            const knownCdns = ['cloudinary.com', 'imgix.net', 'amazonaws.com', 'googleusercontent.com'];
-            if (knownCdns.some(cdn => urlObj.hostname.includes(cdn))) {
-                return processedUrl;
-            }
-            
-            return null;
-        } catch (e) {
-            return null;
-        }
-    };
+    return await recordShopifySyncSuccess(bunjangProduct, {
+      syncedDoc,
+      plan,
+      operationType,
+      productId: createdOrUpdatedProductId,
+      handle: shopifyApiResult?.handle,
+      defaultVariant,
+      shopifyMedia,
+      appliedImageUrls,
+      unappliedFields,
+      imagePipelinePending,
+      now,
+    }, jobId);
+  } catch (error) {
+    return recordShopifySyncFailure(bunjangProduct, shopifyProductGid, error, jobId);
+  }
+}
 
-    if (typeof bunjangImageUrls === 'string' && bunjangImageUrls.trim() !== '') {
-        mediaInputsToAttach = bunjangImageUrls.split(',')
-            .map(url => url.trim())
-            .map(url => processImageUrl(url))
-            .filter(url => {
-                if (!url) {
-                    logger.debug(`[CatalogSvc:Job-${jobId}] Invalid or unsupported image URL skipped`);
-                    return false;
-                }
-                return true;
-            })
-            .map(url => ({ 
-                originalSource: url, 
-                mediaContentType: 'IMAGE', 
-                alt: productNameForAlt 
-            }));
-    } else if (Array.isArray(bunjangImageUrls)) {
-        mediaInputsToAttach = bunjangImageUrls
-            .map(url => String(url || '').trim())
-            .map(url => processImageUrl(url))
-            .filter(url => {
-                if (!url) {
-                    logger.debug(`[CatalogSvc:Job-${jobId}] Invalid or unsupported image URL skipped`);
-                    return false;
-                }
-                return true;
-            })
-            .map(url => ({ 
-                originalSource: url, 
-                mediaContentType: 'IMAGE', 
-                alt: productNameForAlt 
-            }));
-    }
-    
-    if (mediaInputsToAttach.length > 0) {
-        if (shopifyService.appendMediaToProduct) {
-            try {
-                logger.info(`[CatalogSvc:Job-${jobId}] Attaching ${mediaInputsToAttach.length} media items to product ${createdOrUpdatedProductId}`);
-                const mediaResult = await shopifyService.appendMediaToProduct(createdOrUpdatedProductId, mediaInputsToAttach.slice(0, 250));
-                
-                // Log warning if some images failed (common with Bunjang URLs)
-                if (mediaResult?.warning) {
-                    logger.warn(`[CatalogSvc:Job-${jobId}] Media attachment warning: ${mediaResult.warning}`);
-                }
-                
-                const successfulMedia = mediaResult?.media?.filter(m => m.status !== 'FAILED')?.length || 0;
-                if (successfulMedia > 0) {
-                    logger.info(`[CatalogSvc:Job-${jobId}] Successfully attached ${successfulMedia} media items to product.`);
-                }
-            } catch (mediaError) {
-                // Don't fail the entire sync if media attachment fails
-                logger.error(`[CatalogSvc:Job-${jobId}] Failed to attach media to product ${createdOrUpdatedProductId}: ${mediaError.message}`, { stack: mediaError.stack });
-                // Continue with the sync - product is already created/updated
-            }
-        } else {
-            logger.warn(`[CatalogSvc:Job-${jobId}] shopifyService.appendMediaToProduct function is not defined. Skipping media attachment for product ${createdOrUpdatedProductId}.`);
-        }
+/**
+ * 동기화 계획을 bulk productSet 입력으로 변환합니다.
+ * 생성은 상품 전체(컬렉션 포함)를, 수정은 변경된 상품 필드와 (가격/재고/옵션이 바뀐 경우) variant 목록만 보냅니다.
+ * 이미지는 미디어 매핑(SyncedProduct.shopifyMedia)을 유지하기 위해 bulk 결과를 반영한 뒤 상품별로 처리합니다.
+ * @param {object} plan - planBunjangProductSync 결과 (action: create | update).
+ * @param {object} syncedDoc - 동기화 시작 시점의 SyncedProduct 문서.
+ * @returns {object} ProductSetInput.
+ */
+function buildProductSetInput(plan, syncedDoc) {
+  const { action, shopifyProductGid, transformResult, changedFields, statusToSet } = plan;
+  const { productInput } = transformResult;
+  const changed = new Set(changedFields);
+
+  let input;
+  if (action === 'create') {
+    // ProductSetInput에는 publishedAt이 없으므로 판매 채널 게시는 publishablePublish bulk로 따로 처리
+    const { publishedAt, ...createFields } = productInput;
+    input = { ...createFields, collections: [BUNJANG_COLLECTION_GID, ...transformResult.collectionGids] };
+  } else {
+    input = { id: shopifyProductGid };
+    PRODUCT_FIELDS.filter(field => changed.has(field) && productInput[field] !== undefined).forEach(field => { input[field] = productInput[field]; });
+    if (statusToSet) input.status = statusToSet;
+  }
+
+  if (action === 'create' || ['priceUsd', 'quantity', 'variantSkus'].some(field => changed.has(field))) {
+    const { productOptions, variants } = buildVariantSetFromTransform(transformResult);
+    // 기존 variant ID를 지정하여 variant(재고 항목)를 새로 만들지 않음
+    // 옵션 상품은 planBunjangProductSync에서 SKU로 찾은 ID(existingVariantIds)를, 옵션 없는 상품은 저장된 기본 variant GID를 사용
+    if (action === 'update' && !transformResult.optionVariants && !variants[0].id && syncedDoc?.shopifyGid === shopifyProductGid && syncedDoc.shopifyVariantGid) {
+      variants[0].id = syncedDoc.shopifyVariantGid;
     }
+    Object.assign(input, shopifyService.buildProductSetVariantInput(productOptions, variants));
+  }
+  return input;
+}
 
-    await SyncedProduct.updateOne({ bunjangPid }, {
-      $set: {
-        shopifyGid: createdOrUpdatedProductId,
-        shopifyProductId: createdOrUpdatedProductId.split('/').pop(),
-        shopifyHandle: shopifyApiResult.handle,
-        lastSuccessfulSyncAt: now,
-        syncStatus: 'SYNCED',
-        syncErrorMessage: null,
-        syncErrorStackSample: null,
-        shopifyListedPriceUsd: shopifyPriceString,
-        bunjangUpdatedAt: bunjangCatalogUpdatedAt,
-        syncAttemptCount: 0
-      },
-      $inc: { syncSuccessCount: 1 },
-    });
+// bulk 결과 줄에서 상품 또는 오류 메시지를 추출
+function parseProductSetBulkResult(line) {
+  const payload = line?.data?.productSet;
+  const userErrors = payload?.userErrors || [];
+  if (payload?.product?.id && userErrors.length === 0) return { product: payload.product };
+  const message = userErrors.length > 0
+    ? userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ')
+    : (line?.error || (line?.errors || []).map(e => e.message).join('; ') || 'Bulk productSet returned no product.');
+  return { error: new ExternalServiceError('ShopifyBulkSvc', null, `Bulk productSet failed: ${message}`, 'SHOPIFY_BULK_PRODUCT_SET_ERROR') };
+}
+
+// 새로 생성한 상품을 판매 채널에 게시 (실패해도 동기화 결과는 유지, 다음 수정 때 다시 게시되지는 않으므로 로그로 남김)
+async function publishBulkCreatedProducts(productGids, jobId) {
+  if (productGids.length === 0) return;
+  try {
+    const publications = await shopifyService.getSalesChannelPublications();
+    if (publications.length === 0) {
+      logger.warn(`[CatalogSvc:Job-${jobId}] No sales channel publication found. ${productGids.length} bulk-created product(s) were not published.`);
+      return;
+    }
+    const publicationInputs = publications.map(publication => ({ publicationId: publication.node.id }));
+    const { results } = await shopifyBulkOperationService.runBulkMutationForInputs(
+      shopifyBulkOperationService.PUBLISHABLE_PUBLISH_BULK_MUTATION,
+      productGids.map(id => ({ id, input: publicationInputs })),
+      { label: 'publish', jobId },
+    );
+    const failedGids = productGids.filter((_, index) => results[index].error || results[index].errors || results[index].data?.publishablePublish?.userErrors?.length > 0);
+    if (failedGids.length > 0) {
+      logger.error(`[CatalogSvc:Job-${jobId}] Failed to publish ${failedGids.length}/${productGids.length} bulk-created product(s): ${failedGids.slice(0, 20).join(', ')}`);
+    }
+  } catch (error) {
+    logger.error(`[CatalogSvc:Job-${jobId}] Failed to publish bulk-created products: ${error.message}`);
+  }
+}
 
-    logger.info(`[CatalogSvc:Job-${jobId}] Successfully ${operationType}d Shopify product ${createdOrUpdatedProductId} for Bunjang PID ${bunjangPid}. Assigned to collection ${BUNJANG_COLLECTION_GID} and published to online store.`);
-    return { status: 'success', operation: operationType, shopifyGid: createdOrUpdatedProductId };
+/**
+ * bulk productSet 결과를 상품 하나에 반영합니다. 수정된 컬렉션 join/leave와 이미지 처리는 상품별로 수행합니다.
+ * @returns {Promise<object>} syncBunjangProductToShopify와 같은 형식의 결과.
+ */
+async function finalizeBulkProductSync(entry, outcome, jobId) {
+  const { bunjangProduct, syncedDoc, plan, now } = entry;
+  if (outcome.error) return recordShopifySyncFailure(bunjangProduct, plan.shopifyProductGid, outcome.error, jobId);
 
+  const { product } = outcome;
+  const operationType = plan.action;
+  const changed = new Set(plan.changedFields);
+  try {
+    // 생성은 productSet collections로 처리됨. 수정은 스냅샷 대비 바뀐 컬렉션만 join/leave (직접 추가한 컬렉션 유지)
+    if (operationType === 'update') {
+      const { collectionsToJoin, collectionsToLeave } = resolveCollectionChanges(changed, syncedDoc, plan.nextSnapshot, plan.isFullResync);
+      if (collectionsToJoin.length > 0 || collectionsToLeave.length > 0) {
+        await shopifyService.updateProduct({ id: product.id }, collectionsToJoin, collectionsToLeave);
+      }
+    }
+
+    let shopifyMedia = null;
+    let appliedImageUrls;
+    let imagePipelinePending = false;
+    if (operationType === 'create' || changed.has('imageUrls')) {
+      if (isImagePipelineEnabled()) {
+        imagePipelinePending = true;
+      } else {
+        const altText = plan.transformResult.productInput.title ? plan.transformResult.productInput.title.substring(0, 250) : 'Product image';
+        const trackedMedia = operationType === 'update' && syncedDoc?.shopifyGid === product.id ? (syncedDoc.shopifyMedia || []) : [];
+        const mediaResult = await reconcileProductMedia(product.id, plan.nextSnapshot.imageUrls, { isNewProduct: operationType === 'create', trackedMedia, altText, jobId });
+        shopifyMedia = mediaResult.media;
+        appliedImageUrls = mediaResult.appliedImageUrls;
+      }
+    }
+
+    return await recordShopifySyncSuccess(bunjangProduct, {
+      syncedDoc,
+      plan,
+      operationType,
+      productId: product.id,
+      handle: product.handle,
+      defaultVariant: product.variants?.nodes?.[0] || null,
+      shopifyMedia,
+      appliedImageUrls,
+      imagePipelinePending,
+      now,
+    }, jobId);
   } catch (error) {
-    let errorMessage = error.message;
-    if (error.userErrors && Array.isArray(error.userErrors) && error.userErrors.length > 0) {
-        errorMessage = error.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
-    } else if (error.networkError) {
-        errorMessage = `Network error: ${error.message}`;
+    return recordShopifySyncFailure(bunjangProduct, product.id, error, jobId);
+  }
+}
+
+/**
+ * 모인 생성/수정 계획을 bulk productSet 하나(파일 크기 제한을 넘으면 여러 개)로 반영하고 상품별 결과를 반환합니다.
+ * @param {Array<object>} entries - { bunjangProduct, syncedDoc, plan, now }
+ * @returns {Promise<{results: Array<{pid: string, result: object}>, operations: Array<object>}>}
+ */
+async function applyBulkProductSyncBatch(entries, jobId) {
+  logger.info(`[CatalogSvc:Job-${jobId}] Applying ${entries.length} product create/update(s) with Shopify bulk productSet.`);
+  const { operations, results } = await shopifyBulkOperationService.runBulkMutationForInputs(
+    shopifyBulkOperationService.PRODUCT_SET_BULK_MUTATION,
+    entries.map(entry => ({ input: buildProductSetInput(entry.plan, entry.syncedDoc) })),
+    { label: 'product_set', jobId },
+  );
+  const outcomes = results.map(parseProductSetBulkResult);
+
+  const createdGids = entries.map((entry, index) => (entry.plan.action === 'create' ? outcomes[index].product?.id : null)).filter(Boolean);
+  await publishBulkCreatedProducts(createdGids, jobId);
+
+  // 이미지 처리 등 상품별 후속 작업은 카탈로그 동시성 설정만큼 병렬로 진행
+  const finalized = new Array(entries.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < entries.length) {
+      const index = nextIndex++;
+      finalized[index] = { pid: entries[index].bunjangProduct.pid, result: await trackRetryStats(() => finalizeBulkProductSync(entries[index], outcomes[index], jobId)) };
     }
-    const errorStackSample = error.stack ? error.stack.substring(0, 1000) : null;
-    logger.error(`[CatalogSvc:Job-${jobId}] Failed to ${shopifyProductGid ? 'update' : 'create'} Shopify product for Bunjang PID ${bunjangPid}: ${errorMessage}`, { originalErrorStack: error.originalError?.stack || error.stack });
+  };
+  const concurrency = Math.min(entries.length, config.bunjang?.syncConcurrency || 1);
+  await Promise.all(Array.from({ length: concurrency }, worker));
 
-    await SyncedProduct.updateOne({ bunjangPid }, {
-      $set: {
-        syncStatus: 'ERROR',
-        syncErrorMessage: errorMessage.substring(0, 1000),
-        syncErrorStackSample: errorStackSample,
-        bunjangUpdatedAt: bunjangCatalogUpdatedAt,
-        ...(shopifyProductGid && { shopifyGid: shopifyProductGid })
+  const failed = finalized.filter(item => item.result.status === 'error').length;
+  logger.info(`[CatalogSvc:Job-${jobId}] Bulk batch finished: ${entries.length - failed} succeeded, ${failed} failed (operations: ${operations.map(operation => `${operation.id || 'n/a'}:${operation.status}`).join(', ')}).`);
+  return { results: finalized, operations };
+}
+
+/**
+ * 전체 카탈로그 bulk 모드의 생성/수정 배치를 만듭니다.
+ * add()로 계획을 모으다가 batchSize에 도달하거나 flush()가 호출되면 applyBulkProductSyncBatch로 반영하고,
+ * 상품별 결과를 onResult(result, pid)로 전달합니다. Shopify bulk mutation은 동시에 하나만 실행되므로 배치는 순서대로 처리합니다.
+ * @param {object} params - { batchSize, jobId, syncRun, onResult }
+ * @returns {{add: Function, flush: Function, getOperations: Function}}
+ */
+function createBulkProductSyncBatch({ batchSize = BULK_BATCH_SIZE, jobId, syncRun, onResult }) {
+  let pending = [];
+  let flushChain = Promise.resolve();
+  const operations = [];
+
+  const flush = () => {
+    if (pending.length === 0) return flushChain;
+    const entries = pending;
+    pending = [];
+    // 배치 하나가 실패해도 체인이 rejected 상태로 남지 않도록 배치별로 처리하고, 배치의 모든 상품을 실패로 기록
+    flushChain = flushChain.then(async () => {
+      let batchResults;
+      try {
+        const batchResult = await syncRun.timeStage('bulk_apply', () => applyBulkProductSyncBatch(entries, jobId));
+        operations.push(...batchResult.operations);
+        batchResults = batchResult.results;
+      } catch (error) {
+        logger.error(`[CatalogSvc:Job-${jobId}] Bulk batch of ${entries.length} product(s) failed: ${error.message}`, { stack: error.stack });
+        batchResults = [];
+        for (const entry of entries) {
+          const pid = entry.bunjangProduct.pid;
+          const result = await recordShopifySyncFailure(entry.bunjangProduct, entry.plan.shopifyProductGid, error, jobId)
+            .catch(recordError => {
+              logger.error(`[CatalogSvc:Job-${jobId}] Failed to record bulk failure for Bunjang PID ${pid}: ${recordError.message}`);
+              return { status: 'error', message: error.message.substring(0, 255), shopifyGid: entry.plan.shopifyProductGid };
+            });
+          batchResults.push({ pid, result });
+        }
+      }
+      batchResults.forEach(({ pid, result }) => onResult(result, pid));
+    }).catch(error => {
+      logger.error(`[CatalogSvc:Job-${jobId}] Failed to report bulk batch results: ${error.message}`, { stack: error.stack });
+    });
+    return flushChain;
+  };
+
+  return {
+    add(entry) {
+      pending.push(entry);
+      return pending.length >= batchSize ? flush() : Promise.resolve();
+    },
+    flush,
+    getOperations: () => operations,
+  };
+}
+
+/**
+ * 이전 실행의 체크포인트가 있으면 로컬 CSV를 재사용하거나 다시 가져와(obtainFile) 같은 파일인지 확인한 뒤 이어서 처리합니다.
+ * 파일 내용이 달라졌으면 기존 체크포인트는 SUPERSEDED 처리하고 새 실행을 시작합니다.
+ * @param {Function} obtainFile - localCsvPath에 압축 해제된 CSV를 만드는 함수 (다운로드 또는 아카이브 추출).
+ * @returns {Promise<{checkpoint: object|null}>}
+ */
+async function prepareCatalogFileWithCheckpoint(catalogType, catalogFileNameGz, localCsvPath, obtainFile, { isReplay = false } = {}, jobIdForLog = 'N/A') {
+  if (config.bunjang?.catalogCheckpointEnabled === false) {
+    await obtainFile();
+    return { checkpoint: null };
+  }
+
+  let checkpoint = await checkpointService.findResumableCheckpoint(catalogType, catalogFileNameGz, { isReplay });
+  let fileIdentity = null;
+  if (checkpoint && await fs.pathExists(localCsvPath)) {
+    fileIdentity = await checkpointService.computeFileIdentity(localCsvPath);
+    if (checkpointService.isSameFileIdentity(fileIdentity, checkpoint.fileIdentity)) {
+      logger.info(`[CatalogSvc:Job-${jobIdForLog}] Reusing local CSV file ${localCsvPath} kept from checkpoint ${checkpoint.runId}.`);
+    } else {
+      fileIdentity = null;
+    }
+  }
+  if (!fileIdentity) {
+    await obtainFile();
+    fileIdentity = await checkpointService.computeFileIdentity(localCsvPath);
+  }
+
+  if (checkpoint && !checkpointService.isSameFileIdentity(fileIdentity, checkpoint.fileIdentity)) {
+    await checkpointService.supersedeCheckpoint(checkpoint.runId, `Catalog file ${catalogFileNameGz} changed since the checkpoint was written (sha256 ${checkpoint.fileIdentity?.sha256} -> ${fileIdentity.sha256}).`);
+    checkpoint = null;
+  }
+
+  if (checkpoint) {
+    checkpoint = await checkpointService.markCheckpointResumed(checkpoint.runId, jobIdForLog);
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Resuming ${catalogType} catalog run ${checkpoint.runId} after row #${checkpoint.lastCommittedRow} (resume #${checkpoint.resumeCount}).`);
+  } else {
+    checkpoint = await checkpointService.createCheckpoint({ catalogType, fileName: catalogFileNameGz, fileIdentity, isReplay, jobId: jobIdForLog });
+  }
+  return { checkpoint };
+}
+
+/**
+ * 내려받은 카탈로그 CSV로 dry-run을 수행합니다.
+ * 파싱/필터/변환/가격 계산까지는 실제 실행과 같지만 Shopify mutation과 SyncedProduct 쓰기는 하지 않고,
+ * 상품별 계획(생성/업데이트/건너뜀/판매 중단)과 계획된 Shopify 입력값을 리포트에 기록합니다.
+ * @returns {Promise<object>} dry-run 요약 (reportId 포함).
+ */
+async function runCatalogDryRun({ catalogType, catalogFileNameGz, localCsvPath, isReplay, isFallback }, syncRun, jobIdForLog = 'N/A') {
+  const report = await dryRunReportService.createDryRunReport({ catalogType, filename: catalogFileNameGz, jobId: jobIdForLog, isReplay, isFallback });
+  const plannedActions = {};
+  const seenPids = new Set();
+  let validProductsToProcess = 0;
+  const countAction = (action) => { plannedActions[action] = (plannedActions[action] || 0) + 1; };
+  const rejections = catalogRejectionReportService.createRejectionCollector();
+  const startedAt = new Date();
+  // 거부된 행도 카탈로그에 있는 상품이므로 누락 판매 중단 대상에서 제외
+  const processRow = (row, rowNumber) => {
+    const product = processCatalogRow(row, rowNumber, rejections);
+    const pid = (row.pid || '').trim();
+    if (!product && pid) seenPids.add(pid);
+    return product;
+  };
+
+  const handleProduct = async (product, rowNumber) => {
+    validProductsToProcess++;
+    seenPids.add(product.pid);
+    const entry = { rowNumber, pid: product.pid, name: product.name, saleStatus: product.saleStatus };
+    try {
+      const syncedDoc = await SyncedProduct.findOne({ bunjangPid: product.pid }).lean();
+      if (isStaleCatalogRow(syncedDoc, product.updatedAt)) {
+        Object.assign(entry, { action: 'skip_no_change', reason: 'STALE_ROW', lastSyncedUpdatedAt: syncedDoc.bunjangUpdatedAt });
+      } else if (product.isSelling) {
+        const plan = await planBunjangProductSync(product, syncedDoc, jobIdForLog, { dryRun: true });
+        Object.assign(entry, {
+          action: plan.action,
+          shopifyGid: plan.shopifyProductGid,
+          changedFields: plan.changedFields,
+          priceUsd: plan.shopifyPriceString,
+          matchedRules: plan.matchedRules,
+          ...(plan.lockedFields?.length > 0 && { lockedFields: plan.lockedFields }),
+          ...(plan.moderation?.matches.length > 0 && { moderation: plan.moderation }),
+          ...(plan.descriptionTemplate && { descriptionTemplate: { id: plan.descriptionTemplate._id, name: plan.descriptionTemplate.name } }),
+          ...(plan.translation?.translated && { translation: { provider: plan.translation.provider, originalName: plan.translation.originalName } }),
+          ...(plan.translation?.failed && { translation: { notCached: true } }), // dry-run은 캐시된 번역만 사용
+          ...(plan.excludedBy && { excludeReason: plan.excludeReason, excludedBy: plan.excludedBy }),
+        });
+        if (plan.action === 'create' || plan.action === 'update') {
+          entry.plannedInput = {
+            product: plan.transformResult.productInput,
+            variant: plan.transformResult.variantData,
+            inventory: plan.transformResult.inventoryInfo,
+            optionVariants: plan.transformResult.optionVariants,
+            imageUrls: plan.imageUrls,
+          };
+        }
+      } else {
+        const reason = mapSaleStatusToDelistReason(product.saleStatus);
+        Object.assign(entry, planDelistSyncedProduct(syncedDoc, reason), { reason });
+      }
+    } catch (error) {
+      Object.assign(entry, { action: 'error', message: error.message });
+    }
+    countAction(entry.action);
+    syncRun.recordPlannedAction(entry.action, entry.message, product.pid);
+    report.record(entry);
+  };
+
+  let pipelineResult;
+  let missingPlan = null;
+  let rejectionReport = null;
+  try {
+    pipelineResult = await syncRun.timeStage('process', () => processCsvFileAsPipeline(localCsvPath, processRow, handleProduct, {
+      concurrency: config.bunjang?.syncConcurrency || 1,
+    }));
+
+    if (catalogType === 'full' && !isReplay && !isFallback && config.bunjang?.delistMissingEnabled !== false && validProductsToProcess > 0) {
+      missingPlan = await planDelistProductsMissingFromCatalog(seenPids);
+      if (!missingPlan.wouldAbort) {
+        for (const candidate of missingPlan.candidates) {
+          countAction('archive_missing');
+          syncRun.recordPlannedAction('archive_missing', null, candidate.bunjangPid);
+          report.record({ pid: candidate.bunjangPid, action: 'archive_missing', reason: 'MISSING_FROM_CATALOG', shopifyGid: candidate.shopifyGid, targetStatus: candidate.targetStatus });
+        }
       }
+    }
+  } catch (error) {
+    await report.finish({ failed: true, failureMessage: error.message }).catch(() => {});
+    throw error;
+  } finally {
+    await removeLocalCsvFile(localCsvPath, jobIdForLog);
+    // 거부된 행 리포트는 처리 실패 시에도 저장
+    rejectionReport = await catalogRejectionReportService.saveRejectionReport(rejections, {
+      jobId: jobIdForLog, catalogType, fileName: catalogFileNameGz, isReplay, dryRun: true, failed: !pipelineResult, totalRows: pipelineResult?.totalRows || 0, startedAt,
     });
-    return { status: 'error', message: errorMessage.substring(0, 255), shopifyGid: shopifyProductGid };
   }
+
+  const summary = await report.finish({
+    dryRun: true,
+    totalOriginalCsvRows: pipelineResult.totalRows || 0,
+    validProductsToProcess,
+    rejectedRows: rejections.getTotal(),
+    rejectionsByReason: rejections.getCountsByReason(),
+    rejectionReportId: rejectionReport?._id || null,
+    plannedActions,
+    missingFromCatalog: missingPlan
+      ? { listedCount: missingPlan.listedCount, candidates: missingPlan.candidates.length, wouldAbort: missingPlan.wouldAbort }
+      : null,
+  });
+  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog DRY RUN finished. Summary:`, summary);
+  return summary;
+}
+
+/**
+ * 번개장터 카탈로그 파일을 내려받아(또는 아카이브에서 꺼내) 동기화 파이프라인으로 처리합니다.
+ * 실행 결과(단계별 소요 시간, 상품 건수, 주요 오류)는 SyncRun으로 기록합니다.
+ * @param {string} catalogType - 'full' | 'segment'.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 ID.
+ * @param {object} [options]
+ * @param {string} [options.archivedFileName] - 지정하면 다운로드 대신 아카이브의 해당 파일을 다시 처리(replay)합니다.
+ * @param {string} [options.catalogFileName] - 지정하면 probe/fallback 없이 해당 파일을 내려받아 처리합니다 (세그먼트 backfill).
+ * @param {boolean} [options.dryRun=false] - true이면 Shopify/SyncedProduct를 변경하지 않고 계획만 리포트로 남깁니다.
+ * @param {string} [options.triggeredBy] - 실행 트리거 (cron_scheduler, api_manual 등). SyncRun에 기록됩니다.
+ * @param {boolean} [options.bulk] - 전체 카탈로그의 생성/수정을 Shopify bulk operation으로 반영할지 여부. (기본값: config.bunjang.bulkFullSyncEnabled)
+ * @param {string} [options.probeStartedAt] - 게시 대기로 다시 추가된 작업의 첫 probe 시각 (resolveAvailableCatalogFile 참고).
+ * @returns {Promise<object>} 처리 요약 (syncRunId 포함). 파일이 아직 게시되지 않았으면 retryAfterMs/probeStartedAt 포함.
+ */
+async function fetchAndProcessBunjangCatalog(catalogType, jobIdForLog = 'N/A', options = {}) {
+  const syncRun = await syncRunService.startSyncRun({
+    type: catalogType,
+    trigger: options.triggeredBy || 'unknown',
+    jobId: jobIdForLog,
+    dryRun: Boolean(options.dryRun),
+    isReplay: Boolean(options.archivedFileName),
+  });
+  let summary;
+  try {
+    summary = await processBunjangCatalog(catalogType, jobIdForLog, options, syncRun);
+  } catch (error) {
+    await syncRun.fail(error);
+    throw error;
+  }
+  await syncRun.finish(summary);
+  return { ...summary, syncRunId: syncRun.runId };
 }
 
-async function fetchAndProcessBunjangCatalog(catalogType, jobIdForLog = 'N/A') {
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Starting Bunjang catalog processing. Type: ${catalogType}`);
+async function processBunjangCatalog(catalogType, jobIdForLog, options, syncRun) {
+  const { archivedFileName = null, catalogFileName = null, dryRun = false, bulk, probeStartedAt } = options;
+  const isReplay = Boolean(archivedFileName);
+  let isFallback = false; // 예상 파일이 없어 이전 파일로 대체한 경우
+  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Starting Bunjang catalog processing. Type: ${catalogType}${isReplay ? `, replaying archived file ${archivedFileName}` : ''}${dryRun ? ' (DRY RUN)' : ''}`);
   let catalogFileUrl;
   let catalogFileNameGz;
   let baseFileNameWithoutExt;
 
-  const fileDate = new Date();
-  catalogFileNameGz = generateBunjangCatalogFilename(catalogType, fileDate);
-  baseFileNameWithoutExt = catalogFileNameGz.replace(/\.csv\.gz$/, '');
-
-  if (!config.bunjang?.catalogApiUrl) {
-    logger.error(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog API URL (config.bunjang.catalogApiUrl) is not configured.`);
-    throw new AppError("Bunjang catalog API URL is not configured.", 500, "BUNJANG_URL_MISSING");
-  }
-  catalogFileUrl = `${config.bunjang.catalogApiUrl}/catalog/${catalogType}/${catalogFileNameGz}`;
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Catalog file to process: ${catalogFileNameGz}, URL: ${catalogFileUrl}`);
-
   if (!TEMP_DOWNLOAD_DIR) {
     logger.error(`[CatalogSvc:Job-${jobIdForLog}] Temporary directory (TEMP_DOWNLOAD_DIR from config.tempDir) is not configured.`);
     throw new AppError("Temporary directory for downloads is not configured.", 500, "TEMP_DIR_MISSING");
   }
-  const localCsvPath = await downloadAndProcessFile(catalogFileUrl, TEMP_DOWNLOAD_DIR, baseFileNameWithoutExt);
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Parsing CSV file: ${localCsvPath}`);
-  const { products: bunjangProducts, totalRows: originalCsvRowCount } = await parseCsvFileWithRowProcessor(localCsvPath, processCatalogRow);
 
-  if (!bunjangProducts || bunjangProducts.length === 0) {
-    logger.warn(`[CatalogSvc:Job-${jobIdForLog}] No valid products found after filtering in CSV file: ${localCsvPath}. Processing finished.`);
-    if (await fs.pathExists(localCsvPath)) await fs.remove(localCsvPath);
-    return { filename: catalogFileNameGz, totalOriginalCsvRows: originalCsvRowCount || 0, validProductsToProcess: 0, successfullyProcessed: 0, errors: 0, skippedByFilter: 0, skippedNoChange: 0 };
+  let obtainFile;
+  let localCsvPath;
+  if (isReplay) {
+    if (catalogArchiveService.getCatalogTypeFromFileName(archivedFileName) !== catalogType) {
+      throw new AppError(`Archived file ${archivedFileName} does not match catalog type ${catalogType}.`, 400, 'CATALOG_TYPE_MISMATCH');
+    }
+    catalogFileNameGz = archivedFileName;
+    baseFileNameWithoutExt = catalogFileNameGz.replace(/\.csv\.gz$/, '');
+    // 같은 파일의 정기 실행과 로컬 CSV가 겹치지 않도록 별도 이름 사용
+    localCsvPath = path.join(TEMP_DOWNLOAD_DIR, `${baseFileNameWithoutExt}_replay${dryRun ? '_dryrun' : ''}.csv`);
+    obtainFile = () => catalogArchiveService.extractArchivedFile(catalogFileNameGz, localCsvPath);
+  } else {
+    if (catalogFileName) {
+      if (!catalogArchiveService.isValidArchiveFileName(catalogFileName) || catalogArchiveService.getCatalogTypeFromFileName(catalogFileName) !== catalogType) {
+        throw new AppError(`Invalid ${catalogType} catalog file name: ${catalogFileName}`, 400, 'INVALID_CATALOG_FILE_NAME');
+      }
+      catalogFileNameGz = catalogFileName;
+    } else {
+      const resolved = await syncRun.timeStage('resolve_file', () => resolveAvailableCatalogFile(catalogType, jobIdForLog, probeStartedAt));
+      if (!resolved) {
+        logger.warn(`[CatalogSvc:Job-${jobIdForLog}] No unprocessed ${catalogType} catalog file is available. Nothing to do.`);
+        return { filename: null, catalogType, skipped: true, reason: 'NO_AVAILABLE_CATALOG_FILE' };
+      }
+      if (resolved.retryAfterMs) {
+        return {
+          filename: null, catalogType, skipped: true, reason: 'CATALOG_FILE_NOT_PUBLISHED',
+          expectedFileName: resolved.expectedFileName, retryAfterMs: resolved.retryAfterMs, probeStartedAt: resolved.probeStartedAt.toISOString(),
+        };
+      }
+      catalogFileNameGz = resolved.fileName;
+      isFallback = resolved.isFallback;
+    }
+    baseFileNameWithoutExt = catalogFileNameGz.replace(/\.csv\.gz$/, '');
+    catalogFileUrl = buildCatalogFileUrl(catalogType, catalogFileNameGz);
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Catalog file to process: ${catalogFileNameGz}, URL: ${catalogFileUrl}`);
+
+    const localBaseName = dryRun ? `${baseFileNameWithoutExt}_dryrun` : baseFileNameWithoutExt;
+    localCsvPath = path.join(TEMP_DOWNLOAD_DIR, `${localBaseName}.csv`);
+    obtainFile = async () => {
+      await downloadAndProcessFile(catalogFileUrl, TEMP_DOWNLOAD_DIR, localBaseName);
+      // 처리 결과와 관계없이 나중에 조사/재처리할 수 있도록 처리 전에 아카이브 (실패해도 동기화는 계속)
+      if (config.bunjang?.catalogArchiveEnabled !== false) {
+        await catalogArchiveService.archiveCatalogFile(localCsvPath, catalogFileNameGz, jobIdForLog)
+          .catch(err => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to archive catalog file ${catalogFileNameGz}: ${err.message}`));
+      }
+    };
+  }
+
+  await syncRun.setFile({ fileName: catalogFileNameGz, isFallback });
+
+  if (dryRun) {
+    // dry-run은 체크포인트를 만들지 않음 (정기 실행의 재개/완료 기록에 영향을 주지 않도록)
+    await syncRun.timeStage('download', obtainFile);
+    return runCatalogDryRun({ catalogType, catalogFileNameGz, localCsvPath, isReplay, isFallback }, syncRun, jobIdForLog);
   }
+  const { checkpoint } = await syncRun.timeStage('download', () => prepareCatalogFileWithCheckpoint(catalogType, catalogFileNameGz, localCsvPath, obtainFile, { isReplay }, jobIdForLog));
+  if (checkpoint) await syncRun.setFile({ checkpointRunId: checkpoint.runId });
 
-  let successfullyProcessed = 0;
-  let errorCount = 0;
-  let skippedByFilterCount = 0;
-  let skippedNoChangeCount = 0;
+  // 재개된 실행이면 최초 시작 시각과 커밋 시점까지의 카운트(거부 행 사유별 건수 포함)를 그대로 이어받음
+  const runStartedAt = checkpoint ? new Date(checkpoint.runStartedAt) : new Date();
+  const { rejectedRows: resumedRejectedRows, rejectionsByReason: resumedRejectionsByReason, ...resumedCounters } = checkpoint?.counters || {};
+  const counters = {
+    validProductsToProcess: 0,
+    successfullyProcessed: 0,
+    errors: 0,
+    skippedByFilter: 0,
+    skippedNoChange: 0,
+    skippedForReview: 0,
+    delisted: 0,
+    skippedNotListed: 0,
+    ...resumedCounters,
+  };
 
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Processing ${bunjangProducts.length} valid items from Bunjang catalog...`);
-  const concurrency = config.bunjang?.syncConcurrency || 1;
-  const productChunks = [];
-  for (let i = 0; i < bunjangProducts.length; i += concurrency) {
-    productChunks.push(bunjangProducts.slice(i, i + concurrency));
+  const rejections = catalogRejectionReportService.createRejectionCollector(resumedRejectionsByReason);
+  if (resumedRejectedRows && rejections.getTotal() !== resumedRejectedRows) {
+    logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Checkpoint ${checkpoint.runId} has ${resumedRejectedRows} rejected rows but only ${rejections.getTotal()} by reason. Rejection counts may be incomplete.`);
   }
+  const invocationStartedAt = new Date();
+  // 거부된 행의 PID. 상품별 처리를 거치지 않으므로 커밋 시점마다 카탈로그 확인 시각을 따로 기록
+  let rejectedSeenPids = [];
+  const processRow = (row, rowNumber) => {
+    const product = processCatalogRow(row, rowNumber, rejections);
+    const pid = (row.pid || '').trim();
+    if (!product && pid) rejectedSeenPids.push(pid);
+    return product;
+  };
+  const flushRejectedSeenPids = async () => {
+    if (rejectedSeenPids.length === 0) return;
+    const pids = rejectedSeenPids;
+    rejectedSeenPids = [];
+    await markProductsSeenInCatalog(pids);
+  };
 
-  for (const chunk of productChunks) {
-    const chunkResults = await Promise.allSettled(
-      chunk.map(product => syncBunjangProductToShopify(product, jobIdForLog))
-    );
-    chunkResults.forEach(result => {
-      if (result.status === 'fulfilled' && result.value) {
-        if (result.value.status === 'success') successfullyProcessed++;
-        else if (result.value.status === 'skipped_filter') skippedByFilterCount++;
-        else if (result.value.status === 'skipped_no_change') skippedNoChangeCount++;
-        else if (result.value.status === 'error') errorCount++;
-      } else if (result.status === 'rejected') {
-        errorCount++;
-        logger.error(`[CatalogSvc:Job-${jobIdForLog}] Unhandled promise rejection in sync chunk for a product:`, result.reason);
+  const concurrency = config.bunjang?.syncConcurrency || 1;
+  // 전체 카탈로그는 설정(또는 작업 옵션)에 따라 생성/수정을 Shopify bulk operation으로 반영. 세그먼트는 항상 상품별로 처리
+  const useBulk = catalogType === 'full' && (bulk ?? config.bunjang?.bulkFullSyncEnabled === true);
+  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Streaming CSV file ${localCsvPath} into sync pipeline (concurrency: ${concurrency}${useBulk ? `, bulk mode with batches of ${BULK_BATCH_SIZE}` : ''})...`);
+
+  const recordResult = (result, pid) => {
+    syncRun.recordProductResult(result, pid);
+    if (result.status === 'success') counters.successfullyProcessed++;
+    else if (result.status === 'skipped_filter') counters.skippedByFilter++;
+    else if (result.status === 'skipped_no_change') counters.skippedNoChange++;
+    else if (result.status === 'skipped_review') counters.skippedForReview++;
+    else if (result.status === 'error') counters.errors++;
+    else if (result.status === 'delisted') counters.delisted++;
+    else if (result.status === 'skipped_not_listed' || result.status === 'skipped_already_delisted') counters.skippedNotListed++;
+
+    const handled = counters.successfullyProcessed + counters.skippedByFilter + counters.skippedNoChange + counters.skippedForReview + counters.errors + counters.delisted + counters.skippedNotListed;
+    if (handled % 100 === 0) {
+      logger.debug(`[CatalogSvc:Job-${jobIdForLog}] Pipeline progress. Totals - Success: ${counters.successfullyProcessed}, FilterSkip: ${counters.skippedByFilter}, NoChangeSkip: ${counters.skippedNoChange}, Errors: ${counters.errors}`);
+    }
+  };
+  const bulkBatch = useBulk ? createBulkProductSyncBatch({ jobId: jobIdForLog, syncRun, onResult: recordResult }) : null;
+
+  const handleProduct = async (product) => {
+    counters.validProductsToProcess++;
+    let result;
+    try {
+      result = product.isSelling
+        ? await syncBunjangProductToShopify(product, jobIdForLog, bulkBatch)
+        : await delistSyncedProduct(product.pid, {
+          reason: mapSaleStatusToDelistReason(product.saleStatus),
+          saleStatus: product.saleStatus,
+          catalogFields: buildBunjangMirrorFields(product),
+        }, jobIdForLog);
+    } catch (error) {
+      counters.errors++;
+      syncRun.recordUnhandledError(error, product.pid);
+      logger.error(`[CatalogSvc:Job-${jobIdForLog}] Unhandled error while syncing PID ${product.pid}:`, error);
+      return;
+    }
+    // bulk 배치에 추가된 상품은 배치 반영 후 recordResult로 집계
+    if (!result || result.status === 'queued_bulk') return;
+    recordResult(result, product.pid);
+  };
+
+  // 체크포인트 저장 실패로 전체 작업을 중단하지는 않음 (재개 지점이 조금 앞으로 당겨질 뿐)
+  const saveCheckpoint = async (rowNumber) => {
+    try {
+      await checkpointService.saveCheckpointProgress(checkpoint.runId, rowNumber, {
+        ...counters,
+        rejectedRows: rejections.getTotal(),
+        rejectionsByReason: rejections.getCountsByReason(),
+      });
+      logger.debug(`[CatalogSvc:Job-${jobIdForLog}] Checkpoint ${checkpoint.runId} committed at row #${rowNumber}.`);
+    } catch (error) {
+      logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to save checkpoint ${checkpoint.runId} at row #${rowNumber}: ${error.message}`);
+    }
+  };
+  // bulk 모드에서는 커밋 전에 모인 생성/수정을 먼저 반영 (재개 시 건너뛰는 행에 미반영 상품이 남지 않도록)
+  const commitRows = async (rowNumber) => {
+    if (bulkBatch) await bulkBatch.flush();
+    await flushRejectedSeenPids();
+    await saveCheckpoint(rowNumber);
+  };
+
+  let pipelineResult;
+  let summary;
+  let rejectionReport = null;
+  let processingCompleted = false;
+  try {
+    try {
+      pipelineResult = await syncRun.timeStage('process', () => processCsvFileAsPipeline(localCsvPath, processRow, handleProduct, {
+        concurrency,
+        startAfterRow: checkpoint?.lastCommittedRow || 0,
+        checkpointEveryRows: checkpoint ? (bulkBatch ? BULK_BATCH_SIZE : (config.bunjang?.checkpointEveryRows || 500)) : 0,
+        onCheckpoint: checkpoint ? commitRows : null,
+      }));
+      if (bulkBatch) await bulkBatch.flush();
+      await flushRejectedSeenPids();
+      if (checkpoint) await saveCheckpoint(pipelineResult.totalRows);
+      processingCompleted = true;
+    } finally {
+      // 거부된 행 리포트는 처리 실패 시에도 저장 (건수는 체크포인트에서 이어받은 이전 실행분 포함, 샘플은 이번 실행에서 읽은 행만)
+      rejectionReport = await catalogRejectionReportService.saveRejectionReport(rejections, {
+        jobId: jobIdForLog,
+        runId: checkpoint?.runId || null,
+        catalogType,
+        fileName: catalogFileNameGz,
+        isReplay,
+        failed: !processingCompleted,
+        resumedFromRow: checkpoint?.lastCommittedRow || 0,
+        totalRows: pipelineResult?.totalRows || 0,
+        startedAt: invocationStartedAt,
+      });
+    }
+
+    if (counters.validProductsToProcess === 0) {
+      logger.warn(`[CatalogSvc:Job-${jobIdForLog}] No valid products found after filtering in CSV file: ${localCsvPath}.`);
+    }
+
+    // 전체 카탈로그에서 사라진 상품 판매 중단 (빈 파일이면 전부 사라진 것으로 오판하므로 건너뜀)
+    let missingDelistResult = null;
+    // 과거 파일을 다시 처리하거나 이전 파일로 대체한 경우에는 그 이후에 등록된 상품까지 누락으로 오판하므로 건너뜀
+    if (catalogType === 'full' && !isReplay && !isFallback && config.bunjang?.delistMissingEnabled !== false) {
+      if (counters.validProductsToProcess > 0) {
+        missingDelistResult = await syncRun.timeStage('delist_missing', () => delistProductsMissingFromCatalog(runStartedAt, jobIdForLog));
+      } else {
+        logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Skipping missing-product delisting because the full catalog contained no valid rows.`);
       }
-    });
-    logger.debug(`[CatalogSvc:Job-${jobIdForLog}] Processed a chunk. Totals - Success: ${successfullyProcessed}, FilterSkip: ${skippedByFilterCount}, NoChangeSkip: ${skippedNoChangeCount}, Errors: ${errorCount} / TotalValid: ${bunjangProducts.length}`);
+    }
+
+    summary = {
+      filename: catalogFileNameGz,
+      isReplay,
+      isFallback,
+      runId: checkpoint?.runId || null,
+      resumedFromRow: checkpoint?.lastCommittedRow || 0,
+      totalOriginalCsvRows: pipelineResult.totalRows || 0,
+      syncMode: bulkBatch ? 'bulk' : 'per_product',
+      ...(bulkBatch && { bulkOperations: bulkBatch.getOperations() }),
+      ...counters,
+      delistedMissingFromCatalog: missingDelistResult ? missingDelistResult.delisted : 0,
+      rejectedRows: rejections.getTotal(),
+      rejectionsByReason: rejections.getCountsByReason(),
+      rejectionReportId: rejectionReport?._id || null,
+    };
+    if (checkpoint) await checkpointService.completeCheckpoint(checkpoint.runId, pipelineResult.totalRows, summary);
+  } catch (error) {
+    if (checkpoint) {
+      // 체크포인트를 IN_PROGRESS로 남겨두고 CSV도 보존하여 재시도 시 이어서 처리
+      await checkpointService.recordCheckpointFailure(checkpoint.runId, error);
+      logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Catalog run ${checkpoint.runId} failed. Keeping ${localCsvPath} so a retry can resume from the last checkpoint.`);
+    } else {
+      await removeLocalCsvFile(localCsvPath, jobIdForLog);
+    }
+    throw error;
   }
 
+  await removeLocalCsvFile(localCsvPath, jobIdForLog);
+
+  // 장애 등으로 처리되지 못한 이전 시간대 세그먼트는 워커가 backfill 작업으로 추가하도록 요약에 포함
+  if (catalogType === 'segment' && !isReplay && !catalogFileName) {
+    summary.missedSegmentFiles = await findMissedSegmentFiles(catalogFileNameGz, jobIdForLog)
+      .catch(err => {
+        logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to look up missed segment files: ${err.message}`);
+        return [];
+      });
+  }
+  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog processing finished. Summary:`, summary);
+  return summary;
+}
+
+async function removeLocalCsvFile(localCsvPath, jobIdForLog) {
   if (await fs.pathExists(localCsvPath)) {
     await fs.remove(localCsvPath)
       .then(() => logger.info(`[CatalogSvc:Job-${jobIdForLog}] Cleaned up local CSV file: ${localCsvPath}`))
       .catch(unlinkError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to clean up local CSV file ${localCsvPath}:`, unlinkError));
   }
-
-  const summary = {
-    filename: catalogFileNameGz,
-    totalOriginalCsvRows: originalCsvRowCount || 0,
-    validProductsToProcess: bunjangProducts.length,
-    successfullyProcessed,
-    errors: errorCount,
-    skippedByFilter: skippedByFilterCount,
-    skippedNoChange: skippedNoChangeCount,
-  };
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog processing finished. Summary:`, summary);
-  return summary;
 }
 
 module.exports = {
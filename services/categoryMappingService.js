@@ -0,0 +1,111 @@
+// src/services/categoryMappingService.js
+// 번개장터 카테고리 매핑(CategoryMapping)을 관리하고 동기화 시 상품에 적용할 매핑을 찾습니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const CategoryMapping = require('../models/categoryMapping.model');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CategoryMappingSvc';
+const MAPPING_CACHE_TTL_MS = 60 * 1000;
+
+let mappingCache = { byCategoryId: null, loadedAt: 0 };
+
+function invalidateMappingCache() {
+  mappingCache = { byCategoryId: null, loadedAt: 0 };
+}
+
+// bunjangCategoryId unique 인덱스 위반(E11000)을 409로 변환
+function rethrowDuplicateCategory(error, bunjangCategoryId) {
+  if (error?.code === 11000) {
+    throw new AppError(`이미 매핑이 있는 번개장터 카테고리입니다: ${bunjangCategoryId}`, 409, 'CATEGORY_MAPPING_DUPLICATE', true, { bunjangCategoryId });
+  }
+  throw error;
+}
+
+async function getMappingsByCategoryId() {
+  if (mappingCache.byCategoryId && Date.now() - mappingCache.loadedAt < MAPPING_CACHE_TTL_MS) return mappingCache.byCategoryId;
+  const mappings = await CategoryMapping.find({}).lean();
+  const byCategoryId = new Map(mappings.map(mapping => [mapping.bunjangCategoryId, mapping]));
+  mappingCache = { byCategoryId, loadedAt: Date.now() };
+  return byCategoryId;
+}
+
+/**
+ * 상품 카테고리 ID에 적용할 매핑을 찾습니다. 정확히 일치하는 매핑이 없으면 가장 긴 상위 카테고리(접두어) 매핑을 사용합니다.
+ * @param {string} bunjangCategoryId - 번개장터 카테고리 ID (예: "600100001").
+ * @returns {Promise<object|null>} CategoryMapping 문서 또는 null.
+ */
+async function resolveCategoryMapping(bunjangCategoryId) {
+  const categoryId = String(bunjangCategoryId || '').trim();
+  if (!categoryId) return null;
+  const byCategoryId = await getMappingsByCategoryId();
+  for (let length = categoryId.length; length > 0; length--) {
+    const mapping = byCategoryId.get(categoryId.substring(0, length));
+    if (mapping) return mapping;
+  }
+  return null;
+}
+
+async function listCategoryMappings({ included } = {}) {
+  const filter = typeof included === 'boolean' ? { included } : {};
+  return CategoryMapping.find(filter).sort({ bunjangCategoryId: 1 }).lean();
+}
+
+async function getCategoryMapping(bunjangCategoryId) {
+  const mapping = await CategoryMapping.findOne({ bunjangCategoryId }).lean();
+  if (!mapping) throw new NotFoundError(`카테고리 매핑을 찾을 수 없습니다: ${bunjangCategoryId}`, 'CategoryMapping', bunjangCategoryId);
+  return mapping;
+}
+
+async function createCategoryMapping(input) {
+  const mapping = await CategoryMapping.create(input).catch(error => rethrowDuplicateCategory(error, input.bunjangCategoryId));
+  invalidateMappingCache();
+  logger.info(`[${SERVICE_NAME}] Created category mapping for Bunjang category ${mapping.bunjangCategoryId} (included: ${mapping.included}).`);
+  return mapping.toObject();
+}
+
+async function updateCategoryMapping(bunjangCategoryId, input) {
+  const mapping = await CategoryMapping.findOneAndUpdate({ bunjangCategoryId }, { $set: input }, { new: true, runValidators: true }).lean();
+  if (!mapping) throw new NotFoundError(`카테고리 매핑을 찾을 수 없습니다: ${bunjangCategoryId}`, 'CategoryMapping', bunjangCategoryId);
+  invalidateMappingCache();
+  logger.info(`[${SERVICE_NAME}] Updated category mapping for Bunjang category ${bunjangCategoryId}.`);
+  return mapping;
+}
+
+async function deleteCategoryMapping(bunjangCategoryId) {
+  const mapping = await CategoryMapping.findOneAndDelete({ bunjangCategoryId }).lean();
+  if (!mapping) throw new NotFoundError(`카테고리 매핑을 찾을 수 없습니다: ${bunjangCategoryId}`, 'CategoryMapping', bunjangCategoryId);
+  invalidateMappingCache();
+  logger.info(`[${SERVICE_NAME}] Deleted category mapping for Bunjang category ${bunjangCategoryId}.`);
+  return mapping;
+}
+
+/**
+ * 카테고리 매핑이 하나도 없으면 .env의 categoryToShopifyType 매핑을 DB로 옮깁니다.
+ * @returns {Promise<number>} 생성된 매핑 수.
+ */
+async function seedCategoryMappingsFromConfig() {
+  const legacyMapping = config.bunjang?.categoryToShopifyType || {};
+  const entries = Object.entries(legacyMapping).filter(([categoryId, productType]) => String(categoryId).trim() && productType);
+  if (entries.length === 0 || await CategoryMapping.estimatedDocumentCount() > 0) return 0;
+
+  await CategoryMapping.insertMany(entries.map(([categoryId, productType]) => ({
+    bunjangCategoryId: String(categoryId).trim(),
+    shopifyProductType: String(productType).trim(),
+    notes: 'config.bunjang.categoryToShopifyType에서 자동 생성',
+  })));
+  invalidateMappingCache();
+  logger.info(`[${SERVICE_NAME}] Seeded ${entries.length} category mappings from legacy config.`);
+  return entries.length;
+}
+
+module.exports = {
+  seedCategoryMappingsFromConfig,
+  resolveCategoryMapping,
+  listCategoryMappings,
+  getCategoryMapping,
+  createCategoryMapping,
+  updateCategoryMapping,
+  deleteCategoryMapping,
+};
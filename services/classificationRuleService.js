@@ -0,0 +1,281 @@
+// src/services/classificationRuleService.js
+// MongoDB에 저장된 분류 규칙(ClassificationRule)을 관리하고 카탈로그 상품에 적용합니다.
+// 규칙의 모든 조건(AND)을 만족하면 매칭되며, 조건이 하나도 없는 규칙은 모든 상품에 매칭됩니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const ClassificationRule = require('../models/classificationRule.model');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+const { findUnsafeRegexReason, MAX_REGEX_PATTERN_LENGTH } = require('../utils/regexSafety');
+
+const SERVICE_NAME = 'ClassificationRuleSvc';
+const RULE_CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_REGEX_FIELDS = ['name', 'description', 'categoryName'];
+
+let ruleCache = { rules: null, loadedAt: 0 };
+
+function invalidateRuleCache() {
+  ruleCache = { rules: null, loadedAt: 0 };
+}
+
+// 규칙 이름 unique 인덱스 위반(E11000)을 409로 변환
+function rethrowDuplicateName(error, name) {
+  if (error?.code === 11000) {
+    throw new AppError(`같은 이름의 분류 규칙이 이미 있습니다: ${name}`, 409, 'CLASSIFICATION_RULE_DUPLICATE', true, { name });
+  }
+  throw error;
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 규칙 입력값의 정규식과 가격 범위를 검증합니다.
+ * @throws {ValidationError}
+ */
+function validateRuleInput(input = {}) {
+  const errors = [];
+  const regex = input.conditions?.regex;
+  if (regex?.pattern) {
+    try {
+      new RegExp(regex.pattern, regex.flags ?? 'i');
+      const unsafeReason = findUnsafeRegexReason(regex.pattern);
+      if (unsafeReason) errors.push({ field: 'conditions.regex.pattern', message: `허용되지 않는 정규식입니다: ${unsafeReason}` });
+    } catch (e) {
+      errors.push({ field: 'conditions.regex.pattern', message: `유효하지 않은 정규식입니다: ${e.message}` });
+    }
+  }
+  const { minPriceKrw, maxPriceKrw } = input.conditions || {};
+  if (typeof minPriceKrw === 'number' && typeof maxPriceKrw === 'number' && minPriceKrw > maxPriceKrw) {
+    errors.push({ field: 'conditions.minPriceKrw', message: 'minPriceKrw는 maxPriceKrw보다 클 수 없습니다.' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('분류 규칙 입력값이 유효하지 않습니다.', errors);
+  }
+}
+
+/**
+ * 규칙 문서의 정규식을 미리 컴파일합니다. 컴파일에 실패하거나 안전하지 않은 정규식의 규칙은 null을 반환합니다.
+ * (검증 도입 전에 저장된 규칙도 카탈로그 처리에서 실행되지 않도록 다시 확인)
+ */
+function compileRule(rule) {
+  const regex = rule.conditions?.regex;
+  let compiledRegex = null;
+  if (regex?.pattern) {
+    const unsafeReason = findUnsafeRegexReason(regex.pattern);
+    if (unsafeReason) {
+      logger.warn(`[${SERVICE_NAME}] Skipping rule "${rule.name}" (${rule._id}): unsafe regex /${regex.pattern}/: ${unsafeReason}`);
+      return null;
+    }
+    try {
+      compiledRegex = new RegExp(regex.pattern, (regex.flags ?? 'i').replace(/g/g, ''));
+    } catch (e) {
+      logger.warn(`[${SERVICE_NAME}] Skipping rule "${rule.name}" (${rule._id}): invalid regex /${regex.pattern}/: ${e.message}`);
+      return null;
+    }
+  }
+  return { ...rule, compiledRegex };
+}
+
+/**
+ * 상품이 규칙의 각 조건을 만족하는지 확인합니다.
+ * @param {object} product - processCatalogRow 결과 (name, description, categoryId, categoryName, brandId, price, uid, keywords).
+ * @param {object} rule - compileRule 결과.
+ * @returns {{matched: boolean, failedConditions: string[]}}
+ */
+function matchRule(product, rule) {
+  const conditions = rule.conditions || {};
+  const failedConditions = [];
+
+  if (rule.compiledRegex) {
+    const fields = conditions.regex.fields?.length ? conditions.regex.fields : DEFAULT_REGEX_FIELDS;
+    const texts = fields.map(field => (field === 'keywords' ? (product.keywords || []).join(' ') : String(product[field] || '')));
+    if (!texts.some(text => rule.compiledRegex.test(text))) failedConditions.push('regex');
+  }
+  if (conditions.categoryIds?.length) {
+    const categoryId = String(product.categoryId || '');
+    if (!categoryId || !conditions.categoryIds.some(id => categoryId.startsWith(String(id)))) failedConditions.push('categoryIds');
+  }
+  if (conditions.brandIds?.length && !conditions.brandIds.map(String).includes(String(product.brandId || ''))) {
+    failedConditions.push('brandIds');
+  }
+  if (conditions.sellerUids?.length && !conditions.sellerUids.map(String).includes(String(product.uid || ''))) {
+    failedConditions.push('sellerUids');
+  }
+  const price = Number(product.price);
+  if (typeof conditions.minPriceKrw === 'number' && !(price >= conditions.minPriceKrw)) failedConditions.push('minPriceKrw');
+  if (typeof conditions.maxPriceKrw === 'number' && !(price <= conditions.maxPriceKrw)) failedConditions.push('maxPriceKrw');
+
+  return { matched: failedConditions.length === 0, failedConditions };
+}
+
+/**
+ * 우선순위 순서대로 규칙을 평가하여 동작을 합칩니다.
+ * 태그와 컬렉션은 누적되고, 상품 유형은 먼저 매칭된 규칙의 값이 사용됩니다.
+ * exclude 규칙이 매칭되거나 stopProcessing 규칙이 매칭되면 평가를 중단합니다.
+ * @param {object} product - processCatalogRow 결과.
+ * @param {object[]} rules - compileRule 결과 (priority 오름차순).
+ * @returns {{matchedRules: object[], tags: string[], productType: string|null, collectionGids: string[], excluded: boolean, excludedBy: object|null}}
+ */
+function evaluateRules(product, rules) {
+  const result = { matchedRules: [], tags: [], productType: null, collectionGids: [], excluded: false, excludedBy: null };
+
+  for (const rule of rules) {
+    if (!matchRule(product, rule).matched) continue;
+    const summary = { id: String(rule._id), name: rule.name, priority: rule.priority };
+    result.matchedRules.push(summary);
+
+    const actions = rule.actions || {};
+    if (actions.exclude) {
+      result.excluded = true;
+      result.excludedBy = summary;
+      break;
+    }
+    (actions.addTags || []).forEach(tag => { if (tag && !result.tags.includes(tag)) result.tags.push(tag); });
+    (actions.collectionGids || []).forEach(gid => { if (gid && !result.collectionGids.includes(gid)) result.collectionGids.push(gid); });
+    if (actions.productType && !result.productType) result.productType = actions.productType;
+    if (rule.stopProcessing) break;
+  }
+  return result;
+}
+
+async function loadRules({ includeDisabled = false } = {}) {
+  const filter = includeDisabled ? {} : { enabled: true };
+  const rules = await ClassificationRule.find(filter).sort({ priority: 1, createdAt: 1 }).lean();
+  return rules.map(compileRule).filter(Boolean);
+}
+
+/**
+ * 활성 규칙을 캐시에서 가져옵니다. (RULE_CACHE_TTL_MS마다 또는 규칙 변경 시 다시 로드)
+ */
+async function getActiveRules() {
+  if (ruleCache.rules && Date.now() - ruleCache.loadedAt < RULE_CACHE_TTL_MS) return ruleCache.rules;
+  const rules = await loadRules();
+  ruleCache = { rules, loadedAt: Date.now() };
+  return rules;
+}
+
+/**
+ * 카탈로그 상품에 활성 분류 규칙을 적용합니다.
+ * @param {object} product - processCatalogRow 결과.
+ * @returns {Promise<object>} evaluateRules 결과.
+ */
+async function classifyProduct(product) {
+  return evaluateRules(product, await getActiveRules());
+}
+
+/**
+ * 샘플 상품에 대해 각 규칙의 매칭 여부와 최종 분류 결과를 반환합니다. (규칙 테스트 API용)
+ * @param {object} sample - 상품 필드 (name, description, categoryId, categoryName, brandId, price, uid, keywords).
+ * @param {object} [options]
+ * @param {boolean} [options.includeDisabled=false] - 비활성 규칙도 평가 결과에 포함 (최종 분류에는 반영하지 않음).
+ */
+async function testRulesAgainstSample(sample, { includeDisabled = false } = {}) {
+  const product = {
+    ...sample,
+    price: Number(sample.price),
+    keywords: Array.isArray(sample.keywords)
+      ? sample.keywords
+      : String(sample.keywords || '').split(',').map(k => k.trim()).filter(Boolean),
+  };
+  const rules = await loadRules({ includeDisabled });
+  const ruleResults = rules.map(rule => ({
+    id: String(rule._id),
+    name: rule.name,
+    priority: rule.priority,
+    enabled: rule.enabled,
+    ...matchRule(product, rule),
+  }));
+  return { ruleResults, classification: evaluateRules(product, rules.filter(rule => rule.enabled !== false)) };
+}
+
+async function listRules({ enabled } = {}) {
+  const filter = typeof enabled === 'boolean' ? { enabled } : {};
+  return ClassificationRule.find(filter).sort({ priority: 1, createdAt: 1 }).lean();
+}
+
+async function getRule(ruleId) {
+  const rule = await ClassificationRule.findById(ruleId).lean();
+  if (!rule) throw new NotFoundError(`분류 규칙을 찾을 수 없습니다: ${ruleId}`, 'ClassificationRule', ruleId);
+  return rule;
+}
+
+async function createRule(input) {
+  validateRuleInput(input);
+  const rule = await ClassificationRule.create(input).catch(error => rethrowDuplicateName(error, input.name));
+  invalidateRuleCache();
+  logger.info(`[${SERVICE_NAME}] Created classification rule "${rule.name}" (${rule._id}, priority ${rule.priority}).`);
+  return rule.toObject();
+}
+
+async function updateRule(ruleId, input) {
+  const existing = await getRule(ruleId);
+  validateRuleInput({ ...existing, ...input, conditions: { ...existing.conditions, ...input.conditions } });
+  const update = { ...input };
+  // 중첩 객체는 전달된 하위 필드만 교체
+  ['conditions', 'actions'].forEach(key => {
+    if (!input[key]) return;
+    delete update[key];
+    Object.entries(input[key]).forEach(([field, value]) => { update[`${key}.${field}`] = value; });
+  });
+  const rule = await ClassificationRule.findByIdAndUpdate(ruleId, { $set: update }, { new: true, runValidators: true }).lean()
+    .catch(error => rethrowDuplicateName(error, input.name));
+  // 조회 후 수정 전에 다른 요청이 규칙을 삭제한 경우
+  if (!rule) throw new NotFoundError(`분류 규칙을 찾을 수 없습니다: ${ruleId}`, 'ClassificationRule', ruleId);
+  invalidateRuleCache();
+  logger.info(`[${SERVICE_NAME}] Updated classification rule "${rule.name}" (${ruleId}).`);
+  return rule;
+}
+
+async function deleteRule(ruleId) {
+  const rule = await ClassificationRule.findByIdAndDelete(ruleId).lean();
+  if (!rule) throw new NotFoundError(`분류 규칙을 찾을 수 없습니다: ${ruleId}`, 'ClassificationRule', ruleId);
+  invalidateRuleCache();
+  logger.info(`[${SERVICE_NAME}] Deleted classification rule "${rule.name}" (${ruleId}).`);
+  return rule;
+}
+
+/**
+ * 규칙이 하나도 없으면 기존 설정(config.bunjang.kpopKeywords, kidultKeywords)의 키워드 분류를 규칙으로 만들어 둡니다.
+ * (상품명/설명/카테고리명 부분 일치 → K-Pop, Kidult 태그)
+ * @returns {Promise<number>} 생성된 규칙 수.
+ */
+async function seedLegacyKeywordRules() {
+  if (await ClassificationRule.estimatedDocumentCount() > 0) return 0;
+  const legacyRules = [
+    { name: 'Legacy K-Pop keywords', keywords: config.bunjang?.kpopKeywords || [], tag: 'K-Pop', priority: 100 },
+    { name: 'Legacy Kidult keywords', keywords: config.bunjang?.kidultKeywords || [], tag: 'Kidult', priority: 110 },
+  ].filter(rule => rule.keywords.length > 0);
+
+  for (const { name, keywords, tag, priority } of legacyRules) {
+    const pattern = keywords.map(escapeRegex).join('|');
+    if (findUnsafeRegexReason(pattern)) {
+      logger.warn(`[${SERVICE_NAME}] Legacy keyword rule "${name}" exceeds the regex limit (${pattern.length}/${MAX_REGEX_PATTERN_LENGTH} chars) and will be skipped until it is split or the limit is raised.`);
+    }
+    await ClassificationRule.create({
+      name,
+      description: 'config.bunjang 키워드 목록에서 자동 생성된 규칙',
+      priority,
+      conditions: { regex: { pattern, flags: 'i', fields: DEFAULT_REGEX_FIELDS } },
+      actions: { addTags: [tag] },
+    });
+  }
+  if (legacyRules.length > 0) {
+    invalidateRuleCache();
+    logger.info(`[${SERVICE_NAME}] Seeded ${legacyRules.length} classification rules from legacy keyword config.`);
+  }
+  return legacyRules.length;
+}
+
+module.exports = {
+  evaluateRules,
+  classifyProduct,
+  testRulesAgainstSample,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  seedLegacyKeywordRules,
+};
@@ -0,0 +1,279 @@
+// src/services/descriptionTemplateService.js
+// 상품 설명 템플릿(DescriptionTemplate)을 관리하고, 카탈로그 상품의 Shopify descriptionHtml을 렌더링합니다.
+// 판매자 설명은 HTML 태그, 제어 문자, 연락처(전화번호/URL)를 제거하고 이스케이프한 뒤 사용합니다.
+
+const logger = require('../config/logger');
+const DescriptionTemplate = require('../models/descriptionTemplate.model');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'DescriptionTemplateSvc';
+const TEMPLATE_CACHE_TTL_MS = 60 * 1000;
+
+const DEFAULT_HEADINGS = {
+  SELLER_TEXT: 'Description',
+  CONDITION: 'Condition',
+  SHIPPING_NOTICE: 'International Shipping',
+  POLICY: 'Price Adjustment & Cancellation Policy',
+  LISTED_DATE: 'Originally Listed',
+  CUSTOM: '',
+};
+
+const DEFAULT_CONTENTS = {
+  CONDITION: '<p>{{condition}}</p>',
+  SHIPPING_NOTICE: '<p>This item ships from South Korea. Please allow 7–21 business days for international delivery. Import duties and taxes, if any, are the responsibility of the buyer.</p>',
+  POLICY: '<p>This item is purchased from an individual seller in Korea after your order is placed. The final price may be adjusted for exchange-rate or shipping cost changes, and orders cannot be cancelled once the item has been purchased from the seller.</p>',
+  LISTED_DATE: '<p>{{listedDate}} (KST)</p>',
+};
+
+// 카탈로그 condition 값 → 표시 문구 (목록에 없으면 원래 값 사용)
+const CONDITION_LABELS = {
+  NEW: 'New',
+  LIKE_NEW: 'Like new',
+  USED: 'Used',
+  LIGHTLY_USED: 'Used – lightly used',
+  HEAVILY_USED: 'Used – signs of wear',
+  DAMAGED: 'Damaged / for parts',
+};
+
+// DB에 템플릿이 하나도 없을 때 사용하는 기본 템플릿
+const BUILT_IN_TEMPLATE = {
+  _id: null,
+  name: '(built-in)',
+  blocks: ['SELLER_TEXT', 'CONDITION', 'SHIPPING_NOTICE', 'POLICY', 'LISTED_DATE'].map(type => ({ type, enabled: true })),
+};
+
+const PHONE_NUMBER_REGEX = /(?:\+?82[-.\s]?)?0?1[016789][-.\s]?\d{3,4}[-.\s]?\d{4}/g;
+const URL_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+
+let templateCache = { templates: null, loadedAt: 0 };
+
+function invalidateTemplateCache() {
+  templateCache = { templates: null, loadedAt: 0 };
+}
+
+// 템플릿 이름 unique 인덱스 위반(E11000)을 409로 변환
+function rethrowDuplicateName(error, name) {
+  if (error?.code === 11000) {
+    throw new AppError(`같은 이름의 설명 템플릿이 이미 있습니다: ${name}`, 409, 'DESCRIPTION_TEMPLATE_DUPLICATE', true, { name });
+  }
+  throw error;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * 판매자 설명을 상품 설명에 넣을 수 있도록 정리합니다.
+ * HTML 태그/제어 문자/연락처를 제거하고, 빈 줄은 문단(<p>), 줄바꿈은 <br>로 바꿉니다.
+ * @param {string} text - 판매자 설명 (번역문 또는 원문).
+ * @returns {string} HTML (내용이 없으면 빈 문자열).
+ */
+function sanitizeSellerText(text) {
+  const cleaned = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B-\u001F\u007F\u200B-\u200D\uFEFF]/g, '')
+    .replace(URL_REGEX, '')
+    .replace(PHONE_NUMBER_REGEX, '')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  if (!cleaned) return '';
+  return cleaned
+    .split('\n\n')
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+// 원 등록일은 번개장터 기준(KST) 날짜로 표시
+function formatListedDate(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) return '';
+  return new Date(date.getTime() + 9 * 60 * 60 * 1000).toISOString().substring(0, 10);
+}
+
+function formatCondition(condition) {
+  const key = String(condition || '').trim().toUpperCase();
+  if (!key) return '';
+  return CONDITION_LABELS[key] || key.charAt(0) + key.slice(1).toLowerCase().replace(/_/g, ' ');
+}
+
+function fillPlaceholders(content, values) {
+  return content.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (Object.prototype.hasOwnProperty.call(values, name) ? escapeHtml(values[name]) : ''));
+}
+
+/**
+ * 템플릿으로 상품 설명 HTML을 만듭니다. 값이 없는 블록(판매자 설명 없음, 등록일 없음 등)은 생략합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @param {object} [template] - DescriptionTemplate 문서 (없으면 기본 템플릿).
+ * @param {object} [translation] - translationService.translateProductText 결과. 번역된 경우 번역된 설명 사용.
+ * @returns {string} descriptionHtml.
+ */
+function renderProductDescription(bunjangProduct, template = BUILT_IN_TEMPLATE, translation = null) {
+  const sellerText = translation?.translated ? translation.description : bunjangProduct.description;
+  const values = {
+    condition: formatCondition(bunjangProduct.condition),
+    listedDate: formatListedDate(bunjangProduct.createdAt),
+    pid: bunjangProduct.pid || '',
+    categoryName: bunjangProduct.categoryName || '',
+  };
+
+  const sections = (template?.blocks || []).filter(block => block.enabled !== false).map(block => {
+    let body;
+    if (block.type === 'SELLER_TEXT') {
+      body = sanitizeSellerText(sellerText);
+    } else {
+      if ((block.type === 'CONDITION' && !values.condition) || (block.type === 'LISTED_DATE' && !values.listedDate)) return null;
+      body = fillPlaceholders(block.content || DEFAULT_CONTENTS[block.type] || '', values).trim();
+    }
+    if (!body) return null;
+    const heading = block.heading ?? DEFAULT_HEADINGS[block.type];
+    const className = `bunjang-description__${block.type.toLowerCase().replace(/_/g, '-')}`;
+    return `<div class="${className}">${heading ? `<h3>${escapeHtml(heading)}</h3>` : ''}${body}</div>`;
+  }).filter(Boolean);
+
+  if (sections.length === 0) return `Imported from Bunjang. Product ID: ${bunjangProduct.pid}`;
+  return `<div class="bunjang-description">\n${sections.join('\n')}\n</div>`;
+}
+
+async function getEnabledTemplates() {
+  if (templateCache.templates && Date.now() - templateCache.loadedAt < TEMPLATE_CACHE_TTL_MS) return templateCache;
+  const templates = await DescriptionTemplate.find({ enabled: true }).lean();
+  const byCategoryId = new Map();
+  templates.forEach(template => (template.bunjangCategoryIds || []).forEach(categoryId => {
+    if (byCategoryId.has(categoryId)) {
+      logger.warn(`[${SERVICE_NAME}] Bunjang category ${categoryId} is assigned to multiple description templates. Using "${byCategoryId.get(categoryId).name}".`);
+      return;
+    }
+    byCategoryId.set(categoryId, template);
+  }));
+  templateCache = { templates, byCategoryId, defaultTemplate: templates.find(template => template.isDefault) || null, loadedAt: Date.now() };
+  return templateCache;
+}
+
+/**
+ * 상품 카테고리에 적용할 설명 템플릿을 찾습니다. (가장 긴 접두어 일치 → isDefault 템플릿 → 기본 템플릿)
+ * @param {string} bunjangCategoryId - 번개장터 카테고리 ID.
+ * @returns {Promise<object>} DescriptionTemplate 문서 또는 기본 템플릿.
+ */
+async function resolveDescriptionTemplate(bunjangCategoryId) {
+  const { byCategoryId, defaultTemplate } = await getEnabledTemplates();
+  const categoryId = String(bunjangCategoryId || '').trim();
+  for (let length = categoryId.length; length > 0; length--) {
+    const template = byCategoryId.get(categoryId.substring(0, length));
+    if (template) return template;
+  }
+  return defaultTemplate || BUILT_IN_TEMPLATE;
+}
+
+/**
+ * 템플릿 입력값을 검증합니다. (CUSTOM 블록은 본문 필수)
+ * @throws {ValidationError}
+ */
+function validateTemplateInput(input = {}) {
+  const errors = [];
+  (input.blocks || []).forEach((block, index) => {
+    if (block.type === 'CUSTOM' && !String(block.content || '').trim()) {
+      errors.push({ field: `blocks[${index}].content`, message: 'CUSTOM 블록은 content가 필요합니다.' });
+    }
+  });
+  if (input.blocks && !input.blocks.some(block => block.enabled !== false)) {
+    errors.push({ field: 'blocks', message: '활성화된 블록이 하나 이상 필요합니다.' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('설명 템플릿 입력값이 유효하지 않습니다.', errors);
+  }
+}
+
+// 기본 템플릿은 하나만 유지
+async function clearOtherDefaults(templateId) {
+  await DescriptionTemplate.updateMany({ _id: { $ne: templateId }, isDefault: true }, { $set: { isDefault: false } });
+}
+
+async function listDescriptionTemplates({ enabled } = {}) {
+  const filter = typeof enabled === 'boolean' ? { enabled } : {};
+  return DescriptionTemplate.find(filter).sort({ name: 1 }).lean();
+}
+
+async function getDescriptionTemplate(templateId) {
+  const template = await DescriptionTemplate.findById(templateId).lean();
+  if (!template) throw new NotFoundError(`설명 템플릿을 찾을 수 없습니다: ${templateId}`, 'DescriptionTemplate', templateId);
+  return template;
+}
+
+async function createDescriptionTemplate(input) {
+  validateTemplateInput(input);
+  const template = await DescriptionTemplate.create(input).catch(error => rethrowDuplicateName(error, input.name));
+  if (template.isDefault) await clearOtherDefaults(template._id);
+  invalidateTemplateCache();
+  logger.info(`[${SERVICE_NAME}] Created description template "${template.name}" (${template._id}).`);
+  return template.toObject();
+}
+
+async function updateDescriptionTemplate(templateId, input) {
+  validateTemplateInput(input);
+  const template = await DescriptionTemplate.findByIdAndUpdate(templateId, { $set: input }, { new: true, runValidators: true }).lean()
+    .catch(error => rethrowDuplicateName(error, input.name));
+  if (!template) throw new NotFoundError(`설명 템플릿을 찾을 수 없습니다: ${templateId}`, 'DescriptionTemplate', templateId);
+  if (template.isDefault) await clearOtherDefaults(template._id);
+  invalidateTemplateCache();
+  logger.info(`[${SERVICE_NAME}] Updated description template "${template.name}" (${templateId}).`);
+  return template;
+}
+
+async function deleteDescriptionTemplate(templateId) {
+  const template = await DescriptionTemplate.findByIdAndDelete(templateId).lean();
+  if (!template) throw new NotFoundError(`설명 템플릿을 찾을 수 없습니다: ${templateId}`, 'DescriptionTemplate', templateId);
+  invalidateTemplateCache();
+  logger.info(`[${SERVICE_NAME}] Deleted description template "${template.name}" (${templateId}).`);
+  return template;
+}
+
+/**
+ * 샘플 상품으로 설명을 렌더링해 봅니다. 템플릿을 지정하지 않으면 상품 카테고리로 찾은 템플릿을 사용합니다.
+ * @param {object} params
+ * @param {object} params.product - 카탈로그 행 형태의 상품 { pid, name?, description, condition?, categoryId?, categoryName?, createdAt? }.
+ * @param {string} [params.templateId] - 저장된 템플릿 ID.
+ * @param {object[]} [params.blocks] - 저장하지 않은 템플릿 블록 (templateId보다 우선).
+ * @param {object} [params.translation] - translationService.translateProductText 결과.
+ * @returns {Promise<{template: {id: string|null, name: string}, descriptionHtml: string}>}
+ */
+async function previewProductDescription({ product, templateId, blocks, translation = null }) {
+  let template;
+  if (blocks) {
+    validateTemplateInput({ blocks });
+    template = { _id: null, name: '(preview)', blocks };
+  } else if (templateId) {
+    template = await getDescriptionTemplate(templateId);
+  } else {
+    template = await resolveDescriptionTemplate(product.categoryId);
+  }
+  const createdAt = product.createdAt ? new Date(product.createdAt) : null;
+  const descriptionHtml = renderProductDescription({ ...product, createdAt }, template, translation);
+  return {
+    template: {
+      id: template._id ? String(template._id) : null,
+      name: template.name,
+      seoTitleTemplate: template.seoTitleTemplate || null,
+      seoDescriptionTemplate: template.seoDescriptionTemplate || null,
+    },
+    descriptionHtml,
+  };
+}
+
+module.exports = {
+  sanitizeSellerText,
+  formatCondition,
+  renderProductDescription,
+  resolveDescriptionTemplate,
+  previewProductDescription,
+  listDescriptionTemplates,
+  getDescriptionTemplate,
+  createDescriptionTemplate,
+  updateDescriptionTemplate,
+  deleteDescriptionTemplate,
+};
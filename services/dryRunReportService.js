@@ -0,0 +1,92 @@
+// src/services/dryRunReportService.js
+// 카탈로그 dry-run 결과 리포트를 로컬 파일로 기록/조회합니다.
+// 상품별 계획(생성/업데이트/건너뜀/판매 중단)은 <reportId>.jsonl에 한 줄씩, 요약은 <reportId>.summary.json에 저장합니다.
+
+const fs = require('fs-extra');
+const path = require('node:path');
+const readline = require('node:readline');
+const { v4: uuidv4 } = require('uuid');
+
+const config = require('../config');
+const logger = require('../config/logger');
+const { NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'DryRunReportSvc';
+const REPORT_DIR = config.bunjang?.dryRunReportDir || './dry_run_reports';
+
+function getReportPaths(reportId) {
+  return {
+    entriesPath: path.join(REPORT_DIR, `${reportId}.jsonl`),
+    summaryPath: path.join(REPORT_DIR, `${reportId}.summary.json`),
+  };
+}
+
+/**
+ * 새 dry-run 리포트를 엽니다.
+ * @param {object} meta - 리포트 메타 정보 (catalogType, filename, jobId 등).
+ * @returns {Promise<{reportId: string, record: Function, finish: Function}>}
+ *   record(entry): 상품별 계획 한 건을 기록, finish(summary): 파일을 닫고 요약을 저장.
+ */
+async function createDryRunReport(meta = {}) {
+  await fs.ensureDir(REPORT_DIR);
+  const reportId = uuidv4();
+  const { entriesPath, summaryPath } = getReportPaths(reportId);
+  const stream = fs.createWriteStream(entriesPath, { flags: 'a' });
+  const startedAt = new Date();
+  let entryCount = 0;
+
+  const record = (entry) => {
+    entryCount++;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  const finish = async (summary = {}) => {
+    await new Promise((resolve, reject) => {
+      stream.once('error', reject);
+      stream.end(resolve);
+    });
+    const fullSummary = { reportId, ...meta, ...summary, entryCount, startedAt, finishedAt: new Date() };
+    await fs.writeJson(summaryPath, fullSummary, { spaces: 2 });
+    logger.info(`[${SERVICE_NAME}] Dry-run report ${reportId} written (${entryCount} entries): ${entriesPath}`);
+    return fullSummary;
+  };
+
+  logger.info(`[${SERVICE_NAME}] Opened dry-run report ${reportId} for ${meta.catalogType || 'unknown'} catalog.`);
+  return { reportId, record, finish };
+}
+
+/**
+ * dry-run 리포트의 요약과 상품별 계획을 조회합니다.
+ * @param {string} reportId - 리포트 ID (UUID).
+ * @param {object} [options]
+ * @param {string} [options.action] - 특정 action(create, update, archive 등)만 조회.
+ * @param {number} [options.offset=0]
+ * @param {number} [options.limit=100]
+ * @returns {Promise<{summary: object, total: number, entries: object[]}>} total은 필터 적용 후 전체 건수.
+ */
+async function getDryRunReport(reportId, { action, offset = 0, limit = 100 } = {}) {
+  const { entriesPath, summaryPath } = getReportPaths(reportId);
+  if (!(await fs.pathExists(summaryPath))) {
+    throw new NotFoundError(`dry-run 리포트를 찾을 수 없습니다: ${reportId}`, 'DryRunReport', reportId);
+  }
+  const summary = await fs.readJson(summaryPath);
+
+  const entries = [];
+  let total = 0;
+  if (await fs.pathExists(entriesPath)) {
+    const lines = readline.createInterface({ input: fs.createReadStream(entriesPath), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const entry = JSON.parse(line);
+      if (action && entry.action !== action) continue;
+      if (total >= offset && entries.length < limit) entries.push(entry);
+      total++;
+    }
+  }
+  return { summary, total, entries };
+}
+
+module.exports = {
+  createDryRunReport,
+  getDryRunReport,
+};
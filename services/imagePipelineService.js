@@ -0,0 +1,279 @@
+// src/services/imagePipelineService.js
+// 번개장터 이미지를 직접 내려받아 검증/정규화한 뒤 Shopify staged upload로 올리는 백그라운드 이미지 파이프라인.
+// Shopify가 번개장터 CDN URL을 직접 가져오면서 조용히 실패하거나 작은/placeholder 이미지를 가져오는 문제를 막습니다.
+// 다운로드 → 크기/해상도 검증 → 중복(content hash) 확인 → JPEG 정규화 → staged upload → 미디어 reconciliation 순서로 처리하며,
+// 이미지별 처리 상태는 SyncedProduct.imageProcessing에 기록합니다.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const sharp = require('sharp');
+
+const config = require('../config');
+const logger = require('../config/logger');
+const SyncedProduct = require('../models/syncedProduct.model');
+const shopifyService = require('./shopifyService');
+const { reconcileProductMedia } = require('./productMediaService');
+const { getQueue } = require('../jobs/queues');
+
+const SERVICE_NAME = 'ImagePipelineSvc';
+const IMAGE_QUEUE_NAME = config.bullmq?.queues?.imageProcessing || 'image-processing';
+
+const MIN_BYTES = config.bunjang?.imageMinBytes ?? 2 * 1024;
+const MAX_BYTES = config.bunjang?.imageMaxBytes ?? 20 * 1024 * 1024;
+const MIN_WIDTH = config.bunjang?.imageMinWidth ?? 300;
+const MIN_HEIGHT = config.bunjang?.imageMinHeight ?? 300;
+const MAX_DIMENSION = config.bunjang?.imageMaxDimension ?? 2048;
+const JPEG_QUALITY = config.bunjang?.imageJpegQuality ?? 85;
+const DOWNLOAD_TIMEOUT_MS = config.bunjang?.imageDownloadTimeoutMs ?? 20000;
+const PLACEHOLDER_HASHES = new Set(config.bunjang?.imagePlaceholderHashes || []); // 알려진 placeholder 이미지의 SHA-256
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'tiff', 'heif', 'avif'];
+const BLANK_IMAGE_MAX_STDEV = 2; // 모든 채널의 표준편차가 이 값 미만이면 단색(빈) 이미지로 판단
+
+function isImagePipelineEnabled() {
+  return config.bunjang?.imagePipelineEnabled === true;
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// 미디어 매핑을 원본 URL로 찾기 위한 Map (삭제하지 못한 중복 매핑이 뒤에 남아 있을 수 있으므로 앞선 항목 우선)
+function mapMediaBySourceUrl(mediaList) {
+  const mediaByUrl = new Map();
+  mediaList.forEach(media => { if (!mediaByUrl.has(media.sourceUrl)) mediaByUrl.set(media.sourceUrl, media); });
+  return mediaByUrl;
+}
+
+// 재처리하지 않는 상태: 검증에서 거절된 이미지는 같은 URL이면 같은 결과
+function isPermanentlyRejected(record) {
+  return record?.status === 'REJECTED';
+}
+
+/**
+ * 이미지를 내려받습니다.
+ * @returns {Promise<{buffer: Buffer}|{rejected: string}>} 영구적인 문제(404, 이미지 아님, 크기 초과)는 rejected 사유 반환.
+ * @throws 네트워크 오류 등 재시도 가능한 오류.
+ */
+async function downloadImage(url) {
+  let response;
+  try {
+    response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: DOWNLOAD_TIMEOUT_MS,
+      maxContentLength: MAX_BYTES,
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 404 || status === 410) return { rejected: `HTTP_${status}` };
+    if (/maxContentLength/i.test(error.message)) return { rejected: 'TOO_LARGE' };
+    throw error;
+  }
+  const contentType = String(response.headers?.['content-type'] || '');
+  if (contentType && !contentType.startsWith('image/')) return { rejected: `NOT_AN_IMAGE:${contentType.split(';')[0]}` };
+  return { buffer: Buffer.from(response.data) };
+}
+
+/**
+ * 이미지를 검증하고 JPEG로 정규화합니다. (EXIF 회전 적용, 흰 배경 합성, 최대 MAX_DIMENSION 이내로 축소)
+ * @param {Buffer} buffer - 원본 이미지.
+ * @returns {Promise<{rejected?: string, contentHash: string, original: object, processed?: {buffer: Buffer, width: number, height: number, bytes: number}}>}
+ */
+async function validateAndNormalizeImage(buffer) {
+  const contentHash = sha256(buffer);
+  const original = { bytes: buffer.length };
+  if (buffer.length < MIN_BYTES) return { rejected: 'TOO_SMALL_FILE', contentHash, original };
+  if (PLACEHOLDER_HASHES.has(contentHash)) return { rejected: 'PLACEHOLDER', contentHash, original };
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { rejected: 'UNREADABLE_IMAGE', contentHash, original };
+  }
+  // EXIF orientation 5~8은 가로/세로가 바뀜
+  const rotated = metadata.orientation >= 5;
+  original.width = rotated ? metadata.height : metadata.width;
+  original.height = rotated ? metadata.width : metadata.height;
+  if (!SUPPORTED_FORMATS.includes(metadata.format)) return { rejected: `UNSUPPORTED_FORMAT:${metadata.format}`, contentHash, original };
+  if (!(original.width >= MIN_WIDTH && original.height >= MIN_HEIGHT)) return { rejected: 'TOO_SMALL_RESOLUTION', contentHash, original };
+
+  const { channels } = await sharp(buffer).stats();
+  if (channels.every(channel => channel.stdev < BLANK_IMAGE_MAX_STDEV)) return { rejected: 'BLANK_IMAGE', contentHash, original };
+
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+  return { contentHash, original, processed: { buffer: data, width: info.width, height: info.height, bytes: data.length } };
+}
+
+/**
+ * 정규화된 이미지를 Shopify staged upload로 올립니다.
+ * @returns {Promise<string>} resourceUrl (productCreateMedia의 originalSource로 사용).
+ */
+async function uploadProcessedImage(bunjangPid, position, contentHash, processed) {
+  const filename = `bunjang-${bunjangPid}-${position + 1}-${contentHash.slice(0, 12)}.jpg`;
+  const [target] = await shopifyService.createStagedUploads([{ filename, mimeType: 'image/jpeg', fileSize: processed.bytes }]);
+  if (!target) throw new Error(`No staged upload target returned for ${filename}`);
+  return shopifyService.uploadToStagedTarget(target, processed.buffer, filename, 'image/jpeg');
+}
+
+/**
+ * 이미지 한 장을 처리합니다. (다운로드 → 검증/정규화 → 중복 확인 → 필요 시 staged upload)
+ * @param {object} context
+ * @param {Map<string, string>} context.seenHashes - 앞선 이미지의 contentHash → sourceUrl (중복 판정용, 이 함수에서 갱신).
+ * @param {boolean} context.needsUpload - Shopify에 같은 URL의 미디어가 없어 새로 올려야 하는지.
+ * @returns {Promise<object>} SyncedProduct.imageProcessing 항목.
+ */
+async function processImage(bunjangPid, sourceUrl, position, previous, { seenHashes, needsUpload, jobId }) {
+  const record = { sourceUrl, position, attempts: (previous?.attempts || 0) + 1, processedAt: new Date() };
+  try {
+    const download = await downloadImage(sourceUrl);
+    if (download.rejected) return { ...record, status: 'REJECTED', reason: download.rejected };
+
+    const result = await validateAndNormalizeImage(download.buffer);
+    Object.assign(record, {
+      contentHash: result.contentHash,
+      originalBytes: result.original.bytes,
+      originalWidth: result.original.width,
+      originalHeight: result.original.height,
+    });
+    if (result.rejected) return { ...record, status: 'REJECTED', reason: result.rejected };
+    if (seenHashes.has(result.contentHash)) {
+      return { ...record, status: 'DUPLICATE', reason: `DUPLICATE_OF:${seenHashes.get(result.contentHash)}` };
+    }
+    seenHashes.set(result.contentHash, sourceUrl);
+    Object.assign(record, {
+      processedBytes: result.processed.bytes,
+      processedWidth: result.processed.width,
+      processedHeight: result.processed.height,
+    });
+    if (!needsUpload) return { ...record, status: 'ATTACHED' };
+
+    const stagedResourceUrl = await uploadProcessedImage(bunjangPid, position, result.contentHash, result.processed);
+    return { ...record, status: 'UPLOADED', stagedResourceUrl };
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Failed to process image ${position + 1} of PID ${bunjangPid} (${sourceUrl}): ${error.message}`);
+    return { ...record, status: 'FAILED', reason: String(error.message || 'UNKNOWN_ERROR').substring(0, 500) };
+  }
+}
+
+/**
+ * 상품의 번개장터 이미지 전체를 파이프라인으로 처리하고 Shopify 미디어를 맞춥니다.
+ * 이미 첨부된(ATTACHED) 이미지와 거절된(REJECTED) 이미지는 다시 내려받지 않습니다.
+ * 거절/중복 이미지는 Shopify에서 제외되며, 실패(FAILED) 이미지는 기존 미디어가 있으면 유지합니다.
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 ID.
+ * @returns {Promise<{status: string, total: number, attached: number, rejected: number, duplicate: number, failed: number}|null>} 처리 대상이 없으면 null.
+ */
+async function processProductImages(bunjangPid, jobId = 'N/A') {
+  const syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
+  const shopifyProductGid = syncedDoc?.shopifyGid;
+  const imageUrls = syncedDoc?.syncSnapshot?.imageUrls;
+  if (!shopifyProductGid || !Array.isArray(imageUrls)) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] PID ${bunjangPid} has no Shopify product or image snapshot. Skipping image pipeline.`);
+    return null;
+  }
+  await SyncedProduct.updateOne({ bunjangPid }, { $set: { imagePipelineStatus: 'PROCESSING', imagePipelineUpdatedAt: new Date() } });
+
+  const trackedMedia = Array.isArray(syncedDoc.shopifyMedia) ? syncedDoc.shopifyMedia : [];
+  const trackedByUrl = mapMediaBySourceUrl(trackedMedia);
+  const previousByUrl = new Map((syncedDoc.imageProcessing || []).map(record => [record.sourceUrl, record]));
+  const seenHashes = new Map();
+  const records = [];
+
+  // 이미지는 한 장씩 순서대로 처리 (메모리 사용량 제한, 중복 판정은 번개장터 순서상 앞선 이미지 우선)
+  for (const [position, sourceUrl] of imageUrls.entries()) {
+    const previous = previousByUrl.get(sourceUrl);
+    const tracked = trackedByUrl.get(sourceUrl);
+    const isAttached = previous?.status === 'ATTACHED' && previous.contentHash && tracked?.mediaId === previous.mediaId;
+    if (isAttached && seenHashes.has(previous.contentHash)) {
+      records.push({ ...previous, position, status: 'DUPLICATE', reason: `DUPLICATE_OF:${seenHashes.get(previous.contentHash)}`, mediaId: undefined });
+      continue;
+    }
+    if (isAttached || isPermanentlyRejected(previous)) {
+      if (isAttached) seenHashes.set(previous.contentHash, sourceUrl);
+      records.push({ ...previous, position });
+      continue;
+    }
+    records.push(await processImage(bunjangPid, sourceUrl, position, previous, { seenHashes, needsUpload: !tracked, jobId }));
+  }
+
+  const preparedImages = new Map(records
+    .filter(record => record.status === 'UPLOADED')
+    .map(record => [record.sourceUrl, { originalSource: record.stagedResourceUrl, contentHash: record.contentHash }]));
+  const wantedUrls = records.filter(record => !['REJECTED', 'DUPLICATE'].includes(record.status)).map(record => record.sourceUrl);
+  const altText = syncedDoc.bunjangProductName ? syncedDoc.bunjangProductName.substring(0, 250) : 'Product image';
+  const mediaResult = await reconcileProductMedia(shopifyProductGid, wantedUrls, {
+    trackedMedia,
+    altText,
+    jobId,
+    preparedImages,
+  });
+
+  // 미디어 매핑 결과로 최종 상태 결정
+  const mediaByUrl = mapMediaBySourceUrl(mediaResult.media || trackedMedia);
+  const finalRecords = records.map(record => {
+    if (['REJECTED', 'DUPLICATE'].includes(record.status)) return record;
+    const media = mediaByUrl.get(record.sourceUrl);
+    if (media) return { ...record, status: 'ATTACHED', mediaId: media.mediaId, stagedResourceUrl: undefined };
+    if (record.status === 'FAILED') return record;
+    return { ...record, status: 'FAILED', reason: record.status === 'UPLOADED' ? 'ATTACH_FAILED' : 'MEDIA_MISSING' };
+  });
+
+  const count = status => finalRecords.filter(record => record.status === status).length;
+  const summary = {
+    total: finalRecords.length,
+    attached: count('ATTACHED'),
+    rejected: count('REJECTED'),
+    duplicate: count('DUPLICATE'),
+    failed: count('FAILED'),
+  };
+  summary.status = summary.failed === 0 ? 'COMPLETED' : (summary.attached > 0 ? 'PARTIAL' : 'FAILED');
+
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      imageProcessing: finalRecords,
+      imagePipelineStatus: summary.status,
+      imagePipelineUpdatedAt: new Date(),
+      ...(mediaResult.media && { shopifyMedia: mediaResult.media }),
+    },
+  });
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Image pipeline for PID ${bunjangPid} ${summary.status}: ${summary.attached}/${summary.total} attached, ${summary.rejected} rejected, ${summary.duplicate} duplicate, ${summary.failed} failed.`);
+  return summary;
+}
+
+/**
+ * 상품 이미지 처리 작업을 큐에 추가합니다. 작업은 처리 시점의 SyncedProduct 스냅샷 이미지를 사용합니다.
+ * 큐를 사용할 수 없으면(Redis 비활성화 등) 바로 처리합니다.
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @param {string[]} imageUrls - 동기화 스냅샷의 이미지 URL (작업 중복 방지 키 계산용).
+ * @param {string} [jobId='N/A'] - 로깅용 작업 ID.
+ * @returns {Promise<boolean>} 큐에 추가했으면 true.
+ */
+async function enqueueProductImageProcessing(bunjangPid, imageUrls, jobId = 'N/A') {
+  const imageQueue = config.redis?.enabled ? getQueue(IMAGE_QUEUE_NAME) : null;
+  if (!imageQueue) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Image queue unavailable. Processing images for PID ${bunjangPid} inline.`);
+    await processProductImages(bunjangPid, jobId);
+    return false;
+  }
+  const imageSetKey = sha256(Buffer.from(imageUrls.join('\n'))).slice(0, 12);
+  await SyncedProduct.updateOne({ bunjangPid }, { $set: { imagePipelineStatus: 'QUEUED', imagePipelineUpdatedAt: new Date() } });
+  await imageQueue.add('ProcessProductImages', { bunjangPid, triggeredBy: jobId }, {
+    jobId: `images-${bunjangPid}-${imageSetKey}`, // 같은 이미지 목록의 대기 중인 작업은 한 번만 추가
+    removeOnComplete: true,
+    removeOnFail: true,
+  });
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Queued image pipeline for PID ${bunjangPid} (${imageUrls.length} images).`);
+  return true;
+}
+
+module.exports = {
+  IMAGE_QUEUE_NAME,
+  isImagePipelineEnabled,
+  processProductImages,
+  enqueueProductImageProcessing,
+};
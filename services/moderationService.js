@@ -0,0 +1,329 @@
+// src/services/moderationService.js
+// 콘텐츠 검수(moderation): 키워드/판매자/브랜드 차단 목록으로 카탈로그 상품을 자동 제외하거나 검수 대기열로 보내고,
+// 검수자의 승인/거절을 처리합니다. 모든 결정은 ModerationDecision에 기록합니다.
+// 검수 결과(APPROVED/REJECTED)는 매칭된 차단 목록 항목 조합(fingerprint)이 같은 동안 유지되며,
+// 새 항목이 매칭되면 다시 자동 판정합니다.
+
+const logger = require('../config/logger');
+const ModerationBlocklistEntry = require('../models/moderationBlocklistEntry.model');
+const ModerationDecision = require('../models/moderationDecision.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { delistSyncedProduct } = require('./productDelistService');
+const { recordProductEvent } = require('./productEventService');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+const { findUnsafeRegexReason } = require('../utils/regexSafety');
+
+const SERVICE_NAME = 'ModerationSvc';
+const BLOCKLIST_CACHE_TTL_MS = 60 * 1000;
+const KEYWORD_FIELDS = ['name', 'description', 'keywords'];
+const REVIEWABLE_STATUSES = ['PENDING_REVIEW', 'AUTO_EXCLUDED'];
+
+let blocklistCache = { entries: null, loadedAt: 0 };
+
+function invalidateBlocklistCache() {
+  blocklistCache = { entries: null, loadedAt: 0 };
+}
+
+// (listType, value) unique 인덱스 위반(E11000)을 409로 변환
+function rethrowDuplicateEntry(error, input) {
+  if (error?.code === 11000) {
+    throw new AppError(`이미 차단 목록에 있는 항목입니다: ${input.listType} "${input.value}"`, 409, 'MODERATION_ENTRY_DUPLICATE', true, { listType: input.listType, value: input.value });
+  }
+  throw error;
+}
+
+// 공백을 무시하고 비교 (예: "레 플 리 카"도 "레플리카"와 일치)
+function normalizeForMatch(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * REGEX 항목의 정규식을 검증합니다. 카탈로그 전체 상품에 실행하기에 안전하지 않은 정규식은 400으로 거부합니다.
+ * @throws {ValidationError}
+ */
+function validateEntryInput(input = {}) {
+  if (input.listType === 'KEYWORD' && input.matchMode === 'REGEX' && input.value) {
+    try {
+      new RegExp(input.value, 'i');
+    } catch (e) {
+      throw new ValidationError('차단 목록 항목 입력값이 유효하지 않습니다.', [{ field: 'value', message: `유효하지 않은 정규식입니다: ${e.message}` }]);
+    }
+    const unsafeReason = findUnsafeRegexReason(input.value);
+    if (unsafeReason) {
+      throw new ValidationError('차단 목록 항목 입력값이 유효하지 않습니다.', [{ field: 'value', message: `허용되지 않는 정규식입니다: ${unsafeReason}` }], 400);
+    }
+  }
+}
+
+/**
+ * 차단 목록 항목의 매칭 함수를 미리 만듭니다. 정규식 컴파일에 실패하거나 안전하지 않은 정규식의 항목은 null을 반환합니다.
+ * (검증 도입 전에 저장된 항목도 카탈로그 처리에서 실행되지 않도록 다시 확인)
+ */
+function compileEntry(entry) {
+  if (entry.listType === 'SELLER' || entry.listType === 'BRAND') {
+    const field = entry.listType === 'SELLER' ? 'uid' : 'brandId';
+    return { ...entry, match: product => (String(product[field] || '') === entry.value ? field : null) };
+  }
+  let test;
+  if (entry.matchMode === 'REGEX') {
+    const unsafeReason = findUnsafeRegexReason(entry.value);
+    if (unsafeReason) {
+      logger.warn(`[${SERVICE_NAME}] Skipping blocklist entry ${entry._id}: unsafe regex /${entry.value}/: ${unsafeReason}`);
+      return null;
+    }
+    let regex;
+    try {
+      regex = new RegExp(entry.value, 'i');
+    } catch (e) {
+      logger.warn(`[${SERVICE_NAME}] Skipping blocklist entry ${entry._id}: invalid regex /${entry.value}/: ${e.message}`);
+      return null;
+    }
+    test = text => regex.test(text);
+  } else {
+    const needle = normalizeForMatch(entry.value);
+    if (!needle) return null;
+    test = text => normalizeForMatch(text).includes(needle);
+  }
+  return {
+    ...entry,
+    match: product => KEYWORD_FIELDS.find(field => test(field === 'keywords' ? (product.keywords || []).join(' ') : product[field])) || null,
+  };
+}
+
+/**
+ * 상품을 차단 목록 항목과 비교합니다.
+ * @param {object} product - processCatalogRow 결과 (name, description, keywords, uid, brandId).
+ * @param {object[]} entries - compileEntry 결과.
+ * @returns {Array<{entryId: string, listType: string, value: string, action: string, category: string, matchedField: string}>}
+ */
+function findBlocklistMatches(product, entries) {
+  const matches = [];
+  for (const entry of entries) {
+    const matchedField = entry.match(product);
+    if (!matchedField) continue;
+    matches.push({
+      entryId: String(entry._id),
+      listType: entry.listType,
+      value: entry.value,
+      action: entry.action,
+      category: entry.category,
+      matchedField,
+    });
+  }
+  return matches;
+}
+
+async function getActiveEntries() {
+  if (blocklistCache.entries && Date.now() - blocklistCache.loadedAt < BLOCKLIST_CACHE_TTL_MS) return blocklistCache.entries;
+  const entries = (await ModerationBlocklistEntry.find({ enabled: true }).lean()).map(compileEntry).filter(Boolean);
+  blocklistCache = { entries, loadedAt: Date.now() };
+  return entries;
+}
+
+/**
+ * 상품의 검수 판정을 계산합니다. (DB 쓰기 없음, dry-run에서도 사용)
+ * - 매칭 없음 → ALLOW
+ * - 같은 매칭 조합에 대해 검수자가 승인/거절했으면 그 결과 (reviewed: true)
+ * - EXCLUDE 항목이 하나라도 매칭 → EXCLUDE, REVIEW 항목만 매칭 → REVIEW
+ * @param {object} product - processCatalogRow 결과.
+ * @param {object|null} syncedDoc - 기존 SyncedProduct 문서.
+ * @returns {Promise<{verdict: 'ALLOW'|'EXCLUDE'|'REVIEW', matches: object[], fingerprint: string|null, reviewed: boolean}>}
+ */
+async function moderateProduct(product, syncedDoc) {
+  const matches = findBlocklistMatches(product, await getActiveEntries());
+  if (matches.length === 0) return { verdict: 'ALLOW', matches, fingerprint: null, reviewed: false };
+
+  const fingerprint = matches.map(match => match.entryId).sort().join(',');
+  if (syncedDoc?.moderationFingerprint === fingerprint) {
+    if (syncedDoc.moderationStatus === 'APPROVED') return { verdict: 'ALLOW', matches, fingerprint, reviewed: true };
+    if (syncedDoc.moderationStatus === 'REJECTED') return { verdict: 'EXCLUDE', matches, fingerprint, reviewed: true };
+  }
+  const verdict = matches.some(match => match.action === 'EXCLUDE') ? 'EXCLUDE' : 'REVIEW';
+  return { verdict, matches, fingerprint, reviewed: false };
+}
+
+async function recordModerationDecision(bunjangPid, decision, { source = 'AUTO', matches = [], productName, reviewer, note, jobId } = {}) {
+  const record = await ModerationDecision.create({ bunjangPid, decision, source, matches, productName, reviewer, note, jobId });
+  logger.info(`[${SERVICE_NAME}${jobId ? `:Job-${jobId}` : ''}] PID ${bunjangPid}: ${decision}${reviewer ? ` by ${reviewer}` : ''} (${matches.map(match => `${match.listType}:${match.value}`).join(', ') || 'no matches'}).`);
+  return record.toObject();
+}
+
+/**
+ * 동기화 중 자동 판정 결과를 SyncedProduct에 반영하고, 상태가 바뀐 경우에만 결정을 기록합니다.
+ * (같은 판정이 매 동기화마다 중복 기록되지 않도록 함)
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @param {object} moderation - moderateProduct 결과.
+ * @param {object|null} syncedDoc - 동기화 시작 시점의 SyncedProduct 문서.
+ * @param {object} context - { productName, jobId }
+ * @returns {Promise<string|null>} 기록한 결정 (없으면 null).
+ */
+async function applyAutomaticModeration(bunjangPid, moderation, syncedDoc, { productName, jobId } = {}) {
+  if (moderation.reviewed) return null;
+  const previousStatus = syncedDoc?.moderationStatus || null;
+
+  if (moderation.verdict === 'ALLOW') {
+    // 차단 목록 변경으로 더 이상 매칭되지 않는 상품은 자동 판정 상태를 해제
+    if (!REVIEWABLE_STATUSES.includes(previousStatus)) return null;
+    await SyncedProduct.updateOne({ bunjangPid }, {
+      $set: { moderationStatus: null, moderationMatches: [], moderationFingerprint: null },
+    });
+    await recordModerationDecision(bunjangPid, 'CLEARED', { productName, jobId });
+    return 'CLEARED';
+  }
+
+  const status = moderation.verdict === 'EXCLUDE' ? 'AUTO_EXCLUDED' : 'PENDING_REVIEW';
+  if (previousStatus === status && syncedDoc?.moderationFingerprint === moderation.fingerprint) return null;
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      moderationStatus: status,
+      moderationMatches: moderation.matches,
+      moderationFingerprint: moderation.fingerprint,
+      moderationReviewedAt: null,
+      moderationReviewedBy: null,
+      moderationNote: null,
+    },
+  });
+  const decision = status === 'AUTO_EXCLUDED' ? 'AUTO_EXCLUDED' : 'QUEUED_FOR_REVIEW';
+  await recordModerationDecision(bunjangPid, decision, { matches: moderation.matches, productName, jobId });
+  return decision;
+}
+
+async function getReviewableProduct(bunjangPid) {
+  const syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
+  if (!syncedDoc) throw new NotFoundError(`동기화 상품을 찾을 수 없습니다: ${bunjangPid}`, 'SyncedProduct', bunjangPid);
+  if (!REVIEWABLE_STATUSES.includes(syncedDoc.moderationStatus)) {
+    throw new AppError(`검수 대기 중인 상품이 아닙니다: ${bunjangPid} (상태: ${syncedDoc.moderationStatus || '없음'})`, 409, 'MODERATION_NOT_REVIEWABLE', true, { bunjangPid, moderationStatus: syncedDoc.moderationStatus });
+  }
+  return syncedDoc;
+}
+
+/**
+ * 검수 대기(또는 자동 제외) 상품을 승인합니다. 같은 차단 목록 항목 조합이 매칭되는 동안 동기화가 허용되며,
+ * 다음 카탈로그 동기화에서 Shopify에 등록(또는 판매 재개)됩니다.
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @param {object} params - { reviewer, note }
+ * @returns {Promise<object>} 갱신된 SyncedProduct 문서.
+ */
+async function approveReview(bunjangPid, { reviewer, note } = {}) {
+  const syncedDoc = await getReviewableProduct(bunjangPid);
+  const updated = await SyncedProduct.findOneAndUpdate({ bunjangPid }, {
+    $set: {
+      moderationStatus: 'APPROVED',
+      moderationReviewedAt: new Date(),
+      moderationReviewedBy: reviewer,
+      moderationNote: note,
+      syncStatus: 'PENDING', // 다음 동기화에서 변경 여부와 관계없이 다시 처리
+      isFilteredOut: false,
+    },
+  }, { new: true }).lean();
+  await recordModerationDecision(bunjangPid, 'APPROVED', {
+    source: 'REVIEWER', matches: syncedDoc.moderationMatches || [], productName: syncedDoc.bunjangProductName, reviewer, note,
+  });
+  await recordProductEvent(bunjangPid, 'MANUAL_OVERRIDE', {
+    shopifyGid: syncedDoc.shopifyGid, source: 'REVIEWER', actor: reviewer, message: note,
+    details: { action: 'MODERATION_APPROVED', previousModerationStatus: syncedDoc.moderationStatus },
+  });
+  return updated;
+}
+
+/**
+ * 검수 대기(또는 자동 제외) 상품을 거절합니다. Shopify에 등록된 상품이면 판매 중단(DRAFT) 처리합니다.
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @param {object} params - { reviewer, note }
+ * @returns {Promise<object>} 갱신된 SyncedProduct 문서.
+ */
+async function rejectReview(bunjangPid, { reviewer, note } = {}) {
+  const syncedDoc = await getReviewableProduct(bunjangPid);
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      moderationStatus: 'REJECTED',
+      moderationReviewedAt: new Date(),
+      moderationReviewedBy: reviewer,
+      moderationNote: note,
+      syncStatus: 'SKIPPED_FILTER',
+      isFilteredOut: true,
+    },
+  });
+  await recordModerationDecision(bunjangPid, 'REJECTED', {
+    source: 'REVIEWER', matches: syncedDoc.moderationMatches || [], productName: syncedDoc.bunjangProductName, reviewer, note,
+  });
+  await recordProductEvent(bunjangPid, 'MANUAL_OVERRIDE', {
+    shopifyGid: syncedDoc.shopifyGid, source: 'REVIEWER', actor: reviewer, message: note,
+    details: { action: 'MODERATION_REJECTED', previousModerationStatus: syncedDoc.moderationStatus },
+  });
+  if (syncedDoc.shopifyGid) {
+    await delistSyncedProduct(bunjangPid, { reason: 'EXCLUDED_BY_MODERATION', source: 'REVIEWER', actor: reviewer });
+  }
+  return SyncedProduct.findOne({ bunjangPid }).lean();
+}
+
+/**
+ * 검수 대기열(기본: PENDING_REVIEW)을 오래된 순서로 조회합니다.
+ */
+async function listReviewQueue({ status = 'PENDING_REVIEW', offset = 0, limit = 100 } = {}) {
+  const filter = { moderationStatus: status };
+  const projection = 'bunjangPid bunjangProductName bunjangSellerUid bunjangBrandId shopifyGid shopifyStatus moderationStatus moderationMatches moderationReviewedAt moderationReviewedBy moderationNote updatedAt';
+  const [total, items] = await Promise.all([
+    SyncedProduct.countDocuments(filter),
+    SyncedProduct.find(filter).select(projection).sort({ updatedAt: 1 }).skip(offset).limit(limit).lean(),
+  ]);
+  return { total, items };
+}
+
+async function listDecisions({ bunjangPid, decision, offset = 0, limit = 100 } = {}) {
+  const filter = {};
+  if (bunjangPid) filter.bunjangPid = bunjangPid;
+  if (decision) filter.decision = decision;
+  const [total, decisions] = await Promise.all([
+    ModerationDecision.countDocuments(filter),
+    ModerationDecision.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+  ]);
+  return { total, decisions };
+}
+
+async function listBlocklistEntries({ listType, enabled } = {}) {
+  const filter = {};
+  if (listType) filter.listType = listType;
+  if (typeof enabled === 'boolean') filter.enabled = enabled;
+  return ModerationBlocklistEntry.find(filter).sort({ listType: 1, value: 1 }).lean();
+}
+
+async function createBlocklistEntry(input) {
+  validateEntryInput(input);
+  const entry = await ModerationBlocklistEntry.create(input).catch(error => rethrowDuplicateEntry(error, input));
+  invalidateBlocklistCache();
+  logger.info(`[${SERVICE_NAME}] Added blocklist entry ${entry.listType} "${entry.value}" (${entry._id}, action: ${entry.action}).`);
+  return entry.toObject();
+}
+
+async function updateBlocklistEntry(entryId, input) {
+  const existing = await ModerationBlocklistEntry.findById(entryId).lean();
+  if (!existing) throw new NotFoundError(`차단 목록 항목을 찾을 수 없습니다: ${entryId}`, 'ModerationBlocklistEntry', entryId);
+  validateEntryInput({ ...existing, ...input });
+  const entry = await ModerationBlocklistEntry.findByIdAndUpdate(entryId, { $set: input }, { new: true, runValidators: true }).lean()
+    .catch(error => rethrowDuplicateEntry(error, { ...existing, ...input }));
+  invalidateBlocklistCache();
+  logger.info(`[${SERVICE_NAME}] Updated blocklist entry ${entry.listType} "${entry.value}" (${entryId}).`);
+  return entry;
+}
+
+async function deleteBlocklistEntry(entryId) {
+  const entry = await ModerationBlocklistEntry.findByIdAndDelete(entryId).lean();
+  if (!entry) throw new NotFoundError(`차단 목록 항목을 찾을 수 없습니다: ${entryId}`, 'ModerationBlocklistEntry', entryId);
+  invalidateBlocklistCache();
+  logger.info(`[${SERVICE_NAME}] Deleted blocklist entry ${entry.listType} "${entry.value}" (${entryId}).`);
+  return entry;
+}
+
+module.exports = {
+  moderateProduct,
+  applyAutomaticModeration,
+  approveReview,
+  rejectReview,
+  listReviewQueue,
+  listDecisions,
+  listBlocklistEntries,
+  createBlocklistEntry,
+  updateBlocklistEntry,
+  deleteBlocklistEntry,
+};
@@ -7,8 +7,79 @@ const logger =require('../config/logger');
 const bunjangService = require('./bunjangService');
 const shopifyService = require('./shopifyService');
 const orderMapper = require('../mappers/orderMapper');
+const { parseBunjangSku, buildBunjangOptionVariants } = require('../mappers/productMapper');
+const SyncedProduct = require('../models/syncedProduct.model');
+const SharedStockDeduction = require('../models/sharedStockDeduction.model');
+const { recordProductEvent } = require('./productEventService');
 const { AppError, ExternalServiceError, NotFoundError, ValidationError } = require('../utils/customErrors');
-// const SyncedProduct = require('../models/syncedProduct.model'); // 상품 원본가 참조 시 필요
+
+/**
+ * 옵션 variant SKU(BJ-{pid}-{hash})에 해당하는 번개장터 옵션 조합을 찾습니다.
+ * 주문 시점의 번개장터 상품 상세 옵션을 우선 사용하고, 상세 정보에 옵션 필드가 없으면 마지막 동기화 때 저장한 옵션을 사용합니다.
+ * @returns {Promise<Array<{id: string, value: string}>|null>} 선택된 옵션 (옵션 없는 SKU는 빈 배열). 해당 조합이 없으면 null.
+ */
+async function resolveSelectedBunjangOptions(sku, parsedSku, bunjangProductDetails) {
+  if (!parsedSku.variantKey) return [];
+
+  let optionsSource = bunjangProductDetails.options;
+  if (optionsSource === undefined || optionsSource === null) {
+    const syncedDoc = await SyncedProduct.findOne({ bunjangPid: parsedSku.pid }).select('bunjangOptionsJson').lean();
+    optionsSource = syncedDoc?.bunjangOptionsJson;
+  }
+  const optionVariants = buildBunjangOptionVariants(parsedSku.pid, optionsSource);
+  const matched = optionVariants?.variants.find(variant => variant.sku === sku);
+  return matched ? matched.selectedOptions : null;
+}
+
+/**
+ * 옵션 variant가 팔리면 같은 상품의 다른 옵션 variant 재고도 같은 수량만큼 차감합니다.
+ * 번개장터 상품은 옵션과 관계없이 재고 하나를 공유하므로 (카탈로그에 옵션별 재고가 없음) 모든 variant에 같은 수량이 설정되어 있으며,
+ * Shopify는 팔린 variant의 재고만 줄이므로 다음 카탈로그 동기화 전까지 다른 옵션으로 초과 판매될 수 있습니다.
+ * 차감은 멱등하지 않으므로 주문 line item별 기록(SharedStockDeduction)을 먼저 만들고, 이미 기록이 있으면 (작업 재시도, 웹훅 재전송) 다시 차감하지 않습니다.
+ * 실패해도 번개장터 주문은 계속 진행합니다. (주문 취소 시의 재고 복원과 마찬가지로 다음 카탈로그 동기화에서 번개장터 재고로 다시 맞춰짐)
+ */
+async function deductSharedOptionStock(shopifyOrderId, item, parsedSku, jobId) {
+  if (!parsedSku.variantKey || !item.product_id || !item.id) return;
+  const soldQuantity = parseInt(item.quantity, 10) || 1;
+  const shopifyProductGid = `gid://shopify/Product/${item.product_id}`;
+  let deduction = null;
+  try {
+    deduction = await SharedStockDeduction.create({
+      shopifyOrderId: String(shopifyOrderId),
+      lineItemId: String(item.id),
+      bunjangPid: parsedSku.pid,
+      shopifyProductGid,
+      sku: item.sku,
+      quantity: soldQuantity,
+      jobId,
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      logger.info(`[OrderSvc:Job-${jobId}] Shared option stock for line item ${item.id} of order ${shopifyOrderId} was already deducted. Skipping.`);
+    } else {
+      logger.error(`[OrderSvc:Job-${jobId}] Failed to record shared option stock deduction for ${shopifyProductGid} (SKU ${item.sku}). Skipping deduction: ${error.message}`);
+    }
+    return;
+  }
+
+  let update;
+  try {
+    const variants = await shopifyService.getProductVariants(shopifyProductGid);
+    const changes = variants
+      .filter(variant => variant.sku !== item.sku && parseBunjangSku(variant.sku)?.pid === parsedSku.pid && variant.inventoryItem?.id)
+      .map(variant => ({ inventoryItemId: variant.inventoryItem.id, delta: -soldQuantity }));
+    if (changes.length > 0) {
+      await shopifyService.adjustInventoryQuantities(changes, config.shopify.defaultLocationId);
+      logger.info(`[OrderSvc:Job-${jobId}] Deducted ${soldQuantity} from ${changes.length} other option variant(s) of ${shopifyProductGid} sharing stock with SKU ${item.sku}.`);
+    }
+    update = { status: 'APPLIED', inventoryItemIds: changes.map(change => change.inventoryItemId) };
+  } catch (error) {
+    logger.error(`[OrderSvc:Job-${jobId}] Failed to deduct shared option stock for ${shopifyProductGid} (SKU ${item.sku}): ${error.message}`);
+    update = { status: 'FAILED', errorMessage: error.message.substring(0, 1000) };
+  }
+  await SharedStockDeduction.updateOne({ _id: deduction._id }, { $set: update })
+    .catch(error => logger.warn(`[OrderSvc:Job-${jobId}] Failed to update shared option stock deduction ${deduction._id}: ${error.message}`));
+}
 
 /**
  * Shopify 주문 데이터를 기반으로 번개장터에 주문을 생성합니다.
@@ -42,14 +113,18 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
   // Shopify 주문의 각 line item을 순회 (요구사항: 타 상품과의 구분을 위해 번개장터 주문건에는 'bungjang)' 등의 식별자 포함)
   // -> 이는 Shopify 상품 SKU 또는 태그로 번개장터 연동 상품을 식별하는 것을 의미.
   for (const item of shopifyOrder.line_items) {
-    if (!item.sku || !item.sku.startsWith('BJ-')) { // 'BJ-' 프리픽스로 번개장터 연동 상품 SKU 식별
+    const parsedSku = parseBunjangSku(item.sku); // 'BJ-{pid}' 또는 옵션 variant 'BJ-{pid}-{hash}'
+    if (!parsedSku) {
       logger.debug(`[OrderSvc:Job-${jobId}] Shopify item SKU "${item.sku}" (Order: ${shopifyOrderId}) is not a Bunjang-linked product. Skipping this item.`);
       continue;
     }
 
-    const bunjangPid = item.sku.substring(3); // 'BJ-' 제외한 실제 번개장터 상품 ID
+    const bunjangPid = parsedSku.pid; // 실제 번개장터 상품 ID
     logger.info(`[OrderSvc:Job-${jobId}] Found Bunjang-linked item for Order ${shopifyOrderId}: Shopify SKU ${item.sku} -> Bunjang PID ${bunjangPid}`);
 
+    // Shopify에서는 이미 판매되었으므로 번개장터 주문 결과와 관계없이 다른 옵션의 재고를 먼저 차감
+    await deductSharedOptionStock(shopifyOrderId, item, parsedSku, jobId);
+
     try {
       // 1. 주문 시점의 번개장터 상품 최신 정보 조회 (가격, 배송비 등 KRW 기준)
       const bunjangProductDetails = await bunjangService.getBunjangProductDetails(bunjangPid);
@@ -60,15 +135,24 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
         continue; // 다음 아이템으로 (또는 전체 주문 실패 처리)
       }
 
-      // 2. 번개장터 "Create Order V2" API 페이로드 구성 (orderMapper 사용)
-      const bunjangOrderPayload = orderMapper.mapShopifyItemToBunjangOrderPayload(item, bunjangPid, bunjangProductDetails);
+      // 2. 구매자가 선택한 옵션 확인 (옵션 variant SKU인 경우)
+      const selectedOptions = await resolveSelectedBunjangOptions(item.sku, parsedSku, bunjangProductDetails);
+      if (!selectedOptions) {
+        // 번개장터에서 옵션이 변경/삭제되어 구매자가 고른 옵션을 확인할 수 없으면 다른 옵션으로 주문하지 않음
+        logger.warn(`[OrderSvc:Job-${jobId}] Selected option for SKU ${item.sku} no longer exists on Bunjang PID ${bunjangPid} (Order: ${shopifyOrderId}). Cannot create Bunjang order for this item.`);
+        await shopifyService.updateOrder({ id: shopifyOrderGid, tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-OptionNotFound`] });
+        continue;
+      }
+
+      // 3. 번개장터 "Create Order V2" API 페이로드 구성 (orderMapper 사용)
+      const bunjangOrderPayload = orderMapper.mapShopifyItemToBunjangOrderPayload(item, bunjangPid, bunjangProductDetails, selectedOptions);
       if (!bunjangOrderPayload) {
         logger.error(`[OrderSvc:Job-${jobId}] Failed to map Bunjang order payload for PID ${bunjangPid} (Order: ${shopifyOrderId}).`);
         await shopifyService.updateOrder({ id: shopifyOrderGid, tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-MapFail`] });
         continue;
       }
       
-      // 3. 배송비 0원 정책 적용 (요구사항)
+      // 4. 배송비 0원 정책 적용 (요구사항)
       //    "주문 시 배송비는 자동으로 0원으로 설정되며, 배송비는 별도로 이메일을 통해 고객에게 청구됨"
       //    orderMapper에서 생성된 payload의 deliveryPrice를 0으로 덮어쓰고, 실제 배송비는 메타필드에 기록.
       const actualBunjangShippingFeeKrw = bunjangOrderPayload.deliveryPrice; // Mapper가 계산한 실제 배송비
@@ -76,7 +160,7 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
       logger.info(`[OrderSvc:Job-${jobId}] Applying 0 KRW delivery fee policy for PID ${bunjangPid}. Actual Bunjang shipping fee was: ${actualBunjangShippingFeeKrw} KRW.`);
 
 
-      // 4. 번개장터 주문 생성 API 호출
+      // 5. 번개장터 주문 생성 API 호출
       logger.info(`[OrderSvc:Job-${jobId}] Attempting to create Bunjang order for PID ${bunjangPid} (Order: ${shopifyOrderId}) with payload:`, bunjangOrderPayload);
       const bunjangApiResponse = await bunjangService.createBunjangOrderV2(bunjangOrderPayload); // response.data.data = { id: newOrderId }
 
@@ -86,7 +170,7 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
         createdBunjangOrderIds.push(String(bunjangOrderId));
         bunjangOrderSuccessfullyCreatedOverall = true; // 하나라도 성공하면 전체 성공으로 간주 (정책에 따라 다를 수 있음)
 
-        // 5. Shopify 주문에 태그 및 메타필드 추가
+        // 6. Shopify 주문에 태그 및 메타필드 추가
         const tagsToAdd = ['BunjangOrderPlaced', bunjangOrderIdentifier, `BunjangOrderID-${bunjangOrderId}`];
         const metafieldsInput = [
           { namespace: "bunjang", key: "order_id", value: String(bunjangOrderId), type: "single_line_text_field" },
@@ -95,8 +179,21 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
           { namespace: "bunjang", key: "api_sent_shipping_fee_krw", value: String(bunjangOrderPayload.deliveryPrice), type: "number_integer" }, // API에 보낸 배송비 (0)
           { namespace: "bunjang", key: "actual_bunjang_shipping_fee_krw", value: String(actualBunjangShippingFeeKrw), type: "number_integer" }, // 실제 배송비 (별도 청구용)
         ];
+        if (selectedOptions.length > 0) {
+          metafieldsInput.push({ namespace: "bunjang", key: "ordered_options", value: JSON.stringify(selectedOptions), type: "json" });
+        }
         // 여러 메타필드와 태그를 한 번의 orderUpdate 호출로 처리하는 것이 효율적
         await shopifyService.updateOrder({ id: shopifyOrderGid, tags: tagsToAdd, metafields: metafieldsInput });
+
+        await recordProductEvent(bunjangPid, 'ORDER_PLACED', {
+          shopifyGid: item.product_id ? `gid://shopify/Product/${item.product_id}` : null,
+          source: 'ORDER',
+          jobId,
+          details: {
+            shopifyOrderId: String(shopifyOrderId), bunjangOrderId: String(bunjangOrderId), sku: item.sku,
+            priceKrw: bunjangOrderPayload.product.price, shippingFeeKrw: actualBunjangShippingFeeKrw, selectedOptions,
+          },
+        });
         
         // TODO: "갑(씨에스트레이딩)이 선구매한 번개장터 크레딧을 활용해 자동으로 번개장터 내 해당 상품 주문"
         // 이 부분은 번개장터 API가 크레딧 사용을 지원하는 방식에 따라 추가 구현 필요.
@@ -119,7 +216,7 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
 
     } catch (error) { // bunjangService.getBunjangProductDetails 또는 createBunjangOrderV2 에서 발생한 에러
       logger.error(`[OrderSvc:Job-${jobId}] Error processing Bunjang order for Shopify item SKU ${item.sku} (PID ${bunjangPid}, Order: ${shopifyOrderId}): ${error.message}`, {
-        errorCode: error.errorCode, details: error.details, stack: error.stack?.substring(0,500)
+        errorCode: error.errorCode, details: error.details, attempts: error.retryAttempts, stack: error.stack?.substring(0,500)
       });
       await shopifyService.updateOrder({ id: shopifyOrderGid, tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-Exception`] });
       // 개별 상품 주문 실패 시 다음 상품으로 계속 진행. 전체 주문 실패 여부는 createdBunjangOrderIds 배열로 판단.
@@ -0,0 +1,244 @@
+// src/services/productDelistService.js
+// 번개장터에서 더 이상 판매되지 않는 상품(판매완료, 예약중, 전체 카탈로그 누락)을
+// Shopify에서 DRAFT 또는 ARCHIVED로 내리고, 그 결과를 SyncedProduct에 기록합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { recordProductEvent } = require('./productEventService');
+const { isStaleCatalogRow } = require('./productDiffService');
+
+const SERVICE_NAME = 'DelistSvc';
+const SEEN_PID_BATCH_SIZE = 1000;
+
+// 사유별 기본 Shopify 상태. 예약중은 다시 판매될 수 있으므로 DRAFT로 숨기기만 함.
+const DEFAULT_DELIST_STATUS = {
+  SOLD_OUT: 'ARCHIVED',
+  RESERVED: 'DRAFT',
+  NOT_SELLING: 'ARCHIVED',
+  MISSING_FROM_CATALOG: 'ARCHIVED',
+  EXCLUDED_BY_RULE: 'DRAFT', // 규칙이 바뀌면 다시 판매될 수 있음
+  EXCLUDED_BY_CATEGORY: 'DRAFT', // 카테고리 매핑의 included가 다시 켜지면 판매될 수 있음
+  EXCLUDED_BY_MODERATION: 'DRAFT', // 차단 목록 변경이나 검수 승인으로 다시 판매될 수 있음
+  PENDING_REVIEW: 'DRAFT', // 검수 결과가 나올 때까지 숨김
+};
+
+/**
+ * 번개장터 saleStatus를 판매 중단 사유로 변환합니다.
+ * @param {string} saleStatus - 카탈로그 행의 saleStatus (대문자).
+ * @returns {string} DELIST 사유 코드.
+ */
+function mapSaleStatusToDelistReason(saleStatus) {
+  if (saleStatus === 'SOLD_OUT' || saleStatus === 'SOLD') return 'SOLD_OUT';
+  if (saleStatus === 'RESERVED') return 'RESERVED';
+  return 'NOT_SELLING';
+}
+
+function getTargetStatusForReason(reason) {
+  const overrides = config.bunjang?.delistStatusByReason || {};
+  return overrides[reason] || DEFAULT_DELIST_STATUS[reason] || 'ARCHIVED';
+}
+
+/**
+ * 판매 중단 처리 시 어떤 작업이 필요한지 계획합니다. (Shopify/DB 변경 없음, dry-run에서도 사용)
+ * @param {object|null} syncedDoc - SyncedProduct 문서.
+ * @param {string} reason - 판매 중단 사유.
+ * @returns {{action: 'archive'|'draft'|'skip_not_listed'|'skip_already_delisted', shopifyGid?: string, targetStatus?: string}}
+ */
+function planDelistSyncedProduct(syncedDoc, reason) {
+  if (!syncedDoc || !syncedDoc.shopifyGid) return { action: 'skip_not_listed' };
+  const targetStatus = getTargetStatusForReason(reason);
+  if (syncedDoc.delistedAt && syncedDoc.shopifyStatus === targetStatus) {
+    return { action: 'skip_already_delisted', shopifyGid: syncedDoc.shopifyGid, targetStatus };
+  }
+  return { action: targetStatus === 'DRAFT' ? 'draft' : 'archive', shopifyGid: syncedDoc.shopifyGid, targetStatus };
+}
+
+/**
+ * 연결된 Shopify 상품을 판매 중단 상태로 변경합니다.
+ * Shopify 상품이 없는 경우(아직 동기화 안 됨)에는 판매 상태만 기록하고 건너뜁니다.
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @param {object} params
+ * @param {string} params.reason - SOLD_OUT | RESERVED | NOT_SELLING | MISSING_FROM_CATALOG | EXCLUDED_BY_RULE | EXCLUDED_BY_CATEGORY | EXCLUDED_BY_MODERATION | PENDING_REVIEW.
+ * @param {string} [params.saleStatus] - 카탈로그 행의 saleStatus (있으면 함께 기록).
+ * @param {object} [params.catalogFields] - 카탈로그 행의 SyncedProduct 미러 필드 (saleStatus와 함께 기록).
+ * @param {string} [params.source='SYNC'] - 이벤트 타임라인에 기록할 출처 (검수자 거절이면 'REVIEWER').
+ * @param {string} [params.actor] - source가 REVIEWER일 때 검수자.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 ID.
+ * @returns {Promise<{status: string, shopifyGid?: string, targetStatus?: string, message?: string}>}
+ */
+async function delistSyncedProduct(bunjangPid, { reason, saleStatus, catalogFields = {}, source = 'SYNC', actor } = {}, jobId = 'N/A') {
+  const syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
+  const now = new Date();
+  // 카탈로그 행으로 확인된 경우의 판매 상태와 번개장터 필드
+  const catalogMirror = saleStatus ? { ...catalogFields, bunjangSaleStatus: saleStatus, bunjangLastSeenInCatalogAt: now } : null;
+
+  // 아카이브 재처리나 늦게 처리된 세그먼트의 오래된 행으로 이후에 바뀐 판매 상태(예약 해제 등)를 되돌리지 않음
+  if (catalogMirror && isStaleCatalogRow(syncedDoc, catalogFields.bunjangUpdatedAt)) {
+    await SyncedProduct.updateOne({ bunjangPid }, { $set: { bunjangLastSeenInCatalogAt: now } });
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] Catalog row for PID ${bunjangPid} (${saleStatus}) is older than the last synced row. Skipping delist.`);
+    return { status: 'skipped_no_change', reason: 'STALE_ROW', shopifyGid: syncedDoc.shopifyGid || null };
+  }
+
+  const plan = planDelistSyncedProduct(syncedDoc, reason);
+  if (plan.action === 'skip_not_listed') {
+    if (syncedDoc && catalogMirror) {
+      await SyncedProduct.updateOne({ bunjangPid }, { $set: catalogMirror });
+    }
+    logger.debug(`[${SERVICE_NAME}:Job-${jobId}] PID ${bunjangPid} has no linked Shopify product. Nothing to delist.`);
+    return { status: 'skipped_not_listed' };
+  }
+
+  const { targetStatus } = plan;
+  if (plan.action === 'skip_already_delisted') {
+    logger.debug(`[${SERVICE_NAME}:Job-${jobId}] PID ${bunjangPid} already delisted as ${targetStatus}. Skipping.`);
+    if (catalogMirror) {
+      await SyncedProduct.updateOne({ bunjangPid }, { $set: catalogMirror });
+    }
+    return { status: 'skipped_already_delisted', shopifyGid: syncedDoc.shopifyGid, targetStatus };
+  }
+
+  try {
+    await shopifyService.updateProductStatus(syncedDoc.shopifyGid, targetStatus);
+  } catch (error) {
+    logger.error(`[${SERVICE_NAME}:Job-${jobId}] Failed to set Shopify product ${syncedDoc.shopifyGid} (PID ${bunjangPid}) to ${targetStatus}: ${error.message}`);
+    await SyncedProduct.updateOne({ bunjangPid }, {
+      $set: {
+        lastSyncAttemptAt: now,
+        syncErrorMessage: `Delist (${reason}) failed: ${error.message}`.substring(0, 1000),
+      },
+    });
+    await recordProductEvent(bunjangPid, 'DELIST_ERROR', {
+      shopifyGid: syncedDoc.shopifyGid, source, actor, jobId, message: error.message, details: { reason, targetStatus },
+    });
+    return { status: 'error', shopifyGid: syncedDoc.shopifyGid, message: error.message };
+  }
+
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      shopifyStatus: targetStatus,
+      delistedAt: now,
+      delistReason: reason,
+      lastSyncAttemptAt: now,
+      ...catalogMirror,
+    },
+  });
+
+  await recordProductEvent(bunjangPid, 'DELISTED', {
+    shopifyGid: syncedDoc.shopifyGid,
+    source,
+    actor,
+    jobId,
+    changes: { status: { from: syncedDoc.shopifyStatus || null, to: targetStatus } },
+    details: { reason, ...(saleStatus && { saleStatus }) },
+  });
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Delisted Shopify product ${syncedDoc.shopifyGid} (PID ${bunjangPid}) as ${targetStatus}. Reason: ${reason}`);
+  return { status: 'delisted', shopifyGid: syncedDoc.shopifyGid, targetStatus };
+}
+
+/**
+ * 전체 카탈로그 실행에서 한 번도 확인되지 않은 상품을 판매 중단 처리합니다.
+ * 잘린 파일 등으로 대량 삭제되는 것을 막기 위해, 후보 비율이 delistMissingMaxRatio를 넘으면 아무것도 하지 않습니다.
+ * @param {Date} runStartedAt - 전체 카탈로그 실행 시작 시각. 이 시각 이후에 확인된 상품은 제외됩니다.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 ID.
+ * @returns {Promise<{candidates: number, delisted: number, errors: number, aborted?: boolean}>}
+ */
+async function delistProductsMissingFromCatalog(runStartedAt, jobId = 'N/A') {
+  const listedFilter = {
+    shopifyGid: { $exists: true, $ne: null },
+    delistedAt: null,
+  };
+  const missingFilter = {
+    ...listedFilter,
+    $or: [
+      { bunjangLastSeenInCatalogAt: { $lt: runStartedAt } },
+      { bunjangLastSeenInCatalogAt: { $exists: false } },
+    ],
+  };
+
+  const [listedCount, candidates] = await Promise.all([
+    SyncedProduct.countDocuments(listedFilter),
+    SyncedProduct.countDocuments(missingFilter),
+  ]);
+
+  if (candidates === 0) {
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] No listed products are missing from the full catalog.`);
+    return { candidates: 0, delisted: 0, errors: 0 };
+  }
+
+  const maxRatio = config.bunjang?.delistMissingMaxRatio ?? 0.3;
+  if (listedCount > 0 && candidates / listedCount > maxRatio) {
+    logger.error(`[${SERVICE_NAME}:Job-${jobId}] ${candidates}/${listedCount} listed products are missing from the full catalog, exceeding the safety ratio ${maxRatio}. Skipping missing-product delisting.`);
+    return { candidates, delisted: 0, errors: 0, aborted: true };
+  }
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Delisting ${candidates} products missing from the full catalog (run started at ${runStartedAt.toISOString()}).`);
+  let delisted = 0;
+  let errors = 0;
+  const cursor = SyncedProduct.find(missingFilter).select('bunjangPid').lean().cursor();
+  for await (const doc of cursor) {
+    const result = await delistSyncedProduct(doc.bunjangPid, { reason: 'MISSING_FROM_CATALOG' }, jobId);
+    if (result.status === 'delisted') delisted++;
+    else if (result.status === 'error') errors++;
+  }
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Missing-product delisting finished. Delisted: ${delisted}, Errors: ${errors}, Candidates: ${candidates}`);
+  return { candidates, delisted, errors };
+}
+
+/**
+ * 카탈로그 파일에 있었지만 동기화 대상이 아니어서 상품별 처리를 거치지 않은 행(필수 값 누락, 카테고리 필터 등)의
+ * 카탈로그 확인 시각을 기록합니다. 기록하지 않으면 번개장터에는 여전히 있는 상품이 MISSING_FROM_CATALOG로 판매 중단됩니다.
+ * @param {string[]} bunjangPids - 카탈로그 파일에서 읽은 PID.
+ * @param {Date} [seenAt=new Date()] - 확인 시각.
+ * @returns {Promise<number>} 갱신된 SyncedProduct 수.
+ */
+async function markProductsSeenInCatalog(bunjangPids, seenAt = new Date()) {
+  const uniquePids = [...new Set(bunjangPids)];
+  let modifiedCount = 0;
+  for (let index = 0; index < uniquePids.length; index += SEEN_PID_BATCH_SIZE) {
+    const result = await SyncedProduct.updateMany(
+      { bunjangPid: { $in: uniquePids.slice(index, index + SEEN_PID_BATCH_SIZE) } },
+      { $set: { bunjangLastSeenInCatalogAt: seenAt } },
+    );
+    modifiedCount += result.modifiedCount;
+  }
+  return modifiedCount;
+}
+
+/**
+ * dry-run용: 이번 카탈로그에서 확인된 PID 집합에 없는 연결 상품을 찾아, 실제 실행이었다면 판매 중단될 대상을 반환합니다.
+ * 실제 실행과 같은 안전 비율(delistMissingMaxRatio) 판정 결과도 함께 반환합니다.
+ * @param {Set<string>} seenPids - 이번 카탈로그 파일에서 확인된 PID.
+ * @returns {Promise<{listedCount: number, candidates: Array<{bunjangPid: string, shopifyGid: string, targetStatus: string}>, wouldAbort: boolean}>}
+ */
+async function planDelistProductsMissingFromCatalog(seenPids) {
+  const listedFilter = {
+    shopifyGid: { $exists: true, $ne: null },
+    delistedAt: null,
+  };
+  const targetStatus = getTargetStatusForReason('MISSING_FROM_CATALOG');
+  let listedCount = 0;
+  const candidates = [];
+  const cursor = SyncedProduct.find(listedFilter).select('bunjangPid shopifyGid').lean().cursor();
+  for await (const doc of cursor) {
+    listedCount++;
+    if (!seenPids.has(doc.bunjangPid)) {
+      candidates.push({ bunjangPid: doc.bunjangPid, shopifyGid: doc.shopifyGid, targetStatus });
+    }
+  }
+  const maxRatio = config.bunjang?.delistMissingMaxRatio ?? 0.3;
+  const wouldAbort = listedCount > 0 && candidates.length / listedCount > maxRatio;
+  return { listedCount, candidates, wouldAbort };
+}
+
+module.exports = {
+  mapSaleStatusToDelistReason,
+  planDelistSyncedProduct,
+  planDelistProductsMissingFromCatalog,
+  delistSyncedProduct,
+  delistProductsMissingFromCatalog,
+  markProductsSeenInCatalog,
+};
@@ -0,0 +1,113 @@
+// src/services/productDiffService.js
+// 마지막으로 Shopify에 동기화한 값의 스냅샷과 이번 카탈로그 행으로 만든 값을 필드 단위로 비교합니다.
+// 비교 결과(변경된 필드 목록)로 필요한 Shopify mutation만 골라서 보낼 수 있습니다.
+
+const crypto = require('crypto');
+
+const SNAPSHOT_FIELDS = ['title', 'descriptionHtml', 'productType', 'category', 'tags', 'metafields', 'handle', 'seo', 'priceUsd', 'quantity', 'imageUrls', 'variantSkus', 'collectionGids'];
+const PRODUCT_FIELDS = ['title', 'descriptionHtml', 'productType', 'category', 'tags', 'metafields', 'handle', 'seo']; // productUpdate
+
+function normalizeText(value) {
+  return String(value ?? '').replace(/\r\n/g, '\n').trim();
+}
+
+// 메타필드는 값 전체 대신 "namespace.key:해시"로 비교 (원문 설명이 길 수 있음)
+function fingerprintMetafields(metafields = []) {
+  return metafields
+    .map(({ namespace, key, value }) => `${namespace}.${key}:${crypto.createHash('sha1').update(String(value ?? '')).digest('hex')}`)
+    .sort();
+}
+
+function normalizePrice(value) {
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num.toFixed(2);
+}
+
+/**
+ * transformBunjangRowToShopifyInput 결과와 첨부할 이미지 URL로 동기화 스냅샷을 만듭니다.
+ * @param {object} params
+ * @param {object} params.productInput - Shopify ProductInput (title, descriptionHtml, productType, category, tags, metafields, handle, seo).
+ * @param {object} params.variantData - { price }.
+ * @param {object} params.inventoryInfo - { quantity }.
+ * @param {string[]} params.imageUrls - 정규화된 이미지 URL 목록 (순서 유지).
+ * @param {string[]} [params.variantSkus] - 옵션 조합별 variant SKU 목록 (옵션이 없는 상품은 빈 배열).
+ * @param {string[]} [params.collectionGids] - 분류 규칙으로 추가할 컬렉션 GID 목록.
+ * @returns {object} 스냅샷.
+ */
+function buildSyncSnapshot({ productInput, variantData, inventoryInfo, imageUrls = [], variantSkus = [], collectionGids = [] }) {
+  return {
+    title: normalizeText(productInput.title),
+    descriptionHtml: normalizeText(productInput.descriptionHtml),
+    productType: normalizeText(productInput.productType),
+    category: normalizeText(productInput.category),
+    tags: [...new Set((productInput.tags || []).map(tag => normalizeText(tag)).filter(Boolean))].sort(),
+    metafields: fingerprintMetafields(productInput.metafields),
+    handle: normalizeText(productInput.handle),
+    seo: productInput.seo ? normalizeText(`${productInput.seo.title || ''}\n${productInput.seo.description || ''}`) : '', // "제목\n설명"
+    priceUsd: normalizePrice(variantData.price),
+    quantity: Number.isInteger(inventoryInfo.quantity) ? inventoryInfo.quantity : 0,
+    imageUrls: imageUrls.map(url => normalizeText(url)).filter(Boolean),
+    variantSkus: [...variantSkus],
+    collectionGids: [...new Set(collectionGids)].sort(),
+  };
+}
+
+function isSameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+    return a.every((item, idx) => item === b[idx]);
+  }
+  return a === b;
+}
+
+/**
+ * 이전 스냅샷과 새 스냅샷을 비교하여 변경된 필드 이름 목록을 반환합니다.
+ * 이전 스냅샷이 없으면(최초 동기화 또는 스냅샷 도입 이전 상품) 모든 필드를 변경된 것으로 봅니다.
+ * 이전 스냅샷에 없는 필드(나중에 추가된 필드)는 빈 배열 또는 빈 문자열로 간주합니다.
+ * @param {object|null} previous - SyncedProduct.syncSnapshot.
+ * @param {object} next - buildSyncSnapshot 결과.
+ * @returns {string[]} 변경된 필드 이름 (SNAPSHOT_FIELDS 순서).
+ */
+function diffSyncSnapshots(previous, next) {
+  if (!previous) return [...SNAPSHOT_FIELDS];
+  return SNAPSHOT_FIELDS.filter(field => {
+    const emptyValue = Array.isArray(next[field]) ? [] : (typeof next[field] === 'string' ? '' : undefined);
+    const previousValue = previous[field] ?? emptyValue;
+    return !isSameValue(previousValue, next[field]);
+  });
+}
+
+/**
+ * 카탈로그 행이 SyncedProduct에 마지막으로 기록된 행보다 오래되었는지 확인합니다.
+ * 이전 파일 재처리(replay), 늦게 처리된 세그먼트 backfill, 세그먼트보다 먼저 만들어진 전체 카탈로그의 행은
+ * 이미 반영된 최신 가격/재고/판매 상태를 되돌리므로 건너뛰어야 합니다. (updatedAt이 같으면 오래된 행이 아님)
+ * @param {object|null} syncedDoc - SyncedProduct 문서.
+ * @param {Date|null} catalogUpdatedAt - 카탈로그 행의 updatedAt.
+ * @returns {boolean}
+ */
+function isStaleCatalogRow(syncedDoc, catalogUpdatedAt) {
+  if (!syncedDoc?.bunjangUpdatedAt || !catalogUpdatedAt) return false;
+  return new Date(syncedDoc.bunjangUpdatedAt).getTime() > new Date(catalogUpdatedAt).getTime();
+}
+
+/**
+ * 두 목록(컬렉션 GID 등)의 추가/삭제 항목을 계산합니다.
+ * @returns {{added: string[], removed: string[]}}
+ */
+function diffLists(previousItems = [], nextItems = []) {
+  const prevSet = new Set(previousItems);
+  const nextSet = new Set(nextItems);
+  return {
+    added: nextItems.filter(item => !prevSet.has(item)),
+    removed: previousItems.filter(item => !nextSet.has(item)),
+  };
+}
+
+module.exports = {
+  SNAPSHOT_FIELDS,
+  PRODUCT_FIELDS,
+  buildSyncSnapshot,
+  diffSyncSnapshots,
+  isStaleCatalogRow,
+  diffLists,
+};
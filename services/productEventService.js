@@ -0,0 +1,119 @@
+// src/services/productEventService.js
+// 상품별 동기화 이벤트(ProductSyncEvent)를 기록하고 타임라인을 조회합니다.
+// 이벤트 기록은 부가 기능이므로 저장에 실패해도 동기화/주문 처리를 중단하지 않습니다.
+
+const logger = require('../config/logger');
+const ProductSyncEvent = require('../models/productSyncEvent.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { diffLists } = require('./productDiffService');
+const { NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ProductEventSvc';
+const SCALAR_FIELDS = ['title', 'productType', 'category', 'handle', 'seo', 'priceUsd', 'quantity'];
+const LIST_FIELDS = ['tags', 'imageUrls', 'variantSkus', 'collectionGids'];
+
+// 메타필드 스냅샷 값("namespace.key:해시")에서 키만 추출
+function metafieldKeyMap(fingerprints = []) {
+  return new Map(fingerprints.map(entry => {
+    const separatorIdx = entry.lastIndexOf(':');
+    return [entry.substring(0, separatorIdx), entry.substring(separatorIdx + 1)];
+  }));
+}
+
+/**
+ * 이전/이후 동기화 스냅샷으로 변경된 필드의 값 변화를 만듭니다.
+ * 단일 값 필드는 { from, to }, 목록 필드는 { added, removed }, 설명은 길이만, 메타필드는 변경된 키만 기록합니다.
+ * @param {object|null} previous - 이전 SyncedProduct.syncSnapshot (최초 생성이면 null).
+ * @param {object} next - buildSyncSnapshot 결과.
+ * @param {string[]} changedFields - diffSyncSnapshots 결과.
+ * @returns {object} { field: change }
+ */
+function buildFieldChanges(previous, next, changedFields) {
+  const prev = previous || {};
+  const changes = {};
+  for (const field of changedFields) {
+    if (SCALAR_FIELDS.includes(field)) {
+      changes[field] = { from: prev[field] ?? null, to: next[field] ?? null };
+    } else if (LIST_FIELDS.includes(field)) {
+      changes[field] = diffLists(prev[field] || [], next[field] || []);
+    } else if (field === 'descriptionHtml') {
+      changes[field] = { fromLength: (prev.descriptionHtml || '').length, toLength: (next.descriptionHtml || '').length };
+    } else if (field === 'metafields') {
+      const prevKeys = metafieldKeyMap(prev.metafields);
+      const nextKeys = metafieldKeyMap(next.metafields);
+      changes[field] = {
+        added: [...nextKeys.keys()].filter(key => !prevKeys.has(key)),
+        removed: [...prevKeys.keys()].filter(key => !nextKeys.has(key)),
+        modified: [...nextKeys.keys()].filter(key => prevKeys.has(key) && prevKeys.get(key) !== nextKeys.get(key)),
+      };
+    }
+  }
+  return changes;
+}
+
+/**
+ * 상품 이벤트 한 건을 기록합니다. 실패해도 예외를 던지지 않고 null을 반환합니다.
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @param {string} type - ProductSyncEvent type (CREATED, UPDATED, SYNC_ERROR, ...).
+ * @param {object} [fields] - { shopifyGid, source, changedFields, changes, message, details, actor, jobId }
+ * @returns {Promise<object|null>} 저장된 이벤트.
+ */
+async function recordProductEvent(bunjangPid, type, { shopifyGid, source = 'SYNC', changedFields, changes, message, details, actor, jobId } = {}) {
+  try {
+    const event = await ProductSyncEvent.create({
+      bunjangPid: String(bunjangPid),
+      shopifyGid: shopifyGid || undefined,
+      type,
+      source,
+      changedFields,
+      changes,
+      message: message ? String(message).substring(0, 1000) : undefined,
+      details,
+      actor,
+      jobId: jobId && jobId !== 'N/A' ? String(jobId) : undefined,
+    });
+    return event.toObject();
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}${jobId && jobId !== 'N/A' ? `:Job-${jobId}` : ''}] Failed to record ${type} event for PID ${bunjangPid}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 번개장터 PID 또는 Shopify 상품 GID로 상품 이벤트 타임라인을 최신순으로 조회합니다.
+ * GID로 조회하면 SyncedProduct에서 PID를 찾아 해당 상품의 전체 이력을 반환합니다.
+ * @param {object} params - { bunjangPid?, shopifyGid?, type?, offset?, limit? }
+ * @returns {Promise<{bunjangPid: string, shopifyGid: string|null, product: object|null, total: number, events: object[]}>}
+ */
+async function getProductTimeline({ bunjangPid, shopifyGid, type, offset = 0, limit = 100 } = {}) {
+  const productFilter = bunjangPid ? { bunjangPid: String(bunjangPid) } : { shopifyGid };
+  const product = await SyncedProduct.findOne(productFilter)
+    .select('bunjangPid bunjangProductName shopifyGid shopifyStatus syncStatus syncErrorMessage lastSuccessfulSyncAt delistedAt delistReason')
+    .lean();
+
+  // 상품 문서가 없어도(삭제 등) 이벤트가 남아 있으면 반환
+  const eventFilter = product ? { bunjangPid: product.bunjangPid } : productFilter;
+  if (type) eventFilter.type = type;
+  const [events, total] = await Promise.all([
+    ProductSyncEvent.find(eventFilter).sort({ createdAt: -1, _id: -1 }).skip(offset).limit(limit).lean(),
+    ProductSyncEvent.countDocuments(eventFilter),
+  ]);
+  if (!product && total === 0) {
+    const identifier = bunjangPid || shopifyGid;
+    throw new NotFoundError(`상품 이벤트를 찾을 수 없습니다: ${identifier}`, 'ProductSyncEvent', identifier);
+  }
+
+  return {
+    bunjangPid: product?.bunjangPid || bunjangPid || events[0]?.bunjangPid || null,
+    shopifyGid: product?.shopifyGid || shopifyGid || null,
+    product,
+    total,
+    events,
+  };
+}
+
+module.exports = {
+  buildFieldChanges,
+  recordProductEvent,
+  getProductTimeline,
+};
@@ -0,0 +1,194 @@
+// src/services/productFieldLockService.js
+// 상품별 필드 잠금을 관리합니다. 판매자가 Shopify에서 직접 다듬은 상품명, 설명, 태그, 상품 유형, 가격, 이미지, 핸들, SEO를
+// 잠그면 이후 카탈로그 동기화는 해당 필드를 Shopify에 보내지 않습니다. (catalogService.planBunjangProductSync 참고)
+// 잠긴 필드의 스냅샷은 이전 값을 유지하므로, 잠금을 해제하면 다음 동기화에서 번개장터 값과 비교해 다시 반영됩니다.
+
+const logger = require('../config/logger');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { recordProductEvent } = require('./productEventService');
+const { NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ProductFieldLockSvc';
+// 잠금 필드 → 동기화 스냅샷 필드 (productDiffService.SNAPSHOT_FIELDS)
+const LOCK_FIELD_SNAPSHOT_FIELDS = {
+  title: 'title',
+  descriptionHtml: 'descriptionHtml',
+  tags: 'tags',
+  productType: 'productType',
+  price: 'priceUsd',
+  images: 'imageUrls',
+  handle: 'handle',
+  seo: 'seo',
+};
+const LOCKABLE_FIELDS = Object.keys(LOCK_FIELD_SNAPSHOT_FIELDS);
+const DEFAULT_BULK_LOCK_LIMIT = 10000;
+
+function assertLockableFields(fields) {
+  const invalid = (fields || []).filter(field => !LOCKABLE_FIELDS.includes(field));
+  if (!Array.isArray(fields) || fields.length === 0 || invalid.length > 0) {
+    throw new ValidationError(`잠글 수 있는 필드는 ${LOCKABLE_FIELDS.join(', ')} 입니다.`, invalid.map(field => ({ field, message: '잠글 수 없는 필드입니다.' })), 400, 'INVALID_LOCK_FIELDS');
+  }
+  return [...new Set(fields)];
+}
+
+/**
+ * SyncedProduct 문서에서 잠긴 필드에 해당하는 스냅샷 필드 이름을 반환합니다.
+ * @param {object|null} syncedDoc - SyncedProduct 문서.
+ * @returns {string[]} 예: ['title', 'priceUsd']
+ */
+function getLockedSnapshotFields(syncedDoc) {
+  return (syncedDoc?.fieldLocks || []).map(lock => LOCK_FIELD_SNAPSHOT_FIELDS[lock.field]).filter(Boolean);
+}
+
+/**
+ * 잠긴 필드는 이전 스냅샷 값을 유지한 스냅샷을 반환합니다. 이전 스냅샷이 없으면 null로 두어 잠금 해제 후 변경으로 잡히게 합니다.
+ * @param {object} nextSnapshot - buildSyncSnapshot 결과.
+ * @param {object|null} previousSnapshot - SyncedProduct.syncSnapshot.
+ * @param {string[]} lockedSnapshotFields - getLockedSnapshotFields 결과.
+ * @returns {object} 스냅샷.
+ */
+function applyFieldLocksToSnapshot(nextSnapshot, previousSnapshot, lockedSnapshotFields) {
+  if (lockedSnapshotFields.length === 0) return nextSnapshot;
+  const snapshot = { ...nextSnapshot };
+  lockedSnapshotFields.forEach(field => { snapshot[field] = previousSnapshot?.[field] ?? null; });
+  return snapshot;
+}
+
+async function findSyncedProduct(bunjangPid) {
+  const syncedDoc = await SyncedProduct.findOne({ bunjangPid }).select('bunjangPid shopifyGid fieldLocks').lean();
+  if (!syncedDoc) throw new NotFoundError(`동기화 상품을 찾을 수 없습니다: ${bunjangPid}`, 'SyncedProduct', bunjangPid);
+  return syncedDoc;
+}
+
+// 아직 잠기지 않은 상품에만 필드별로 잠금 추가 (이미 잠긴 필드는 처음 잠근 시간/사람 유지)
+async function pushFieldLocks(filter, fields, { actor, note }) {
+  const lockedAt = new Date();
+  let modifiedCount = 0;
+  for (const field of fields) {
+    const result = await SyncedProduct.updateMany(
+      { ...filter, 'fieldLocks.field': { $ne: field } },
+      { $push: { fieldLocks: { field, lockedAt, lockedBy: actor, note } } },
+    );
+    modifiedCount += result.modifiedCount;
+  }
+  return modifiedCount;
+}
+
+/**
+ * 상품의 필드 잠금 목록을 반환합니다.
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @returns {Promise<{bunjangPid: string, shopifyGid: string|null, fieldLocks: object[]}>}
+ */
+async function getFieldLocks(bunjangPid) {
+  const syncedDoc = await findSyncedProduct(bunjangPid);
+  return { bunjangPid: syncedDoc.bunjangPid, shopifyGid: syncedDoc.shopifyGid || null, fieldLocks: syncedDoc.fieldLocks || [] };
+}
+
+/**
+ * 상품의 필드를 잠급니다. 다음 동기화부터 잠긴 필드는 Shopify에 보내지 않습니다.
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @param {string[]} fields - LOCKABLE_FIELDS 중 잠글 필드.
+ * @param {object} [params] - { actor, note }
+ * @returns {Promise<object>} getFieldLocks와 같은 형식.
+ */
+async function lockFields(bunjangPid, fields, { actor, note } = {}) {
+  const lockFieldsToAdd = assertLockableFields(fields);
+  const syncedDoc = await findSyncedProduct(bunjangPid);
+  const alreadyLocked = (syncedDoc.fieldLocks || []).map(lock => lock.field);
+  const newlyLocked = lockFieldsToAdd.filter(field => !alreadyLocked.includes(field));
+
+  await pushFieldLocks({ bunjangPid }, newlyLocked, { actor, note });
+  if (newlyLocked.length > 0) {
+    logger.info(`[${SERVICE_NAME}] Locked fields [${newlyLocked.join(', ')}] for Bunjang PID ${bunjangPid} by ${actor || 'unknown'}.`);
+    await recordProductEvent(bunjangPid, 'MANUAL_OVERRIDE', {
+      shopifyGid: syncedDoc.shopifyGid, source: 'REVIEWER', actor, message: note, changedFields: newlyLocked,
+      details: { action: 'FIELDS_LOCKED' },
+    });
+  }
+  return getFieldLocks(bunjangPid);
+}
+
+/**
+ * 상품의 필드 잠금을 해제합니다. 해제된 필드는 다음 동기화에서 번개장터 값과 다르면 다시 반영됩니다.
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @param {string[]} [fields] - 해제할 필드 (생략하면 전체 해제).
+ * @param {object} [params] - { actor, note }
+ * @returns {Promise<object>} getFieldLocks와 같은 형식.
+ */
+async function unlockFields(bunjangPid, fields, { actor, note } = {}) {
+  const fieldsToUnlock = fields === undefined ? LOCKABLE_FIELDS : assertLockableFields(fields);
+  const syncedDoc = await findSyncedProduct(bunjangPid);
+  const unlocked = (syncedDoc.fieldLocks || []).map(lock => lock.field).filter(field => fieldsToUnlock.includes(field));
+  if (unlocked.length === 0) return getFieldLocks(bunjangPid);
+
+  await SyncedProduct.updateOne({ bunjangPid }, { $pull: { fieldLocks: { field: { $in: unlocked } } } });
+  logger.info(`[${SERVICE_NAME}] Unlocked fields [${unlocked.join(', ')}] for Bunjang PID ${bunjangPid} by ${actor || 'unknown'}.`);
+  await recordProductEvent(bunjangPid, 'MANUAL_OVERRIDE', {
+    shopifyGid: syncedDoc.shopifyGid, source: 'REVIEWER', actor, message: note, changedFields: unlocked,
+    details: { action: 'FIELDS_UNLOCKED' },
+  });
+  return getFieldLocks(bunjangPid);
+}
+
+// 일괄 잠금 조건 → SyncedProduct 쿼리. 카테고리는 하위 카테고리까지 포함 (번개장터 카테고리 ID는 상위 ID로 시작)
+function buildBulkLockQuery({ bunjangPids, bunjangCategoryId, bunjangBrandId, shopifyProductType, syncStatus } = {}) {
+  const query = {
+    ...(bunjangPids?.length > 0 && { bunjangPid: { $in: bunjangPids.map(String) } }),
+    ...(bunjangCategoryId && { bunjangCategoryId: { $regex: `^${String(bunjangCategoryId).replace(/\D/g, '')}` } }),
+    ...(bunjangBrandId && { bunjangBrandId: String(bunjangBrandId) }),
+    ...(shopifyProductType && { shopifyProductType }),
+    ...(syncStatus && { syncStatus }),
+  };
+  if (Object.keys(query).length === 0) {
+    throw new ValidationError('일괄 잠금에는 하나 이상의 조건이 필요합니다.', [], 400, 'BULK_LOCK_FILTER_REQUIRED');
+  }
+  return query;
+}
+
+/**
+ * 조건에 맞는 상품들의 필드를 한 번에 잠급니다. 이미 잠긴 필드는 그대로 둡니다.
+ * 한 번에 limit개를 넘는 상품이 매칭되면 잠그지 않고 오류를 반환합니다. (조건을 좁히도록)
+ * @param {object} filter - { bunjangPids?, bunjangCategoryId?, bunjangBrandId?, shopifyProductType?, syncStatus? } (하나 이상 필수)
+ * @param {string[]} fields - LOCKABLE_FIELDS 중 잠글 필드.
+ * @param {object} [params] - { actor, note, limit }
+ * @returns {Promise<{matchedCount: number, modifiedCount: number, fields: string[]}>} modifiedCount는 잠금이 하나라도 추가된 (상품, 필드) 수.
+ */
+async function bulkLockFieldsByFilter(filter, fields, { actor, note, limit = DEFAULT_BULK_LOCK_LIMIT } = {}) {
+  const lockFieldsToAdd = assertLockableFields(fields);
+  const query = buildBulkLockQuery(filter);
+  const matchedCount = await SyncedProduct.countDocuments(query);
+  if (matchedCount > limit) {
+    throw new ValidationError(`조건에 맞는 상품이 너무 많습니다: ${matchedCount}개 (최대 ${limit}개). 조건을 좁혀 주세요.`, [], 400, 'BULK_LOCK_TOO_MANY_PRODUCTS');
+  }
+  if (matchedCount === 0) return { matchedCount, modifiedCount: 0, fields: lockFieldsToAdd };
+
+  // 이벤트는 실제로 잠금이 추가되는 상품만 기록 (updateMany 전에 대상 조회)
+  const targets = await SyncedProduct.find({ ...query, 'fieldLocks.field': { $not: { $all: lockFieldsToAdd } } })
+    .select('bunjangPid shopifyGid fieldLocks')
+    .lean();
+  const modifiedCount = await pushFieldLocks(query, lockFieldsToAdd, { actor, note });
+
+  // PID 목록은 이벤트마다 저장하지 않음
+  const { bunjangPids, ...filterCriteria } = filter;
+  for (const syncedDoc of targets) {
+    const alreadyLocked = (syncedDoc.fieldLocks || []).map(lock => lock.field);
+    await recordProductEvent(syncedDoc.bunjangPid, 'MANUAL_OVERRIDE', {
+      shopifyGid: syncedDoc.shopifyGid, source: 'REVIEWER', actor, message: note,
+      changedFields: lockFieldsToAdd.filter(field => !alreadyLocked.includes(field)),
+      details: { action: 'FIELDS_LOCKED', bulk: true, filter: { ...filterCriteria, ...(bunjangPids && { bunjangPidCount: bunjangPids.length }) } },
+    });
+  }
+  logger.info(`[${SERVICE_NAME}] Bulk locked fields [${lockFieldsToAdd.join(', ')}] on ${targets.length}/${matchedCount} matched product(s) by ${actor || 'unknown'}.`, { filter });
+  return { matchedCount, modifiedCount, fields: lockFieldsToAdd };
+}
+
+module.exports = {
+  LOCKABLE_FIELDS,
+  LOCK_FIELD_SNAPSHOT_FIELDS,
+  getLockedSnapshotFields,
+  applyFieldLocksToSnapshot,
+  getFieldLocks,
+  lockFields,
+  unlockFields,
+  bulkLockFieldsByFilter,
+};
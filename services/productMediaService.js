@@ -0,0 +1,151 @@
+// src/services/productMediaService.js
+// Shopify 상품 미디어를 번개장터 이미지 목록과 맞춥니다(reconciliation).
+// SyncedProduct.shopifyMedia에 Shopify 미디어 ID ↔ 원본 URL 매핑을 기록해 두고,
+// 새 이미지를 먼저 추가한 뒤 번개장터에서 사라진 이미지를 삭제하며 번개장터 이미지 순서를 유지합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+
+const SERVICE_NAME = 'ProductMediaSvc';
+
+/**
+ * productCreateMedia 결과를 입력 URL과 짝지어 반환합니다.
+ * mediaUserErrors의 field(예: ["media", "2", "originalSource"])로 실패한 입력을 제외한 뒤 순서대로 매칭합니다.
+ */
+function pairCreatedMediaWithUrls(urls, mediaResult) {
+  const failedIndexes = new Set(
+    (mediaResult?.mediaUserErrors || [])
+      .map(error => parseInt(error.field?.[1], 10))
+      .filter(index => !isNaN(index))
+  );
+  const succeededUrls = urls.filter((url, index) => !failedIndexes.has(index));
+  const createdMedia = mediaResult?.media || [];
+  if (createdMedia.length !== succeededUrls.length) {
+    logger.warn(`[${SERVICE_NAME}] Created media count (${createdMedia.length}) does not match requested images (${succeededUrls.length}). Pairing by order.`);
+  }
+  return createdMedia.map((media, index) => ({ media, sourceUrl: succeededUrls[index] })).filter(pair => pair.sourceUrl);
+}
+
+/**
+ * Shopify 상품 미디어를 번개장터 이미지 목록에 맞춥니다.
+ * - 매핑에 없는 URL만 새로 추가
+ * - 추가가 모두 성공한 경우에만 번개장터 목록에서 사라진 URL의 미디어 삭제 (추가 실패 시 상품 이미지가 비지 않도록)
+ * - 매핑에 없는 Shopify 미디어(판매자가 직접 올린 이미지, 매핑 도입 전 이미지 등)는 mediaRemoveUntracked가 true일 때만 삭제
+ * - 번개장터 이미지 순서대로 재정렬
+ * 미디어 작업 실패는 전체 동기화를 실패시키지 않으며, 확인된 매핑만 반환합니다.
+ * 삭제하지 못한 기존 매핑은 다음 동기화에서 다시 삭제하도록 매핑 뒤쪽에 남겨 둡니다.
+ * @param {string} productGid - Shopify 상품 GID.
+ * @param {string[]} imageUrls - 정규화된 번개장터 이미지 URL (순서 유지).
+ * @param {object} context
+ * @param {Array<object>} [context.trackedMedia] - SyncedProduct.shopifyMedia (이전 매핑).
+ * @param {boolean} [context.isNewProduct=false] - 방금 생성된 상품이면 Shopify 미디어 조회 생략.
+ * @param {string} context.altText - 새 이미지의 alt 텍스트.
+ * @param {string} [context.jobId='N/A'] - 로깅용 작업 ID.
+ * @param {Map<string, {originalSource: string, contentHash: string}>} [context.preparedImages] - 이미지 파이프라인이 업로드한 이미지 (원본 URL → staged resourceUrl).
+ *   지정하면 이 Map에 있는 URL만 새로 추가하며, 번개장터 URL 대신 staged resourceUrl로 미디어를 생성합니다.
+ * @returns {Promise<{media: Array<{mediaId: string, sourceUrl: string, status: string, position: number}>|null, appliedImageUrls: string[]|null, added: number, removed: number, reordered: boolean}>}
+ *   media는 새 매핑 (Shopify 미디어 조회 실패 시 null → 기존 매핑 유지).
+ *   appliedImageUrls는 새 매핑 기준으로 실제 Shopify에 반영된 이미지 URL 목록 (imageUrls와 다르면 일부 작업이 실패한 것이므로 다시 시도해야 함).
+ */
+async function reconcileProductMedia(productGid, imageUrls, { trackedMedia = [], isNewProduct = false, altText, jobId = 'N/A', preparedImages = null } = {}) {
+  const removeUntracked = config.bunjang?.mediaRemoveUntracked === true;
+
+  let shopifyMedia = [];
+  if (!isNewProduct) {
+    try {
+      shopifyMedia = await shopifyService.getProductMedia(productGid);
+    } catch (error) {
+      logger.error(`[${SERVICE_NAME}:Job-${jobId}] Failed to load media for product ${productGid}. Skipping media reconciliation: ${error.message}`);
+      return { media: null, appliedImageUrls: null, added: 0, removed: 0, reordered: false };
+    }
+  }
+  const shopifyMediaById = new Map(shopifyMedia.map(media => [media.id, media]));
+  const wantedUrls = new Set(imageUrls);
+
+  // 1. 유지할 매핑: Shopify에 아직 있고, 번개장터 목록에도 있으며, 같은 URL의 첫 번째 항목
+  const keptByUrl = new Map();
+  const staleTrackedMedia = [];
+  for (const tracked of trackedMedia) {
+    if (!shopifyMediaById.has(tracked.mediaId)) continue; // Shopify에서 이미 삭제됨 → 다시 추가
+    if (wantedUrls.has(tracked.sourceUrl) && !keptByUrl.has(tracked.sourceUrl)) {
+      keptByUrl.set(tracked.sourceUrl, { ...tracked, status: shopifyMediaById.get(tracked.mediaId).status });
+    } else {
+      staleTrackedMedia.push({ ...tracked, status: shopifyMediaById.get(tracked.mediaId).status });
+    }
+  }
+  const mediaIdsToDelete = staleTrackedMedia.map(tracked => tracked.mediaId);
+  if (removeUntracked) {
+    const trackedIds = new Set(trackedMedia.map(tracked => tracked.mediaId));
+    shopifyMedia.filter(media => !trackedIds.has(media.id)).forEach(media => mediaIdsToDelete.push(media.id));
+  }
+
+  // 2. 추가
+  const urlsToAdd = imageUrls.filter(url => !keptByUrl.has(url) && (!preparedImages || preparedImages.has(url)));
+  let added = 0;
+  if (urlsToAdd.length > 0) {
+    try {
+      const mediaResult = await shopifyService.appendMediaToProduct(productGid, urlsToAdd.map(url => ({
+        originalSource: preparedImages?.get(url)?.originalSource || url,
+        mediaContentType: 'IMAGE',
+        alt: altText,
+      })));
+      if (mediaResult?.warning) {
+        logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Media attachment warning: ${mediaResult.warning}`);
+      }
+      for (const { media, sourceUrl } of pairCreatedMediaWithUrls(urlsToAdd, mediaResult)) {
+        const contentHash = preparedImages?.get(sourceUrl)?.contentHash;
+        keptByUrl.set(sourceUrl, { mediaId: media.id, sourceUrl, status: media.status, ...(contentHash && { contentHash }) });
+        added++;
+      }
+      logger.info(`[${SERVICE_NAME}:Job-${jobId}] Added ${added}/${urlsToAdd.length} new images to product ${productGid}.`);
+    } catch (error) {
+      logger.error(`[${SERVICE_NAME}:Job-${jobId}] Failed to attach media to product ${productGid}: ${error.message}`, { stack: error.stack });
+    }
+  }
+
+  // 3. 삭제 (추가가 일부라도 실패하면 기존 이미지를 남겨 두고 다음 동기화에서 다시 시도)
+  const deletedIds = new Set();
+  if (mediaIdsToDelete.length > 0 && added < urlsToAdd.length) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Skipping removal of ${mediaIdsToDelete.length} media from product ${productGid} because ${urlsToAdd.length - added} new image(s) failed to attach.`);
+  } else if (mediaIdsToDelete.length > 0) {
+    try {
+      (await shopifyService.deleteProductMedia(productGid, mediaIdsToDelete)).forEach(id => deletedIds.add(id));
+      logger.info(`[${SERVICE_NAME}:Job-${jobId}] Removed ${deletedIds.size} stale or duplicate media from product ${productGid}.`);
+    } catch (error) {
+      logger.error(`[${SERVICE_NAME}:Job-${jobId}] Failed to remove media from product ${productGid}: ${error.message}`);
+    }
+  }
+
+  // 4. 번개장터 순서로 정렬 (삭제 후 남은 미디어는 기존 순서, 새 미디어는 뒤에 붙어 있음)
+  const orderedMedia = imageUrls
+    .filter(url => keptByUrl.has(url))
+    .map((url, position) => ({ ...keptByUrl.get(url), position }));
+  const currentOrder = [
+    ...shopifyMedia.map(media => media.id).filter(id => !deletedIds.has(id)),
+    ...orderedMedia.map(media => media.mediaId).filter(id => !shopifyMediaById.has(id)),
+  ];
+  const moves = orderedMedia
+    .filter(media => currentOrder.indexOf(media.mediaId) !== media.position)
+    .map(media => ({ id: media.mediaId, newPosition: media.position }));
+  let reordered = false;
+  if (moves.length > 0) {
+    try {
+      await shopifyService.reorderProductMedia(productGid, moves);
+      reordered = true;
+    } catch (error) {
+      logger.error(`[${SERVICE_NAME}:Job-${jobId}] Failed to reorder media for product ${productGid}: ${error.message}`);
+    }
+  }
+
+  // 삭제하지 못한 기존 매핑은 다음 동기화에서 다시 삭제하도록 유지
+  const remainingStaleMedia = staleTrackedMedia
+    .filter(tracked => !deletedIds.has(tracked.mediaId))
+    .map((tracked, index) => ({ ...tracked, position: orderedMedia.length + index }));
+  const media = [...orderedMedia, ...remainingStaleMedia];
+  return { media, appliedImageUrls: media.map(entry => entry.sourceUrl), added, removed: deletedIds.size, reordered };
+}
+
+module.exports = {
+  reconcileProductMedia,
+};
@@ -0,0 +1,162 @@
+// src/services/seoService.js
+// 동기화 상품의 Shopify 핸들(URL)과 검색엔진용 제목/설명(seo)을 만듭니다.
+// 핸들은 상품을 만들 때 번역된 상품명(번역하지 않았으면 한국어 상품명을 로마자로 변환)으로 한 번 정하고, 번개장터 PID를 붙여 상품 간에 겹치지 않게 합니다.
+// SEO 제목/설명은 설명 템플릿(DescriptionTemplate)의 seoTitleTemplate/seoDescriptionTemplate, 없으면 config.seo 기본 템플릿을 사용합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { formatCondition } = require('./descriptionTemplateService');
+
+const SERVICE_NAME = 'SeoSvc';
+const HANDLE_ENABLED = config.seo?.handleEnabled ?? true;
+const HANDLE_MAX_WORDS_LENGTH = config.seo?.handleMaxLength ?? 60; // PID 접미사 제외
+const SEO_TITLE_MAX_LENGTH = 70;
+const SEO_DESCRIPTION_MAX_LENGTH = 320;
+// [[ ... ]] 구간은 안의 자리표시자 값이 하나라도 비어 있으면 통째로 생략
+const DEFAULT_SEO_TITLE_TEMPLATE = config.seo?.titleTemplate ?? '{{title}}[[ | {{brand}}]]';
+const DEFAULT_SEO_DESCRIPTION_TEMPLATE = config.seo?.descriptionTemplate
+  ?? '[[{{condition}} ]]{{title}}[[ by {{brand}}]][[ in {{category}}]]. Shipped from South Korea.';
+const BRAND_NAMES = config.seo?.brandNames ?? {}; // 번개장터 브랜드 ID → 브랜드명 (카탈로그에는 ID만 있음)
+const REGENERATE_HANDLES = config.seo?.regenerateHandles === true; // 기존 상품 핸들도 현재 상품명으로 다시 만듦 (리디렉션 추가)
+
+// 한글 음절 로마자 표기 (국어의 로마자 표기법, 음운 변화는 적용하지 않음)
+const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const HANGUL_MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+const HANGUL_SYLLABLE_START = 0xAC00;
+const HANGUL_SYLLABLE_END = 0xD7A3;
+
+/**
+ * 한글 음절을 로마자로 바꿉니다. 한글이 아닌 문자는 그대로 둡니다.
+ * @param {string} text
+ * @returns {string} 예: '방탄소년단 앨범' → 'bangtansonyeondan aelbeom'
+ */
+function romanizeKorean(text) {
+  return Array.from(String(text || '')).map(char => {
+    const code = char.codePointAt(0);
+    if (code < HANGUL_SYLLABLE_START || code > HANGUL_SYLLABLE_END) return char;
+    const index = code - HANGUL_SYLLABLE_START;
+    return HANGUL_INITIALS[Math.floor(index / 588)] + HANGUL_MEDIALS[Math.floor((index % 588) / 28)] + HANGUL_FINALS[index % 28];
+  }).join('');
+}
+
+/**
+ * 상품명으로 핸들의 단어 부분을 만듭니다. (소문자 영숫자와 하이픈, 단어 단위로 길이 제한)
+ * @param {string} title - 상품명 (번역문 또는 한국어 원문).
+ * @returns {string} 예: 'bts-map-of-the-soul-album'. 쓸 수 있는 문자가 없으면 빈 문자열.
+ */
+function slugifyTitle(title) {
+  const words = romanizeKorean(title)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  let slug = '';
+  for (const word of words) {
+    const next = slug ? `${slug}-${word}` : word;
+    if (next.length > HANDLE_MAX_WORDS_LENGTH) break;
+    slug = next;
+  }
+  return slug || (words[0] || '').substring(0, HANDLE_MAX_WORDS_LENGTH);
+}
+
+/**
+ * 상품명과 PID로 기본 핸들을 만듭니다.
+ * @returns {string} 예: 'bts-album-123456789', 단어가 없으면 'bunjang-123456789'.
+ */
+function buildProductHandle(title, bunjangPid) {
+  return `${slugifyTitle(title) || 'bunjang'}-${bunjangPid}`;
+}
+
+// 다른 상품(동기화 상품 또는 Shopify에 직접 등록된 상품)이 쓰고 있는 핸들인지 확인
+async function isHandleTaken(handle, bunjangPid, shopifyProductGid) {
+  if (await SyncedProduct.exists({ shopifyHandle: handle, bunjangPid: { $ne: bunjangPid } })) return true;
+  try {
+    const product = await shopifyService.findProductByHandle(handle);
+    return Boolean(product?.id) && product.id !== shopifyProductGid;
+  } catch (error) {
+    // PID가 들어간 핸들이므로 Shopify 확인에 실패해도 DB 확인 결과만으로 진행
+    logger.warn(`[${SERVICE_NAME}] Failed to check Shopify handle "${handle}": ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 상품에 사용할 핸들을 정합니다.
+ * 핸들은 상품을 만들 때 한 번 정하고, 이후 상품명이 바뀌거나 번역 여부가 달라져도 바꾸지 않습니다. (URL과 리디렉션이 계속 늘어나지 않도록)
+ * - 기존 상품은 현재 Shopify 핸들(없으면 마지막 동기화 스냅샷의 핸들)을 그대로 사용하고, 둘 다 모르면 null (핸들을 보내지 않음)
+ * - 새 상품이거나 regenerate를 지정한 경우 '상품명-PID' 핸들을 만들고, 다른 상품이 쓰고 있으면 -2, -3 ...을 붙임
+ *   (regenerate여도 현재 핸들이 같은 상품명으로 만든 핸들이면 그대로 사용)
+ * @param {object} params - { title, bunjangPid, shopifyProductGid, currentHandle, previousHandle, regenerate, checkAvailability }
+ *   currentHandle: SyncedProduct.shopifyHandle (현재 Shopify 핸들), previousHandle: 마지막 동기화 스냅샷의 핸들.
+ *   regenerate: 기존 상품도 상품명으로 핸들을 다시 만듦 (기본값 config.seo.regenerateHandles).
+ *   checkAvailability: false면 DB/Shopify 중복 확인 없이 기본 핸들을 반환 (dry-run).
+ * @returns {Promise<string|null>} 핸들 생성을 사용하지 않거나 기존 상품의 핸들을 모르면 null.
+ */
+async function resolveProductHandle({ title, bunjangPid, shopifyProductGid = null, currentHandle = null, previousHandle = null, regenerate = REGENERATE_HANDLES, checkAvailability = true }) {
+  if (!HANDLE_ENABLED) return null;
+  const existingHandle = currentHandle || previousHandle;
+  if (shopifyProductGid && !regenerate) return existingHandle || null;
+
+  const baseHandle = buildProductHandle(title, bunjangPid);
+  if (existingHandle && (existingHandle === baseHandle || existingHandle.startsWith(`${baseHandle}-`))) return existingHandle;
+  if (!checkAvailability) return baseHandle;
+
+  for (let suffix = 1; suffix <= 5; suffix++) {
+    const candidate = suffix === 1 ? baseHandle : `${baseHandle}-${suffix}`;
+    if (candidate === currentHandle || !(await isHandleTaken(candidate, bunjangPid, shopifyProductGid))) return candidate;
+  }
+  const fallbackHandle = `${baseHandle}-${Date.now().toString(36)}`;
+  logger.warn(`[${SERVICE_NAME}] Handle "${baseHandle}" and its suffixes are taken. Using "${fallbackHandle}" for Bunjang PID ${bunjangPid}.`);
+  return fallbackHandle;
+}
+
+// 자리표시자를 채우고, 값이 빈 자리표시자가 있는 [[ ]] 구간은 생략
+function renderSeoTemplate(template, values, maxLength) {
+  const fill = text => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] || '');
+  const rendered = String(template || '')
+    .replace(/\[\[([\s\S]*?)\]\]/g, (match, segment) => {
+      const names = [...segment.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(m => m[1]);
+      return names.every(name => values[name]) ? fill(segment) : '';
+    });
+  const text = fill(rendered).replace(/\s+/g, ' ').trim();
+  if (text.length <= maxLength) return text;
+  // 단어 중간에서 자르지 않음
+  const truncated = text.substring(0, maxLength - 1);
+  const lastSpace = truncated.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? truncated.substring(0, lastSpace) : truncated).replace(/[\s,.|:;–-]+$/, '')}…`;
+}
+
+/**
+ * 상품의 SEO 제목/설명을 만듭니다.
+ * 자리표시자: {{title}} (Shopify 상품명), {{brand}}, {{category}} (Shopify 상품 유형), {{condition}}, {{pid}}
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @param {object} productInput - Shopify 상품 입력 (title, productType).
+ * @param {object} [template] - DescriptionTemplate 문서 (seoTitleTemplate, seoDescriptionTemplate).
+ * @returns {{title: string, description: string}}
+ */
+function buildProductSeo(bunjangProduct, productInput, template = null) {
+  const values = {
+    title: String(productInput.title || '').trim(),
+    brand: BRAND_NAMES[bunjangProduct.brandId] || '',
+    category: String(productInput.productType || '').trim(),
+    condition: formatCondition(bunjangProduct.condition),
+    pid: bunjangProduct.pid || '',
+  };
+  return {
+    title: renderSeoTemplate(template?.seoTitleTemplate || DEFAULT_SEO_TITLE_TEMPLATE, values, SEO_TITLE_MAX_LENGTH),
+    description: renderSeoTemplate(template?.seoDescriptionTemplate || DEFAULT_SEO_DESCRIPTION_TEMPLATE, values, SEO_DESCRIPTION_MAX_LENGTH),
+  };
+}
+
+module.exports = {
+  romanizeKorean,
+  slugifyTitle,
+  buildProductHandle,
+  resolveProductHandle,
+  buildProductSeo,
+};
@@ -0,0 +1,173 @@
+// src/services/shopifyBulkOperationService.js
+// Shopify bulk mutation 실행: mutation 변수 목록을 JSONL 파일로 만들어 staged upload → bulkOperationRunMutation →
+// 완료될 때까지 polling → 결과 JSONL을 입력 순서대로 매핑합니다.
+// 전체 카탈로그 bulk 동기화(catalogService)에서 productSet, publishablePublish를 대량으로 실행할 때 사용합니다.
+
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const { ExternalServiceError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ShopifyBulkSvc';
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+// Shopify의 bulk mutation 변수 파일 제한(20MB)보다 작게 나눔
+const MAX_FILE_BYTES = config.shopify?.bulkMaxFileBytes ?? 18 * 1024 * 1024;
+const POLL_INTERVAL_MS = config.shopify?.bulkPollIntervalMs ?? 5000;
+const OPERATION_TIMEOUT_MS = config.shopify?.bulkOperationTimeoutMs ?? 3 * 60 * 60 * 1000;
+
+const PRODUCT_SET_BULK_MUTATION = `mutation productSet($input: ProductSetInput!) {
+  productSet(input: $input) {
+    product { id handle variants(first: 100) { nodes { id sku inventoryItem { id } } } }
+    userErrors { field message code }
+  }
+}`;
+
+const PUBLISHABLE_PUBLISH_BULK_MUTATION = `mutation publishablePublish($id: ID!, $input: [PublicationInput!]!) {
+  publishablePublish(id: $id, input: $input) {
+    userErrors { field message }
+  }
+}`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 변수 목록을 파일 크기 제한 안에서 JSONL 청크로 나눔 (startIndex: 청크 첫 줄의 전체 입력 기준 위치)
+function buildJsonlChunks(variablesList) {
+  const chunks = [];
+  let current = { startIndex: 0, lines: [], bytes: 0 };
+  variablesList.forEach((variables, index) => {
+    const line = JSON.stringify(variables);
+    const lineBytes = Buffer.byteLength(line) + 1;
+    if (current.lines.length > 0 && current.bytes + lineBytes > MAX_FILE_BYTES) {
+      chunks.push(current);
+      current = { startIndex: index, lines: [], bytes: 0 };
+    }
+    current.lines.push(line);
+    current.bytes += lineBytes;
+  });
+  if (current.lines.length > 0) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * BulkOperation이 끝날 때까지(COMPLETED/FAILED/CANCELED/EXPIRED) 상태를 polling합니다.
+ * @returns {Promise<object>} 마지막으로 조회한 BulkOperation.
+ */
+async function waitForBulkOperation(bulkOperationId, deadline, jobId = 'N/A') {
+  let lastObjectCount = null;
+  for (;;) {
+    const operation = await shopifyService.getBulkOperation(bulkOperationId);
+    if (!operation) {
+      throw new ExternalServiceError(SERVICE_NAME, null, `Bulk operation ${bulkOperationId} not found`, 'SHOPIFY_BULK_OPERATION_ERROR');
+    }
+    if (TERMINAL_STATUSES.includes(operation.status)) return operation;
+    if (operation.objectCount !== lastObjectCount) {
+      logger.debug(`[${SERVICE_NAME}:Job-${jobId}] Bulk operation ${bulkOperationId} ${operation.status}: ${operation.objectCount} object(s) processed.`);
+      lastObjectCount = operation.objectCount;
+    }
+    if (Date.now() > deadline) {
+      throw new ExternalServiceError(SERVICE_NAME, null, `Bulk operation ${bulkOperationId} did not finish within ${Math.round(OPERATION_TIMEOUT_MS / 1000)}s (status: ${operation.status})`, 'SHOPIFY_BULK_OPERATION_TIMEOUT', { bulkOperationId, status: operation.status });
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+// 한 번에 하나의 bulk mutation만 실행할 수 있으므로 다른 작업(이전 실행의 잔여 작업 등)이 끝나길 기다림
+async function waitForIdleBulkMutation(deadline, jobId = 'N/A') {
+  const current = await shopifyService.getCurrentBulkMutation();
+  if (!current || TERMINAL_STATUSES.includes(current.status)) return;
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Waiting for bulk mutation ${current.id} (${current.status}) to finish before starting a new one.`);
+  await waitForBulkOperation(current.id, deadline, jobId);
+}
+
+async function uploadJsonlVariables(lines, label) {
+  const buffer = Buffer.from(`${lines.join('\n')}\n`, 'utf8');
+  const filename = `${label}_${Date.now()}.jsonl`;
+  const [target] = await shopifyService.createStagedUploads([{ filename, mimeType: 'text/jsonl', fileSize: buffer.length }], 'BULK_MUTATION_VARIABLES');
+  const stagedUploadPath = target?.parameters?.find(parameter => parameter.name === 'key')?.value;
+  if (!stagedUploadPath) {
+    throw new ExternalServiceError(SERVICE_NAME, null, 'Staged upload target for bulk variables has no key parameter', 'SHOPIFY_STAGED_UPLOAD_ERROR');
+  }
+  await shopifyService.uploadToStagedTarget(target, buffer, filename, 'text/jsonl');
+  return stagedUploadPath;
+}
+
+// 결과 JSONL을 내려받아 __lineNumber → 결과 줄 Map으로 변환
+async function downloadBulkResults(url) {
+  let body;
+  try {
+    const response = await axios.get(url, { responseType: 'text', timeout: config.shopify?.bulkResultDownloadTimeoutMs || 120000 });
+    body = response.data;
+  } catch (error) {
+    throw new ExternalServiceError(SERVICE_NAME, error, `Failed to download bulk operation results: ${error.response?.status || error.message}`, 'SHOPIFY_BULK_RESULT_DOWNLOAD_ERROR');
+  }
+  const resultsByLine = new Map();
+  for (const line of String(body || '').split('\n')) {
+    if (!line.trim()) continue;
+    const parsed = JSON.parse(line);
+    resultsByLine.set(parsed.__lineNumber, parsed);
+  }
+  return resultsByLine;
+}
+
+/**
+ * 변수 목록으로 bulk mutation을 실행하고, 입력 순서와 같은 순서의 결과를 반환합니다.
+ * 파일 크기 제한을 넘으면 여러 bulk operation으로 나눠 차례로 실행합니다.
+ * 청크 단위 실패(업로드 실패, FAILED 상태, 시간 초과 등)는 예외를 던지지 않고 해당 입력의 결과에 error로 표시합니다.
+ * @param {string} mutation - 실행할 mutation (예: PRODUCT_SET_BULK_MUTATION).
+ * @param {Array<object>} variablesList - 줄별 mutation 변수.
+ * @param {object} [options] - { label, jobId }
+ * @returns {Promise<{operations: Array<object>, results: Array<{data?: object, errors?: Array, error?: string}>}>}
+ *   results[i]: Shopify 결과 줄({ data, errors }) 또는 결과가 없으면 { error }.
+ */
+async function runBulkMutationForInputs(mutation, variablesList, { label = 'bulk', jobId = 'N/A' } = {}) {
+  const results = new Array(variablesList.length).fill(null);
+  const operations = [];
+  const chunks = buildJsonlChunks(variablesList);
+
+  for (const chunk of chunks) {
+    const deadline = Date.now() + OPERATION_TIMEOUT_MS;
+    let operation = null;
+    let chunkError = null;
+    try {
+      await waitForIdleBulkMutation(deadline, jobId);
+      const stagedUploadPath = await uploadJsonlVariables(chunk.lines, label);
+      operation = await shopifyService.runBulkMutation(mutation, stagedUploadPath);
+      logger.info(`[${SERVICE_NAME}:Job-${jobId}] Bulk ${label} operation ${operation.id} started for ${chunk.lines.length} line(s) (${chunk.bytes} bytes).`);
+      operation = await waitForBulkOperation(operation.id, deadline, jobId);
+
+      const resultUrl = operation.url || operation.partialDataUrl;
+      if (resultUrl) {
+        const resultsByLine = await downloadBulkResults(resultUrl);
+        chunk.lines.forEach((_, lineNumber) => {
+          if (resultsByLine.has(lineNumber)) results[chunk.startIndex + lineNumber] = resultsByLine.get(lineNumber);
+        });
+      }
+      if (operation.status !== 'COMPLETED') {
+        chunkError = `Bulk operation ${operation.id} ended with status ${operation.status}${operation.errorCode ? ` (${operation.errorCode})` : ''}`;
+      }
+    } catch (error) {
+      chunkError = error.message;
+    }
+
+    if (chunkError) logger.error(`[${SERVICE_NAME}:Job-${jobId}] Bulk ${label} chunk starting at input #${chunk.startIndex} failed: ${chunkError}`);
+    operations.push({
+      id: operation?.id || null,
+      status: operation?.status || 'NOT_STARTED',
+      errorCode: operation?.errorCode || null,
+      objectCount: operation?.objectCount != null ? Number(operation.objectCount) : 0,
+      lines: chunk.lines.length,
+    });
+    for (let lineNumber = 0; lineNumber < chunk.lines.length; lineNumber++) {
+      const index = chunk.startIndex + lineNumber;
+      if (!results[index]) results[index] = { error: chunkError || 'No result returned for this line' };
+    }
+  }
+  return { operations, results };
+}
+
+module.exports = {
+  PRODUCT_SET_BULK_MUTATION,
+  PUBLISHABLE_PUBLISH_BULK_MUTATION,
+  runBulkMutationForInputs,
+};
@@ -0,0 +1,121 @@
+// src/services/shopifyProductWebhookService.js
+// Shopify products/update, products/delete 웹훅을 SyncedProduct에 반영합니다. (Shopify → 미들웨어 역방향 동기화)
+// 관리자에서 바뀐 상태/핸들/상품명을 최신으로 유지하고, 삭제된 상품은 삭제 정책에 따라 연결을 해제하거나 다시 생성 대기로 둡니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { recordProductEvent } = require('./productEventService');
+const { ValidationError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ShopifyProductWebhookSvc';
+const SHOPIFY_STATUSES = ['ACTIVE', 'DRAFT', 'ARCHIVED'];
+// DETACH: 연결을 해제하고 다시 만들지 않음 (판매자가 의도적으로 삭제한 것으로 간주)
+// RECREATE: 연결을 해제하고 다음 카탈로그 동기화에서 새 Shopify 상품으로 생성
+const PRODUCT_DELETE_POLICIES = ['DETACH', 'RECREATE'];
+const PRODUCT_DELETE_POLICY = PRODUCT_DELETE_POLICIES.includes(config.shopify?.productDeletePolicy) ? config.shopify.productDeletePolicy : 'DETACH';
+
+// 웹훅 페이로드(REST 형식)에서 상품 GID 추출
+function extractProductGid(payload) {
+  if (payload?.admin_graphql_api_id) return payload.admin_graphql_api_id;
+  return payload?.id ? `gid://shopify/Product/${payload.id}` : null;
+}
+
+/**
+ * products/update 웹훅으로 SyncedProduct의 Shopify 상태, 핸들, 상품명을 갱신합니다.
+ * 연결되지 않은 상품이거나 이미 반영한 것보다 오래된 웹훅이면 무시합니다.
+ * 동기화가 직접 수정한 결과로 온 웹훅은 저장된 값과 같아 변경 없음으로 처리됩니다.
+ * @param {object} payload - Shopify 상품 웹훅 본문.
+ * @param {object} [context] - { webhookId }
+ * @returns {Promise<object>} { status: 'updated'|'unchanged'|'ignored', reason?, bunjangPid?, changedFields? }
+ */
+async function applyShopifyProductUpdate(payload, { webhookId } = {}) {
+  const shopifyGid = extractProductGid(payload);
+  if (!shopifyGid) throw new ValidationError('상품 웹훅에 상품 ID가 없습니다.', [], 400, 'WEBHOOK_PRODUCT_ID_MISSING');
+
+  const syncedDoc = await SyncedProduct.findOne({ shopifyGid })
+    .select('bunjangPid shopifyStatus shopifyHandle shopifyTitle shopifyUpdatedAt')
+    .lean();
+  if (!syncedDoc) return { status: 'ignored', reason: 'NOT_LINKED' };
+
+  const shopifyUpdatedAt = payload.updated_at ? new Date(payload.updated_at) : new Date();
+  if (syncedDoc.shopifyUpdatedAt && shopifyUpdatedAt < syncedDoc.shopifyUpdatedAt) {
+    logger.debug(`[${SERVICE_NAME}] Ignoring out-of-order products/update webhook for ${shopifyGid} (updated_at ${payload.updated_at}).`);
+    return { status: 'ignored', reason: 'STALE', bunjangPid: syncedDoc.bunjangPid };
+  }
+
+  const status = String(payload.status || '').toUpperCase();
+  const incoming = {
+    ...(SHOPIFY_STATUSES.includes(status) && { shopifyStatus: status }),
+    ...(payload.handle && { shopifyHandle: payload.handle }),
+    ...(payload.title && { shopifyTitle: payload.title }),
+  };
+  const changes = {};
+  for (const [field, value] of Object.entries(incoming)) {
+    if (syncedDoc[field] !== value) changes[field] = { from: syncedDoc[field] ?? null, to: value };
+  }
+
+  // 동시에 도착한 더 최신 웹훅을 덮어쓰지 않도록 updated_at 조건으로 갱신
+  const result = await SyncedProduct.updateOne(
+    { shopifyGid, $or: [{ shopifyUpdatedAt: null }, { shopifyUpdatedAt: { $lte: shopifyUpdatedAt } }] },
+    { $set: { ...incoming, shopifyUpdatedAt } },
+  );
+  if (result.matchedCount === 0) return { status: 'ignored', reason: 'STALE', bunjangPid: syncedDoc.bunjangPid };
+
+  const changedFields = Object.keys(changes);
+  if (changedFields.length === 0) return { status: 'unchanged', bunjangPid: syncedDoc.bunjangPid, changedFields };
+
+  logger.info(`[${SERVICE_NAME}] Shopify product ${shopifyGid} (Bunjang PID ${syncedDoc.bunjangPid}) edited in Shopify: [${changedFields.join(', ')}]`);
+  await recordProductEvent(syncedDoc.bunjangPid, 'SHOPIFY_EDITED', {
+    shopifyGid, source: 'SHOPIFY', changedFields, changes, details: { webhookId, shopifyUpdatedAt },
+  });
+  return { status: 'updated', bunjangPid: syncedDoc.bunjangPid, changedFields };
+}
+
+/**
+ * products/delete 웹훅으로 삭제된 Shopify 상품의 연결을 정리합니다.
+ * Shopify 매핑(GID, 핸들, variant, 미디어, 스냅샷)을 지우고, 삭제 정책(config.shopify.productDeletePolicy)에 따라
+ * DETACH면 이후 동기화에서 제외하고, RECREATE면 다음 카탈로그 동기화에서 새 상품으로 생성되도록 합니다.
+ * @param {object} payload - Shopify 웹훅 본문 ({ id }).
+ * @param {object} [context] - { webhookId }
+ * @returns {Promise<object>} { status: 'detached'|'recreate_pending'|'ignored', reason?, bunjangPid? }
+ */
+async function applyShopifyProductDelete(payload, { webhookId } = {}) {
+  const shopifyGid = extractProductGid(payload);
+  if (!shopifyGid) throw new ValidationError('상품 웹훅에 상품 ID가 없습니다.', [], 400, 'WEBHOOK_PRODUCT_ID_MISSING');
+
+  const syncedDoc = await SyncedProduct.findOne({ shopifyGid }).select('bunjangPid shopifyStatus shopifyTitle').lean();
+  if (!syncedDoc) return { status: 'ignored', reason: 'NOT_LINKED' };
+
+  const deletionAction = PRODUCT_DELETE_POLICY === 'RECREATE' ? 'RECREATE_PENDING' : 'DETACHED';
+  const now = new Date();
+  await SyncedProduct.updateOne({ bunjangPid: syncedDoc.bunjangPid, shopifyGid }, {
+    $set: {
+      shopifyDeletedAt: now,
+      shopifyDeletionAction: deletionAction,
+      syncSnapshot: null,
+      lastChangedFields: [],
+      ...(deletionAction === 'DETACHED' ? { syncStatus: 'SKIPPED_FILTER', isFilteredOut: true } : { syncStatus: 'PENDING' }),
+    },
+    $unset: {
+      shopifyGid: '', shopifyProductId: '', shopifyHandle: '', shopifyStatus: '', shopifyUpdatedAt: '',
+      shopifyVariantGid: '', shopifyInventoryItemGid: '', shopifyMedia: '',
+    },
+  });
+
+  logger.info(`[${SERVICE_NAME}] Shopify product ${shopifyGid} (Bunjang PID ${syncedDoc.bunjangPid}) was deleted in Shopify. Mapping removed (policy: ${PRODUCT_DELETE_POLICY}).`);
+  await recordProductEvent(syncedDoc.bunjangPid, 'SHOPIFY_DELETED', {
+    shopifyGid,
+    source: 'SHOPIFY',
+    message: deletionAction === 'DETACHED'
+      ? 'Deleted in Shopify admin. Detached and excluded from sync.'
+      : 'Deleted in Shopify admin. A new Shopify product will be created on the next catalog sync.',
+    details: { webhookId, policy: PRODUCT_DELETE_POLICY, action: deletionAction, previousStatus: syncedDoc.shopifyStatus || null, previousTitle: syncedDoc.shopifyTitle || null },
+  });
+  return { status: deletionAction === 'DETACHED' ? 'detached' : 'recreate_pending', bunjangPid: syncedDoc.bunjangPid };
+}
+
+module.exports = {
+  applyShopifyProductUpdate,
+  applyShopifyProductDelete,
+};
@@ -11,9 +11,12 @@ const {
     LATEST_API_VERSION
 } = require('@shopify/shopify-api');
 
+const axios = require('axios');
 const config = require('../config');
 const logger = require('../config/logger');
 const { ExternalServiceError, AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+const { acquireQueryCost, settleQueryCost, extractQueryCost, isThrottledResponse, estimateThrottleRecoveryMs } = require('./shopifyThrottleService');
+const { createRetryPolicy, classifyHttpFailure, parseRetryAfterMs, ERROR_CLASSES, DEFAULT_RETRYABLE_ERROR_CLASSES } = require('../utils/retryPolicy');
 
 const SERVICE_NAME = 'ShopifySvc';
 
@@ -127,71 +130,127 @@ function getShopifyAdminGraphQLClient() {
   }
 }
 
-const MAX_SHOPIFY_RETRIES = parseInt(process.env.SHOPIFY_API_MAX_RETRIES, 10) || 3;
+const MAX_SHOPIFY_RETRIES = parseInt(process.env.SHOPIFY_API_MAX_RETRIES, 10) || config.shopify?.maxRetries || 3;
 const INITIAL_SHOPIFY_RETRY_DELAY_MS = parseInt(process.env.SHOPIFY_API_INITIAL_RETRY_DELAY_MS, 10) || 2000;
-const JITTER_FACTOR = 0.3;
 
-async function shopifyGraphqlRequest(query, variables = {}) {
+/**
+ * Shopify 요청 오류를 재시도 정책의 오류 종류로 분류합니다.
+ * THROTTLED는 throttleStatus로 계산한 복구 시간, 429는 Retry-After 헤더만큼 기다립니다.
+ */
+function classifyShopifyError(error) {
+  if (error.errorCode === 'SHOPIFY_THROTTLED') {
+    return { errorClass: ERROR_CLASSES.THROTTLED, retryAfterMs: error.retryAfterMs ?? null };
+  }
+  if (error.errorCode === 'SHOPIFY_GQL_USER_ERRORS') {
+    const codes = (error.graphqlErrors || []).map(graphqlError => graphqlError?.extensions?.code);
+    return { errorClass: codes.includes('INTERNAL_SERVER_ERROR') ? ERROR_CLASSES.SERVER_ERROR : ERROR_CLASSES.CLIENT_ERROR };
+  }
+  if (error instanceof GraphqlQueryError) {
+    const errorBody = error.body || error.response?.body;
+    if (isThrottledResponse(errorBody)) {
+      return { errorClass: ERROR_CLASSES.THROTTLED, retryAfterMs: estimateThrottleRecoveryMs(extractQueryCost(errorBody)) };
+    }
+    const statusCode = error.response?.statusCode;
+    const errorClass = statusCode === undefined && /throttled/i.test(error.message || '')
+      ? ERROR_CLASSES.THROTTLED
+      : classifyHttpFailure({ status: statusCode, code: error.cause?.code, message: error.message });
+    return { errorClass, retryAfterMs: parseRetryAfterMs(error.response?.headers?.get?.('retry-after')) };
+  }
+  // 토큰/도메인 설정 오류 등 애플리케이션 오류는 재시도해도 결과가 같음
+  if (error instanceof AppError) return { errorClass: ERROR_CLASSES.CLIENT_ERROR };
+  return { errorClass: classifyHttpFailure({ code: error.code || error.cause?.code, message: error.message }) };
+}
+
+const shopifyRetryPolicy = createRetryPolicy({
+  name: 'ShopifyRetry',
+  classifyError: classifyShopifyError,
+  maxRetries: MAX_SHOPIFY_RETRIES,
+  initialDelayMs: INITIAL_SHOPIFY_RETRY_DELAY_MS,
+  maxDelayMs: config.shopify?.retryMaxDelayMs ?? 30000,
+  retryableErrorClasses: config.shopify?.retryableErrorClasses || DEFAULT_RETRYABLE_ERROR_CLASSES,
+});
+
+// 멱등하지 않은 mutation(상품/미디어/리디렉션 생성, 재고 증감, bulk mutation 시작)은 요청이 처리되지 않은 것이 확실한 경우에만 재시도.
+// THROTTLED는 Shopify가 실행 전에 거부한 응답이므로 429와 같이 취급
+const NON_IDEMPOTENT_RETRYABLE_ERROR_CLASSES = [ERROR_CLASSES.CONNECT, ERROR_CLASSES.RATE_LIMITED, ERROR_CLASSES.THROTTLED];
+
+/**
+ * Shopify Admin GraphQL 요청을 재시도 정책과 비용 기반 throttling을 적용해 실행합니다.
+ * @param {string} query - GraphQL 쿼리 또는 mutation.
+ * @param {object} [variables={}]
+ * @param {object} [options]
+ * @param {boolean} [options.idempotent=true] - false면 연결 실패/429/THROTTLED만 재시도 (중복 생성 방지).
+ * @returns {Promise<object>} 응답 본문.
+ */
+async function shopifyGraphqlRequest(query, variables = {}, { idempotent = true } = {}) {
   const client = getShopifyAdminGraphQLClient();
   const operationName = query.match(/(query|mutation)\s+(\w+)/)?.[2] || 'UnnamedOperation';
 
-  for (let attempt = 0; attempt <= MAX_SHOPIFY_RETRIES; attempt++) {
-    try {
-      logger.debug(`[${SERVICE_NAME}] GraphQL operation attempt ${attempt + 1}/${MAX_SHOPIFY_RETRIES + 1}: ${operationName}`, { variables: Object.keys(variables) });
-      const response = await client.query({ data: { query, variables } });
+  try {
+    return await shopifyRetryPolicy.execute(async (attempt) => {
+      logger.debug(`[${SERVICE_NAME}] GraphQL operation attempt ${attempt}/${MAX_SHOPIFY_RETRIES + 1}: ${operationName}`, { variables: Object.keys(variables) });
+      // 비용 기반 throttling: 추정 비용만큼 bucket에서 차감하고 부족하면 대기
+      const reservation = await acquireQueryCost(operationName, query, variables);
+      let response;
+      try {
+        response = await client.query({ data: { query, variables } });
+      } catch (error) {
+        if (error instanceof GraphqlQueryError) {
+          const errorBody = error.body || error.response?.body;
+          const cost = extractQueryCost(errorBody);
+          await settleQueryCost(reservation, cost && isThrottledResponse(errorBody) ? { ...cost, actualQueryCost: 0 } : cost);
+          logger.warn(`[${SERVICE_NAME}] GraphqlQueryError for ${operationName}:`, {
+            message: error.message, operationName, querySummary: query.substring(0, 100) + '...',
+            statusCode: error.response?.statusCode, attempt, responseBody: errorBody,
+          });
+        }
+        throw error;
+      }
+
+      const cost = extractQueryCost(response.body);
+      if (isThrottledResponse(response.body)) {
+        // THROTTLED 응답은 비용이 차감되지 않음
+        await settleQueryCost(reservation, { ...cost, actualQueryCost: 0 });
+        const throttledError = new ExternalServiceError(SERVICE_NAME, null, `Shopify GraphQL operation ${operationName} was THROTTLED.`, 'SHOPIFY_THROTTLED');
+        throttledError.retryAfterMs = estimateThrottleRecoveryMs(cost);
+        throw throttledError;
+      }
+      await settleQueryCost(reservation, cost);
 
       if (response.body.errors && response.body.errors.length > 0) {
         const errorDetails = {
-            querySummary: query.substring(0, 250) + (query.length > 250 ? '...' : ''),
-            variables,
-            errors: response.body.errors,
-            extensions: response.body.extensions,
-            attempt: attempt + 1,
+          querySummary: query.substring(0, 250) + (query.length > 250 ? '...' : ''),
+          variables,
+          errors: response.body.errors,
+          extensions: response.body.extensions,
+          attempt,
         };
-        throw new ExternalServiceError(SERVICE_NAME, null, `Shopify GraphQL API returned user errors for ${operationName}.`, 'SHOPIFY_GQL_USER_ERRORS', errorDetails);
+        const userErrorsError = new ExternalServiceError(SERVICE_NAME, null, `Shopify GraphQL API returned user errors for ${operationName}.`, 'SHOPIFY_GQL_USER_ERRORS', errorDetails);
+        userErrorsError.graphqlErrors = response.body.errors;
+        logger.warn(`[${SERVICE_NAME}] GraphQL errors for ${operationName}:`, {
+          querySummary: errorDetails.querySummary,
+          errors: response.body.errors,
+          attempt,
+        });
+        throw userErrorsError;
       }
       if (response.body.data === null && query.trim().startsWith('mutation')) {
           logger.warn(`[${SERVICE_NAME}] GraphQL Mutation ${operationName} returned null data without userErrors. Response body:`, response.body);
       }
       return response.body;
-
-    } catch (error) {
-      if (error instanceof GraphqlQueryError) {
-        const statusCode = error.response?.statusCode;
-        const isThrottled = statusCode === 429 || (error.message && error.message.toLowerCase().includes('throttled'));
-        const isServerError = statusCode >= 500 && statusCode <= 599;
-        const errorLogDetails = {
-            message: error.message, operationName, querySummary: query.substring(0, 100) + '...',
-            statusCode, isThrottled, isServerError, attempt: attempt + 1,
-            responseBody: error.response?.body
-        };
-        logger.warn(`[${SERVICE_NAME}] GraphqlQueryError for ${operationName}:`, errorLogDetails);
-
-        if (attempt < MAX_SHOPIFY_RETRIES && (isThrottled || isServerError)) {
-          let delayMs = INITIAL_SHOPIFY_RETRY_DELAY_MS * Math.pow(2, attempt);
-          const jitter = delayMs * JITTER_FACTOR * (Math.random() * 2 - 1);
-          delayMs = Math.max(1000, Math.round(delayMs + jitter));
-          if (isThrottled && error.response?.headers?.get('retry-after')) {
-            const retryAfterSeconds = parseInt(error.response.headers.get('retry-after'), 10);
-            if (!isNaN(retryAfterSeconds)) {
-                delayMs = Math.max(delayMs, retryAfterSeconds * 1000 + 500);
-            }
-          }
-          logger.info(`[${SERVICE_NAME}] Retrying GraphQL operation ${operationName} after ${Math.round(delayMs / 1000)}s.`);
-          await new Promise(resolve => setTimeout(resolve, delayMs));
-          continue;
-        }
-        throw new ExternalServiceError(SERVICE_NAME, error, `Shopify API request failed (Operation: ${operationName}, Status: ${statusCode || 'N/A'})`);
-      
-      } else if (error instanceof ExternalServiceError || error instanceof AppError) {
-        throw error;
-      } else {
-        logger.error(`[${SERVICE_NAME}] Unexpected system error during Shopify GraphQL operation ${operationName} (Attempt ${attempt + 1}):`, error);
-        throw new ExternalServiceError(SERVICE_NAME, error, `Unexpected system error during Shopify API call (Operation: ${operationName})`);
-      }
+    }, { operationName, ...(!idempotent && { retryableErrorClasses: NON_IDEMPOTENT_RETRYABLE_ERROR_CLASSES }) });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    let wrappedError;
+    if (error instanceof GraphqlQueryError) {
+      wrappedError = new ExternalServiceError(SERVICE_NAME, error, `Shopify API request failed (Operation: ${operationName}, Status: ${error.response?.statusCode || 'N/A'})`);
+    } else {
+      logger.error(`[${SERVICE_NAME}] Unexpected system error during Shopify GraphQL operation ${operationName} (Attempts: ${error.retryAttempts}):`, error);
+      wrappedError = new ExternalServiceError(SERVICE_NAME, error, `Unexpected system error during Shopify API call (Operation: ${operationName})`);
     }
+    wrappedError.retryAttempts = error.retryAttempts;
+    throw wrappedError;
   }
-  throw new ExternalServiceError(SERVICE_NAME, null, `Shopify API request failed after all retries (Operation: ${operationName})`);
 }
 
 async function createProduct(productInput, collectionGID = null, variantInfo = null) {
@@ -206,8 +265,10 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
     baseProductInput.publishedAt = new Date().toISOString();
   }
   
-  if (collectionGID) {
-    baseProductInput.collectionsToJoin = [collectionGID];
+  // 컬렉션 GID는 하나 또는 배열로 전달 가능
+  const collectionsToJoin = [].concat(collectionGID || []).filter(Boolean);
+  if (collectionsToJoin.length > 0) {
+    baseProductInput.collectionsToJoin = collectionsToJoin;
   }
 
   // In API 2025-04, variants are NOT supported in ProductInput
@@ -248,7 +309,7 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
     collectionGID
   });
   
-  const response = await shopifyGraphqlRequest(mutation, { input: baseProductInput });
+  const response = await shopifyGraphqlRequest(mutation, { input: baseProductInput }, { idempotent: false });
   
   if (response.data.productCreate.userErrors && response.data.productCreate.userErrors.length > 0) {
     const errorMessage = response.data.productCreate.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
@@ -269,70 +330,62 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
   });
   
   // Now update the default variant with price and inventory information
-  if (variantInfo && createdProduct.variants?.edges?.length > 0) {
-    const defaultVariant = createdProduct.variants.edges[0].node;
-    const variantId = defaultVariant.id;
-    const inventoryItemId = defaultVariant.inventoryItem?.id;
-    
-    try {
-      // Update variant price and inventory policy
-      await updateProductVariant({
-        id: variantId,
-        price: variantInfo.price,
-        inventoryPolicy: variantInfo.inventoryPolicy || 'DENY'
-      });
-      
-      logger.info(`[${SERVICE_NAME}] Updated variant price for product ${createdProduct.id}`);
-      
+  // 상품은 이미 생성되었으므로 variant 설정 실패는 예외 대신 variantSetupFailures('price' | 'sku' | 'inventory')로 반환하여
+  // 호출자가 해당 필드를 스냅샷에 반영하지 않고 다음 동기화에서 다시 보내도록 함
+  const variantSetupFailures = [];
+  if (variantInfo) {
+    const defaultVariant = createdProduct.variants?.edges?.[0]?.node;
+    const variantId = defaultVariant?.id;
+    const inventoryItemId = defaultVariant?.inventoryItem?.id;
+
+    if (!variantId) {
+      logger.error(`[${SERVICE_NAME}] Created product ${createdProduct.id} has no default variant. Price, SKU and inventory were not set.`);
+      variantSetupFailures.push('price', 'sku', 'inventory');
+    } else {
+      try {
+        // Update variant price and inventory policy
+        await updateProductVariant({
+          id: variantId,
+          price: variantInfo.price,
+          inventoryPolicy: variantInfo.inventoryPolicy || 'DENY'
+        });
+        logger.info(`[${SERVICE_NAME}] Updated variant price for product ${createdProduct.id}`);
+      } catch (variantError) {
+        logger.error(`[${SERVICE_NAME}] Failed to update variant price after product creation: ${variantError.message}`);
+        variantSetupFailures.push('price');
+      }
+
       // Update SKU using productVariantUpdate mutation (if needed)
       if (variantInfo.sku && variantInfo.sku !== defaultVariant.sku) {
-        await updateVariantSku(variantId, variantInfo.sku);
-        logger.info(`[${SERVICE_NAME}] Updated SKU to ${variantInfo.sku} for product ${createdProduct.id}`);
+        try {
+          await updateVariantSku(variantId, variantInfo.sku);
+          logger.info(`[${SERVICE_NAME}] Updated SKU to ${variantInfo.sku} for product ${createdProduct.id}`);
+        } catch (skuError) {
+          logger.error(`[${SERVICE_NAME}] Failed to update SKU after product creation: ${skuError.message}`);
+          variantSetupFailures.push('sku');
+        }
       }
-      
+
       // Update inventory
-      if (inventoryItemId && variantInfo.locationId && typeof variantInfo.quantity === 'number') {
-        await updateInventoryLevel(inventoryItemId, variantInfo.locationId, variantInfo.quantity);
-        logger.info(`[${SERVICE_NAME}] Updated inventory for product ${createdProduct.id}`);
+      if (variantInfo.locationId && typeof variantInfo.quantity === 'number') {
+        try {
+          if (!inventoryItemId) throw new Error('Created variant has no inventory item');
+          await updateInventoryLevel(inventoryItemId, variantInfo.locationId, variantInfo.quantity);
+          logger.info(`[${SERVICE_NAME}] Updated inventory for product ${createdProduct.id}`);
+        } catch (inventoryError) {
+          logger.error(`[${SERVICE_NAME}] Failed to update inventory after product creation: ${inventoryError.message}`);
+          variantSetupFailures.push('inventory');
+        }
       }
-    } catch (variantError) {
-      logger.error(`[${SERVICE_NAME}] Failed to update variant details after product creation: ${variantError.message}`);
-      // Don't fail the entire operation - product is already created
     }
   }
-  
+  createdProduct.variantSetupFailures = variantSetupFailures;
+
   // Publish product to all available sales channels
   try {
     logger.info(`[${SERVICE_NAME}] Publishing product ${createdProduct.id} to sales channels...`);
     
-    // Get all available publications (sales channels)
-    const pubQuery = `
-      query {
-        publications(first: 20) {
-          edges {
-            node {
-              id
-              name
-              supportsFuturePublishing
-            }
-          }
-        }
-      }`;
-    
-    const pubResponse = await shopifyGraphqlRequest(pubQuery, {});
-    const publications = pubResponse.data?.publications?.edges || [];
-    
-    logger.info(`[${SERVICE_NAME}] Found ${publications.length} sales channels`);
-    
-    // Find online store and any other active channels
-    const channelsToPublish = publications.filter(pub => {
-      const name = pub.node.name.toLowerCase();
-      // Include online store and potentially other channels
-      return name.includes('online store') || 
-             name === 'online store' ||
-             name.includes('온라인 스토어') ||
-             name.includes('shop');
-    });
+    const channelsToPublish = await getSalesChannelPublications();
     
     if (channelsToPublish.length > 0) {
       logger.info(`[${SERVICE_NAME}] Publishing to ${channelsToPublish.length} channels: ${channelsToPublish.map(ch => ch.node.name).join(', ')}`);
@@ -379,6 +432,41 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
   return createdProduct;
 }
 
+/**
+ * 새 상품을 게시할 판매 채널(온라인 스토어, Shop 등) publication 목록을 조회합니다.
+ * @returns {Promise<Array<{node: {id: string, name: string}}>>}
+ */
+async function getSalesChannelPublications() {
+  // Get all available publications (sales channels)
+  const pubQuery = `
+    query {
+      publications(first: 20) {
+        edges {
+          node {
+            id
+            name
+            supportsFuturePublishing
+          }
+        }
+      }
+    }`;
+  
+  const pubResponse = await shopifyGraphqlRequest(pubQuery, {});
+  const publications = pubResponse.data?.publications?.edges || [];
+  
+  logger.info(`[${SERVICE_NAME}] Found ${publications.length} sales channels`);
+  
+  // Find online store and any other active channels
+  return publications.filter(pub => {
+    const name = pub.node.name.toLowerCase();
+    // Include online store and potentially other channels
+    return name.includes('online store') || 
+           name === 'online store' ||
+           name.includes('온라인 스토어') ||
+           name.includes('shop');
+  });
+}
+
 async function publishProductToOnlineStore(productId) {
   try {
     // Get all publications
@@ -565,6 +653,78 @@ async function updateProductVariant(variantInput) {
   return response.data?.productVariantsBulkUpdate?.productVariants?.[0];
 }
 
+/**
+ * 옵션/variant 목록을 ProductSetInput의 productOptions, variants 형식으로 변환합니다. (bulk productSet에서도 사용)
+ * @param {Array<{name: string, values: string[]}>} productOptions - 상품 옵션.
+ * @param {Array<object>} variants - { id?, sku, price, inventoryPolicy, optionValues: [{ optionName, name }], quantity, locationId }.
+ * @returns {{productOptions: Array<object>, variants: Array<object>}}
+ */
+function buildProductSetVariantInput(productOptions, variants) {
+  return {
+    productOptions: productOptions.map((option, index) => ({
+      name: option.name,
+      position: index + 1,
+      values: option.values.map(value => ({ name: value })),
+    })),
+    variants: variants.map(variant => ({
+      ...(variant.id && { id: variant.id }),
+      optionValues: variant.optionValues,
+      price: variant.price,
+      inventoryPolicy: variant.inventoryPolicy,
+      inventoryItem: { sku: variant.sku, tracked: true },
+      ...(variant.locationId && typeof variant.quantity === 'number' && {
+        inventoryQuantities: [{ locationId: variant.locationId, name: 'available', quantity: variant.quantity }],
+      }),
+    })),
+  };
+}
+
+/**
+ * productSet으로 상품의 옵션과 variant 목록 전체를 교체합니다. (입력에 없는 기존 variant는 삭제됨)
+ * 상품의 다른 필드(제목, 설명 등)는 변경하지 않습니다.
+ * @param {string} productGid - Shopify 상품 GID.
+ * @param {Array<{name: string, values: string[]}>} productOptions - 상품 옵션 (예: [{ name: '사이즈', values: ['S', 'M'] }]).
+ * @param {Array<object>} variants - { sku, price, inventoryPolicy, optionValues: [{ optionName, name }], quantity, locationId }.
+ * @returns {Promise<Array<{id: string, sku: string, inventoryItem: {id: string}}>>} 교체 후 variant 목록.
+ */
+async function setProductVariants(productGid, productOptions, variants) {
+  const mutation = `
+    mutation productSet($input: ProductSetInput!, $synchronous: Boolean!) {
+      productSet(input: $input, synchronous: $synchronous) {
+        product {
+          id
+          variants(first: 100) {
+            edges {
+              node {
+                id
+                sku
+                inventoryItem {
+                  id
+                }
+              }
+            }
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  const input = { id: productGid, ...buildProductSetVariantInput(productOptions, variants) };
+
+  logger.info(`[${SERVICE_NAME}] Setting ${variants.length} variants (${productOptions.length} options) on product ${productGid}`);
+  const response = await shopifyGraphqlRequest(mutation, { input, synchronous: true });
+
+  if (response.data?.productSet?.userErrors && response.data.productSet.userErrors.length > 0) {
+    const errorMessage = response.data.productSet.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Variant set failed: ${errorMessage}`, 'SHOPIFY_VARIANT_SET_ERROR', { userErrors: response.data.productSet.userErrors });
+  }
+
+  return (response.data?.productSet?.product?.variants?.edges || []).map(edge => edge.node);
+}
+
 async function updateProduct(productUpdateInput, collectionGIDToJoin = null, collectionGIDToLeave = null) {
   if (!productUpdateInput.id) {
     throw new ValidationError('Shopify product GID (id) is required for update.', [{ field: 'id', message: 'Product GID is required.'}]);
@@ -573,11 +733,14 @@ async function updateProduct(productUpdateInput, collectionGIDToJoin = null, col
   // Remove media field if present
   const { media, ...finalProductUpdateInput } = productUpdateInput;
   
-  if (collectionGIDToJoin) {
-    finalProductUpdateInput.collectionsToJoin = [collectionGIDToJoin];
+  // 컬렉션 GID는 하나 또는 배열로 전달 가능
+  const collectionsToJoin = [].concat(collectionGIDToJoin || []).filter(Boolean);
+  const collectionsToLeave = [].concat(collectionGIDToLeave || []).filter(Boolean);
+  if (collectionsToJoin.length > 0) {
+    finalProductUpdateInput.collectionsToJoin = collectionsToJoin;
   }
-  if (collectionGIDToLeave) {
-    finalProductUpdateInput.collectionsToLeave = [collectionGIDToLeave];
+  if (collectionsToLeave.length > 0) {
+    finalProductUpdateInput.collectionsToLeave = collectionsToLeave;
   }
 
   const mutation = `
@@ -706,6 +869,43 @@ async function updateProduct(productUpdateInput, collectionGIDToJoin = null, col
   return updatedProduct;
 }
 
+/**
+ * 상품 상태(ACTIVE/DRAFT/ARCHIVED)만 변경합니다. updateProduct와 달리 판매 채널 재게시를 하지 않습니다.
+ */
+async function updateProductStatus(productGid, status) {
+  if (!productGid) {
+    throw new ValidationError('Shopify product GID is required for status update.', [{ field: 'id', message: 'Product GID is required.'}]);
+  }
+  if (!['ACTIVE', 'DRAFT', 'ARCHIVED'].includes(status)) {
+    throw new ValidationError(`Invalid Shopify product status: ${status}`, [{ field: 'status', message: 'Must be ACTIVE, DRAFT or ARCHIVED.'}]);
+  }
+
+  const mutation = `
+    mutation productStatusUpdate($input: ProductInput!) {
+      productUpdate(input: $input) {
+        product {
+          id
+          handle
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  logger.info(`[${SERVICE_NAME}] Setting status of Shopify product ${productGid} to ${status}`);
+  const response = await shopifyGraphqlRequest(mutation, { input: { id: productGid, status } });
+
+  if (response.data?.productUpdate?.userErrors && response.data.productUpdate.userErrors.length > 0) {
+    const errorMessage = response.data.productUpdate.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Product status update failed: ${errorMessage}`, 'SHOPIFY_PRODUCT_STATUS_UPDATE_ERROR', { userErrors: response.data.productUpdate.userErrors });
+  }
+
+  return response.data?.productUpdate?.product;
+}
+
 async function updateInventoryLevel(inventoryItemId, locationId, availableQuantity) {
   if (!inventoryItemId || !locationId || typeof availableQuantity !== 'number') {
     logger.error(`[${SERVICE_NAME}] Invalid parameters for inventory update:`, {
@@ -754,6 +954,47 @@ async function updateInventoryLevel(inventoryItemId, locationId, availableQuanti
   return response.data?.inventorySetOnHandQuantities;
 }
 
+/**
+ * 여러 재고 항목의 판매 가능 수량을 현재 값 기준으로 증감합니다. (옵션 variant가 공유하는 재고 차감용)
+ * @param {Array<{inventoryItemId: string, delta: number}>} changes - 재고 항목별 증감량.
+ * @param {string} locationId - Shopify 로케이션 GID.
+ * @param {string} [reason='correction'] - 재고 조정 사유.
+ */
+async function adjustInventoryQuantities(changes, locationId, reason = 'correction') {
+  const validChanges = (changes || []).filter(change => change.inventoryItemId && Number.isInteger(change.delta) && change.delta !== 0);
+  if (validChanges.length === 0 || !locationId) return null;
+
+  const mutation = `
+    mutation inventoryAdjustQuantities($input: InventoryAdjustQuantitiesInput!) {
+      inventoryAdjustQuantities(input: $input) {
+        inventoryAdjustmentGroup {
+          createdAt
+          reason
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+  const input = {
+    reason,
+    name: 'available',
+    changes: validChanges.map(change => ({ inventoryItemId: change.inventoryItemId, locationId, delta: change.delta })),
+  };
+
+  const response = await shopifyGraphqlRequest(mutation, { input }, { idempotent: false });
+  const userErrors = response.data?.inventoryAdjustQuantities?.userErrors || [];
+  if (userErrors.length > 0) {
+    const errorMessage = userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Code: ${e.code || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Inventory adjustment failed: ${errorMessage}`, 'SHOPIFY_INVENTORY_ADJUST_ERROR', { userErrors });
+  }
+
+  logger.info(`[${SERVICE_NAME}] Adjusted available quantity of ${validChanges.length} inventory item(s) at location ${locationId}.`);
+  return response.data?.inventoryAdjustQuantities;
+}
+
 async function appendMediaToProduct(productId, mediaInputs) {
   if (!productId) {
     throw new ValidationError('Product ID is required to append media.', []);
@@ -822,7 +1063,7 @@ async function appendMediaToProduct(productId, mediaInputs) {
   logger.info(`[${SERVICE_NAME}] Attempting to append ${processedMediaInputs.length} media items to product ${productId}`);
   
   try {
-    const response = await shopifyGraphqlRequest(mutation, { productId, media: processedMediaInputs });
+    const response = await shopifyGraphqlRequest(mutation, { productId, media: processedMediaInputs }, { idempotent: false });
     
     if (response.data.productCreateMedia.mediaUserErrors && response.data.productCreateMedia.mediaUserErrors.length > 0) {
       logger.error(`[${SERVICE_NAME}] User errors while appending media to product ${productId}:`, response.data.productCreateMedia.mediaUserErrors);
@@ -849,6 +1090,268 @@ async function appendMediaToProduct(productId, mediaInputs) {
   }
 }
 
+/**
+ * 상품에 연결된 미디어 목록을 현재 순서대로 조회합니다.
+ * @param {string} productId - Shopify 상품 GID.
+ * @returns {Promise<Array<{id: string, status: string, alt: string, mediaContentType: string}>>}
+ */
+async function getProductMedia(productId) {
+  const query = `
+    query getProductMedia($id: ID!) {
+      product(id: $id) {
+        id
+        media(first: 250) {
+          edges {
+            node {
+              id
+              status
+              alt
+              mediaContentType
+            }
+          }
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, { id: productId });
+  if (!response.data?.product) {
+    throw new NotFoundError(`Shopify product not found: ${productId}`, 'ShopifyProduct', productId);
+  }
+  return (response.data.product.media?.edges || []).map(edge => edge.node);
+}
+
+/**
+ * 상품의 variant 목록과 현재 가격, 재고 항목을 조회합니다.
+ * @param {string} productId - Shopify 상품 GID.
+ * @returns {Promise<Array<{id: string, sku: string|null, price: string, inventoryItem: {id: string}}>>}
+ */
+async function getProductVariants(productId) {
+  const query = `
+    query getProductVariants($id: ID!) {
+      product(id: $id) {
+        id
+        variants(first: 100) {
+          nodes {
+            id
+            sku
+            price
+            inventoryItem {
+              id
+            }
+          }
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, { id: productId });
+  if (!response.data?.product) {
+    throw new NotFoundError(`Shopify product not found: ${productId}`, 'ShopifyProduct', productId);
+  }
+  return response.data.product.variants?.nodes || [];
+}
+
+/**
+ * 상품에서 미디어를 삭제합니다.
+ * @param {string} productId - Shopify 상품 GID.
+ * @param {string[]} mediaIds - 삭제할 미디어 GID 목록.
+ * @returns {Promise<string[]>} 삭제된 미디어 GID 목록.
+ */
+async function deleteProductMedia(productId, mediaIds) {
+  if (!mediaIds || mediaIds.length === 0) return [];
+  const mutation = `
+    mutation productDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+      productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+        deletedMediaIds
+        mediaUserErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+  logger.info(`[${SERVICE_NAME}] Deleting ${mediaIds.length} media items from product ${productId}`);
+  const response = await shopifyGraphqlRequest(mutation, { productId, mediaIds });
+  const result = response.data?.productDeleteMedia;
+  if (result?.mediaUserErrors && result.mediaUserErrors.length > 0) {
+    const errorMessage = result.mediaUserErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Media delete failed: ${errorMessage}`, 'SHOPIFY_MEDIA_DELETE_ERROR', { userErrors: result.mediaUserErrors });
+  }
+  return result?.deletedMediaIds || [];
+}
+
+/**
+ * 상품 미디어 순서를 변경합니다. (Shopify에서 비동기 작업으로 처리됨)
+ * @param {string} productId - Shopify 상품 GID.
+ * @param {Array<{id: string, newPosition: number}>} moves - 이동할 미디어와 0부터 시작하는 새 위치.
+ * @returns {Promise<object|null>} Shopify job 정보 ({ id, done }).
+ */
+async function reorderProductMedia(productId, moves) {
+  if (!moves || moves.length === 0) return null;
+  const mutation = `
+    mutation productReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+      productReorderMedia(id: $id, moves: $moves) {
+        job {
+          id
+          done
+        }
+        mediaUserErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(mutation, {
+    id: productId,
+    moves: moves.map(move => ({ id: move.id, newPosition: String(move.newPosition) })),
+  });
+  const result = response.data?.productReorderMedia;
+  if (result?.mediaUserErrors && result.mediaUserErrors.length > 0) {
+    const errorMessage = result.mediaUserErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Media reorder failed: ${errorMessage}`, 'SHOPIFY_MEDIA_REORDER_ERROR', { userErrors: result.mediaUserErrors });
+  }
+  return result?.job || null;
+}
+
+/**
+ * 파일 업로드용 staged upload 대상을 생성합니다.
+ * @param {Array<{filename: string, mimeType: string, fileSize: number}>} files - 업로드할 파일 정보.
+ * @param {string} [resource='IMAGE'] - StagedUploadTargetGenerateUploadResource 값.
+ * @returns {Promise<Array<{url: string, resourceUrl: string, parameters: Array<{name: string, value: string}>}>>} 입력 순서와 같은 업로드 대상.
+ */
+async function createStagedUploads(files, resource = 'IMAGE') {
+  if (!files || files.length === 0) return [];
+  const mutation = `
+    mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+  const input = files.map(file => ({
+    resource,
+    filename: file.filename,
+    mimeType: file.mimeType,
+    fileSize: String(file.fileSize),
+    httpMethod: 'POST',
+  }));
+  const response = await shopifyGraphqlRequest(mutation, { input }, { idempotent: false });
+  const result = response.data?.stagedUploadsCreate;
+  if (result?.userErrors && result.userErrors.length > 0) {
+    const errorMessage = result.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Staged upload creation failed: ${errorMessage}`, 'SHOPIFY_STAGED_UPLOAD_ERROR', { userErrors: result.userErrors });
+  }
+  return result?.stagedTargets || [];
+}
+
+/**
+ * staged upload 대상에 파일을 업로드합니다. 업로드 후 target.resourceUrl을 productCreateMedia의 originalSource로 사용할 수 있습니다.
+ * @param {{url: string, resourceUrl: string, parameters: Array<{name: string, value: string}>}} target - createStagedUploads 결과 항목.
+ * @param {Buffer} buffer - 파일 내용.
+ * @param {string} filename - 파일 이름.
+ * @param {string} mimeType - MIME 타입.
+ * @returns {Promise<string>} resourceUrl.
+ */
+async function uploadToStagedTarget(target, buffer, filename, mimeType) {
+  const form = new FormData();
+  (target.parameters || []).forEach(({ name, value }) => form.append(name, value));
+  form.append('file', new Blob([buffer], { type: mimeType }), filename); // 파일은 반드시 마지막 필드
+  try {
+    await axios.post(target.url, form, {
+      timeout: config.shopify?.stagedUploadTimeoutMs || 60000,
+      maxBodyLength: Infinity,
+    });
+  } catch (error) {
+    throw new ExternalServiceError(SERVICE_NAME, error, `Staged upload of ${filename} failed: ${error.response?.status || error.message}`, 'SHOPIFY_STAGED_UPLOAD_ERROR');
+  }
+  return target.resourceUrl;
+}
+
+const BULK_OPERATION_FIELDS = `
+  id
+  status
+  errorCode
+  objectCount
+  fileSize
+  url
+  partialDataUrl
+  createdAt
+  completedAt`;
+
+/**
+ * staged upload한 JSONL 변수 파일로 bulk mutation을 시작합니다. (한 번에 하나의 bulk mutation만 실행 가능)
+ * @param {string} mutation - 각 JSONL 줄의 변수로 실행할 mutation 문자열.
+ * @param {string} stagedUploadPath - stagedUploadsCreate(BULK_MUTATION_VARIABLES) 대상의 key 파라미터 값.
+ * @returns {Promise<{id: string, status: string}>} 생성된 BulkOperation.
+ */
+async function runBulkMutation(mutation, stagedUploadPath) {
+  const query = `
+    mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+      bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+        bulkOperation {
+          ${BULK_OPERATION_FIELDS}
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, { mutation, stagedUploadPath }, { idempotent: false });
+  const result = response.data?.bulkOperationRunMutation;
+  if (result?.userErrors && result.userErrors.length > 0) {
+    const errorMessage = result.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Bulk mutation start failed: ${errorMessage}`, 'SHOPIFY_BULK_OPERATION_ERROR', { userErrors: result.userErrors });
+  }
+  if (!result?.bulkOperation?.id) {
+    throw new ExternalServiceError(SERVICE_NAME, null, 'Bulk mutation start returned no bulk operation', 'SHOPIFY_BULK_OPERATION_ERROR');
+  }
+  logger.info(`[${SERVICE_NAME}] Started bulk mutation ${result.bulkOperation.id} (status: ${result.bulkOperation.status})`);
+  return result.bulkOperation;
+}
+
+/**
+ * BulkOperation의 현재 상태를 조회합니다.
+ * @param {string} bulkOperationId - BulkOperation GID.
+ * @returns {Promise<object|null>} { id, status, errorCode, objectCount, url, partialDataUrl, ... }
+ */
+async function getBulkOperation(bulkOperationId) {
+  const query = `
+    query bulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          ${BULK_OPERATION_FIELDS}
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, { id: bulkOperationId });
+  return response.data?.node || null;
+}
+
+/**
+ * 현재(가장 최근) bulk mutation 상태를 조회합니다. 다른 bulk mutation이 실행 중인지 확인하는 데 사용합니다.
+ * @returns {Promise<object|null>}
+ */
+async function getCurrentBulkMutation() {
+  const query = `
+    query currentBulkMutation {
+      currentBulkOperation(type: MUTATION) {
+        ${BULK_OPERATION_FIELDS}
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, {});
+  return response.data?.currentBulkOperation || null;
+}
+
 async function findProductByBunjangPidTag(bunjangPid) {
   const searchQuery = `tag:'bunjang_pid:${String(bunjangPid).trim()}'`;
   const query = `
@@ -885,6 +1388,60 @@ async function findProductByBunjangPidTag(bunjangPid) {
   }
 }
 
+/**
+ * 핸들로 상품을 조회합니다. (핸들 중복 확인용)
+ * @param {string} handle - 상품 핸들.
+ * @returns {Promise<{id: string, handle: string}|null>} 없으면 null.
+ */
+async function findProductByHandle(handle) {
+  const query = `
+    query productByHandle($identifier: ProductIdentifierInput!) {
+      productByIdentifier(identifier: $identifier) {
+        id
+        handle
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, { identifier: { handle } });
+  return response.data?.productByIdentifier || null;
+}
+
+/**
+ * URL 리디렉션을 만듭니다. (상품 핸들이 바뀐 경우 이전 URL 유지)
+ * 같은 경로의 리디렉션이 이미 있으면 새로 만들지 않고 null을 반환합니다.
+ * @param {string} path - 이전 경로 (예: "/products/old-handle").
+ * @param {string} target - 새 경로 (예: "/products/new-handle").
+ * @returns {Promise<{id: string, path: string, target: string}|null>}
+ */
+async function createUrlRedirect(path, target) {
+  const mutation = `
+    mutation urlRedirectCreate($urlRedirect: UrlRedirectInput!) {
+      urlRedirectCreate(urlRedirect: $urlRedirect) {
+        urlRedirect {
+          id
+          path
+          target
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(mutation, { urlRedirect: { path, target } }, { idempotent: false });
+  const userErrors = response.data.urlRedirectCreate.userErrors || [];
+  if (userErrors.length > 0) {
+    if (userErrors.some(e => e.code === 'TAKEN')) {
+      logger.warn(`[${SERVICE_NAME}] URL redirect for ${path} already exists. Skipping redirect to ${target}.`);
+      return null;
+    }
+    const errorMessage = userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `URL redirect creation failed: ${errorMessage}`, 'SHOPIFY_URL_REDIRECT_ERROR');
+  }
+  logger.info(`[${SERVICE_NAME}] Created URL redirect ${path} -> ${target}.`);
+  return response.data.urlRedirectCreate.urlRedirect;
+}
+
 async function updateOrder(orderUpdateInput) {
   if (!orderUpdateInput.id) {
     throw new ValidationError('Shopify Order GID (id) is required for update.', [{ field: 'id', message: 'Order GID is required.'}]);
@@ -964,11 +1521,28 @@ module.exports = {
   shopifyGraphqlRequest,
   createProduct,
   updateProduct,
+  updateProductStatus,
   updateProductVariant,
+  updateVariantSku,
+  setProductVariants,
+  buildProductSetVariantInput,
   appendMediaToProduct,
+  getProductMedia,
+  getProductVariants,
+  deleteProductMedia,
+  reorderProductMedia,
+  createStagedUploads,
+  uploadToStagedTarget,
+  runBulkMutation,
+  getBulkOperation,
+  getCurrentBulkMutation,
+  getSalesChannelPublications,
   findProductByBunjangPidTag,
+  findProductByHandle,
+  createUrlRedirect,
   updateOrder,
   addProductsToCollection,
   updateInventoryLevel,
+  adjustInventoryQuantities,
   publishProductToOnlineStore,
 };
\ No newline at end of file
@@ -0,0 +1,247 @@
+// src/services/shopifyThrottleService.js
+// Shopify Admin GraphQL 비용 기반 throttling (leaky bucket).
+// 요청 전에 쿼리 비용을 추정해 bucket에서 미리 차감하고, 부족하면 복구될 때까지 기다립니다.
+// 응답의 extensions.cost(실제 비용, throttleStatus)로 bucket 상태와 operation별 비용 추정치를 보정합니다.
+// Redis를 사용할 수 있으면 bucket을 Redis에 두어 여러 워커/프로세스가 같은 한도를 공유하고,
+// 사용할 수 없으면 프로세스 내부 bucket으로 동작합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+
+const SERVICE_NAME = 'ShopifyThrottleSvc';
+
+const THROTTLE_ENABLED = config.shopify?.throttleEnabled !== false;
+// throttleStatus를 받기 전 기본값 (Shopify 표준 플랜: 최대 2000포인트, 초당 100포인트 복구)
+const DEFAULT_MAXIMUM_AVAILABLE = config.shopify?.throttleDefaultMaximumAvailable ?? 2000;
+const DEFAULT_RESTORE_RATE = config.shopify?.throttleDefaultRestoreRate ?? 100;
+// 다른 클라이언트(Shopify 앱 등)를 위해 남겨 둘 포인트
+const RESERVE_POINTS = config.shopify?.throttleReservePoints ?? 50;
+const MAX_WAIT_MS = config.shopify?.throttleMaxWaitMs ?? 60000;
+// operation별 비용 추정치 보정 비율 (추정보다 큰 비용은 바로 반영)
+const ESTIMATE_SMOOTHING = config.shopify?.throttleEstimateSmoothing ?? 0.3;
+const SINGLE_QUERY_MAX_COST = 1000;
+const BUCKET_TTL_MS = 60 * 60 * 1000;
+
+const shopHostname = String(config.shopify?.shopDomain || '').replace(/^https?:\/\//, '').split('/')[0];
+const BUCKET_KEY = `shopify:throttle:${shopHostname}:bucket`;
+const ESTIMATES_KEY = `shopify:throttle:${shopHostname}:estimates`;
+
+// KEYS: bucket, estimates / ARGV: operationName, fallbackCost, defaultMax, defaultRestoreRate, reservePoints, ttlMs
+// 반환: { waitMs, reservedCost }
+const ACQUIRE_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'available', 'max', 'restoreRate', 'updatedAt')
+local max = tonumber(state[2]) or tonumber(ARGV[3])
+local rate = tonumber(state[3]) or tonumber(ARGV[4])
+local available = tonumber(state[1]) or max
+local updatedAt = tonumber(state[4]) or now
+available = math.min(max, available + math.max(0, now - updatedAt) * rate / 1000)
+local cost = math.min(tonumber(redis.call('HGET', KEYS[2], ARGV[1])) or tonumber(ARGV[2]), max)
+local waitMs = 0
+local deficit = cost + tonumber(ARGV[5]) - available
+if deficit > 0 then waitMs = math.ceil(deficit * 1000 / rate) end
+available = available - cost
+redis.call('HSET', KEYS[1], 'available', tostring(available), 'max', tostring(max), 'restoreRate', tostring(rate), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], tonumber(ARGV[6]))
+return { waitMs, tostring(cost) }
+`;
+
+// KEYS: bucket, estimates / ARGV: operationName, reservedCost, requestedCost, actualCost,
+//   currentlyAvailable, maximumAvailable, restoreRate, smoothing, defaultMax, defaultRestoreRate, ttlMs (없는 값은 '')
+const SETTLE_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'available', 'max', 'restoreRate', 'updatedAt')
+local max = tonumber(state[2]) or tonumber(ARGV[9])
+local rate = tonumber(state[3]) or tonumber(ARGV[10])
+local available = tonumber(state[1]) or max
+local updatedAt = tonumber(state[4]) or now
+available = math.min(max, available + math.max(0, now - updatedAt) * rate / 1000)
+local actual = tonumber(ARGV[4])
+if actual then available = available + tonumber(ARGV[2]) - actual end
+local reported = tonumber(ARGV[5])
+if reported then
+  max = tonumber(ARGV[6]) or max
+  rate = tonumber(ARGV[7]) or rate
+  available = math.min(available, reported)
+end
+available = math.min(max, available)
+redis.call('HSET', KEYS[1], 'available', tostring(available), 'max', tostring(max), 'restoreRate', tostring(rate), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], tonumber(ARGV[11]))
+local requested = tonumber(ARGV[3])
+if requested then
+  local previous = tonumber(redis.call('HGET', KEYS[2], ARGV[1]))
+  local smoothing = tonumber(ARGV[8])
+  local estimate = requested
+  if previous and requested < previous then estimate = previous * (1 - smoothing) + requested * smoothing end
+  redis.call('HSET', KEYS[2], ARGV[1], tostring(estimate))
+end
+return tostring(available)
+`;
+
+// Redis를 사용할 수 없을 때의 프로세스 내부 bucket (Redis 스크립트와 같은 계산)
+const localBucket = { available: null, max: DEFAULT_MAXIMUM_AVAILABLE, restoreRate: DEFAULT_RESTORE_RATE, updatedAt: Date.now() };
+const localEstimates = new Map();
+
+function refillLocalBucket(now) {
+  if (localBucket.available === null) localBucket.available = localBucket.max;
+  localBucket.available = Math.min(localBucket.max, localBucket.available + Math.max(0, now - localBucket.updatedAt) * localBucket.restoreRate / 1000);
+  localBucket.updatedAt = now;
+}
+
+function acquireLocal(operationName, fallbackCost) {
+  refillLocalBucket(Date.now());
+  const cost = Math.min(localEstimates.get(operationName) ?? fallbackCost, localBucket.max);
+  const deficit = cost + RESERVE_POINTS - localBucket.available;
+  localBucket.available -= cost;
+  return { waitMs: deficit > 0 ? Math.ceil(deficit * 1000 / localBucket.restoreRate) : 0, reservedCost: cost };
+}
+
+function settleLocal(operationName, reservedCost, cost) {
+  refillLocalBucket(Date.now());
+  if (cost.actualQueryCost != null) localBucket.available += reservedCost - cost.actualQueryCost;
+  const throttleStatus = cost.throttleStatus;
+  if (throttleStatus?.currentlyAvailable != null) {
+    localBucket.max = throttleStatus.maximumAvailable ?? localBucket.max;
+    localBucket.restoreRate = throttleStatus.restoreRate ?? localBucket.restoreRate;
+    localBucket.available = Math.min(localBucket.available, throttleStatus.currentlyAvailable);
+  }
+  localBucket.available = Math.min(localBucket.max, localBucket.available);
+  if (cost.requestedQueryCost != null) {
+    const previous = localEstimates.get(operationName);
+    localEstimates.set(operationName, previous != null && cost.requestedQueryCost < previous
+      ? previous * (1 - ESTIMATE_SMOOTHING) + cost.requestedQueryCost * ESTIMATE_SMOOTHING
+      : cost.requestedQueryCost);
+  }
+}
+
+// 공유 Redis 클라이언트 (연결 전이거나 비활성화면 null → 내부 bucket 사용)
+function getReadyRedisClient() {
+  if (!config.redis?.enabled) return null;
+  try {
+    const redisClient = require('../config/redisClient').getRedisClient();
+    if (!redisClient || redisClient.status !== 'ready') return null;
+    if (!redisClient.shopifyThrottleAcquire) {
+      redisClient.defineCommand('shopifyThrottleAcquire', { numberOfKeys: 2, lua: ACQUIRE_SCRIPT });
+      redisClient.defineCommand('shopifyThrottleSettle', { numberOfKeys: 2, lua: SETTLE_SCRIPT });
+    }
+    return redisClient;
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}] Redis client unavailable for Shopify throttling. Using in-process bucket: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 쿼리 문자열로 요청 비용을 대략 추정합니다. (실제 비용을 받기 전 첫 요청에만 사용)
+ * Shopify 계산 방식처럼 mutation은 10, 객체는 1, 연결(first: N)은 2 + N으로 계산합니다.
+ * @param {string} query - GraphQL 쿼리.
+ * @param {object} [variables] - `first: $var` 값을 찾기 위한 변수.
+ * @returns {number} 추정 비용 (1~1000).
+ */
+function estimateQueryCost(query, variables = {}) {
+  let cost = /^\s*mutation\b/.test(query) ? 10 : 1;
+  for (const match of query.matchAll(/\b(?:first|last)\s*:\s*(\$?\w+)/g)) {
+    const token = match[1];
+    const size = token.startsWith('$') ? Number(variables[token.substring(1)]) : Number(token);
+    cost += 2 + (Number.isFinite(size) ? size : 10);
+  }
+  return Math.min(cost, SINGLE_QUERY_MAX_COST);
+}
+
+/**
+ * 응답 본문(또는 오류 응답)에서 extensions.cost를 꺼냅니다.
+ * @returns {object|null} { requestedQueryCost, actualQueryCost, throttleStatus }
+ */
+function extractQueryCost(body) {
+  return body?.extensions?.cost || null;
+}
+
+/**
+ * THROTTLED 응답의 비용 정보로 요청 비용만큼 포인트가 복구될 때까지 걸리는 시간을 계산합니다.
+ * @returns {number|null} 밀리초. 비용 정보가 없으면 null.
+ */
+function estimateThrottleRecoveryMs(cost) {
+  const throttleStatus = cost?.throttleStatus;
+  if (!throttleStatus?.restoreRate || cost.requestedQueryCost == null || throttleStatus.currentlyAvailable == null) return null;
+  const deficit = cost.requestedQueryCost - throttleStatus.currentlyAvailable;
+  return deficit > 0 ? Math.ceil(deficit * 1000 / throttleStatus.restoreRate) : 0;
+}
+
+/**
+ * GraphQL 오류 목록에 THROTTLED가 있는지 확인합니다.
+ */
+function isThrottledResponse(body) {
+  return (body?.errors || []).some(error => error?.extensions?.code === 'THROTTLED');
+}
+
+/**
+ * 요청 전에 bucket에서 추정 비용을 차감하고, 포인트가 부족하면 복구될 때까지 기다립니다.
+ * 반환한 값은 응답을 받은 뒤 settleQueryCost에 그대로 전달해야 합니다.
+ * @param {string} operationName - 비용 추정치를 학습할 operation 이름.
+ * @param {string} query - GraphQL 쿼리.
+ * @param {object} [variables] - 쿼리 변수.
+ * @returns {Promise<{operationName: string, reservedCost: number, waitedMs: number}>}
+ */
+async function acquireQueryCost(operationName, query, variables = {}) {
+  if (!THROTTLE_ENABLED) return { operationName, reservedCost: 0, waitedMs: 0 };
+  const fallbackCost = estimateQueryCost(query, variables);
+  let reservation = null;
+  const redisClient = getReadyRedisClient();
+  if (redisClient) {
+    try {
+      const [waitMs, reservedCost] = await redisClient.shopifyThrottleAcquire(
+        BUCKET_KEY, ESTIMATES_KEY, operationName, fallbackCost, DEFAULT_MAXIMUM_AVAILABLE, DEFAULT_RESTORE_RATE, RESERVE_POINTS, BUCKET_TTL_MS,
+      );
+      reservation = { waitMs: Number(waitMs), reservedCost: Number(reservedCost) };
+    } catch (error) {
+      logger.warn(`[${SERVICE_NAME}] Redis throttle bucket unavailable for ${operationName}. Using in-process bucket: ${error.message}`);
+    }
+  }
+  if (!reservation) reservation = acquireLocal(operationName, fallbackCost);
+
+  const waitedMs = Math.min(reservation.waitMs, MAX_WAIT_MS);
+  if (waitedMs > 0) {
+    logger.debug(`[${SERVICE_NAME}] Waiting ${waitedMs}ms for Shopify query cost budget (${operationName}, est. cost ${reservation.reservedCost}).`);
+    await new Promise(resolve => setTimeout(resolve, waitedMs));
+  }
+  return { operationName, reservedCost: reservation.reservedCost, waitedMs };
+}
+
+/**
+ * 응답의 실제 비용으로 bucket을 보정합니다. (미리 차감한 추정 비용과 실제 비용의 차이를 돌려주고,
+ * throttleStatus가 있으면 Shopify가 알려준 남은 포인트/복구 속도에 맞춤)
+ * 비용 정보가 없는 오류 응답이면 아무것도 하지 않습니다. 실패해도 예외를 던지지 않습니다.
+ * @param {object} reservation - acquireQueryCost 반환값.
+ * @param {object|null} cost - extractQueryCost 결과.
+ */
+async function settleQueryCost(reservation, cost) {
+  if (!THROTTLE_ENABLED || !reservation || !cost) return;
+  const { operationName, reservedCost } = reservation;
+  const throttleStatus = cost.throttleStatus || {};
+  const redisClient = getReadyRedisClient();
+  if (redisClient) {
+    try {
+      await redisClient.shopifyThrottleSettle(
+        BUCKET_KEY, ESTIMATES_KEY, operationName, reservedCost,
+        cost.requestedQueryCost ?? '', cost.actualQueryCost ?? '',
+        throttleStatus.currentlyAvailable ?? '', throttleStatus.maximumAvailable ?? '', throttleStatus.restoreRate ?? '',
+        ESTIMATE_SMOOTHING, DEFAULT_MAXIMUM_AVAILABLE, DEFAULT_RESTORE_RATE, BUCKET_TTL_MS,
+      );
+      return;
+    } catch (error) {
+      logger.warn(`[${SERVICE_NAME}] Failed to update Redis throttle bucket for ${operationName}: ${error.message}`);
+    }
+  }
+  settleLocal(operationName, reservedCost, cost);
+}
+
+module.exports = {
+  estimateQueryCost,
+  extractQueryCost,
+  estimateThrottleRecoveryMs,
+  isThrottledResponse,
+  acquireQueryCost,
+  settleQueryCost,
+};
@@ -0,0 +1,239 @@
+// src/services/syncRunService.js
+// 카탈로그 처리 실행(SyncRun) 이력을 기록하고 조회/비교합니다.
+// 기록 실패가 카탈로그 처리를 중단시키지 않도록 모든 쓰기는 경고 로그만 남깁니다.
+
+const logger = require('../config/logger');
+const SyncRun = require('../models/syncRun.model');
+const { NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'SyncRunSvc';
+const TOP_ERROR_LIMIT = 10;
+const MAX_DISTINCT_ERRORS = 200;
+const MAX_ERROR_SAMPLE_PIDS = 5;
+
+// syncBunjangProductToShopify / delistSyncedProduct 결과 status → counts 필드
+const RESULT_STATUS_COUNTS = {
+  skipped_no_change: 'skippedNoChange',
+  skipped_filter: 'skippedFilter',
+  skipped_review: 'skippedReview',
+  skipped_not_listed: 'skippedNotListed',
+  skipped_already_delisted: 'skippedNotListed',
+  delisted: 'delisted',
+  error: 'errors',
+};
+
+// dry-run 계획 action → counts 필드
+const PLANNED_ACTION_COUNTS = {
+  create: 'created',
+  update: 'updated',
+  skip_no_change: 'skippedNoChange',
+  skip_filter: 'skippedFilter',
+  skip_review: 'skippedReview',
+  skip_not_listed: 'skippedNotListed',
+  skip_already_delisted: 'skippedNotListed',
+  delist: 'delisted',
+  archive_missing: 'delistedMissing',
+  error: 'errors',
+};
+
+const COUNT_FIELDS = ['created', 'updated', 'skippedNoChange', 'skippedFilter', 'skippedReview', 'skippedNotListed', 'delisted', 'delistedMissing', 'errors'];
+const ROW_FIELDS = ['total', 'valid', 'rejected', 'resumedFromRow'];
+
+// PID, GID 등 숫자 ID가 다르면 같은 오류도 따로 집계되므로 #으로 치환
+function normalizeErrorMessage(message) {
+  return String(message || 'Unknown error').replace(/\d{4,}/g, '#').replace(/\s+/g, ' ').trim().substring(0, 500);
+}
+
+/**
+ * 실행 기록을 시작합니다. 반환된 recorder로 단계 시간, 상품별 결과, 오류를 모은 뒤 finish/fail로 저장합니다.
+ * @param {object} meta - { type, trigger, jobId, dryRun, isReplay }.
+ * @returns {Promise<object>} recorder: { runId, timeStage, setFile, recordProductResult, recordPlannedAction, recordError, finish, fail }.
+ */
+async function startSyncRun(meta) {
+  const startedAt = new Date();
+  let runId = null;
+  try {
+    const run = await SyncRun.create({ ...meta, status: 'RUNNING', startedAt });
+    runId = run._id;
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}:Job-${meta.jobId}] Failed to create sync run record: ${error.message}`);
+  }
+
+  const stages = [];
+  const counts = Object.fromEntries(COUNT_FIELDS.map(field => [field, 0]));
+  const errorsByMessage = new Map();
+  const fileInfo = {};
+
+  const persist = async (update) => {
+    if (!runId) return;
+    try {
+      await SyncRun.updateOne({ _id: runId }, { $set: update });
+    } catch (error) {
+      logger.warn(`[${SERVICE_NAME}:Job-${meta.jobId}] Failed to update sync run ${runId}: ${error.message}`);
+    }
+  };
+
+  const recordError = (message, pid = null) => {
+    const key = normalizeErrorMessage(message);
+    let entry = errorsByMessage.get(key);
+    if (!entry) {
+      if (errorsByMessage.size >= MAX_DISTINCT_ERRORS) return;
+      entry = { message: key, count: 0, samplePids: [] };
+      errorsByMessage.set(key, entry);
+    }
+    entry.count++;
+    if (pid && entry.samplePids.length < MAX_ERROR_SAMPLE_PIDS) entry.samplePids.push(String(pid));
+  };
+
+  const getTopErrors = () => [...errorsByMessage.values()].sort((a, b) => b.count - a.count).slice(0, TOP_ERROR_LIMIT);
+
+  const buildFinalFields = (status) => {
+    const finishedAt = new Date();
+    return { ...fileInfo, status, stages, counts, topErrors: getTopErrors(), finishedAt, durationMs: finishedAt - startedAt };
+  };
+
+  return {
+    runId,
+
+    /**
+     * 단계 하나를 실행하고 소요 시간을 기록합니다. 실패해도 기록 후 예외를 그대로 던집니다.
+     */
+    async timeStage(name, fn) {
+      const stage = { name, startedAt: new Date() };
+      stages.push(stage);
+      try {
+        const result = await fn();
+        stage.status = 'COMPLETED';
+        return result;
+      } catch (error) {
+        stage.status = 'FAILED';
+        throw error;
+      } finally {
+        stage.durationMs = Date.now() - stage.startedAt.getTime();
+      }
+    },
+
+    /** 처리할 파일이 정해지면 기록합니다. ({ fileName, isFallback, checkpointRunId }) */
+    async setFile(info) {
+      Object.assign(fileInfo, Object.fromEntries(Object.entries(info).filter(([, value]) => value !== undefined && value !== null)));
+      await persist(fileInfo);
+    },
+
+    /** syncBunjangProductToShopify / delistSyncedProduct 결과 한 건을 집계합니다. */
+    recordProductResult(result, pid) {
+      if (!result) return;
+      if (result.status === 'success') {
+        counts[result.operation === 'create' ? 'created' : 'updated']++;
+        return;
+      }
+      const field = RESULT_STATUS_COUNTS[result.status];
+      if (field) counts[field]++;
+      if (result.status === 'error') recordError(result.message, pid);
+    },
+
+    /** dry-run 계획 한 건을 집계합니다. */
+    recordPlannedAction(action, message, pid) {
+      const field = PLANNED_ACTION_COUNTS[action];
+      if (field) counts[field]++;
+      if (action === 'error') recordError(message, pid);
+    },
+
+    /** 결과 객체 없이 발생한 오류(처리되지 않은 예외 등)를 집계합니다. */
+    recordUnhandledError(error, pid) {
+      counts.errors++;
+      recordError(error?.message, pid);
+    },
+
+    /**
+     * 실행을 완료로 기록합니다.
+     * @param {object} summary - fetchAndProcessBunjangCatalog 요약.
+     */
+    async finish(summary = {}) {
+      if (summary.delistedMissingFromCatalog) counts.delistedMissing = summary.delistedMissingFromCatalog;
+      await persist({
+        ...buildFinalFields(summary.skipped ? 'SKIPPED' : 'COMPLETED'),
+        rows: {
+          total: summary.totalOriginalCsvRows || 0,
+          valid: summary.validProductsToProcess || 0,
+          rejected: summary.rejectedRows || 0,
+          resumedFromRow: summary.resumedFromRow || 0,
+        },
+        ...(summary.rejectionReportId && { rejectionReportId: String(summary.rejectionReportId) }),
+        ...(summary.reportId && { dryRunReportId: summary.reportId }),
+        summary,
+      });
+    },
+
+    async fail(error) {
+      recordError(error?.message);
+      await persist({ ...buildFinalFields('FAILED'), failureMessage: String(error?.message || '').substring(0, 1000) });
+    },
+  };
+}
+
+async function listSyncRuns({ type, status, trigger, dryRun, offset = 0, limit = 50 } = {}) {
+  const filter = {};
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  if (trigger) filter.trigger = trigger;
+  if (typeof dryRun === 'boolean') filter.dryRun = dryRun;
+  const [runs, total] = await Promise.all([
+    SyncRun.find(filter).select('-summary -topErrors.samplePids').sort({ startedAt: -1 }).skip(offset).limit(limit).lean(),
+    SyncRun.countDocuments(filter),
+  ]);
+  return { total, runs };
+}
+
+async function getSyncRun(runId) {
+  const run = await SyncRun.findById(runId).lean();
+  if (!run) throw new NotFoundError(`동기화 실행 기록을 찾을 수 없습니다: ${runId}`, 'SyncRun', runId);
+  return run;
+}
+
+function diffNumbers(base = {}, target = {}, fields) {
+  return Object.fromEntries(fields.map(field => {
+    const baseValue = base[field] || 0;
+    const targetValue = target[field] || 0;
+    return [field, { base: baseValue, target: targetValue, delta: targetValue - baseValue }];
+  }));
+}
+
+/**
+ * 두 실행을 비교합니다. (행/상품 건수, 단계별 소요 시간, 오류 메시지 차이)
+ * @param {string} baseRunId - 기준 실행 ID.
+ * @param {string} targetRunId - 비교할 실행 ID.
+ */
+async function compareSyncRuns(baseRunId, targetRunId) {
+  const [base, target] = await Promise.all([getSyncRun(baseRunId), getSyncRun(targetRunId)]);
+
+  const stageNames = [...new Set([...base.stages, ...target.stages].map(stage => stage.name))];
+  const stageDurations = (run) => Object.fromEntries(run.stages.map(stage => [stage.name, stage.durationMs || 0]));
+  const baseErrors = new Map(base.topErrors.map(entry => [entry.message, entry.count]));
+  const targetErrors = new Map(target.topErrors.map(entry => [entry.message, entry.count]));
+
+  const describe = run => ({
+    id: run._id, type: run.type, trigger: run.trigger, fileName: run.fileName, status: run.status, dryRun: run.dryRun, startedAt: run.startedAt,
+  });
+  return {
+    base: describe(base),
+    target: describe(target),
+    durationMs: diffNumbers({ total: base.durationMs }, { total: target.durationMs }, ['total']).total,
+    rows: diffNumbers(base.rows, target.rows, ROW_FIELDS),
+    counts: diffNumbers(base.counts, target.counts, COUNT_FIELDS),
+    stages: diffNumbers(stageDurations(base), stageDurations(target), stageNames),
+    errors: {
+      newInTarget: target.topErrors.filter(entry => !baseErrors.has(entry.message)),
+      resolvedInTarget: base.topErrors.filter(entry => !targetErrors.has(entry.message)),
+      changed: target.topErrors
+        .filter(entry => baseErrors.has(entry.message) && baseErrors.get(entry.message) !== entry.count)
+        .map(entry => ({ message: entry.message, base: baseErrors.get(entry.message), target: entry.count })),
+    },
+  };
+}
+
+module.exports = {
+  startSyncRun,
+  listSyncRuns,
+  getSyncRun,
+  compareSyncRuns,
+};
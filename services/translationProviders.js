@@ -0,0 +1,101 @@
+// src/services/translationProviders.js
+// 번역 제공자(provider) 구현. 모든 provider는 같은 인터페이스를 따릅니다.
+//
+//   provider.name: string
+//   provider.translateBatch(texts: string[], { sourceLang, targetLang }): Promise<string[]>  (입력 순서대로 번역 결과)
+//
+// 입력 텍스트는 XML 마크업입니다. 특수문자는 엔티티로 이스케이프되어 있고, 줄바꿈은 <br/>,
+// 용어집(glossary) 자리표시자는 <x id="N"/>로 전달되므로 provider는 태그를 그대로 보존해야 합니다.
+
+const axios = require('axios');
+const { ExternalServiceError, AppError } = require('../utils/customErrors');
+
+/**
+ * DeepL API provider. (tag_handling=xml로 태그 보존)
+ * @param {object} options - { apiKey, apiUrl? } apiUrl 기본값은 무료 API 엔드포인트.
+ */
+function createDeepLProvider({ apiKey, apiUrl = 'https://api-free.deepl.com/v2/translate', timeoutMs = 20000 } = {}) {
+  if (!apiKey) throw new AppError('DeepL API 키가 설정되지 않았습니다. (config.translation.deeplApiKey)', 500, 'TRANSLATION_PROVIDER_CONFIG_ERROR', false);
+  return {
+    name: 'deepl',
+    async translateBatch(texts, { sourceLang, targetLang }) {
+      try {
+        const response = await axios.post(apiUrl, {
+          text: texts,
+          source_lang: sourceLang.toUpperCase(),
+          target_lang: targetLang.toUpperCase() === 'EN' ? 'EN-US' : targetLang.toUpperCase(),
+          tag_handling: 'xml',
+        }, {
+          headers: { Authorization: `DeepL-Auth-Key ${apiKey}` },
+          timeout: timeoutMs,
+        });
+        return (response.data?.translations || []).map(translation => translation.text);
+      } catch (error) {
+        throw new ExternalServiceError('DeepL', error, `DeepL 번역 요청 실패: ${error.response?.status || error.message}`, 'TRANSLATION_PROVIDER_ERROR');
+      }
+    },
+  };
+}
+
+/**
+ * Google Cloud Translation(v2) provider. (format=html로 태그 보존)
+ * @param {object} options - { apiKey }
+ */
+function createGoogleTranslateProvider({ apiKey, apiUrl = 'https://translation.googleapis.com/language/translate/v2', timeoutMs = 20000 } = {}) {
+  if (!apiKey) throw new AppError('Google Translation API 키가 설정되지 않았습니다. (config.translation.googleApiKey)', 500, 'TRANSLATION_PROVIDER_CONFIG_ERROR', false);
+  return {
+    name: 'google',
+    async translateBatch(texts, { sourceLang, targetLang }) {
+      try {
+        const response = await axios.post(apiUrl, {
+          q: texts,
+          source: sourceLang.toLowerCase(),
+          target: targetLang.toLowerCase(),
+          format: 'html',
+        }, {
+          params: { key: apiKey },
+          timeout: timeoutMs,
+        });
+        return (response.data?.data?.translations || []).map(translation => translation.translatedText);
+      } catch (error) {
+        throw new ExternalServiceError('GoogleTranslate', error, `Google 번역 요청 실패: ${error.response?.status || error.message}`, 'TRANSLATION_PROVIDER_ERROR');
+      }
+    },
+  };
+}
+
+/**
+ * 외부 API 없이 동작하는 로컬 provider (테스트/개발용 대체 구현).
+ * dictionary에 있는 텍스트는 해당 번역을 반환하고, 없으면 입력을 그대로 반환합니다.
+ * @param {object} options - { dictionary?: Object<string, string> } (마크업 텍스트 → 번역)
+ */
+function createLocalTranslationProvider({ dictionary = {} } = {}) {
+  return {
+    name: 'local',
+    async translateBatch(texts) {
+      return texts.map(text => (Object.prototype.hasOwnProperty.call(dictionary, text) ? dictionary[text] : text));
+    },
+  };
+}
+
+/**
+ * 이름으로 provider를 생성합니다.
+ * @param {string} name - 'deepl' | 'google' | 'local'.
+ * @param {object} [options] - provider별 옵션.
+ */
+function createTranslationProvider(name, options = {}) {
+  switch (name) {
+    case 'deepl': return createDeepLProvider(options);
+    case 'google': return createGoogleTranslateProvider(options);
+    case 'local': return createLocalTranslationProvider(options);
+    default:
+      throw new AppError(`지원하지 않는 번역 provider입니다: ${name}`, 500, 'TRANSLATION_PROVIDER_CONFIG_ERROR', false);
+  }
+}
+
+module.exports = {
+  createTranslationProvider,
+  createDeepLProvider,
+  createGoogleTranslateProvider,
+  createLocalTranslationProvider,
+};
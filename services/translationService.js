@@ -0,0 +1,271 @@
+// src/services/translationService.js
+// 번개장터 상품명/설명의 한국어 → 영어 번역. provider(translationProviders)를 교체할 수 있고,
+// 용어집(TranslationGlossaryTerm)으로 아티스트/브랜드명을 고정 표기하며, 결과는 TranslationCache에 저장합니다.
+// config.translation.enabled가 true일 때만 동기화 파이프라인에서 사용됩니다.
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../config/logger');
+const TranslationGlossaryTerm = require('../models/translationGlossaryTerm.model');
+const TranslationCache = require('../models/translationCache.model');
+const { createTranslationProvider } = require('./translationProviders');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'TranslationSvc';
+const GLOSSARY_CACHE_TTL_MS = 60 * 1000;
+const SOURCE_LANG = config.translation?.sourceLang || 'ko';
+const TARGET_LANG = config.translation?.targetLang || 'en';
+const HANGUL_REGEX = /[\u1100-\u11FF\u3130-\u318F\uAC00-\uD7A3]/;
+const PLACEHOLDER_REGEX = /<x id="(\d+)"\s*\/>|<x id="(\d+)"\s*><\/x>/g;
+
+let provider = null;
+let glossaryCache = { terms: null, loadedAt: 0 };
+
+function isTranslationEnabled() {
+  return config.translation?.enabled === true;
+}
+
+/**
+ * 현재 번역 provider를 반환합니다. 지정된 provider가 없으면 config.translation.provider로 생성합니다.
+ */
+function getTranslationProvider() {
+  if (!provider) {
+    const translationConfig = config.translation || {};
+    const name = translationConfig.provider || 'local';
+    provider = createTranslationProvider(name, {
+      apiKey: name === 'deepl' ? translationConfig.deeplApiKey : translationConfig.googleApiKey,
+      ...(translationConfig.apiUrl && { apiUrl: translationConfig.apiUrl }),
+    });
+    logger.info(`[${SERVICE_NAME}] Using translation provider "${provider.name}" (${SOURCE_LANG} → ${TARGET_LANG}).`);
+  }
+  return provider;
+}
+
+/**
+ * 번역 provider를 교체합니다. (테스트에서 로컬 provider 주입 등)
+ * @param {{name: string, translateBatch: Function}|null} nextProvider - null이면 다음 호출 때 config로 다시 생성.
+ */
+function setTranslationProvider(nextProvider) {
+  provider = nextProvider;
+}
+
+function invalidateGlossaryCache() {
+  glossaryCache = { terms: null, loadedAt: 0 };
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeMarkup(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeMarkup(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// 활성 용어를 하나의 정규식으로 캐시. 긴 용어를 앞에 두어 짧은 용어가 긴 용어의 일부를 먼저 치환하지 않도록 하고,
+// 한 번에 치환하여 이미 넣은 자리표시자가 다시 치환되지 않도록 함
+async function getActiveGlossary() {
+  if (glossaryCache.terms && Date.now() - glossaryCache.loadedAt < GLOSSARY_CACHE_TTL_MS) return glossaryCache;
+  const terms = (await TranslationGlossaryTerm.find({ enabled: true }).lean())
+    .sort((a, b) => b.sourceTerm.length - a.sourceTerm.length);
+  glossaryCache = {
+    terms,
+    regex: terms.length > 0 ? new RegExp(terms.map(term => escapeRegex(escapeMarkup(term.sourceTerm))).join('|'), 'gi') : null,
+    exactTerms: new Map(terms.map(term => [escapeMarkup(term.sourceTerm), term])),
+    caseInsensitiveTerms: new Map(terms.filter(term => !term.caseSensitive).map(term => [escapeMarkup(term.sourceTerm).toLowerCase(), term])),
+    loadedAt: Date.now(),
+  };
+  return glossaryCache;
+}
+
+/**
+ * 원문을 provider에 보낼 마크업으로 바꿉니다. (이스케이프 → 줄바꿈을 <br/>로 → 용어를 <x id="N"/>로)
+ * @returns {{markup: string, replacements: string[]}} replacements[N]은 자리표시자 N의 영문 표기.
+ */
+function maskText(text, glossary) {
+  const replacements = [];
+  let markup = escapeMarkup(text.replace(/\r\n/g, '\n')).replace(/\n/g, '<br/>');
+  if (glossary.regex) {
+    markup = markup.replace(glossary.regex, match => {
+      const term = glossary.exactTerms.get(match) || glossary.caseInsensitiveTerms.get(match.toLowerCase());
+      if (!term) return match; // 대소문자를 구분하는 용어의 대소문자가 다른 경우
+      replacements.push(term.targetTerm);
+      return `<x id="${replacements.length - 1}"/>`;
+    });
+  }
+  return { markup, replacements };
+}
+
+/**
+ * 번역된 마크업을 일반 텍스트로 되돌립니다. 번역 중 사라진 자리표시자는 경고만 남깁니다.
+ */
+function unmaskText(markup, replacements, jobId) {
+  const restored = new Set();
+  const text = markup
+    .replace(PLACEHOLDER_REGEX, (match, selfClosingId, pairedId) => {
+      const index = Number(selfClosingId ?? pairedId);
+      restored.add(index);
+      return escapeMarkup(replacements[index] ?? '');
+    })
+    .replace(/<br\s*\/?>/gi, '\n');
+  if (restored.size < replacements.length) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] ${replacements.length - restored.size} glossary placeholder(s) were dropped by the translation provider.`);
+  }
+  return unescapeMarkup(text.replace(/<[^>]+>/g, '')).replace(/[ \t]+\n/g, '\n').trim();
+}
+
+/**
+ * 텍스트 목록을 번역합니다. 한글이 없는 텍스트는 그대로 반환하며, 캐시에 있는 번역은 provider를 호출하지 않습니다.
+ * @param {string[]} texts - 원문 목록.
+ * @param {object} [options]
+ * @param {string} [options.jobId='N/A'] - 로깅용 작업 ID.
+ * @param {boolean} [options.cacheOnly=false] - 캐시에 있는 번역만 사용 (provider 호출과 캐시 쓰기 없음, dry-run용).
+ *   캐시에 없는 텍스트는 원문 그대로 notCached: true로 반환합니다.
+ * @returns {Promise<Array<{text: string, translated: boolean, cached: boolean, notCached?: boolean}>>} 입력 순서대로의 결과.
+ * @throws {ExternalServiceError} provider 호출 실패 시.
+ */
+async function translateTexts(texts, { jobId = 'N/A', cacheOnly = false } = {}) {
+  const activeProvider = getTranslationProvider();
+  const glossary = await getActiveGlossary();
+  const cacheKey = { provider: activeProvider.name, sourceLang: SOURCE_LANG, targetLang: TARGET_LANG };
+
+  const items = texts.map(text => {
+    const source = String(text || '');
+    if (!HANGUL_REGEX.test(source)) return { source, skip: true };
+    const { markup, replacements } = maskText(source, glossary);
+    return { source, markup, replacements, sourceHash: sha256(markup) };
+  });
+  const pending = items.filter(item => !item.skip);
+  if (pending.length === 0) return items.map(item => ({ text: item.source, translated: false, cached: false }));
+
+  const cachedDocs = await TranslationCache.find({ ...cacheKey, sourceHash: { $in: pending.map(item => item.sourceHash) } }).lean();
+  const cachedByHash = new Map(cachedDocs.map(doc => [doc.sourceHash, doc.translatedText]));
+  pending.forEach(item => {
+    if (cachedByHash.has(item.sourceHash)) Object.assign(item, { translatedMarkup: cachedByHash.get(item.sourceHash), cached: true });
+  });
+  if (cachedDocs.length > 0 && !cacheOnly) {
+    await TranslationCache.updateMany({ ...cacheKey, sourceHash: { $in: cachedDocs.map(doc => doc.sourceHash) } }, { $inc: { hitCount: 1 }, $set: { lastUsedAt: new Date() } });
+  }
+
+  if (cacheOnly) {
+    pending.filter(item => !item.cached).forEach(item => { item.notCached = true; });
+    return items.map(item => (item.skip || item.notCached
+      ? { text: item.source, translated: false, cached: false, ...(item.notCached && { notCached: true }) }
+      : { text: unmaskText(item.translatedMarkup, item.replacements, jobId), translated: true, cached: true }));
+  }
+
+  // 같은 원문은 한 번만 번역
+  const toTranslate = [...new Map(pending.filter(item => !item.cached).map(item => [item.sourceHash, item.markup])).entries()];
+  if (toTranslate.length > 0) {
+    const translatedMarkups = await activeProvider.translateBatch(toTranslate.map(([, markup]) => markup), { sourceLang: SOURCE_LANG, targetLang: TARGET_LANG });
+    if (translatedMarkups.length !== toTranslate.length) {
+      throw new AppError(`번역 결과 수(${translatedMarkups.length})가 요청 수(${toTranslate.length})와 다릅니다.`, 502, 'TRANSLATION_PROVIDER_ERROR');
+    }
+    const translatedByHash = new Map(toTranslate.map(([sourceHash], index) => [sourceHash, translatedMarkups[index]]));
+    pending.filter(item => !item.cached).forEach(item => { item.translatedMarkup = translatedByHash.get(item.sourceHash); });
+    await TranslationCache.bulkWrite(toTranslate.map(([sourceHash, markup]) => ({
+      updateOne: {
+        filter: { ...cacheKey, sourceHash },
+        update: { $set: { sourceText: markup, translatedText: translatedByHash.get(sourceHash), lastUsedAt: new Date() }, $setOnInsert: { hitCount: 0 } },
+        upsert: true,
+      },
+    })), { ordered: false });
+    logger.debug(`[${SERVICE_NAME}:Job-${jobId}] Translated ${toTranslate.length} text(s) with "${activeProvider.name}" (${pending.length - toTranslate.length} from cache).`);
+  }
+
+  return items.map(item => (item.skip
+    ? { text: item.source, translated: false, cached: false }
+    : { text: unmaskText(item.translatedMarkup, item.replacements, jobId), translated: true, cached: Boolean(item.cached) }));
+}
+
+/**
+ * 카탈로그 상품의 상품명과 설명을 번역합니다.
+ * 번역에 실패하면 원문과 함께 failed: true를 반환합니다. 호출하는 쪽은 기존 번역을 원문으로 덮어쓰지 않아야 합니다. (다음 동기화에서 다시 시도)
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 ID.
+ * @param {object} [options]
+ * @param {boolean} [options.cacheOnly=false] - 캐시된 번역만 사용 (dry-run용). 캐시에 없으면 failed: true.
+ * @returns {Promise<{name: string, description: string, originalName: string, originalDescription: string, translated: boolean, failed: boolean, provider: string|null}>}
+ */
+async function translateProductText(bunjangProduct, jobId = 'N/A', { cacheOnly = false } = {}) {
+  const originalName = bunjangProduct.name || '';
+  const originalDescription = bunjangProduct.description || '';
+  const untranslated = { name: originalName, description: originalDescription, originalName, originalDescription, translated: false, failed: false, provider: null };
+  if (!isTranslationEnabled()) return untranslated;
+
+  try {
+    const [name, description] = await translateTexts([originalName, originalDescription], { jobId, cacheOnly });
+    if (name.notCached || description.notCached) return { ...untranslated, failed: true };
+    if (!name.translated && !description.translated) return untranslated;
+    return {
+      name: name.text || originalName,
+      description: description.text,
+      originalName,
+      originalDescription,
+      translated: true,
+      failed: false,
+      provider: getTranslationProvider().name,
+    };
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Translation failed for PID ${bunjangProduct.pid}: ${error.message}`);
+    return { ...untranslated, failed: true };
+  }
+}
+
+async function listGlossaryTerms({ category, enabled } = {}) {
+  const filter = {};
+  if (category) filter.category = category;
+  if (typeof enabled === 'boolean') filter.enabled = enabled;
+  return TranslationGlossaryTerm.find(filter).sort({ sourceTerm: 1 }).lean();
+}
+
+// sourceTerm unique 인덱스 위반(E11000)을 409로 변환
+function rethrowDuplicateTerm(error, sourceTerm) {
+  if (error?.code === 11000) {
+    throw new AppError(`이미 용어집에 있는 용어입니다: ${sourceTerm}`, 409, 'GLOSSARY_TERM_DUPLICATE', true, { sourceTerm });
+  }
+  throw error;
+}
+
+async function createGlossaryTerm(input) {
+  const term = await TranslationGlossaryTerm.create(input).catch(error => rethrowDuplicateTerm(error, input.sourceTerm));
+  invalidateGlossaryCache();
+  logger.info(`[${SERVICE_NAME}] Added glossary term "${term.sourceTerm}" → "${term.targetTerm}" (${term._id}).`);
+  return term.toObject();
+}
+
+async function updateGlossaryTerm(termId, input) {
+  const term = await TranslationGlossaryTerm.findByIdAndUpdate(termId, { $set: input }, { new: true, runValidators: true }).lean()
+    .catch(error => rethrowDuplicateTerm(error, input.sourceTerm));
+  if (!term) throw new NotFoundError(`용어를 찾을 수 없습니다: ${termId}`, 'TranslationGlossaryTerm', termId);
+  invalidateGlossaryCache();
+  logger.info(`[${SERVICE_NAME}] Updated glossary term "${term.sourceTerm}" (${termId}).`);
+  return term;
+}
+
+async function deleteGlossaryTerm(termId) {
+  const term = await TranslationGlossaryTerm.findByIdAndDelete(termId).lean();
+  if (!term) throw new NotFoundError(`용어를 찾을 수 없습니다: ${termId}`, 'TranslationGlossaryTerm', termId);
+  invalidateGlossaryCache();
+  logger.info(`[${SERVICE_NAME}] Deleted glossary term "${term.sourceTerm}" (${termId}).`);
+  return term;
+}
+
+module.exports = {
+  isTranslationEnabled,
+  getTranslationProvider,
+  setTranslationProvider,
+  translateTexts,
+  translateProductText,
+  listGlossaryTerms,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm,
+};
@@ -0,0 +1,46 @@
+// src/utils/regexSafety.js
+// 관리자가 등록한 정규식(분류 규칙, 검수 차단 목록)을 카탈로그 전체 상품에 실행하기 전에 안전한지 확인합니다.
+// 재앙적 백트래킹으로 카탈로그 워커가 멈추지 않도록 길이 제한, 역참조, 중첩 반복자를 거부합니다.
+
+const config = require('../config');
+
+const MAX_REGEX_PATTERN_LENGTH = config.bunjang?.regexMaxLength ?? 1000;
+
+/**
+ * 카탈로그 전체 상품에 실행해도 안전한 정규식인지 확인합니다. (재앙적 백트래킹 방지)
+ * 길이 제한을 넘는 패턴, 역참조, 반복되는 그룹 안의 반복((a+)+, (\w*)* 등)은 거부합니다.
+ * @returns {string|null} 거부 사유 (안전하면 null).
+ */
+function findUnsafeRegexReason(pattern) {
+  if (pattern.length > MAX_REGEX_PATTERN_LENGTH) return `정규식은 ${MAX_REGEX_PATTERN_LENGTH}자를 넘을 수 없습니다.`;
+  if (/\\[1-9]|\\k</.test(pattern)) return '역참조(\\1, \\k<name>)는 사용할 수 없습니다.';
+
+  // 그룹마다 내부에 반복자가 있는지 기록하고, 반복자가 붙은 그룹이 내부 반복자를 가지면 거부
+  const groupStack = [];
+  let lastClosedGroupHasQuantifier = false;
+  let inCharClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') { i++; lastClosedGroupHasQuantifier = false; continue; }
+    if (inCharClass) { if (char === ']') inCharClass = false; continue; }
+    if (char === '[') { inCharClass = true; lastClosedGroupHasQuantifier = false; continue; }
+    if (char === '(') { groupStack.push(false); lastClosedGroupHasQuantifier = false; continue; }
+    if (char === ')') {
+      lastClosedGroupHasQuantifier = groupStack.pop() === true;
+      if (lastClosedGroupHasQuantifier && groupStack.length > 0) groupStack[groupStack.length - 1] = true;
+      continue;
+    }
+    const isRepeat = char === '*' || char === '+' || (char === '{' && /^\{\d+,\d*\}/.test(pattern.slice(i)));
+    if (isRepeat) {
+      if (lastClosedGroupHasQuantifier) return '반복되는 그룹 안에 다시 반복자를 사용할 수 없습니다. (예: (a+)+)';
+      if (groupStack.length > 0) groupStack[groupStack.length - 1] = true;
+    }
+    lastClosedGroupHasQuantifier = false;
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_REGEX_PATTERN_LENGTH,
+  findUnsafeRegexReason,
+};
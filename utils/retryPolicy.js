@@ -0,0 +1,174 @@
+// src/utils/retryPolicy.js
+// 외부 API(Shopify, 번개장터) 호출에 공통으로 사용하는 재시도 정책입니다.
+// 지수 백오프 + jitter로 재시도하고, Retry-After 값이 있으면 그만큼 기다립니다.
+// 오류를 종류(errorClass)별로 분류해 허용 목록에 있는 종류만 재시도하며, 유효성 검사 오류는 어떤 경우에도 재시도하지 않습니다.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../config/logger');
+const { ValidationError } = require('./customErrors');
+
+const ERROR_CLASSES = {
+  CONNECT: 'CONNECT', // 연결 자체가 안 됨 (요청이 전송되지 않음: ECONNREFUSED, ENOTFOUND 등)
+  NETWORK: 'NETWORK', // 요청 중 연결 끊김 (ECONNRESET, socket hang up 등)
+  TIMEOUT: 'TIMEOUT',
+  RATE_LIMITED: 'RATE_LIMITED', // HTTP 429
+  THROTTLED: 'THROTTLED', // Shopify GraphQL 비용 한도 초과
+  SERVER_ERROR: 'SERVER_ERROR', // HTTP 5xx
+  AUTH: 'AUTH', // HTTP 401/403
+  NOT_FOUND: 'NOT_FOUND',
+  CLIENT_ERROR: 'CLIENT_ERROR', // 기타 HTTP 4xx, GraphQL 쿼리 오류
+  VALIDATION: 'VALIDATION', // 입력값/userErrors 오류
+  UNKNOWN: 'UNKNOWN',
+};
+
+const DEFAULT_RETRYABLE_ERROR_CLASSES = [
+  ERROR_CLASSES.CONNECT, ERROR_CLASSES.NETWORK, ERROR_CLASSES.TIMEOUT,
+  ERROR_CLASSES.RATE_LIMITED, ERROR_CLASSES.THROTTLED, ERROR_CLASSES.SERVER_ERROR,
+];
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'EPIPE', 'ECONNABORTED', 'UND_ERR_SOCKET', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'];
+
+// 동기화 한 건(상품 하나 등) 동안의 재시도 횟수 집계 (trackRetryStats로 시작)
+const retryStatsStorage = new AsyncLocalStorage();
+
+/**
+ * Retry-After 헤더 값(초 또는 HTTP 날짜)을 밀리초로 변환합니다.
+ * @returns {number|null} 해석할 수 없으면 null.
+ */
+function parseRetryAfterMs(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * HTTP 상태 코드와 Node.js 오류 코드로 오류 종류를 정합니다.
+ * @param {object} params - { status?, code?, message? }
+ * @returns {string} ERROR_CLASSES 값.
+ */
+function classifyHttpFailure({ status, code, message } = {}) {
+  if (status === 429) return ERROR_CLASSES.RATE_LIMITED;
+  if (status >= 500 && status <= 599) return ERROR_CLASSES.SERVER_ERROR;
+  if (status === 401 || status === 403) return ERROR_CLASSES.AUTH;
+  if (status === 404) return ERROR_CLASSES.NOT_FOUND;
+  if (status === 400 || status === 422) return ERROR_CLASSES.VALIDATION;
+  if (status >= 400 && status <= 499) return ERROR_CLASSES.CLIENT_ERROR;
+  if (CONNECT_ERROR_CODES.includes(code)) return ERROR_CLASSES.CONNECT;
+  if (TIMEOUT_ERROR_CODES.includes(code) || /timeout/i.test(message || '')) return ERROR_CLASSES.TIMEOUT;
+  if (NETWORK_ERROR_CODES.includes(code) || /socket hang up|network|fetch failed/i.test(message || '')) return ERROR_CLASSES.NETWORK;
+  return ERROR_CLASSES.UNKNOWN;
+}
+
+/**
+ * fn 실행 동안 재시도 정책을 거친 호출 수와 재시도 횟수를 집계합니다. (중첩 호출 시 가장 안쪽 집계에만 기록)
+ * @param {Function} fn - (stats) => Promise
+ * @returns {Promise<*>} fn의 반환값. 집계 결과는 fn에 전달된 stats({ calls, retries, retriedOperations })에서 읽습니다.
+ */
+function trackRetryStats(fn) {
+  const stats = { calls: 0, retries: 0, retriedOperations: [] };
+  return retryStatsStorage.run(stats, () => fn(stats));
+}
+
+/**
+ * 현재 trackRetryStats 실행 중인 집계를 반환합니다.
+ * @returns {object|null} { calls, retries, retriedOperations } 또는 집계 중이 아니면 null.
+ */
+function getRetryStats() {
+  return retryStatsStorage.getStore() || null;
+}
+
+/**
+ * 재시도 정책을 만듭니다.
+ * @param {object} options
+ * @param {string} options.name - 로그 태그 (예: 'ShopifyRetry').
+ * @param {Function} options.classifyError - (error) => { errorClass, retryAfterMs? }
+ * @param {number} [options.maxRetries=3] - 첫 시도 외 최대 재시도 횟수.
+ * @param {number} [options.initialDelayMs=1000] - 첫 재시도 대기 시간 (이후 2배씩 증가).
+ * @param {number} [options.maxDelayMs=30000] - 백오프 대기 시간 상한. (Retry-After는 retryAfterMaxMs까지 허용)
+ * @param {number} [options.jitterFactor=0.3] - 대기 시간에 더하거나 뺄 무작위 비율.
+ * @param {number} [options.retryAfterMaxMs=120000] - Retry-After 대기 시간 상한. 넘으면 재시도하지 않음.
+ * @param {string[]} [options.retryableErrorClasses] - 재시도할 오류 종류 (기본: 연결/네트워크/타임아웃/429/THROTTLED/5xx).
+ * @returns {{ execute: Function, isRetryable: Function }}
+ */
+function createRetryPolicy({
+  name,
+  classifyError,
+  maxRetries = 3,
+  initialDelayMs = 1000,
+  maxDelayMs = 30000,
+  jitterFactor = 0.3,
+  retryAfterMaxMs = 120000,
+  retryableErrorClasses = DEFAULT_RETRYABLE_ERROR_CLASSES,
+}) {
+  function classify(error) {
+    if (error instanceof ValidationError) return { errorClass: ERROR_CLASSES.VALIDATION, retryAfterMs: null };
+    const result = classifyError(error) || {};
+    return { errorClass: result.errorClass || ERROR_CLASSES.UNKNOWN, retryAfterMs: result.retryAfterMs ?? null };
+  }
+
+  function isRetryable(errorClass, allowedClasses = retryableErrorClasses) {
+    return errorClass !== ERROR_CLASSES.VALIDATION && allowedClasses.includes(errorClass);
+  }
+
+  function computeDelayMs(retryIndex, retryAfterMs) {
+    const backoffMs = Math.min(maxDelayMs, initialDelayMs * Math.pow(2, retryIndex));
+    const jitteredMs = Math.max(0, Math.round(backoffMs + backoffMs * jitterFactor * (Math.random() * 2 - 1)));
+    return retryAfterMs !== null ? Math.max(Math.round(retryAfterMs), 0) : jitteredMs;
+  }
+
+  /**
+   * operation을 실행하고, 재시도 가능한 오류면 백오프 후 다시 실행합니다.
+   * 최종 실패 시 마지막 오류에 retryAttempts(총 시도 횟수)와 retryErrorClass를 붙여 그대로 던집니다.
+   * @param {Function} operation - (attempt) => Promise. attempt는 1부터 시작.
+   * @param {object} [context] - { operationName, jobId, retryableErrorClasses } retryableErrorClasses로 호출별 허용 목록 지정 가능.
+   * @returns {Promise<*>} operation 결과.
+   */
+  async function execute(operation, { operationName = 'operation', jobId = 'N/A', retryableErrorClasses: allowedClasses } = {}) {
+    const stats = retryStatsStorage.getStore();
+    if (stats) stats.calls++;
+    const logTag = `[${name}${jobId && jobId !== 'N/A' ? `:Job-${jobId}` : ''}]`;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await operation(attempt);
+        if (attempt > 1) logger.info(`${logTag} ${operationName} succeeded after ${attempt} attempts.`);
+        return result;
+      } catch (error) {
+        const { errorClass, retryAfterMs } = classify(error);
+        const retryable = isRetryable(errorClass, allowedClasses || retryableErrorClasses);
+        const retryAfterTooLong = retryAfterMs !== null && retryAfterMs > retryAfterMaxMs;
+        if (!retryable || attempt > maxRetries || retryAfterTooLong) {
+          error.retryAttempts = attempt;
+          error.retryErrorClass = errorClass;
+          if (attempt > 1 || retryable) {
+            logger.warn(`${logTag} ${operationName} failed after ${attempt} attempt(s) (${errorClass}${retryAfterTooLong ? `, Retry-After ${Math.round(retryAfterMs / 1000)}s exceeds limit` : ''}): ${error.message}`);
+          }
+          throw error;
+        }
+
+        const delayMs = computeDelayMs(attempt - 1, retryAfterMs);
+        if (stats) {
+          stats.retries++;
+          if (!stats.retriedOperations.includes(operationName)) stats.retriedOperations.push(operationName);
+        }
+        logger.warn(`${logTag} ${operationName} attempt ${attempt}/${maxRetries + 1} failed (${errorClass}): ${error.message}. Retrying in ${delayMs}ms${retryAfterMs !== null ? ' (Retry-After)' : ''}.`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  return { execute, isRetryable };
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  DEFAULT_RETRYABLE_ERROR_CLASSES,
+  parseRetryAfterMs,
+  classifyHttpFailure,
+  createRetryPolicy,
+  trackRetryStats,
+  getRetryStats,
+};